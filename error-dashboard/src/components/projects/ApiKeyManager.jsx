@@ -0,0 +1,260 @@
+import PropTypes from "prop-types";
+import { useEffect, useState } from "react";
+import { createProjectKey, fetchProjectKeys, revokeProjectKey } from "../../services/api";
+import { formatRelativeTime } from "../../utils/date";
+import { useToast } from "../toast/ToastContainer";
+
+const GRACE_OPTIONS = [
+  { value: 0, label: "Revoke immediately" },
+  { value: 1, label: "Keep old key 1 hour" },
+  { value: 24, label: "Keep old key 24 hours" },
+  { value: 72, label: "Keep old key 3 days" },
+  { value: 168, label: "Keep old key 7 days" },
+];
+
+const STATUS_STYLES = {
+  active: "border-emerald-500/40 text-emerald-300",
+  expired: "border-amber-500/40 text-amber-300",
+  revoked: "border-rose-500/40 text-rose-300",
+};
+
+const defaultFormState = { label: "", type: "secret", expiresAt: "" };
+
+const getErrorMessage = (error, fallback) => error?.response?.data?.error?.message || fallback;
+
+export function ApiKeyManager({ project, onRotate, onKeysChanged }) {
+  const { addToast } = useToast();
+  const [keys, setKeys] = useState(Array.isArray(project.apiKeys) ? project.apiKeys : []);
+  const [form, setForm] = useState(defaultFormState);
+  const [graceHours, setGraceHours] = useState(24);
+  const [creating, setCreating] = useState(false);
+  const [busyKeyId, setBusyKeyId] = useState(null);
+  const [revealedKey, setRevealedKey] = useState(null);
+
+  useEffect(() => {
+    setKeys(Array.isArray(project.apiKeys) ? project.apiKeys : []);
+  }, [project.id, project.apiKeys]);
+
+  useEffect(() => {
+    setRevealedKey(null);
+  }, [project.id]);
+
+  const reloadKeys = async () => {
+    try {
+      const payload = await fetchProjectKeys(project.id);
+      setKeys(Array.isArray(payload?.data) ? payload.data : []);
+    } catch (error) {
+      addToast({ variant: "error", title: "Failed to load API keys", description: getErrorMessage(error, "Try again later.") });
+    }
+    onKeysChanged?.();
+  };
+
+  const handleCreate = async (event) => {
+    event.preventDefault();
+    if (!form.label.trim()) {
+      return;
+    }
+    setCreating(true);
+    try {
+      const payload = await createProjectKey(project.id, {
+        label: form.label.trim(),
+        type: form.type,
+        ...(form.expiresAt ? { expiresAt: new Date(`${form.expiresAt}T23:59:59`).toISOString() } : {}),
+      });
+      const created = payload?.data || null;
+      if (created?.key) {
+        setRevealedKey({ label: created.label, value: created.key });
+      }
+      setForm(defaultFormState);
+      addToast({ variant: "success", title: "API key created", description: created?.label });
+      await reloadKeys();
+    } catch (error) {
+      addToast({ variant: "error", title: "Key creation failed", description: getErrorMessage(error, "Unable to create API key.") });
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const handleRevoke = async (key) => {
+    setBusyKeyId(key.id);
+    try {
+      await revokeProjectKey(project.id, key.id);
+      addToast({ variant: "success", title: "API key revoked", description: key.label });
+      await reloadKeys();
+    } catch (error) {
+      addToast({ variant: "error", title: "Revocation failed", description: getErrorMessage(error, "Unable to revoke API key.") });
+    } finally {
+      setBusyKeyId(null);
+    }
+  };
+
+  const handleRotate = async (key) => {
+    setBusyKeyId(key.id);
+    try {
+      const updated = await onRotate(key, Number(graceHours));
+      const rawKey = key.type === "public" ? updated?.publicKey : updated?.apiKey;
+      if (rawKey) {
+        setRevealedKey({ label: key.label, value: rawKey });
+      }
+      addToast({
+        variant: "success",
+        title: "API key rotated",
+        description: Number(graceHours) > 0 ? `The previous key keeps working for ${graceHours} hours.` : "The previous key was revoked.",
+      });
+    } catch (error) {
+      addToast({ variant: "error", title: "Rotation failed", description: getErrorMessage(error, "Unable to rotate API key.") });
+    } finally {
+      setBusyKeyId(null);
+    }
+  };
+
+  const handleCopyRevealed = async () => {
+    try {
+      await navigator.clipboard.writeText(revealedKey.value);
+      addToast({ variant: "success", title: "API key copied" });
+    } catch (error) {
+      addToast({ variant: "error", title: "Copy failed", description: "Clipboard access denied." });
+    }
+  };
+
+  return (
+    <div className="rounded-lg border border-slate-800 bg-slate-900/40 p-4">
+      <div className="flex flex-col gap-2 md:flex-row md:items-center md:justify-between">
+        <p className="text-xs uppercase text-slate-500">Project Keys</p>
+        <label className="flex items-center gap-2 text-xs text-slate-400">
+          On rotation
+          <select
+            value={graceHours}
+            onChange={(event) => setGraceHours(Number(event.target.value))}
+            className="rounded-md border border-slate-700 bg-slate-950 px-2 py-1 text-xs text-slate-200"
+          >
+            {GRACE_OPTIONS.map((option) => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      {revealedKey ? (
+        <div className="mt-3 rounded-md border border-accent/40 bg-slate-950 p-3">
+          <p className="text-xs text-slate-400">New key for {revealedKey.label}. It will not be shown again.</p>
+          <code className="mt-2 block overflow-hidden text-ellipsis whitespace-nowrap font-mono text-xs text-slate-200">{revealedKey.value}</code>
+          <button
+            type="button"
+            onClick={handleCopyRevealed}
+            className="mt-2 rounded-md border border-slate-700 px-3 py-1 text-xs text-slate-200 hover:border-accent"
+          >
+            Copy
+          </button>
+        </div>
+      ) : null}
+
+      {keys.length ? (
+        <ul className="mt-3 space-y-2">
+          {keys.map((key) => (
+            <li key={key.id} className="flex flex-col gap-2 rounded-md border border-slate-800 bg-slate-950/60 p-3 text-xs md:flex-row md:items-center md:justify-between">
+              <div className="space-y-1">
+                <div className="flex items-center gap-2">
+                  <span className="font-medium text-slate-200">{key.label}</span>
+                  <span className="rounded-full border border-slate-700 px-2 py-0.5 uppercase text-slate-400">{key.type}</span>
+                  <span className={`rounded-full border px-2 py-0.5 uppercase ${STATUS_STYLES[key.status] || "border-slate-700 text-slate-400"}`}>
+                    {key.status}
+                  </span>
+                </div>
+                <p className="text-slate-500">
+                  <span className="font-mono text-slate-300">…{key.preview}</span> · created {formatRelativeTime(key.createdAt)}
+                  {key.expiresAt ? ` · ${key.status === "expired" ? "expired" : "expires"} ${formatRelativeTime(key.expiresAt)}` : ""}
+                </p>
+                <p className="text-slate-500">
+                  {key.lastUsedAt ? `Last used ${formatRelativeTime(key.lastUsedAt)}${key.lastUsedIp ? ` from ${key.lastUsedIp}` : ""}` : "Never used"}
+                </p>
+              </div>
+              {key.status === "active" ? (
+                <div className="flex gap-2">
+                  <button
+                    type="button"
+                    onClick={() => handleRotate(key)}
+                    disabled={busyKeyId === key.id}
+                    className="rounded-md border border-slate-700 px-3 py-1 text-slate-200 hover:border-accent disabled:cursor-not-allowed disabled:opacity-60"
+                  >
+                    Rotate
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => handleRevoke(key)}
+                    disabled={busyKeyId === key.id}
+                    className="rounded-md border border-rose-500/40 px-3 py-1 text-rose-300 hover:border-rose-400 disabled:cursor-not-allowed disabled:opacity-60"
+                  >
+                    Revoke
+                  </button>
+                </div>
+              ) : null}
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="mt-3 text-xs text-slate-400">No keys issued for this project yet.</p>
+      )}
+
+      <form onSubmit={handleCreate} className="mt-4 grid gap-2 text-xs md:grid-cols-4">
+        <input
+          type="text"
+          value={form.label}
+          onChange={(event) => setForm((prev) => ({ ...prev, label: event.target.value }))}
+          placeholder="Key label, e.g. CI pipeline"
+          maxLength={100}
+          className="rounded-md border border-slate-700 bg-slate-950 px-3 py-1.5 text-slate-200 md:col-span-2"
+        />
+        <select
+          value={form.type}
+          onChange={(event) => setForm((prev) => ({ ...prev, type: event.target.value }))}
+          className="rounded-md border border-slate-700 bg-slate-950 px-2 py-1.5 text-slate-200"
+        >
+          <option value="secret">Secret</option>
+          <option value="public">Public</option>
+        </select>
+        <input
+          type="date"
+          value={form.expiresAt}
+          onChange={(event) => setForm((prev) => ({ ...prev, expiresAt: event.target.value }))}
+          aria-label="Expiry date"
+          className="rounded-md border border-slate-700 bg-slate-950 px-2 py-1.5 text-slate-200"
+        />
+        <button
+          type="submit"
+          disabled={creating || !form.label.trim()}
+          className="rounded-md border border-slate-700 px-3 py-1.5 text-slate-200 hover:border-accent disabled:cursor-not-allowed disabled:opacity-60 md:col-span-4 md:justify-self-end"
+        >
+          {creating ? "Creating…" : "Create key"}
+        </button>
+      </form>
+    </div>
+  );
+}
+
+ApiKeyManager.propTypes = {
+  project: PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    apiKeys: PropTypes.arrayOf(
+      PropTypes.shape({
+        id: PropTypes.string.isRequired,
+        label: PropTypes.string,
+        type: PropTypes.string,
+        preview: PropTypes.string,
+        status: PropTypes.string,
+        createdAt: PropTypes.string,
+        expiresAt: PropTypes.string,
+        lastUsedAt: PropTypes.string,
+        lastUsedIp: PropTypes.string,
+      })
+    ),
+  }).isRequired,
+  onRotate: PropTypes.func.isRequired,
+  onKeysChanged: PropTypes.func,
+};
+
+ApiKeyManager.defaultProps = {
+  onKeysChanged: undefined,
+};
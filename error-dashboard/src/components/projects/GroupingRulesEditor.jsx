@@ -0,0 +1,313 @@
+import PropTypes from "prop-types";
+import { useEffect, useState } from "react";
+import { useToast } from "../toast/ToastContainer";
+
+const MAX_RULES = 50;
+const MAX_CONDITIONS = 10;
+
+const emptyCondition = () => ({ type: "message", pattern: "", key: "", value: "" });
+
+const emptyRule = () => ({
+  id: null,
+  name: "",
+  match: "any",
+  enabled: true,
+  conditions: [emptyCondition()],
+  fingerprintText: "{{ default }}",
+});
+
+// The editor keeps fingerprints as one part per line; the API expects an array.
+const toDraft = (rule) => ({
+  id: rule.id || null,
+  name: rule.name || "",
+  match: rule.match || "any",
+  enabled: rule.enabled !== false,
+  conditions: (Array.isArray(rule.conditions) && rule.conditions.length ? rule.conditions : [emptyCondition()]).map((condition) => ({
+    ...emptyCondition(),
+    ...condition,
+  })),
+  fingerprintText: Array.isArray(rule.fingerprint) ? rule.fingerprint.join("\n") : "",
+});
+
+const toPayload = (draft) => ({
+  ...(draft.id ? { id: draft.id } : {}),
+  name: draft.name.trim(),
+  match: draft.match,
+  enabled: draft.enabled,
+  conditions: draft.conditions.map((condition) =>
+    condition.type === "tag"
+      ? { type: "tag", key: condition.key.trim(), value: condition.value }
+      : { type: "message", pattern: condition.pattern }
+  ),
+  fingerprint: draft.fingerprintText
+    .split("\n")
+    .map((part) => part.trim())
+    .filter(Boolean),
+});
+
+const getErrorMessage = (error, fallback) => error?.response?.data?.error?.message || fallback;
+
+export function GroupingRulesEditor({ project, onSave }) {
+  const { addToast } = useToast();
+  const [drafts, setDrafts] = useState(() => (project.groupingRules || []).map(toDraft));
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    setDrafts((project.groupingRules || []).map(toDraft));
+  }, [project.id, project.groupingRules]);
+
+  const updateRule = (index, changes) => {
+    setDrafts((prev) => prev.map((rule, position) => (position === index ? { ...rule, ...changes } : rule)));
+  };
+
+  const updateCondition = (ruleIndex, conditionIndex, changes) => {
+    setDrafts((prev) =>
+      prev.map((rule, position) =>
+        position === ruleIndex
+          ? {
+              ...rule,
+              conditions: rule.conditions.map((condition, index) => (index === conditionIndex ? { ...condition, ...changes } : condition)),
+            }
+          : rule
+      )
+    );
+  };
+
+  const addCondition = (ruleIndex) => {
+    setDrafts((prev) =>
+      prev.map((rule, position) => (position === ruleIndex ? { ...rule, conditions: [...rule.conditions, emptyCondition()] } : rule))
+    );
+  };
+
+  const removeCondition = (ruleIndex, conditionIndex) => {
+    setDrafts((prev) =>
+      prev.map((rule, position) =>
+        position === ruleIndex ? { ...rule, conditions: rule.conditions.filter((_, index) => index !== conditionIndex) } : rule
+      )
+    );
+  };
+
+  const moveRule = (index, offset) => {
+    setDrafts((prev) => {
+      const target = index + offset;
+      if (target < 0 || target >= prev.length) {
+        return prev;
+      }
+      const next = [...prev];
+      [next[index], next[target]] = [next[target], next[index]];
+      return next;
+    });
+  };
+
+  const removeRule = (index) => {
+    setDrafts((prev) => prev.filter((_, position) => position !== index));
+  };
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setSaving(true);
+    try {
+      await onSave(drafts.map(toPayload));
+      addToast({ variant: "success", title: "Grouping rules saved", description: "New events are grouped with the updated rules." });
+    } catch (error) {
+      addToast({ variant: "error", title: "Update failed", description: getErrorMessage(error, "Unable to save grouping rules.") });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="mt-5 space-y-4 text-xs">
+      {drafts.length ? (
+        <ol className="space-y-3">
+          {drafts.map((rule, index) => (
+            <li key={rule.id || `draft-${index}`} className="rounded-lg border border-slate-800 bg-slate-950/60 p-4">
+              <div className="flex flex-col gap-2 md:flex-row md:items-center">
+                <span className="text-slate-500">#{index + 1}</span>
+                <input
+                  type="text"
+                  value={rule.name}
+                  onChange={(event) => updateRule(index, { name: event.target.value })}
+                  placeholder="Rule name, e.g. Group all timeouts"
+                  maxLength={100}
+                  className="flex-1 rounded-md border border-slate-700 bg-slate-950 px-3 py-1.5 text-slate-200"
+                />
+                <select
+                  value={rule.match}
+                  onChange={(event) => updateRule(index, { match: event.target.value })}
+                  aria-label="Condition match mode"
+                  className="rounded-md border border-slate-700 bg-slate-950 px-2 py-1.5 text-slate-200"
+                >
+                  <option value="any">Any condition</option>
+                  <option value="all">All conditions</option>
+                </select>
+                <label className="flex items-center gap-2 text-slate-400">
+                  <input
+                    type="checkbox"
+                    checked={rule.enabled}
+                    onChange={(event) => updateRule(index, { enabled: event.target.checked })}
+                    className="h-4 w-4 rounded border-slate-700 bg-slate-950"
+                  />
+                  Enabled
+                </label>
+                <div className="flex gap-1">
+                  <button
+                    type="button"
+                    onClick={() => moveRule(index, -1)}
+                    disabled={index === 0}
+                    aria-label="Move rule up"
+                    className="rounded-md border border-slate-700 px-2 py-1 text-slate-200 hover:border-accent disabled:cursor-not-allowed disabled:opacity-40"
+                  >
+                    ↑
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => moveRule(index, 1)}
+                    disabled={index === drafts.length - 1}
+                    aria-label="Move rule down"
+                    className="rounded-md border border-slate-700 px-2 py-1 text-slate-200 hover:border-accent disabled:cursor-not-allowed disabled:opacity-40"
+                  >
+                    ↓
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => removeRule(index)}
+                    className="rounded-md border border-rose-500/40 px-2 py-1 text-rose-300 hover:border-rose-400"
+                  >
+                    Remove
+                  </button>
+                </div>
+              </div>
+
+              <div className="mt-3 grid gap-3 md:grid-cols-2">
+                <div className="space-y-2">
+                  <p className="uppercase text-slate-500">When</p>
+                  {rule.conditions.map((condition, conditionIndex) => (
+                    <div key={`${rule.id || index}-condition-${conditionIndex}`} className="flex flex-wrap items-center gap-2">
+                      <select
+                        value={condition.type}
+                        onChange={(event) => updateCondition(index, conditionIndex, { type: event.target.value })}
+                        aria-label="Condition type"
+                        className="rounded-md border border-slate-700 bg-slate-950 px-2 py-1.5 text-slate-200"
+                      >
+                        <option value="message">Message matches</option>
+                        <option value="tag">Tag equals</option>
+                      </select>
+                      {condition.type === "tag" ? (
+                        <>
+                          <input
+                            type="text"
+                            value={condition.key}
+                            onChange={(event) => updateCondition(index, conditionIndex, { key: event.target.value })}
+                            placeholder="Tag"
+                            maxLength={200}
+                            className="w-24 rounded-md border border-slate-700 bg-slate-950 px-2 py-1.5 text-slate-200"
+                          />
+                          <input
+                            type="text"
+                            value={condition.value}
+                            onChange={(event) => updateCondition(index, conditionIndex, { value: event.target.value })}
+                            placeholder="Value"
+                            maxLength={200}
+                            className="flex-1 rounded-md border border-slate-700 bg-slate-950 px-2 py-1.5 text-slate-200"
+                          />
+                        </>
+                      ) : (
+                        <input
+                          type="text"
+                          value={condition.pattern}
+                          onChange={(event) => updateCondition(index, conditionIndex, { pattern: event.target.value })}
+                          placeholder="Regular expression, e.g. ^Timeout"
+                          maxLength={200}
+                          className="flex-1 rounded-md border border-slate-700 bg-slate-950 px-2 py-1.5 font-mono text-slate-200"
+                        />
+                      )}
+                      {rule.conditions.length > 1 ? (
+                        <button
+                          type="button"
+                          onClick={() => removeCondition(index, conditionIndex)}
+                          aria-label="Remove condition"
+                          className="rounded-md border border-slate-700 px-2 py-1 text-slate-400 hover:border-rose-400"
+                        >
+                          ×
+                        </button>
+                      ) : null}
+                    </div>
+                  ))}
+                  {rule.conditions.length < MAX_CONDITIONS ? (
+                    <button
+                      type="button"
+                      onClick={() => addCondition(index)}
+                      className="rounded-md border border-slate-700 px-3 py-1 text-slate-200 hover:border-accent"
+                    >
+                      Add condition
+                    </button>
+                  ) : null}
+                </div>
+                <label className="space-y-2">
+                  <span className="block uppercase text-slate-500">Group by</span>
+                  <textarea
+                    value={rule.fingerprintText}
+                    onChange={(event) => updateRule(index, { fingerprintText: event.target.value })}
+                    rows={3}
+                    className="w-full rounded-md border border-slate-700 bg-slate-950 px-3 py-1.5 font-mono text-slate-200"
+                  />
+                  <span className="block text-slate-500">
+                    One fingerprint part per line. <code className="text-slate-300">{"{{ default }}"}</code> inserts the computed fingerprint.
+                  </span>
+                </label>
+              </div>
+            </li>
+          ))}
+        </ol>
+      ) : (
+        <p className="text-slate-400">No grouping rules yet. Errors are grouped by message and stack trace.</p>
+      )}
+
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <p className="text-slate-500">Rules run in order and the first match wins. Changes apply to new events only.</p>
+        <div className="flex gap-2">
+          <button
+            type="button"
+            onClick={() => setDrafts((prev) => [...prev, emptyRule()])}
+            disabled={drafts.length >= MAX_RULES}
+            className="rounded-md border border-slate-700 px-3 py-1.5 text-slate-200 hover:border-accent disabled:cursor-not-allowed disabled:opacity-60"
+          >
+            Add rule
+          </button>
+          <button
+            type="submit"
+            disabled={saving}
+            className="rounded-md border border-accent/40 bg-accent/10 px-3 py-1.5 font-semibold text-white hover:border-accent disabled:cursor-not-allowed disabled:opacity-60"
+          >
+            {saving ? "Saving…" : "Save rules"}
+          </button>
+        </div>
+      </div>
+    </form>
+  );
+}
+
+GroupingRulesEditor.propTypes = {
+  project: PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    groupingRules: PropTypes.arrayOf(
+      PropTypes.shape({
+        id: PropTypes.string,
+        name: PropTypes.string,
+        match: PropTypes.oneOf(["any", "all"]),
+        enabled: PropTypes.bool,
+        conditions: PropTypes.arrayOf(
+          PropTypes.shape({
+            type: PropTypes.oneOf(["message", "tag"]),
+            pattern: PropTypes.string,
+            key: PropTypes.string,
+            value: PropTypes.string,
+          })
+        ),
+        fingerprint: PropTypes.arrayOf(PropTypes.string),
+      })
+    ),
+  }).isRequired,
+  onSave: PropTypes.func.isRequired,
+};
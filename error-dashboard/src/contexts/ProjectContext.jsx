@@ -132,9 +132,9 @@ export function ProjectProvider({ children }) {
     }
   }, []);
 
-  const rotateKey = useCallback(async (projectId) => {
+  const rotateKey = useCallback(async (projectId, type = "secret", { graceHours, keyId } = {}) => {
     try {
-      const payload = await apiRotateProjectKey(projectId);
+      const payload = await apiRotateProjectKey(projectId, { type, graceHours, keyId });
       const updated = payload?.data || null;
       if (updated) {
         setProjects((prev) => prev.map((project) => (project.id === updated.id ? updated : project)));
@@ -146,6 +146,14 @@ export function ProjectProvider({ children }) {
     } catch (error) {
       // Fallback rotate for demo/offline mode.
       const newKey = generateDemoKey();
+      if (type === "public") {
+        setProjects((prev) =>
+          prev.map((project) =>
+            project.id === projectId ? { ...project, publicKey: newKey, publicKeyPreview: newKey.slice(-6) } : project
+          )
+        );
+        return { id: projectId, publicKey: newKey };
+      }
       setProjects((prev) =>
         prev.map((project) => (project.id === projectId ? { ...project, apiKey: newKey, apiKeyPreview: newKey.slice(-6) } : project))
       );
@@ -21,6 +21,7 @@ import {
   deleteError,
   fetchErrorDetail,
   fetchTeamMembers,
+  unmergeError,
   updateErrorAssignment,
   updateErrorStatus,
 } from "../services/api";
@@ -40,6 +41,14 @@ const ENVIRONMENT_COLORS = {
   development: "border-emerald-500/40 bg-emerald-500/10 text-emerald-200",
 };
 
+const LEVEL_STYLES = {
+  fatal: "border-rose-500/40 bg-rose-500/15 text-rose-100",
+  error: "border-orange-500/40 bg-orange-500/10 text-orange-100",
+  warning: "border-amber-500/40 bg-amber-500/10 text-amber-100",
+  info: "border-sky-500/40 bg-sky-500/10 text-sky-100",
+  debug: "border-slate-600/40 bg-slate-800 text-slate-300",
+};
+
 const seededComments = [
   {
     id: "seed-1",
@@ -58,6 +67,8 @@ const seededComments = [
 const getStatusClassName = (status) =>
   STATUS_STYLES[status] || "border-slate-600/40 bg-slate-700/20 text-slate-200";
 
+const getLevelClassName = (level) => LEVEL_STYLES[level] || LEVEL_STYLES.error;
+
 const getEnvironmentClassName = (environment) =>
   ENVIRONMENT_COLORS[environment] || "border-slate-700 bg-slate-800/40 text-slate-200";
 
@@ -97,9 +108,40 @@ const getMemberLabel = (member) => {
   return member.name || member.email || "Unnamed member";
 };
 
-const StackTraceViewer = ({ frames, message }) => {
-  const code = stackToCode(frames, message);
+// Renders the lines around a frame with the failing line marked; only frames that carry source have `sourceLines`.
+const SourceSnippet = ({ frame }) => (
+  <figure className="overflow-hidden rounded-xl border border-slate-800 bg-[#011627]">
+    <figcaption className="border-b border-slate-800 px-4 py-2 font-mono text-[11px] text-slate-400">{frame.formatted}</figcaption>
+    <Highlight theme={nightOwl} code={frame.sourceLines.map((entry) => entry.code).join("\n")} language="javascript">
+      {({ className, style, tokens, getLineProps, getTokenProps }) => (
+        <pre className={clsx(className, "overflow-auto py-2 text-xs leading-relaxed")} style={style}>
+          {tokens.map((line, lineIndex) => {
+            const sourceLine = frame.sourceLines[lineIndex];
+            const lineProps = getLineProps({ line, key: lineIndex });
+            return (
+              <div
+                key={lineIndex}
+                {...lineProps}
+                className={clsx(
+                  lineProps.className,
+                  "px-4",
+                  sourceLine?.current ? "border-l-2 border-rose-400 bg-rose-500/15" : "border-l-2 border-transparent"
+                )}
+              >
+                <span className="mr-4 inline-block w-8 select-none text-right text-slate-500">{sourceLine?.line}</span>
+                {line.map((token, tokenIndex) => (
+                  <span key={tokenIndex} {...getTokenProps({ token, key: tokenIndex })} />
+                ))}
+              </div>
+            );
+          })}
+        </pre>
+      )}
+    </Highlight>
+  </figure>
+);
 
+const StackTraceCode = ({ code }) => {
   return (
     <Highlight theme={nightOwl} code={code} language="javascript">
       {({ className, style, tokens, getLineProps, getTokenProps }) => (
@@ -124,6 +166,46 @@ const StackTraceViewer = ({ frames, message }) => {
   );
 };
 
+const StackTraceViewer = ({ frames, message }) => {
+  const code = stackToCode(frames, message);
+  const framesWithSource = (frames || []).filter((frame) => frame.sourceLines?.length);
+
+  return (
+    <div className="space-y-3">
+      <StackTraceCode code={code} />
+      {framesWithSource.map((frame, index) => (
+        <SourceSnippet key={index} frame={frame} />
+      ))}
+    </div>
+  );
+};
+
+const LINK_LABELS = {
+  cause: "Caused by",
+  aggregate: "Aggregated error",
+};
+
+// Links arrive depth-first and outermost first, so indenting by depth draws the cause tree.
+const LinkedExceptionChain = ({ links }) => (
+  <ol className="space-y-4">
+    {links.map((link, index) => (
+      <li key={index} style={{ marginLeft: `${Math.max(0, (link.depth || 1) - 1) * 1.25}rem` }}>
+        <p className="text-xs text-slate-400">
+          <span className="font-semibold uppercase tracking-wide text-slate-500">
+            {LINK_LABELS[link.relation] || LINK_LABELS.cause}
+          </span>{" "}
+          <span className="font-mono text-slate-200">
+            {link.name}: {link.message}
+          </span>
+        </p>
+        <div className="mt-2">
+          <StackTraceViewer frames={link.stackTraceHighlighted} message={`${link.name}: ${link.message}`} />
+        </div>
+      </li>
+    ))}
+  </ol>
+);
+
 export function ErrorDetailPage() {
   const { errorId } = useParams();
   const navigate = useNavigate();
@@ -137,6 +219,7 @@ export function ErrorDetailPage() {
   const [teamMembersLoading, setTeamMembersLoading] = useState(true);
   const [assignmentUpdating, setAssignmentUpdating] = useState(false);
   const [deleting, setDeleting] = useState(false);
+  const [unmergingId, setUnmergingId] = useState(null);
   const [comments, setComments] = useState(seededComments);
   const [newComment, setNewComment] = useState("");
 
@@ -426,6 +509,32 @@ export function ErrorDetailPage() {
     }
   };
 
+  const handleUnmerge = async (merged) => {
+    if (!errorId) {
+      return;
+    }
+    setUnmergingId(merged.errorId);
+    try {
+      const result = await unmergeError(errorId, merged.errorId);
+      if (result?.data) {
+        setDetail(result.data);
+      }
+      addToast({
+        title: "Error unmerged",
+        description: "The group and its occurrences were split back out.",
+        variant: "success",
+      });
+    } catch (error) {
+      addToast({
+        title: "Unmerge failed",
+        description: error?.response?.data?.error?.message || error.message || "Unable to unmerge this group.",
+        variant: "error",
+      });
+    } finally {
+      setUnmergingId(null);
+    }
+  };
+
   const handleCopyLink = async () => {
     if (!errorId) {
       return;
@@ -616,6 +725,17 @@ export function ErrorDetailPage() {
                   {detail.status}
                 </span>
               </div>
+              <div>
+                <p className="text-xs uppercase text-slate-500">Level</p>
+                <span
+                  className={clsx(
+                    "mt-1 inline-flex items-center rounded-full border px-3 py-1 text-xs font-semibold capitalize",
+                    getLevelClassName(detail.level)
+                  )}
+                >
+                  {detail.level || "error"}
+                </span>
+              </div>
               <div>
                 <p className="text-xs uppercase text-slate-500">Environment</p>
                 <span
@@ -641,6 +761,37 @@ export function ErrorDetailPage() {
               </div>
             </div>
 
+            {detail.mergedGroups?.length ? (
+              <div className="mt-6 rounded-lg border border-slate-800 bg-slate-900/60 p-4 text-xs">
+                <p className="font-semibold uppercase tracking-wide text-slate-500">Merged groups ({detail.mergedGroups.length})</p>
+                <ul className="mt-3 space-y-2">
+                  {detail.mergedGroups.map((merged) => (
+                    <li key={merged.errorId} className="flex flex-wrap items-center justify-between gap-3">
+                      <div className="min-w-0">
+                        <p className="truncate text-slate-200">{merged.message || merged.fingerprint}</p>
+                        <p className="text-slate-500">
+                          {merged.count} events · merged {formatDistanceToNow(new Date(merged.mergedAt), { addSuffix: true })}
+                        </p>
+                      </div>
+                      <button
+                        type="button"
+                        onClick={() => handleUnmerge(merged)}
+                        disabled={unmergingId !== null}
+                        className={clsx(
+                          "rounded-md border px-3 py-1.5 font-semibold uppercase tracking-wide",
+                          unmergingId !== null
+                            ? "cursor-not-allowed border-slate-700 text-slate-600"
+                            : "border-slate-700 text-slate-200 hover:border-accent"
+                        )}
+                      >
+                        {unmergingId === merged.errorId ? "Unmerging…" : "Unmerge"}
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            ) : null}
+
             <section className="mt-8 space-y-4">
               <div>
                 <h4 className="text-xs font-semibold uppercase tracking-wide text-slate-400">Stack trace</h4>
@@ -649,6 +800,17 @@ export function ErrorDetailPage() {
                 </div>
               </div>
 
+              {detail.linkedExceptions?.length ? (
+                <div>
+                  <h4 className="text-xs font-semibold uppercase tracking-wide text-slate-400">
+                    Exception chain ({detail.linkedExceptions.length} linked)
+                  </h4>
+                  <div className="mt-3">
+                    <LinkedExceptionChain links={detail.linkedExceptions} />
+                  </div>
+                </div>
+              ) : null}
+
               <div className="rounded-2xl border border-slate-800 bg-slate-900/40 p-5">
                 <header className="flex flex-wrap items-center justify-between gap-3">
                   <div>
@@ -726,6 +888,16 @@ export function ErrorDetailPage() {
                           )}>
                             {occurrence.environment}
                           </span>
+                          {occurrence.fingerprintSource === "rule" || occurrence.fingerprintSource === "sdk" ? (
+                            <>
+                              <span>•</span>
+                              <span className="text-slate-400">
+                                {occurrence.fingerprintSource === "rule"
+                                  ? `Grouped by rule ${occurrence.groupingRule?.name || "(deleted)"}`
+                                  : "Grouped by SDK fingerprint"}
+                              </span>
+                            </>
+                          ) : null}
                         </div>
                         <div className="mt-2 text-sm text-slate-300 whitespace-pre-wrap">{displayMessage}</div>
                         {breadcrumbs.length ? (
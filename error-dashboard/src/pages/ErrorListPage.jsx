@@ -6,7 +6,7 @@ import { PageLoader } from "../components/feedback/PageLoader";
 import { MainLayout } from "../components/layout/MainLayout";
 import { useToast } from "../components/toast/ToastContainer";
 import { useProjectContext } from "../contexts/ProjectContext";
-import { bulkUpdateErrorStatus, fetchErrors } from "../services/api";
+import { bulkUpdateErrorStatus, fetchErrors, mergeErrors } from "../services/api";
 import { useDebouncedValue } from "../hooks/useDebouncedValue";
 
 const PAGE_SIZE = 25;
@@ -26,6 +26,15 @@ const statusOptions = [
   { value: "ignored", label: "Ignored" },
 ];
 
+const levelOptions = [
+  { value: "all", label: "All levels" },
+  { value: "fatal", label: "Fatal" },
+  { value: "error", label: "Error" },
+  { value: "warning", label: "Warning" },
+  { value: "info", label: "Info" },
+  { value: "debug", label: "Debug" },
+];
+
 const SAMPLE_ERRORS = [
   {
     id: "err-sample-1",
@@ -151,9 +160,26 @@ const getStatusClassName = (status) => {
   }
 };
 
+const getLevelClassName = (level) => {
+  switch ((level || "").toLowerCase()) {
+    case "fatal":
+      return "border-rose-500/40 bg-rose-500/15 text-rose-100";
+    case "warning":
+      return "border-amber-500/40 bg-amber-500/10 text-amber-100";
+    case "info":
+      return "border-sky-500/40 bg-sky-500/10 text-sky-100";
+    case "debug":
+      return "border-slate-700 bg-slate-800/60 text-slate-300";
+    case "error":
+    default:
+      return "border-orange-500/40 bg-orange-500/10 text-orange-100";
+  }
+};
+
 const buildInitialFilters = (searchParams) => ({
   environment: searchParams.get("environment") ?? "all",
   status: searchParams.get("status") ?? "all",
+  level: searchParams.get("level") ?? "all",
   startDate: searchParams.get("startDate") ?? searchParams.get("start") ?? "",
   endDate: searchParams.get("endDate") ?? searchParams.get("end") ?? "",
   sourceFile: searchParams.get("sourceFile") ?? "",
@@ -185,6 +211,7 @@ export function ErrorListPage() {
       if (
         prev.environment === nextFilters.environment &&
         prev.status === nextFilters.status &&
+        prev.level === nextFilters.level &&
         prev.startDate === nextFilters.startDate &&
         prev.endDate === nextFilters.endDate &&
         prev.sourceFile === nextFilters.sourceFile
@@ -234,6 +261,9 @@ export function ErrorListPage() {
     if (filters.status && filters.status !== "all") {
       params.status = filters.status;
     }
+    if (filters.level && filters.level !== "all") {
+      params.level = filters.level;
+    }
     if (filters.startDate) {
       params.startDate = filters.startDate;
     }
@@ -322,6 +352,7 @@ export function ErrorListPage() {
         updateSearchParams({
           environment: next.environment,
           status: next.status,
+          level: next.level,
           startDate: next.startDate,
           endDate: next.endDate,
           sourceFile: next.sourceFile || null,
@@ -335,11 +366,12 @@ export function ErrorListPage() {
     }, [updateSearchParams, searchTerm, sortField, sortOrder]);
 
   const handleClearFilters = useCallback(() => {
-    setFilters({ environment: "all", status: "all", startDate: "", endDate: "", sourceFile: "" });
+    setFilters({ environment: "all", status: "all", level: "all", startDate: "", endDate: "", sourceFile: "" });
     setSearchTerm("");
     updateSearchParams({
       environment: null,
       status: null,
+      level: null,
       startDate: null,
       endDate: null,
       sourceFile: null,
@@ -436,6 +468,33 @@ export function ErrorListPage() {
     }
   };
 
+  const mergeCandidates = items.filter((item) => selectedIds.has(item.id));
+  const canMerge = mergeCandidates.length >= 2;
+
+  // The busiest selected group becomes the primary one, so the fewest occurrences move.
+  const performMerge = async () => {
+    if (!canMerge) {
+      return;
+    }
+    const [primary, ...others] = [...mergeCandidates].sort((a, b) => b.count - a.count);
+    try {
+      await mergeErrors(primary.id, others.map((item) => item.id));
+      addToast({
+        title: `Merged ${mergeCandidates.length} errors`,
+        description: `Grouped under "${truncateMessage(primary.message)}".`,
+        variant: "success",
+      });
+      setSelectedIds(new Set());
+      setRefreshKey((value) => value + 1);
+    } catch (error) {
+      addToast({
+        title: "Merge failed",
+        description: error?.response?.data?.error?.message || "Unable to merge the selected errors.",
+        variant: "error",
+      });
+    }
+  };
+
   const highlightedMessage = (message) => {
     const displayMessage = truncateMessage(message);
     if (!debouncedSearch) {
@@ -469,6 +528,7 @@ export function ErrorListPage() {
   const hasActiveFilters =
     filters.environment !== "all" ||
     filters.status !== "all" ||
+    filters.level !== "all" ||
     Boolean(filters.startDate) ||
     Boolean(filters.endDate) ||
     Boolean(filters.sourceFile) ||
@@ -553,7 +613,7 @@ export function ErrorListPage() {
             <span>{totalItems} total events</span>
           </div>
         </header>
-        <div className="mt-5 grid gap-4 lg:grid-cols-4">
+        <div className="mt-5 grid gap-4 lg:grid-cols-5">
           <label className="flex flex-col gap-2 text-xs uppercase tracking-wide text-slate-500">
             Environment
             <select
@@ -582,6 +642,20 @@ export function ErrorListPage() {
               ))}
             </select>
           </label>
+          <label className="flex flex-col gap-2 text-xs uppercase tracking-wide text-slate-500">
+            Level
+            <select
+              value={filters.level}
+              onChange={(event) => handleFilterChange("level", event.target.value)}
+              className="rounded-lg border border-slate-700 bg-canvas-subtle px-3 py-2 text-sm text-slate-200 focus:border-accent focus:outline-none"
+            >
+              {levelOptions.map((option) => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+          </label>
           <label className="flex flex-col gap-2 text-xs uppercase tracking-wide text-slate-500">
             Start date
             <input
@@ -616,6 +690,11 @@ export function ErrorListPage() {
                   Status: {filters.status}
                 </span>
               ) : null}
+              {filters.level !== "all" ? (
+                <span className="rounded-full border border-slate-700 bg-slate-900 px-3 py-1 capitalize">
+                  Level: {filters.level}
+                </span>
+              ) : null}
               {filters.startDate ? (
                 <span className="rounded-full border border-slate-700 bg-slate-900 px-3 py-1">
                   From {filters.startDate}
@@ -718,6 +797,20 @@ export function ErrorListPage() {
             >
               Reopen
             </button>
+            <button
+              type="button"
+              onClick={performMerge}
+              disabled={!canMerge}
+              title="Merge the selected errors into the one with the most events"
+              className={clsx(
+                "rounded-lg border px-3 py-2 text-xs font-semibold uppercase tracking-wide",
+                !canMerge
+                  ? "cursor-not-allowed border-slate-800 text-slate-600"
+                  : "border-violet-500/40 text-violet-200 hover:border-violet-400 hover:text-violet-100"
+              )}
+            >
+              Merge
+            </button>
           </div>
         </div>
       </section>
@@ -781,7 +874,17 @@ export function ErrorListPage() {
                       />
                     </td>
                     <td className="px-6 py-4">
-                      <div className="font-medium text-white">{highlightedMessage(error.message)}</div>
+                      <div className="flex items-center gap-2">
+                        <span
+                          className={clsx(
+                            "inline-flex shrink-0 items-center rounded border px-1.5 py-0.5 text-[10px] font-semibold uppercase tracking-wide",
+                            getLevelClassName(error.level)
+                          )}
+                        >
+                          {error.level || "error"}
+                        </span>
+                        <div className="font-medium text-white">{highlightedMessage(error.message)}</div>
+                      </div>
                       <p className="text-xs text-slate-500">{error.fingerprint}</p>
                     </td>
                     <td className="px-6 py-4">
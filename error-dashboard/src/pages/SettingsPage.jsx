@@ -1,6 +1,8 @@
 import { useEffect, useMemo, useState } from "react";
 import { AlertRuleTester } from "../components/alerts/AlertRuleTester";
 import { MainLayout } from "../components/layout/MainLayout";
+import { ApiKeyManager } from "../components/projects/ApiKeyManager";
+import { GroupingRulesEditor } from "../components/projects/GroupingRulesEditor";
 import { fetchAlertRules } from "../services/api";
 import { useProjectContext } from "../contexts/ProjectContext";
 import { useToast } from "../components/toast/ToastContainer";
@@ -16,6 +18,7 @@ export function SettingsPage() {
     loadingProjects,
     projectError,
     selectProject,
+    refreshProjects,
     createProject,
     rotateKey,
     updateProject,
@@ -24,6 +27,7 @@ export function SettingsPage() {
   const [projectName, setProjectName] = useState(currentProject?.name || "");
   const [savingName, setSavingName] = useState(false);
   const [rotatingKey, setRotatingKey] = useState(false);
+  const [rotatingPublicKey, setRotatingPublicKey] = useState(false);
   const [newProjectName, setNewProjectName] = useState("");
   const [creatingProject, setCreatingProject] = useState(false);
   const [scrubbing, setScrubbing] = useState({ removeEmails: false, removePhones: false, removeIPs: false });
@@ -96,7 +100,7 @@ export function SettingsPage() {
     }
     setRotatingKey(true);
     try {
-      const updated = await rotateKey(currentProject.id);
+      const updated = await rotateKey(currentProject.id, "secret", { keyId: currentProject.apiKeyId });
       addToast({ variant: "success", title: "API key rotated" });
       if (updated?.apiKey && typeof navigator !== "undefined" && navigator.clipboard?.writeText) {
         try {
@@ -114,6 +118,38 @@ export function SettingsPage() {
     }
   };
 
+  const handleRotatePublicKey = async () => {
+    if (!currentProject) {
+      return;
+    }
+    setRotatingPublicKey(true);
+    try {
+      await rotateKey(currentProject.id, "public", { keyId: currentProject.publicKeyId });
+      addToast({ variant: "success", title: "Public key rotated", description: "Update the key in your client bundles." });
+    } catch (error) {
+      const message = error?.response?.data?.error?.message || "Unable to rotate public key.";
+      addToast({ variant: "error", title: "Rotation failed", description: message });
+    } finally {
+      setRotatingPublicKey(false);
+    }
+  };
+
+  const handleCopyPublicKey = async () => {
+    if (!currentProject?.publicKey) {
+      addToast({ variant: "info", title: "No public key loaded", description: "Rotate the public key to reveal a new value." });
+      return;
+    }
+    try {
+      await navigator.clipboard.writeText(currentProject.publicKey);
+      addToast({ variant: "success", title: "Public key copied" });
+    } catch (error) {
+      addToast({ variant: "error", title: "Copy failed", description: "Clipboard access denied." });
+    }
+  };
+
+  const handleRotateListedKey = (key, graceHours) =>
+    rotateKey(currentProject.id, key.type, { graceHours, keyId: key.id });
+
   const handleCopyKey = async () => {
     if (!currentProject?.apiKey) {
       addToast({ variant: "info", title: "No API key loaded", description: "Rotate the key to reveal a new secret." });
@@ -185,6 +221,10 @@ export function SettingsPage() {
     }
   };
 
+  const handleGroupingRulesSave = async (groupingRules) => {
+    await updateProject(currentProject.id, { groupingRules });
+  };
+
   return (
     <MainLayout
       title="Settings"
@@ -286,6 +326,45 @@ export function SettingsPage() {
             ) : (
               <p className="text-xs text-slate-400">Create a project to obtain an ingestion API key.</p>
             )}
+            {currentProject ? (
+              <div className="rounded-lg border border-slate-800 bg-slate-900/40 p-4">
+                <p className="text-xs uppercase text-slate-500">Public Ingest Key</p>
+                {currentProject.publicKey ? (
+                  <code className="mt-2 block overflow-hidden text-ellipsis whitespace-nowrap rounded-md border border-slate-800 bg-slate-950 px-3 py-2 font-mono text-xs text-slate-200">
+                    {currentProject.publicKey}
+                  </code>
+                ) : currentProject.publicKeyPreview ? (
+                  <p className="mt-2 text-xs text-slate-400">
+                    Current key preview: <span className="font-mono text-slate-200">…{currentProject.publicKeyPreview}</span>
+                  </p>
+                ) : null}
+                <p className="mt-2 text-xs text-slate-400">
+                  Use this key in browser SDKs. It can only submit errors; the secret key above is rejected from browser origins.
+                </p>
+                <div className="mt-3 flex gap-3 text-xs">
+                  <button
+                    type="button"
+                    onClick={handleRotatePublicKey}
+                    disabled={!canAdministerProject || rotatingPublicKey}
+                    className="rounded-md border border-slate-700 px-3 py-1.5 text-slate-200 hover:border-accent disabled:cursor-not-allowed disabled:opacity-60"
+                  >
+                    {rotatingPublicKey ? "Rotating…" : currentProject.publicKeyPreview ? "Rotate" : "Generate"}
+                  </button>
+                  {currentProject.publicKey ? (
+                    <button
+                      type="button"
+                      onClick={handleCopyPublicKey}
+                      className="rounded-md border border-slate-700 px-3 py-1.5 text-slate-200 hover:border-accent"
+                    >
+                      Copy
+                    </button>
+                  ) : null}
+                </div>
+              </div>
+            ) : null}
+            {currentProject && canAdministerProject ? (
+              <ApiKeyManager project={currentProject} onRotate={handleRotateListedKey} onKeysChanged={refreshProjects} />
+            ) : null}
             <div className="rounded-lg border border-slate-800 bg-slate-900/40 p-4">
               <p className="text-xs uppercase text-slate-500">Alert Destinations</p>
               <ul className="mt-2 space-y-2 text-xs text-slate-400">
@@ -392,6 +471,16 @@ export function SettingsPage() {
         </form>
       </section>
 
+      {currentProject && canAdministerProject ? (
+        <section className="rounded-2xl border border-slate-800 bg-slate-900/40 p-6">
+          <div>
+            <h3 className="text-sm font-semibold uppercase tracking-wide text-slate-400">Grouping Rules</h3>
+            <p className="text-xs text-slate-500">Override how errors are grouped when their message or tags match.</p>
+          </div>
+          <GroupingRulesEditor project={currentProject} onSave={handleGroupingRulesSave} />
+        </section>
+      ) : null}
+
       <section className="rounded-2xl border border-slate-800 bg-slate-900/40 p-6">
         <div className="flex flex-col gap-1 md:flex-row md:items-center md:justify-between">
           <div>
@@ -83,8 +83,23 @@ export async function updateProject(projectId, payload, config = {}) {
   return data;
 }
 
-export async function rotateProjectKey(projectId, config = {}) {
-  const { data } = await apiClient.post(`/projects/${projectId}/rotate-key`, {}, config);
+export async function rotateProjectKey(projectId, { type = "secret", graceHours, keyId } = {}, config = {}) {
+  const { data } = await apiClient.post(`/projects/${projectId}/rotate-key`, { type, graceHours, keyId }, config);
+  return data;
+}
+
+export async function fetchProjectKeys(projectId, config = {}) {
+  const { data } = await apiClient.get(`/projects/${projectId}/keys`, config);
+  return data;
+}
+
+export async function createProjectKey(projectId, payload, config = {}) {
+  const { data } = await apiClient.post(`/projects/${projectId}/keys`, payload, config);
+  return data;
+}
+
+export async function revokeProjectKey(projectId, keyId, config = {}) {
+  const { data } = await apiClient.delete(`/projects/${projectId}/keys/${keyId}`, config);
   return data;
 }
 
@@ -156,6 +171,16 @@ export async function updateErrorAssignment(errorId, memberId) {
   return data;
 }
 
+export async function mergeErrors(errorId, errorIds) {
+  const { data } = await apiClient.post(`/errors/${errorId}/merge`, { errorIds });
+  return data;
+}
+
+export async function unmergeError(errorId, mergedErrorId) {
+  const { data } = await apiClient.post(`/errors/${errorId}/unmerge`, { errorId: mergedErrorId });
+  return data;
+}
+
 export async function fetchTeamMembers(params = {}, config = {}) {
   const { data } = await apiClient.get('/team/members', { params, ...config });
   return data;
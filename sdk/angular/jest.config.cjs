@@ -0,0 +1,15 @@
+module.exports = {
+  testEnvironment: "jsdom",
+  roots: ["<rootDir>/src", "<rootDir>/tests"],
+  setupFilesAfterEnv: ["<rootDir>/tests/setup-test-bed.js"],
+  // Test against the SDK sources rather than prebuilt dist bundles.
+  moduleNameMapper: {
+    "^@error-monitor/sdk-browser$": "<rootDir>/../browser/src/index.js",
+    "^@error-monitor/sdk-core$": "<rootDir>/../core/src/index.js"
+  },
+  // Angular ships ES modules only (.mjs), so its packages are compiled along with the sources.
+  transform: {
+    "^.+\\.m?js$": ["babel-jest", { presets: [["@babel/preset-env", { targets: { node: "current" } }]] }]
+  },
+  transformIgnorePatterns: ["/node_modules/(?!(nanoid|@angular)/)"]
+};
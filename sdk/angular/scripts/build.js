@@ -0,0 +1,40 @@
+import { mkdir, readdir, readFile, rm, writeFile } from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { transformAsync } from "@babel/core";
+
+const currentFile = fileURLToPath(import.meta.url);
+const rootDir = path.resolve(path.dirname(currentFile), "..");
+const srcDir = path.join(rootDir, "src");
+const distDir = path.join(rootDir, "dist");
+
+await rm(distDir, { recursive: true, force: true });
+await mkdir(distDir, { recursive: true });
+
+// Unlike the single-file core build, this package spans several modules, so each one is compiled.
+const files = (await readdir(srcDir)).filter((file) => file.endsWith(".js"));
+
+for (const file of files) {
+  const source = await readFile(path.join(srcDir, file), "utf8");
+  const baseOptions = {
+    filename: file,
+    presets: [["@babel/preset-env", { targets: ">0.5%, not dead", modules: false }]]
+  };
+
+  const esmResult = await transformAsync(source, baseOptions);
+  if (!esmResult?.code) {
+    throw new Error(`Failed to compile ESM output for ${file}`);
+  }
+
+  const cjsResult = await transformAsync(source.replace(/from "\.\/(.+)\.js"/g, 'from "./$1.cjs"'), {
+    ...baseOptions,
+    plugins: [["@babel/plugin-transform-modules-commonjs", { loose: true }]]
+  });
+  if (!cjsResult?.code) {
+    throw new Error(`Failed to compile CJS output for ${file}`);
+  }
+
+  const baseName = file.slice(0, -".js".length);
+  await writeFile(path.join(distDir, `${baseName}.js`), esmResult.code, "utf8");
+  await writeFile(path.join(distDir, `${baseName}.cjs`), cjsResult.code, "utf8");
+}
@@ -0,0 +1,129 @@
+import { isSignal } from "@angular/core";
+
+const LIFECYCLE_HOOKS = [
+  "ngOnChanges",
+  "ngOnInit",
+  "ngDoCheck",
+  "ngAfterContentInit",
+  "ngAfterContentChecked",
+  "ngAfterViewInit",
+  "ngAfterViewChecked",
+  "ngOnDestroy"
+];
+const MAX_INPUT_STRING_LENGTH = 200;
+
+// Component instrumentation records where an error was thrown; the ErrorHandler reads it back.
+const componentErrors = new WeakMap();
+const instrumentedComponents = new WeakSet();
+
+// Angular names template functions `<Component>_Template` (or `<Component>_<tag>_<n>_Template` for embedded views).
+const TEMPLATE_FRAME_PATTERN = /\bat ([A-Za-z_$][\w$]*?)_(?:[\w$]+_)?Template\b/;
+const HOOK_FRAME_PATTERN = new RegExp(`\\bat ([A-Za-z_$][\\w$]*)\\.(${LIFECYCLE_HOOKS.join("|")})\\b`);
+
+function summarizeInputValue(value) {
+  if (typeof value === "function") {
+    return "[Function]";
+  }
+  if (typeof value === "string" && value.length > MAX_INPUT_STRING_LENGTH) {
+    return `${value.slice(0, MAX_INPUT_STRING_LENGTH)}…`;
+  }
+  if (Array.isArray(value)) {
+    return `[Array(${value.length})]`;
+  }
+  if (value && typeof value === "object") {
+    return "[Object]";
+  }
+  return value;
+}
+
+/**
+ * Shallow, serializable copy of a component's current inputs, keyed by their public (aliased)
+ * names. Signal inputs are read; nested objects and arrays are summarized.
+ * @param {object} instance
+ * @returns {object|null}
+ */
+export function getComponentInputs(instance) {
+  const inputs = instance?.constructor?.ɵcmp?.inputs;
+  if (!inputs || typeof inputs !== "object") {
+    return null;
+  }
+
+  const values = {};
+  for (const [publicName, definition] of Object.entries(inputs)) {
+    const property = Array.isArray(definition) ? definition[0] : definition;
+    let value = instance[property];
+    if (isSignal(value)) {
+      try {
+        value = value();
+      } catch (error) {
+        // required signal inputs throw until they are set
+        value = undefined;
+      }
+    }
+    values[publicName] = summarizeInputValue(value);
+  }
+  return values;
+}
+
+/**
+ * Wrap a component's lifecycle hooks so errors they throw carry the component name, the hook and
+ * the current inputs to `ErrorMonitorErrorHandler`. Returns the component, so it can also be used
+ * as a class decorator.
+ * @template T
+ * @param {T} componentType
+ * @returns {T}
+ */
+export function instrumentComponent(componentType) {
+  if (typeof componentType !== "function" || instrumentedComponents.has(componentType)) {
+    return componentType;
+  }
+  instrumentedComponents.add(componentType);
+
+  const name = componentType.name || null;
+  for (const hook of LIFECYCLE_HOOKS) {
+    const original = componentType.prototype[hook];
+    if (typeof original !== "function") {
+      continue;
+    }
+    componentType.prototype[hook] = function instrumentedHook(...args) {
+      try {
+        return original.apply(this, args);
+      } catch (error) {
+        if (error && typeof error === "object" && !componentErrors.has(error)) {
+          componentErrors.set(error, { name, lifecycleHook: hook, inputs: getComponentInputs(this) });
+        }
+        throw error;
+      }
+    };
+  }
+  return componentType;
+}
+
+/**
+ * Component metadata for an error: what `instrumentComponent` recorded, otherwise the component
+ * and hook (or template) named in the stack trace. Stack names are only meaningful in builds that
+ * keep class names.
+ * @param {*} error
+ * @returns {{name: string|null, lifecycleHook: string|null, inputs: object|null}|null}
+ */
+export function getComponentMetadata(error) {
+  if (!error || typeof error !== "object") {
+    return null;
+  }
+  const recorded = componentErrors.get(error);
+  if (recorded) {
+    return { ...recorded };
+  }
+
+  const stack = typeof error.stack === "string" ? error.stack : "";
+  // The innermost Angular frame decides: a hook called from a template belongs to the hook.
+  const hookMatch = stack.match(HOOK_FRAME_PATTERN);
+  const templateMatch = stack.match(TEMPLATE_FRAME_PATTERN);
+  if (hookMatch && (!templateMatch || hookMatch.index < templateMatch.index)) {
+    return { name: hookMatch[1], lifecycleHook: hookMatch[2], inputs: null };
+  }
+  if (templateMatch) {
+    return { name: templateMatch[1], lifecycleHook: "template", inputs: null };
+  }
+  return null;
+}
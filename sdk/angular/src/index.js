@@ -0,0 +1,62 @@
+import { ErrorHandler, makeEnvironmentProviders } from "@angular/core";
+import { ErrorMonitorInstance } from "@error-monitor/sdk-browser";
+import { getComponentMetadata } from "./component.js";
+
+export { getComponentInputs, getComponentMetadata, instrumentComponent } from "./component.js";
+
+// Zone.js wraps unhandled promise rejections; report the value that was actually rejected.
+function unwrapError(error) {
+  let current = error;
+  while (current && typeof current === "object" && current.ngOriginalError) {
+    current = current.ngOriginalError;
+  }
+  if (current && typeof current === "object" && "rejection" in current && current.promise) {
+    return current.rejection;
+  }
+  return current;
+}
+
+/**
+ * `ErrorHandler` that reports errors Angular catches (change detection, lifecycle hooks, event
+ * listeners, unhandled rejections) before delegating to Angular's default console logging.
+ */
+export class ErrorMonitorErrorHandler extends ErrorHandler {
+  /**
+   * @param {{monitor?: object, logErrors?: boolean, tags?: object}} [options]
+   */
+  constructor({ monitor = ErrorMonitorInstance, logErrors = true, tags = {} } = {}) {
+    super();
+    this._monitor = monitor;
+    this._logErrors = logErrors;
+    this._tags = tags;
+  }
+
+  handleError(error) {
+    const unwrapped = unwrapError(error);
+
+    if (this._monitor.isInitialized()) {
+      try {
+        const component = getComponentMetadata(unwrapped);
+        this._monitor.captureError(unwrapped, {
+          tags: { handledBy: "angular.errorHandler", ...this._tags },
+          ...(component ? { component } : {})
+        });
+      } catch (captureFailure) {
+        // reporting must not replace the application's own error handling
+      }
+    }
+
+    if (this._logErrors) {
+      super.handleError(error);
+    }
+  }
+}
+
+/**
+ * Register `ErrorMonitorErrorHandler` as the application's `ErrorHandler`:
+ * `bootstrapApplication(AppComponent, { providers: [provideErrorMonitor({ monitor })] })`.
+ * @param {{monitor?: object, logErrors?: boolean, tags?: object}} [options]
+ */
+export function provideErrorMonitor(options = {}) {
+  return makeEnvironmentProviders([{ provide: ErrorHandler, useFactory: () => new ErrorMonitorErrorHandler(options) }]);
+}
@@ -0,0 +1,127 @@
+import { afterEach, beforeEach, describe, expect, it, jest } from "@jest/globals";
+import { Component, ErrorHandler, provideZonelessChangeDetection, signal } from "@angular/core";
+import { TestBed } from "@angular/core/testing";
+import { ErrorMonitor } from "../../core/src/index.js";
+import { ErrorMonitorErrorHandler, getComponentInputs, getComponentMetadata, instrumentComponent, provideErrorMonitor } from "../src/index.js";
+
+function createMonitor() {
+  const monitor = new ErrorMonitor();
+  monitor.init({ apiKey: "test-key", apiUrl: "https://example.com/errors", transport: jest.fn(() => Promise.resolve()) });
+  return monitor;
+}
+
+class CheckoutSummary {
+  constructor() {
+    this.total = 42;
+    this.items = [1, 2, 3];
+  }
+
+  ngOnInit() {
+    throw new Error("init failed");
+  }
+}
+Component({
+  selector: "checkout-summary",
+  template: "<p>{{ total }}</p>",
+  inputs: ["total", { name: "items", alias: "lineItems" }]
+})(CheckoutSummary);
+instrumentComponent(CheckoutSummary);
+
+class BrokenTemplate {
+  get label() {
+    throw new Error("template failed");
+  }
+}
+Component({ selector: "broken-template", template: "<p>{{ label }}</p>" })(BrokenTemplate);
+
+// Test fixtures rethrow change detection errors instead of routing them to the ErrorHandler.
+function renderAndCatch(componentType) {
+  const fixture = TestBed.createComponent(componentType);
+  try {
+    fixture.detectChanges();
+  } catch (error) {
+    return error;
+  }
+  throw new Error("expected change detection to fail");
+}
+
+describe("Angular integration", () => {
+  let monitor;
+
+  beforeEach(() => {
+    monitor = createMonitor();
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    TestBed.configureTestingModule({
+      providers: [provideZonelessChangeDetection(), provideErrorMonitor({ monitor, tags: { app: "shop" } })]
+    });
+  });
+
+  afterEach(() => {
+    TestBed.resetTestingModule();
+    monitor.close();
+    jest.restoreAllMocks();
+  });
+
+  it("replaces the application ErrorHandler", () => {
+    expect(TestBed.inject(ErrorHandler)).toBeInstanceOf(ErrorMonitorErrorHandler);
+  });
+
+  it("captures lifecycle hook errors with the component name and inputs", () => {
+    const error = renderAndCatch(CheckoutSummary);
+    TestBed.inject(ErrorHandler).handleError(error);
+
+    const [event] = monitor.getBufferedEvents();
+    expect(event.error.message).toBe("init failed");
+    expect(event.tags).toMatchObject({ handledBy: "angular.errorHandler", app: "shop" });
+    expect(event.context.component).toEqual({
+      name: "CheckoutSummary",
+      lifecycleHook: "ngOnInit",
+      inputs: { total: 42, lineItems: "[Array(3)]" }
+    });
+    expect(console.error).toHaveBeenCalledWith("ERROR", error);
+  });
+
+  it("falls back to the stack trace for template errors", () => {
+    const error = renderAndCatch(BrokenTemplate);
+    TestBed.inject(ErrorHandler).handleError(error);
+
+    expect(monitor.getBufferedEvents()[0].context.component).toEqual({
+      name: "BrokenTemplate",
+      lifecycleHook: "template",
+      inputs: null
+    });
+  });
+
+  it("unwraps zone promise rejections", () => {
+    const rejection = new Error("request failed");
+    TestBed.inject(ErrorHandler).handleError({ message: "Uncaught (in promise): Error: request failed", rejection, promise: Promise.resolve() });
+
+    const [event] = monitor.getBufferedEvents();
+    expect(event.error.message).toBe("request failed");
+    expect(event.context.component).toBeUndefined();
+  });
+
+  it("skips reporting before init and can stay silent", () => {
+    const idle = new ErrorMonitor();
+    const handler = new ErrorMonitorErrorHandler({ monitor: idle, logErrors: false });
+
+    handler.handleError(new Error("quiet"));
+
+    expect(idle.getBufferedEvents()).toEqual([]);
+    expect(console.error).not.toHaveBeenCalled();
+  });
+
+  it("reads signal inputs by their public names", () => {
+    class PriceTag {}
+    PriceTag.ɵcmp = { inputs: { amount: ["amount", 1, null], label: "caption" } };
+    const instance = Object.assign(new PriceTag(), { amount: signal(10), caption: "x".repeat(250) });
+
+    expect(getComponentInputs(instance)).toEqual({ amount: 10, label: `${"x".repeat(200)}…` });
+    expect(getComponentInputs({})).toBeNull();
+  });
+
+  it("returns no metadata for errors outside components", () => {
+    expect(getComponentMetadata(new Error("plain"))).toBeNull();
+    expect(getComponentMetadata("text")).toBeNull();
+  });
+});
@@ -0,0 +1,6 @@
+// Partially compiled Angular packages are linked at runtime by the JIT compiler.
+import "@angular/compiler";
+import { getTestBed } from "@angular/core/testing";
+import { BrowserTestingModule, platformBrowserTesting } from "@angular/platform-browser/testing";
+
+getTestBed().initTestEnvironment(BrowserTestingModule, platformBrowserTesting());
@@ -0,0 +1,30 @@
+import type { EnvironmentProviders } from "@angular/core";
+import { ErrorHandler } from "@angular/core";
+import type { ErrorMonitor, TagValue } from "@error-monitor/sdk-core";
+
+export interface AngularIntegrationOptions {
+  /** Defaults to the browser SDK's shared instance. */
+  monitor?: ErrorMonitor;
+  /** Keep Angular's default console logging. Defaults to `true`. */
+  logErrors?: boolean;
+  tags?: Record<string, TagValue>;
+}
+
+/** Shape of `event.context.component` for errors captured by the integration. */
+export interface AngularComponentContext {
+  name: string | null;
+  /** Lifecycle hook name, or `"template"` for errors thrown while rendering. */
+  lifecycleHook: string | null;
+  /** Only available for components passed to `instrumentComponent`. */
+  inputs: Record<string, unknown> | null;
+}
+
+export declare class ErrorMonitorErrorHandler extends ErrorHandler {
+  constructor(options?: AngularIntegrationOptions);
+  handleError(error: unknown): void;
+}
+
+export declare function provideErrorMonitor(options?: AngularIntegrationOptions): EnvironmentProviders;
+export declare function instrumentComponent<T extends abstract new (...args: any[]) => unknown>(componentType: T): T;
+export declare function getComponentInputs(instance: object): Record<string, unknown> | null;
+export declare function getComponentMetadata(error: unknown): AngularComponentContext | null;
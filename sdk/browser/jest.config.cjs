@@ -2,6 +2,10 @@ module.exports = {
   testEnvironment: "jsdom",
   roots: ["<rootDir>/src", "<rootDir>/tests"],
   setupFilesAfterEnv: ["<rootDir>/tests/setup-globals.js"],
+  // Test against the core sources rather than a prebuilt dist bundle.
+  moduleNameMapper: {
+    "^@error-monitor/sdk-core$": "<rootDir>/../core/src/index.js"
+  },
   transform: {
     "^.+\\.js$": ["babel-jest", { presets: ["@babel/preset-env"] }]
   },
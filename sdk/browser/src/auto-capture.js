@@ -1,3 +1,5 @@
+import { levelForStatus, sanitizePath, stringifyConsoleArg } from "@error-monitor/sdk-core";
+
 const noop = () => {};
 
 let teardownCurrent = noop;
@@ -21,6 +23,229 @@ function asError(reason, fallbackMessage) {
   return new Error(message);
 }
 
+const CONSOLE_METHODS = ["debug", "info", "log", "warn", "error"];
+const CONSOLE_LEVELS = { debug: "debug", info: "info", log: "info", warn: "warning", error: "error" };
+const MAX_CONSOLE_MESSAGE_LENGTH = 500;
+const MAX_SELECTOR_DEPTH = 5;
+const MAX_SELECTOR_CLASSES = 2;
+
+function recordBreadcrumb(monitor, breadcrumb) {
+  if (!monitor.isInitialized()) {
+    return;
+  }
+  try {
+    monitor.addBreadcrumb(breadcrumb);
+  } catch (error) {
+    // instrumentation must never break the host application
+  }
+}
+
+function now() {
+  return typeof performance !== "undefined" && isCallable(performance.now) ? performance.now() : Date.now();
+}
+
+function resolveRequestInfo(input, init) {
+  const isRequest = input && typeof input === "object" && typeof input.url === "string";
+  const url = isRequest ? input.url : String(input);
+  const method = (init?.method || (isRequest ? input.method : null) || "GET").toUpperCase();
+  return { url, method };
+}
+
+/**
+ * Build a short CSS selector path for a clicked element, e.g. `main > form#checkout > button.btn.primary`.
+ * The walk stops at the first ancestor with an id since that already identifies the subtree.
+ */
+export function getSelectorPath(element) {
+  const parts = [];
+  let current = element;
+
+  while (current && current.nodeType === 1 && parts.length < MAX_SELECTOR_DEPTH) {
+    let part = current.tagName.toLowerCase();
+    if (current.id) {
+      parts.unshift(`${part}#${current.id}`);
+      break;
+    }
+    const classes = typeof current.className === "string" ? current.className.trim().split(/\s+/).filter(Boolean) : [];
+    if (classes.length) {
+      part += `.${classes.slice(0, MAX_SELECTOR_CLASSES).join(".")}`;
+    }
+    parts.unshift(part);
+    current = current.parentElement;
+  }
+
+  return parts.join(" > ");
+}
+
+function instrumentConsole(target, monitor) {
+  const consoleObject = target.console;
+  if (!consoleObject) {
+    return noop;
+  }
+
+  const originals = {};
+  for (const method of CONSOLE_METHODS) {
+    const original = consoleObject[method];
+    if (!isCallable(original)) {
+      continue;
+    }
+    originals[method] = original;
+    consoleObject[method] = function consoleBreadcrumb(...args) {
+      const message = args.map(stringifyConsoleArg).join(" ").slice(0, MAX_CONSOLE_MESSAGE_LENGTH);
+      if (message.trim()) {
+        recordBreadcrumb(monitor, { category: "console", level: CONSOLE_LEVELS[method], message, data: { method } });
+      }
+      return original.apply(this, args);
+    };
+  }
+
+  return () => {
+    for (const [method, original] of Object.entries(originals)) {
+      consoleObject[method] = original;
+    }
+  };
+}
+
+function instrumentFetch(target, monitor, isSdkRequest) {
+  const originalFetch = target.fetch;
+  if (!isCallable(originalFetch)) {
+    return noop;
+  }
+  const scrubFields = monitor.getConfig()?.scrubFields || [];
+
+  target.fetch = function fetchBreadcrumb(input, init) {
+    const { url, method } = resolveRequestInfo(input, init);
+    if (isSdkRequest(url)) {
+      return originalFetch.call(target, input, init);
+    }
+
+    const startedAt = now();
+    const safeUrl = sanitizePath(url, scrubFields);
+    const record = (status, error) => {
+      const duration = Math.round(now() - startedAt);
+      recordBreadcrumb(monitor, {
+        category: "fetch",
+        level: error ? "error" : levelForStatus(status),
+        message: `${method} ${safeUrl}${status ? ` [${status}]` : ""}`,
+        data: { method, url: safeUrl, status: status ?? null, duration, ...(error ? { error: error.message || String(error) } : {}) }
+      });
+    };
+
+    return originalFetch.call(target, input, init).then(
+      (response) => {
+        record(response?.status ?? null);
+        return response;
+      },
+      (error) => {
+        record(null, error);
+        throw error;
+      }
+    );
+  };
+
+  return () => {
+    target.fetch = originalFetch;
+  };
+}
+
+function instrumentXhr(target, monitor, isSdkRequest) {
+  const proto = target.XMLHttpRequest?.prototype;
+  if (!proto || !isCallable(proto.open) || !isCallable(proto.send)) {
+    return noop;
+  }
+
+  const originalOpen = proto.open;
+  const originalSend = proto.send;
+  const requests = new WeakMap();
+  const scrubFields = monitor.getConfig()?.scrubFields || [];
+
+  proto.open = function openBreadcrumb(method, url, ...rest) {
+    requests.set(this, { method: String(method || "GET").toUpperCase(), url: String(url) });
+    return originalOpen.call(this, method, url, ...rest);
+  };
+
+  proto.send = function sendBreadcrumb(...args) {
+    const request = requests.get(this);
+    if (request && !isSdkRequest(request.url) && isCallable(this.addEventListener)) {
+      const startedAt = now();
+      const onLoadEnd = () => {
+        this.removeEventListener("loadend", onLoadEnd);
+        const status = this.status || null;
+        const url = sanitizePath(request.url, scrubFields);
+        recordBreadcrumb(monitor, {
+          category: "xhr",
+          level: levelForStatus(status),
+          message: `${request.method} ${url}${status ? ` [${status}]` : ""}`,
+          data: { method: request.method, url, status, duration: Math.round(now() - startedAt) }
+        });
+      };
+      this.addEventListener("loadend", onLoadEnd);
+    }
+    return originalSend.apply(this, args);
+  };
+
+  return () => {
+    proto.open = originalOpen;
+    proto.send = originalSend;
+  };
+}
+
+function instrumentClicks(target, monitor) {
+  const doc = target.document;
+  if (!doc || !isCallable(doc.addEventListener)) {
+    return noop;
+  }
+
+  const clickListener = (event) => {
+    const selector = event?.target ? getSelectorPath(event.target) : "";
+    if (selector) {
+      recordBreadcrumb(monitor, { category: "ui.click", level: "info", message: selector, data: { selector } });
+    }
+  };
+
+  // Capture phase so handlers that stop propagation still leave a trail.
+  doc.addEventListener("click", clickListener, true);
+  return () => doc.removeEventListener("click", clickListener, true);
+}
+
+function instrumentNavigation(target, monitor) {
+  const history = target.history;
+  if (!history || !isCallable(history.pushState)) {
+    return noop;
+  }
+
+  const currentHref = () => target.location?.href ?? null;
+  let lastHref = currentHref();
+
+  const recordNavigation = (trigger) => {
+    const to = currentHref();
+    if (to === lastHref) {
+      return;
+    }
+    recordBreadcrumb(monitor, {
+      category: "navigation",
+      level: "info",
+      message: `Navigated to ${to}`,
+      data: { from: lastHref, to, trigger }
+    });
+    lastHref = to;
+  };
+
+  const originalPushState = history.pushState;
+  history.pushState = function pushStateBreadcrumb(...args) {
+    const result = originalPushState.apply(this, args);
+    recordNavigation("pushState");
+    return result;
+  };
+
+  const popstateListener = () => recordNavigation("popstate");
+  target.addEventListener("popstate", popstateListener);
+
+  return () => {
+    history.pushState = originalPushState;
+    target.removeEventListener("popstate", popstateListener);
+  };
+}
+
 function formatErrorBreadcrumb(message, data, overrides = {}) {
   return {
     message,
@@ -52,6 +277,11 @@ export function configureAutoCapture(target, monitor, options = {}) {
   const mergedOptions = {
     errors: true,
     promiseRejections: true,
+    console: false,
+    fetch: false,
+    xhr: false,
+    clicks: false,
+    navigation: false,
     ...(options || {})
   };
 
@@ -131,6 +361,26 @@ export function configureAutoCapture(target, monitor, options = {}) {
     detachFns.push(() => target.removeEventListener("unhandledrejection", rejectionListener));
   }
 
+  // The SDK's own deliveries would otherwise show up as breadcrumbs on the next event.
+  const apiUrl = typeof config.apiUrl === "string" ? config.apiUrl.replace(/\/+$/, "") : "";
+  const isSdkRequest = (url) => Boolean(apiUrl) && typeof url === "string" && url.startsWith(apiUrl);
+
+  if (mergedOptions.console) {
+    detachFns.push(instrumentConsole(target, monitor));
+  }
+  if (mergedOptions.fetch) {
+    detachFns.push(instrumentFetch(target, monitor, isSdkRequest));
+  }
+  if (mergedOptions.xhr) {
+    detachFns.push(instrumentXhr(target, monitor, isSdkRequest));
+  }
+  if (mergedOptions.clicks) {
+    detachFns.push(instrumentClicks(target, monitor));
+  }
+  if (mergedOptions.navigation) {
+    detachFns.push(instrumentNavigation(target, monitor));
+  }
+
   teardownCurrent = () => {
     while (detachFns.length) {
       const detach = detachFns.pop();
@@ -1,5 +1,6 @@
-import { ErrorMonitor } from "@error-monitor/sdk-core";
+import { ErrorMonitor, createHttpTransport, toIngestPayload } from "@error-monitor/sdk-core";
 import { configureAutoCapture, teardownAutoCapture } from "./auto-capture.js";
+import { configureOfflineDelivery, createLocalStorageAdapter, getLocalStorage } from "./offline.js";
 
 const singleton = new ErrorMonitor();
 
@@ -8,6 +9,36 @@ const singleton = new ErrorMonitor();
  */
 export const ErrorMonitorInstance = singleton;
 
+let teardownOfflineDelivery = () => {};
+
+// Browser defaults for the queue: persist to localStorage and pause delivery while offline.
+// Passing `storageAdapter: null` or a custom `isOnline` in the config overrides them.
+function withBrowserDefaults(config) {
+  if (typeof window === "undefined" || !config || typeof config !== "object") {
+    return config;
+  }
+
+  const defaults = {};
+  if (!("storageAdapter" in config)) {
+    const storage = getLocalStorage(window);
+    if (storage) {
+      defaults.storageAdapter = createLocalStorageAdapter({ storage });
+    }
+  }
+  if (!("isOnline" in config) && window.navigator && "onLine" in window.navigator) {
+    defaults.isOnline = () => window.navigator.onLine !== false;
+  }
+  return { ...defaults, ...config };
+}
+
+function applyOfflineDelivery() {
+  teardownOfflineDelivery();
+  if (typeof window === "undefined") {
+    return;
+  }
+  teardownOfflineDelivery = configureOfflineDelivery(window, singleton);
+}
+
 function applyAutoCapture() {
   if (typeof window === "undefined") {
     return;
@@ -32,8 +63,9 @@ function applyAutoCapture() {
  * @returns {import("@error-monitor/sdk-core").ErrorMonitor}
  */
 export function init(config) {
-  const instance = singleton.init(config);
+  const instance = singleton.init(withBrowserDefaults(config));
   applyAutoCapture();
+  applyOfflineDelivery();
   return instance;
 }
 
@@ -46,6 +78,16 @@ export function captureError(error, context) {
   return singleton.captureError(error, context);
 }
 
+/**
+ * Report a message that is not an exception, e.g. a degraded dependency, using the shared monitor instance.
+ * @param {string} message
+ * @param {"fatal"|"error"|"warning"|"info"|"debug"} [level]
+ * @param {object} [context]
+ */
+export function captureMessage(message, level, context) {
+  return singleton.captureMessage(message, level, context);
+}
+
 /**
  * Set the active user for all subsequent browser events.
  */
@@ -76,11 +118,19 @@ export function clearBreadcrumbs() {
   return singleton.clearBreadcrumbs();
 }
 
-export { ErrorMonitor, configureAutoCapture, teardownAutoCapture };
+export {
+  ErrorMonitor,
+  configureAutoCapture,
+  teardownAutoCapture,
+  createHttpTransport,
+  toIngestPayload,
+  createLocalStorageAdapter
+};
 
 export default {
   init,
   captureError,
+  captureMessage,
   setUser,
   setTags,
   setTag,
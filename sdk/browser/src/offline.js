@@ -0,0 +1,185 @@
+import { toIngestPayload } from "@error-monitor/sdk-core";
+
+const noop = () => {};
+
+const DEFAULT_STORAGE_KEY = "error-monitor:queue";
+// localStorage quotas are usually ~5M UTF-16 characters per origin; stay well below to leave room for the app.
+const DEFAULT_MAX_STORAGE_SIZE = 512 * 1024;
+// Browsers reject beacons once the in-flight beacon payloads for a page exceed 64KiB.
+const MAX_BEACON_BYTES = 60 * 1024;
+// Public ingest keys are the only keys the ingestion API accepts in a query string.
+const PUBLIC_KEY_PREFIX = "pub_";
+
+function isQuotaError(error) {
+  return error?.name === "QuotaExceededError" || error?.name === "NS_ERROR_DOM_QUOTA_REACHED" || error?.code === 22;
+}
+
+/**
+ * Return `window.localStorage` when it is usable; access throws in some privacy modes and sandboxed iframes.
+ * @param {Window} target
+ * @returns {Storage|null}
+ */
+export function getLocalStorage(target) {
+  try {
+    const storage = target?.localStorage;
+    if (!storage) {
+      return null;
+    }
+    const probe = `${DEFAULT_STORAGE_KEY}:probe`;
+    storage.setItem(probe, "1");
+    storage.removeItem(probe);
+    return storage;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * `EventQueue` storage adapter backed by localStorage. The oldest events are dropped once the
+ * serialized queue exceeds `maxSize` characters or the browser quota, and unreadable entries are
+ * discarded instead of breaking initialization.
+ * @param {{storage: Storage, key?: string, maxSize?: number}} options
+ * @returns {{load: () => object[], save: (events: object[]) => void, clear: () => void}}
+ */
+export function createLocalStorageAdapter({ storage, key = DEFAULT_STORAGE_KEY, maxSize = DEFAULT_MAX_STORAGE_SIZE } = {}) {
+  if (!storage || typeof storage.getItem !== "function") {
+    throw new TypeError("storage must implement the Web Storage API");
+  }
+
+  const remove = () => {
+    try {
+      storage.removeItem(key);
+    } catch (error) {
+      // nothing left to recover
+    }
+  };
+
+  const write = (serializedEvents) => {
+    storage.setItem(key, `[${serializedEvents.join(",")}]`);
+  };
+
+  return {
+    load() {
+      let raw;
+      try {
+        raw = storage.getItem(key);
+      } catch (error) {
+        return [];
+      }
+      if (!raw) {
+        return [];
+      }
+      try {
+        const parsed = JSON.parse(raw);
+        if (!Array.isArray(parsed)) {
+          remove();
+          return [];
+        }
+        return parsed.filter((entry) => entry && typeof entry === "object" && !Array.isArray(entry));
+      } catch (error) {
+        remove();
+        return [];
+      }
+    },
+
+    save(events) {
+      let serialized = events.map((event) => JSON.stringify(event));
+      let size = serialized.reduce((total, entry) => total + entry.length + 1, 1);
+      let dropCount = 0;
+      while (dropCount < serialized.length && size > maxSize) {
+        size -= serialized[dropCount].length + 1;
+        dropCount += 1;
+      }
+      serialized = serialized.slice(dropCount);
+
+      // Keep halving the backlog while the browser quota is exhausted by other data.
+      while (serialized.length > 0) {
+        try {
+          write(serialized);
+          return;
+        } catch (error) {
+          if (!isQuotaError(error)) {
+            break;
+          }
+          serialized = serialized.slice(Math.ceil(serialized.length / 2));
+        }
+      }
+      remove();
+    },
+
+    clear: remove
+  };
+}
+
+/**
+ * Build a synchronous batch sender that posts through `navigator.sendBeacon`, which browsers keep
+ * delivering after the page is gone. Beacons cannot carry headers, so the key travels in the query
+ * string and the body is sent as text/plain to avoid a CORS preflight. Query strings end up in logs
+ * and proxies, so no sender is built unless `apiKey` is a public ingest key.
+ * @param {{apiUrl: string, apiKey: string, navigator?: Navigator}} options
+ * @returns {((batch: object[]) => boolean)|null}
+ */
+export function createBeaconSender({ apiUrl, apiKey, navigator: nav } = {}) {
+  if (!nav || typeof nav.sendBeacon !== "function" || typeof Blob === "undefined") {
+    return null;
+  }
+  if (typeof apiKey !== "string" || !apiKey.trim().startsWith(PUBLIC_KEY_PREFIX)) {
+    return null;
+  }
+
+  const url = `${apiUrl.trim().replace(/\/+$/, "")}/batch?apiKey=${encodeURIComponent(apiKey.trim())}`;
+
+  return function sendBatchWithBeacon(batch) {
+    const blob = new Blob([JSON.stringify({ events: batch.map((event) => toIngestPayload(event)) })], {
+      type: "text/plain;charset=UTF-8"
+    });
+    if (blob.size > MAX_BEACON_BYTES) {
+      return false;
+    }
+    return nav.sendBeacon(url, blob) === true;
+  };
+}
+
+/**
+ * Flush when connectivity returns and hand the remaining queue to `sendBeacon` when the page is
+ * hidden or unloaded, provided a public key is configured. Events the beacon refuses stay in
+ * storage for the next page load.
+ * @param {Window} target
+ * @param {import("@error-monitor/sdk-core").ErrorMonitor} monitor
+ * @returns {() => void} Teardown function.
+ */
+export function configureOfflineDelivery(target, monitor) {
+  if (!target || typeof target.addEventListener !== "function" || !monitor?.isInitialized()) {
+    return noop;
+  }
+
+  const config = monitor.getConfig();
+  // A custom transport may deliver somewhere other than the ingestion API, so beacons are only used with the default one.
+  const sendBeacon = config.transport ? null : createBeaconSender({ apiUrl: config.apiUrl, apiKey: config.apiKey, navigator: target.navigator });
+
+  const onOnline = () => {
+    monitor.flush().catch(noop);
+  };
+
+  const flushWithBeacon = () => {
+    if (sendBeacon && monitor.isEnabled()) {
+      monitor.flushSync(sendBeacon);
+    }
+  };
+
+  const onVisibilityChange = () => {
+    if (target.document?.visibilityState === "hidden") {
+      flushWithBeacon();
+    }
+  };
+
+  target.addEventListener("online", onOnline);
+  target.addEventListener("pagehide", flushWithBeacon);
+  target.document?.addEventListener?.("visibilitychange", onVisibilityChange);
+
+  return () => {
+    target.removeEventListener("online", onOnline);
+    target.removeEventListener("pagehide", flushWithBeacon);
+    target.document?.removeEventListener?.("visibilitychange", onVisibilityChange);
+  };
+}
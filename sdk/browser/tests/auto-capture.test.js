@@ -1,6 +1,6 @@
 import { afterEach, beforeEach, describe, expect, it, jest } from "@jest/globals";
 import { ErrorMonitor } from "../../core/src/index.js";
-import { configureAutoCapture, teardownAutoCapture } from "../src/auto-capture.js";
+import { configureAutoCapture, getSelectorPath, teardownAutoCapture } from "../src/auto-capture.js";
 
 function createMockWindow() {
   const listeners = new Map();
@@ -99,3 +99,184 @@ describe("configureAutoCapture", () => {
     expect(events).toHaveLength(0);
   });
 });
+
+describe("breadcrumb instrumentation", () => {
+  let monitor;
+  let mockWindow;
+  let addBreadcrumb;
+
+  const crumbs = () => addBreadcrumb.mock.calls.map(([crumb]) => crumb);
+
+  beforeEach(() => {
+    monitor = new ErrorMonitor();
+    monitor.init({ apiKey: "key", apiUrl: "https://example.com/ingest" });
+    addBreadcrumb = jest.spyOn(monitor, "addBreadcrumb");
+    mockWindow = createMockWindow();
+  });
+
+  afterEach(() => {
+    teardownAutoCapture();
+    monitor.clearQueue();
+  });
+
+  it("leaves globals untouched by default", () => {
+    const fetchImpl = jest.fn();
+    const originalLog = jest.fn();
+    const consoleObject = { log: originalLog };
+    Object.assign(mockWindow, { fetch: fetchImpl, console: consoleObject });
+
+    configureAutoCapture(mockWindow, monitor, {});
+
+    expect(mockWindow.fetch).toBe(fetchImpl);
+    expect(consoleObject.log).toBe(originalLog);
+    consoleObject.log("hello");
+    expect(addBreadcrumb).not.toHaveBeenCalled();
+  });
+
+  it("records console calls and restores the originals", () => {
+    const originalWarn = jest.fn();
+    mockWindow.console = { warn: originalWarn, log: jest.fn() };
+
+    configureAutoCapture(mockWindow, monitor, { console: true });
+    mockWindow.console.warn("Low disk", { free: 10 });
+
+    expect(originalWarn).toHaveBeenCalledWith("Low disk", { free: 10 });
+    expect(crumbs()).toEqual([
+      { category: "console", level: "warning", message: 'Low disk {"free":10}', data: { method: "warn" } }
+    ]);
+
+    teardownAutoCapture();
+    expect(mockWindow.console.warn).toBe(originalWarn);
+  });
+
+  it("records fetch requests with method, scrubbed url, status and duration", async () => {
+    const originalFetch = jest.fn().mockResolvedValue({ status: 404 });
+    mockWindow.fetch = originalFetch;
+
+    configureAutoCapture(mockWindow, monitor, { fetch: true });
+    await mockWindow.fetch("https://api.example.com/users?token=s3cr3t&page=2", { method: "post" });
+
+    expect(originalFetch).toHaveBeenCalledWith("https://api.example.com/users?token=s3cr3t&page=2", { method: "post" });
+    const [crumb] = crumbs();
+    expect(crumb).toMatchObject({
+      category: "fetch",
+      level: "warning",
+      message: "POST https://api.example.com/users?token=[Filtered]&page=2 [404]",
+      data: { method: "POST", url: "https://api.example.com/users?token=[Filtered]&page=2", status: 404 }
+    });
+    expect(typeof crumb.data.duration).toBe("number");
+
+    teardownAutoCapture();
+    expect(mockWindow.fetch).toBe(originalFetch);
+  });
+
+  it("records failed fetches and skips the SDK's own deliveries", async () => {
+    mockWindow.fetch = jest.fn((input) =>
+      String(input.url ?? input).startsWith("https://example.com/ingest") ? Promise.resolve({ status: 202 }) : Promise.reject(new TypeError("offline"))
+    );
+
+    configureAutoCapture(mockWindow, monitor, { fetch: true });
+    await mockWindow.fetch("https://example.com/ingest/batch", { method: "POST" });
+    await expect(mockWindow.fetch({ url: "/health", method: "GET" })).rejects.toThrow("offline");
+
+    expect(crumbs()).toEqual([
+      expect.objectContaining({ category: "fetch", level: "error", data: expect.objectContaining({ url: "/health", error: "offline" }) })
+    ]);
+  });
+
+  it("records XMLHttpRequest requests on loadend", () => {
+    class FakeXhr {
+      constructor() {
+        this.listeners = {};
+        this.status = 0;
+      }
+
+      open() {}
+
+      send() {}
+
+      addEventListener(type, handler) {
+        this.listeners[type] = handler;
+      }
+
+      removeEventListener(type) {
+        delete this.listeners[type];
+      }
+    }
+    const originalOpen = FakeXhr.prototype.open;
+    mockWindow.XMLHttpRequest = FakeXhr;
+
+    configureAutoCapture(mockWindow, monitor, { xhr: true });
+    const xhr = new FakeXhr();
+    xhr.open("get", "/api/items?Password=hunter2&sort=asc");
+    xhr.send();
+    xhr.status = 500;
+    xhr.listeners.loadend();
+
+    expect(crumbs()).toEqual([
+      expect.objectContaining({
+        category: "xhr",
+        level: "error",
+        message: "GET /api/items?Password=[Filtered]&sort=asc [500]",
+        data: expect.objectContaining({ method: "GET", url: "/api/items?Password=[Filtered]&sort=asc", status: 500 })
+      })
+    ]);
+
+    teardownAutoCapture();
+    expect(FakeXhr.prototype.open).toBe(originalOpen);
+  });
+
+  it("records clicks as a CSS selector path", () => {
+    document.body.innerHTML = '<main><form id="checkout"><div class="row actions"><button type="button" class="btn primary large">Pay</button></div></form></main>';
+    mockWindow.document = document;
+
+    configureAutoCapture(mockWindow, monitor, { clicks: true });
+    document.querySelector("button").click();
+
+    expect(crumbs()).toEqual([
+      {
+        category: "ui.click",
+        level: "info",
+        message: "form#checkout > div.row.actions > button.btn.primary",
+        data: { selector: "form#checkout > div.row.actions > button.btn.primary" }
+      }
+    ]);
+
+    teardownAutoCapture();
+    document.querySelector("button").click();
+    expect(addBreadcrumb).toHaveBeenCalledTimes(1);
+  });
+
+  it("limits selector depth without an id to stop at", () => {
+    document.body.innerHTML = "<section><div><ul><li><p><span>deep</span></p></li></ul></div></section>";
+    expect(getSelectorPath(document.querySelector("span"))).toBe("div > ul > li > p > span");
+  });
+
+  it("records pushState and popstate navigation", () => {
+    const location = { href: "https://app.example.com/" };
+    const originalPushState = jest.fn((state, title, url) => {
+      location.href = `https://app.example.com${url}`;
+    });
+    Object.assign(mockWindow, { location, history: { pushState: originalPushState } });
+
+    configureAutoCapture(mockWindow, monitor, { navigation: true });
+    mockWindow.history.pushState({}, "", "/settings");
+    location.href = "https://app.example.com/";
+    mockWindow.emit("popstate", {});
+
+    expect(crumbs()).toEqual([
+      expect.objectContaining({
+        category: "navigation",
+        data: { from: "https://app.example.com/", to: "https://app.example.com/settings", trigger: "pushState" }
+      }),
+      expect.objectContaining({
+        category: "navigation",
+        data: { from: "https://app.example.com/settings", to: "https://app.example.com/", trigger: "popstate" }
+      })
+    ]);
+
+    teardownAutoCapture();
+    expect(mockWindow.history.pushState).toBe(originalPushState);
+    expect(mockWindow.listenerCount("popstate")).toBe(0);
+  });
+});
@@ -0,0 +1,173 @@
+import { afterEach, beforeEach, describe, expect, it, jest } from "@jest/globals";
+import { ErrorMonitor } from "../../core/src/index.js";
+import { configureOfflineDelivery, createBeaconSender, createLocalStorageAdapter } from "../src/offline.js";
+
+const KEY = "error-monitor:queue";
+
+function createMemoryStorage() {
+  const data = new Map();
+  return {
+    getItem: jest.fn((key) => (data.has(key) ? data.get(key) : null)),
+    setItem: jest.fn((key, value) => data.set(key, String(value))),
+    removeItem: jest.fn((key) => data.delete(key)),
+    raw: (key) => data.get(key)
+  };
+}
+
+describe("createLocalStorageAdapter", () => {
+  it("round-trips queued events", () => {
+    const storage = createMemoryStorage();
+    const adapter = createLocalStorageAdapter({ storage });
+
+    adapter.save([{ id: "a" }, { id: "b" }]);
+
+    expect(adapter.load()).toEqual([{ id: "a" }, { id: "b" }]);
+    adapter.clear();
+    expect(storage.raw(KEY)).toBeUndefined();
+  });
+
+  it("drops the oldest events beyond the size limit", () => {
+    const storage = createMemoryStorage();
+    const adapter = createLocalStorageAdapter({ storage, maxSize: 40 });
+
+    adapter.save([{ id: "first", pad: "xxxxxxxx" }, { id: "second", pad: "xx" }]);
+
+    expect(adapter.load()).toEqual([{ id: "second", pad: "xx" }]);
+  });
+
+  it("recovers from corrupted or foreign data", () => {
+    const storage = createMemoryStorage();
+    const adapter = createLocalStorageAdapter({ storage });
+
+    storage.setItem(KEY, "{not json");
+    expect(adapter.load()).toEqual([]);
+    expect(storage.removeItem).toHaveBeenCalledWith(KEY);
+
+    storage.setItem(KEY, JSON.stringify([{ id: "ok" }, "junk", null, [1]]));
+    expect(adapter.load()).toEqual([{ id: "ok" }]);
+  });
+
+  it("halves the backlog when the quota is exceeded", () => {
+    const storage = createMemoryStorage();
+    const quotaError = Object.assign(new Error("full"), { name: "QuotaExceededError" });
+    storage.setItem.mockImplementationOnce(() => {
+      throw quotaError;
+    });
+    const adapter = createLocalStorageAdapter({ storage });
+
+    adapter.save([{ id: 1 }, { id: 2 }, { id: 3 }, { id: 4 }]);
+
+    expect(adapter.load()).toEqual([{ id: 3 }, { id: 4 }]);
+  });
+});
+
+describe("createBeaconSender", () => {
+  it("posts text/plain payloads with the key in the query string", async () => {
+    const sendBeacon = jest.fn(() => true);
+    const send = createBeaconSender({ apiUrl: "https://example.com/api/errors/", apiKey: "pub_a 1", navigator: { sendBeacon } });
+
+    expect(send([{ error: { name: "TypeError", message: "x" }, environment: "test" }])).toBe(true);
+
+    const [url, blob] = sendBeacon.mock.calls[0];
+    expect(url).toBe("https://example.com/api/errors/batch?apiKey=pub_a%201");
+    expect(blob.type).toBe("text/plain;charset=utf-8");
+    const text = await new Promise((resolve) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.readAsText(blob);
+    });
+    const body = JSON.parse(text);
+    expect(body.events[0]).toMatchObject({ message: "TypeError: x", environment: "test" });
+  });
+
+  it("refuses payloads larger than the beacon limit", () => {
+    const sendBeacon = jest.fn(() => true);
+    const send = createBeaconSender({ apiUrl: "https://example.com", apiKey: "pub_test", navigator: { sendBeacon } });
+
+    expect(send([{ error: { message: "big" }, context: { payload: "x".repeat(70 * 1024) } }])).toBe(false);
+    expect(sendBeacon).not.toHaveBeenCalled();
+  });
+
+  it("refuses to put a secret key in the query string", () => {
+    const sendBeacon = jest.fn(() => true);
+
+    expect(createBeaconSender({ apiUrl: "https://example.com", apiKey: "proj_secret", navigator: { sendBeacon } })).toBeNull();
+    expect(createBeaconSender({ apiUrl: "https://example.com", navigator: { sendBeacon } })).toBeNull();
+  });
+
+  it("is unavailable without navigator.sendBeacon", () => {
+    expect(createBeaconSender({ apiUrl: "https://example.com", apiKey: "pub_test", navigator: {} })).toBeNull();
+  });
+});
+
+describe("configureOfflineDelivery", () => {
+  let monitor;
+  let teardown;
+  let online;
+  let sendBeacon;
+  let target;
+
+  beforeEach(() => {
+    online = false;
+    sendBeacon = jest.fn(() => true);
+    monitor = new ErrorMonitor();
+    monitor.init({ apiKey: "pub_test", apiUrl: "https://example.com/api/errors", isOnline: () => online });
+    target = Object.assign(new EventTarget(), { navigator: { sendBeacon }, document });
+    teardown = configureOfflineDelivery(target, monitor);
+  });
+
+  afterEach(() => {
+    teardown();
+    monitor.clearQueue();
+  });
+
+  it("flushes when the browser comes back online", () => {
+    const flush = jest.spyOn(monitor, "flush");
+    online = true;
+    target.dispatchEvent(new Event("online"));
+    expect(flush).toHaveBeenCalled();
+  });
+
+  it("beacons the remaining queue on pagehide", () => {
+    monitor.captureError(new Error("queued while offline"));
+
+    target.dispatchEvent(new Event("pagehide"));
+
+    expect(sendBeacon).toHaveBeenCalledTimes(1);
+    expect(monitor.getBufferedEvents()).toHaveLength(0);
+  });
+
+  it("beacons when the page becomes hidden and keeps refused events", () => {
+    sendBeacon.mockReturnValue(false);
+    monitor.captureError(new Error("queued"));
+    Object.defineProperty(document, "visibilityState", { value: "hidden", configurable: true });
+
+    try {
+      document.dispatchEvent(new Event("visibilitychange"));
+    } finally {
+      delete document.visibilityState;
+    }
+
+    expect(sendBeacon).toHaveBeenCalledTimes(1);
+    expect(monitor.getBufferedEvents()).toHaveLength(1);
+  });
+
+  it("keeps events queued when only a secret key is configured", () => {
+    teardown();
+    monitor.init({ apiKey: "proj_secret", apiUrl: "https://example.com/api/errors", isOnline: () => online });
+    teardown = configureOfflineDelivery(target, monitor);
+    monitor.captureError(new Error("queued"));
+
+    target.dispatchEvent(new Event("pagehide"));
+
+    expect(sendBeacon).not.toHaveBeenCalled();
+    expect(monitor.getBufferedEvents()).toHaveLength(1);
+  });
+
+  it("removes its listeners on teardown", () => {
+    teardown();
+    monitor.captureError(new Error("queued"));
+    target.dispatchEvent(new Event("pagehide"));
+    expect(sendBeacon).not.toHaveBeenCalled();
+  });
+});
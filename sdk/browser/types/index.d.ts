@@ -4,20 +4,31 @@ import type {
   ErrorMonitor,
   ErrorMonitorConfig,
   ErrorMonitorEvent,
+  SeverityLevel,
+  StorageAdapter,
   TagValue
 } from "@error-monitor/sdk-core";
 
-export type { AutoCaptureOptions, ErrorMonitorConfig, ErrorMonitorEvent, ErrorContext, TagValue };
+export type { AutoCaptureOptions, ErrorMonitorConfig, ErrorMonitorEvent, ErrorContext, SeverityLevel, TagValue };
 
 export interface AutoCaptureTarget {
   addEventListener(type: string, listener: EventListenerOrEventListenerObject, options?: boolean | AddEventListenerOptions): void;
   removeEventListener(type: string, listener: EventListenerOrEventListenerObject, options?: boolean | EventListenerOptions): void;
 }
 
+export interface LocalStorageAdapterOptions {
+  storage: Storage;
+  /** Defaults to `error-monitor:queue`. */
+  key?: string;
+  /** Maximum serialized size in characters; the oldest events are dropped beyond it. */
+  maxSize?: number;
+}
+
 export declare const ErrorMonitorInstance: ErrorMonitor;
 
 export declare function init(config: ErrorMonitorConfig): ErrorMonitor;
 export declare function captureError(error: unknown, context?: ErrorContext): ErrorMonitorEvent | null;
+export declare function captureMessage(message: string, level?: SeverityLevel, context?: ErrorContext): ErrorMonitorEvent | null;
 export declare function setUser(user: Record<string, unknown> | null): Record<string, unknown> | null;
 export declare function setTags(tags: Record<string, TagValue>, options?: { replace?: boolean }): Record<string, TagValue>;
 export declare function setTag(key: string, value: TagValue): TagValue;
@@ -27,10 +38,12 @@ export declare function clearBreadcrumbs(): void;
 
 export declare function configureAutoCapture(target: AutoCaptureTarget, monitor: ErrorMonitor, options?: AutoCaptureOptions): () => void;
 export declare function teardownAutoCapture(): void;
+export declare function createLocalStorageAdapter(options: LocalStorageAdapterOptions): Required<StorageAdapter>;
 
 declare const _default: {
   init: typeof init;
   captureError: typeof captureError;
+  captureMessage: typeof captureMessage;
   setUser: typeof setUser;
   setTags: typeof setTags;
   setTag: typeof setTag;
@@ -43,5 +56,5 @@ declare const _default: {
 };
 
 export default _default;
-export { ErrorMonitor } from "@error-monitor/sdk-core";
+export { ErrorMonitor, createHttpTransport, toIngestPayload } from "@error-monitor/sdk-core";
 export { configureAutoCapture, teardownAutoCapture };
@@ -0,0 +1,51 @@
+// Helpers shared by the browser and Node.js breadcrumb instrumentation.
+
+const FILTERED_PLACEHOLDER = "[Filtered]";
+
+/** Breadcrumb level for an HTTP response; requests that got no status count as errors. */
+export function levelForStatus(status) {
+  if (!status || status >= 500) {
+    return "error";
+  }
+  return status >= 400 ? "warning" : "info";
+}
+
+export function stringifyConsoleArg(value) {
+  if (typeof value === "string") {
+    return value;
+  }
+  if (value instanceof Error) {
+    return `${value.name}: ${value.message}`;
+  }
+  try {
+    return JSON.stringify(value) ?? String(value);
+  } catch (error) {
+    return String(value);
+  }
+}
+
+/**
+ * Replace query parameter values whose names appear in `scrubFields`, so
+ * `/login?token=abc&next=/` is recorded as `/login?token=[Filtered]&next=/`.
+ * Works on paths and full URLs alike. `scrubFields` may also be a predicate on
+ * the decoded parameter name.
+ */
+export function sanitizePath(path, scrubFields = []) {
+  if (typeof path !== "string" || !path.includes("?")) {
+    return path;
+  }
+  const fields = new Set(typeof scrubFields === "function" ? [] : scrubFields.map((field) => String(field).toLowerCase()));
+  const shouldScrub = typeof scrubFields === "function" ? scrubFields : (name) => fields.has(name.toLowerCase());
+  const [pathname, query] = path.split(/\?(.*)/s);
+  const params = query.split("&").map((pair) => {
+    const [key] = pair.split("=");
+    let name = key;
+    try {
+      name = decodeURIComponent(key);
+    } catch (error) {
+      // keep the raw key
+    }
+    return shouldScrub(name) ? `${key}=${FILTERED_PLACEHOLDER}` : pair;
+  });
+  return `${pathname}?${params.join("&")}`;
+}
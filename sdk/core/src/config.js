@@ -1,8 +1,16 @@
 import { isPlainObject } from "./utils.js";
+import { DEFAULT_IN_APP_EXCLUDE } from "./stack-trace.js";
 
+// Error handlers are on by default; breadcrumb instrumentation patches globals, so it is opt-in.
 const AUTO_CAPTURE_DEFAULTS = Object.freeze({
   errors: true,
-  promiseRejections: true
+  promiseRejections: true,
+  console: false,
+  fetch: false,
+  xhr: false,
+  http: false,
+  clicks: false,
+  navigation: false
 });
 
 const DEFAULT_SCRUB_FIELDS = Object.freeze([
@@ -24,13 +32,24 @@ const DEFAULT_SCRUB_PATTERNS = Object.freeze([
 const DEFAULTS = Object.freeze({
   apiUrl: "https://api.error-monitor.dev",
   environment: "production",
+  release: null,
   enabled: true,
   sampleRate: 1,
   beforeSend: null,
+  beforeBreadcrumb: null,
+  transport: null,
+  storageAdapter: null,
+  isOnline: null,
   flushIntervalMs: 5000,
   maxBatchSize: 10,
   maxQueueSize: 1000,
   maxBreadcrumbs: 20,
+  maxCauseDepth: 5,
+  inAppInclude: Object.freeze([]),
+  inAppExclude: DEFAULT_IN_APP_EXCLUDE,
+  ignoreErrors: Object.freeze([]),
+  denyUrls: Object.freeze([]),
+  allowUrls: Object.freeze([]),
   autoCapture: AUTO_CAPTURE_DEFAULTS,
   scrubFields: DEFAULT_SCRUB_FIELDS,
   scrubPatterns: DEFAULT_SCRUB_PATTERNS
@@ -74,18 +93,13 @@ function normalizeAutoCapture(autoCapture) {
 
   const normalized = { ...AUTO_CAPTURE_DEFAULTS };
 
-  if ("errors" in autoCapture) {
-    if (typeof autoCapture.errors !== "boolean") {
-      throw new TypeError("autoCapture.errors must be a boolean");
+  for (const key of Object.keys(AUTO_CAPTURE_DEFAULTS)) {
+    if (key in autoCapture) {
+      if (typeof autoCapture[key] !== "boolean") {
+        throw new TypeError(`autoCapture.${key} must be a boolean`);
+      }
+      normalized[key] = autoCapture[key];
     }
-    normalized.errors = autoCapture.errors;
-  }
-
-  if ("promiseRejections" in autoCapture) {
-    if (typeof autoCapture.promiseRejections !== "boolean") {
-      throw new TypeError("autoCapture.promiseRejections must be a boolean");
-    }
-    normalized.promiseRejections = autoCapture.promiseRejections;
   }
 
   return normalized;
@@ -146,6 +160,27 @@ function normalizeScrubPatterns(patterns) {
   return normalized;
 }
 
+// `defaults` are kept in front of custom entries, e.g. the built-in in-app exclusions.
+function normalizePatternList(patterns, name, defaults = []) {
+  if (patterns == null) {
+    return [...defaults];
+  }
+  if (!Array.isArray(patterns)) {
+    throw new TypeError(`${name} must be an array of strings or regular expressions`);
+  }
+  const normalized = [];
+  for (const entry of patterns) {
+    if (entry instanceof RegExp) {
+      normalized.push(entry);
+    } else if (typeof entry === "string" && entry.trim().length > 0) {
+      normalized.push(entry.trim());
+    } else {
+      throw new TypeError(`${name} entries must be non-empty strings or regular expressions`);
+    }
+  }
+  return [...defaults, ...normalized];
+}
+
 export function resolveConfig(input) {
   assertObjectLike(input, "config");
 
@@ -176,6 +211,10 @@ export function resolveConfig(input) {
     merged.environment = DEFAULTS.environment;
   }
 
+  if (merged.release != null) {
+    assertNonEmptyString(merged.release, "release");
+  }
+
   if (merged.enabled != null && typeof merged.enabled !== "boolean") {
     throw new TypeError("enabled must be a boolean");
   }
@@ -190,6 +229,27 @@ export function resolveConfig(input) {
     throw new TypeError("beforeSend must be a function if provided");
   }
 
+  if (merged.beforeBreadcrumb != null && typeof merged.beforeBreadcrumb !== "function") {
+    throw new TypeError("beforeBreadcrumb must be a function if provided");
+  }
+
+  if (merged.transport != null && typeof merged.transport !== "function") {
+    throw new TypeError("transport must be a function if provided");
+  }
+
+  if (
+    merged.storageAdapter != null &&
+    (typeof merged.storageAdapter !== "object" ||
+      typeof merged.storageAdapter.load !== "function" ||
+      typeof merged.storageAdapter.save !== "function")
+  ) {
+    throw new TypeError("storageAdapter must implement load and save");
+  }
+
+  if (merged.isOnline != null && typeof merged.isOnline !== "function") {
+    throw new TypeError("isOnline must be a function if provided");
+  }
+
   if (merged.flushIntervalMs != null) {
     validatePositiveInteger(merged.flushIntervalMs, "flushIntervalMs");
   } else {
@@ -214,6 +274,12 @@ export function resolveConfig(input) {
     merged.maxBreadcrumbs = DEFAULTS.maxBreadcrumbs;
   }
 
+  if (merged.maxCauseDepth != null) {
+    validatePositiveInteger(merged.maxCauseDepth, "maxCauseDepth");
+  } else {
+    merged.maxCauseDepth = DEFAULTS.maxCauseDepth;
+  }
+
   if (merged.user != null) {
     assertObjectLike(merged.user, "user");
   }
@@ -222,18 +288,35 @@ export function resolveConfig(input) {
   const tags = normalizeTags(merged.tags);
   const scrubFields = normalizeScrubFields(merged.scrubFields);
   const scrubPatterns = normalizeScrubPatterns(merged.scrubPatterns);
+  const inAppInclude = normalizePatternList(input.inAppInclude, "inAppInclude");
+  // Custom exclusions are added to the defaults; `inAppInclude` can still opt a default back in.
+  const inAppExclude = normalizePatternList(input.inAppExclude, "inAppExclude", DEFAULT_IN_APP_EXCLUDE);
+  const ignoreErrors = normalizePatternList(input.ignoreErrors, "ignoreErrors");
+  const denyUrls = normalizePatternList(input.denyUrls, "denyUrls");
+  const allowUrls = normalizePatternList(input.allowUrls, "allowUrls");
 
   return {
     apiKey: merged.apiKey.trim(),
     apiUrl: merged.apiUrl.trim(),
     environment: merged.environment.trim(),
+    release: merged.release != null ? merged.release.trim() : null,
     enabled: merged.enabled ?? DEFAULTS.enabled,
     sampleRate: merged.sampleRate,
     beforeSend: merged.beforeSend || null,
+    beforeBreadcrumb: merged.beforeBreadcrumb || null,
+    transport: merged.transport || null,
+    storageAdapter: merged.storageAdapter || null,
+    isOnline: merged.isOnline || null,
     flushIntervalMs: merged.flushIntervalMs,
     maxBatchSize: merged.maxBatchSize,
     maxQueueSize: merged.maxQueueSize,
     maxBreadcrumbs: merged.maxBreadcrumbs,
+    maxCauseDepth: merged.maxCauseDepth,
+    inAppInclude,
+    inAppExclude,
+    ignoreErrors,
+    denyUrls,
+    allowUrls,
     autoCapture,
     scrubFields,
     scrubPatterns,
@@ -246,9 +329,18 @@ export function getDefaultConfig() {
   return {
     ...DEFAULTS,
     beforeSend: null,
+    beforeBreadcrumb: null,
+    transport: null,
+    storageAdapter: null,
+    isOnline: null,
     autoCapture: { ...AUTO_CAPTURE_DEFAULTS },
     scrubFields: [...DEFAULT_SCRUB_FIELDS],
     scrubPatterns: [...DEFAULT_SCRUB_PATTERNS],
+    inAppInclude: [],
+    inAppExclude: [...DEFAULT_IN_APP_EXCLUDE],
+    ignoreErrors: [],
+    denyUrls: [],
+    allowUrls: [],
     tags: {}
   };
 }
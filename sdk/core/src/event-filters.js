@@ -0,0 +1,34 @@
+import { matchesPattern } from "./utils.js";
+
+// The throwing frame comes first in parsed stacks; frames without a file (native code) are skipped.
+function getOriginFile(error) {
+  const frames = Array.isArray(error?.stacktrace) ? error.stacktrace : [];
+  const frame = frames.find((entry) => typeof entry?.fileName === "string" && entry.fileName.length > 0);
+  return frame ? frame.fileName : null;
+}
+
+/**
+ * Apply `ignoreErrors`, `denyUrls` and `allowUrls` to a normalized error. `ignoreErrors` entries
+ * are tested against the message, the type and `"Type: message"`; the URL lists against the file
+ * of the frame that threw. Errors without a known file are never dropped by the URL lists.
+ * @param {{name: string, message: string, stacktrace: object[]}} error
+ * @param {{ignoreErrors?: Array<string|RegExp>, denyUrls?: Array<string|RegExp>, allowUrls?: Array<string|RegExp>}} config
+ * @returns {boolean} Whether the error should be dropped.
+ */
+export function shouldIgnoreError(error, { ignoreErrors = [], denyUrls = [], allowUrls = [] } = {}) {
+  if (ignoreErrors.length > 0) {
+    const candidates = [error.message, error.name, `${error.name}: ${error.message}`];
+    if (ignoreErrors.some((pattern) => candidates.some((candidate) => matchesPattern(candidate, pattern)))) {
+      return true;
+    }
+  }
+
+  const file = getOriginFile(error);
+  if (!file) {
+    return false;
+  }
+  if (denyUrls.some((pattern) => matchesPattern(file, pattern))) {
+    return true;
+  }
+  return allowUrls.length > 0 && !allowUrls.some((pattern) => matchesPattern(file, pattern));
+}
@@ -4,6 +4,14 @@ function noop() {
   return Promise.resolve();
 }
 
+// Pending flushes must not keep a Node.js process alive on their own.
+function unrefTimer(timerId) {
+  if (timerId && typeof timerId.unref === "function") {
+    timerId.unref();
+  }
+  return timerId;
+}
+
 function cloneValue(value) {
   if (Array.isArray(value)) {
     return value.map((entry) => cloneValue(entry));
@@ -18,6 +26,14 @@ function cloneValue(value) {
   return value;
 }
 
+function sendSync(sendBatchSync, batch) {
+  try {
+    return sendBatchSync(batch.map((item) => cloneValue(item))) === true;
+  } catch (error) {
+    return false;
+  }
+}
+
 /**
  * Lightweight in-memory queue that batches events and retries with backoff.
  */
@@ -41,6 +57,7 @@ export class EventQueue {
     this._timerId = null;
     this._retryTimerId = null;
     this._isSending = false;
+    this._inFlightBatch = null;
     this._currentRetryIndex = 0;
     const scheduleSource = Array.isArray(retryDelays) && retryDelays.length > 0
       ? retryDelays
@@ -139,11 +156,13 @@ export class EventQueue {
     }
 
     this._isSending = true;
+    this._inFlightBatch = batch;
 
     const sendPromise = Promise.resolve()
       .then(() => this._sendBatch([...batch]))
       .then(() => {
         this._isSending = false;
+        this._releaseInFlight(batch);
         this._currentRetryIndex = 0;
         this._persist();
         if (this._queue.length > 0) {
@@ -154,6 +173,11 @@ export class EventQueue {
       })
       .catch(() => {
         this._isSending = false;
+        if (!this._releaseInFlight(batch)) {
+          // flushSync already handed this batch to the synchronous sender.
+          this._scheduleFlush();
+          return undefined;
+        }
         this._queue = batch.concat(this._queue);
         this._persist();
 
@@ -165,10 +189,10 @@ export class EventQueue {
 
         const delay = this._backoffSchedule[this._currentRetryIndex];
         this._currentRetryIndex += 1;
-        this._retryTimerId = setTimeout(() => {
+        this._retryTimerId = unrefTimer(setTimeout(() => {
           this._retryTimerId = null;
           this.flush({ force: true });
-        }, delay);
+        }, delay));
         return undefined;
       });
 
@@ -176,6 +200,65 @@ export class EventQueue {
     return sendPromise;
   }
 
+  /**
+   * Drain the queue through `sendBatchSync` in `maxBatchSize` chunks, stopping at the first batch
+   * it refuses (returns false or throws) so unsent events stay queued and persisted. A batch still
+   * waiting on `sendBatch` goes first, since the page may unload before that request finishes.
+   * @param {(batch: object[]) => boolean} sendBatchSync
+   * @returns {number} Number of events handed off.
+   */
+  flushSync(sendBatchSync) {
+    if (typeof sendBatchSync !== "function") {
+      return 0;
+    }
+
+    let sent = 0;
+    if (this._inFlightBatch) {
+      const inFlight = this._inFlightBatch;
+      if (!sendSync(sendBatchSync, inFlight)) {
+        return 0;
+      }
+      this._inFlightBatch = null;
+      sent += inFlight.length;
+    }
+
+    while (this._queue.length > 0) {
+      const batch = this._queue.slice(0, this._maxBatchSize);
+      if (!sendSync(sendBatchSync, batch)) {
+        break;
+      }
+      this._queue.splice(0, batch.length);
+      sent += batch.length;
+    }
+
+    if (sent > 0) {
+      this._persist();
+      if (this._queue.length === 0) {
+        this._clearTimer();
+        this._cancelRetryTimer();
+      }
+    }
+    return sent;
+  }
+
+  /**
+   * Wait for any in-flight batch, then send what is left.
+   * @returns {Promise<boolean>} Whether the queue ended up empty.
+   */
+  async drain() {
+    await this._pendingPromise;
+    await this.flush({ force: true });
+    return this._queue.length === 0;
+  }
+
+  /**
+   * Cancel scheduled flushes and retries while keeping queued (and persisted) events.
+   */
+  stop() {
+    this._clearTimer();
+    this._cancelRetryTimer();
+  }
+
   getBufferedEvents() {
     return this._queue.map((item) => cloneValue(item));
   }
@@ -191,6 +274,15 @@ export class EventQueue {
     return this._queue.length;
   }
 
+  // Returns false when flushSync took the batch over, so its outcome is no longer ours to handle.
+  _releaseInFlight(batch) {
+    if (this._inFlightBatch !== batch) {
+      return false;
+    }
+    this._inFlightBatch = null;
+    return true;
+  }
+
   _hydrateFromStorage() {
     if (!this._storageAdapter) {
       return;
@@ -217,19 +309,21 @@ export class EventQueue {
     }
   }
 
+  // The batch being sent stays stored until its send settles, so a crash mid-send cannot lose it.
   _persist() {
     if (!this._storageAdapter) {
       return;
     }
+    const stored = this._inFlightBatch ? [...this._inFlightBatch, ...this._queue] : this._queue;
     try {
-      if (this._queue.length === 0) {
+      if (stored.length === 0) {
         if (typeof this._storageAdapter.clear === "function") {
           this._storageAdapter.clear();
         } else if (typeof this._storageAdapter.save === "function") {
           this._storageAdapter.save([]);
         }
       } else if (typeof this._storageAdapter.save === "function") {
-        this._storageAdapter.save(this._queue);
+        this._storageAdapter.save(stored);
       }
     } catch (error) {
       // Swallow persistence errors
@@ -243,10 +337,10 @@ export class EventQueue {
     if (this._queue.length === 0) {
       return;
     }
-    this._timerId = setTimeout(() => {
+    this._timerId = unrefTimer(setTimeout(() => {
       this._timerId = null;
       this.flush();
-    }, this._flushIntervalMs);
+    }, this._flushIntervalMs));
   }
 
   _clearTimer() {
@@ -1,13 +1,24 @@
 import { nanoid } from "nanoid";
 import { resolveConfig } from "./config.js";
-import { parseStackTrace } from "./stack-trace.js";
+import { EventQueue } from "./event-queue.js";
+import { shouldIgnoreError } from "./event-filters.js";
+import { createHttpTransport } from "./transport.js";
+import { markInAppFrames, parseStackTrace } from "./stack-trace.js";
 import { collectSystemInfo } from "./system-info.js";
 import { SDK_VERSION } from "./version.js";
-import { isPlainObject } from "./utils.js";
+import { SEVERITY_LEVELS, isPlainObject, isSeverityLevel } from "./utils.js";
+import { Scope, normalizeBreadcrumb } from "./scope.js";
 export { EventQueue } from "./event-queue.js";
+export { Scope } from "./scope.js";
+export { createHttpTransport, toIngestPayload, toStackFrame } from "./transport.js";
+export { SEVERITY_LEVELS } from "./utils.js";
+export { levelForStatus, sanitizePath, stringifyConsoleArg } from "./breadcrumbs.js";
 
 const SYSTEM_INFO = collectSystemInfo();
 const FILTERED_PLACEHOLDER = "[Filtered]";
+const MAX_MESSAGE_LENGTH = 2000;
+// Caps aggregate fan-out; the depth limit alone does not bound an AggregateError with many members.
+const MAX_LINKED_EXCEPTIONS = 20;
 
 function coerceToError(input) {
   if (input instanceof Error) {
@@ -34,19 +45,120 @@ function coerceToError(input) {
   return new Error("Unknown error");
 }
 
-function normalizeError(input) {
-  const error = coerceToError(input);
-  const stack = typeof error.stack === "string" ? error.stack : new Error(error.message || "Error").stack || "";
+function isAggregateError(error) {
+  return (
+    Array.isArray(error?.errors) &&
+    ((typeof AggregateError === "function" && error instanceof AggregateError) || error?.name === "AggregateError")
+  );
+}
+
+function getLinkedValues(error) {
+  const linked = [];
+  if (error?.cause != null) {
+    linked.push({ value: error.cause, relation: "cause" });
+  }
+  if (isAggregateError(error)) {
+    for (const member of error.errors) {
+      if (member != null) {
+        linked.push({ value: member, relation: "aggregate" });
+      }
+    }
+  }
+  return linked;
+}
 
+function normalizeLinkedException(value, relation, depth) {
+  const error = coerceToError(value);
+  // A coerced string or object has the SDK's own stack, which says nothing about where it came from.
+  const stack = typeof value?.stack === "string" ? value.stack : "";
   return {
+    name: error.name || "Error",
+    message: error.message || "Unknown error",
+    stack,
+    stacktrace: parseStackTrace(stack),
+    relation,
+    depth
+  };
+}
+
+/**
+ * Walk `cause` chains and `AggregateError.errors` depth-first, outermost first. Each entry records
+ * how it is linked to its parent and its depth below the captured error, which is depth 0.
+ * @param {unknown} root
+ * @param {number} maxDepth
+ * @returns {object[]}
+ */
+function collectLinkedExceptions(root, maxDepth) {
+  const linkedExceptions = [];
+  const seen = new Set([root]);
+
+  const visit = (value, depth) => {
+    if (depth >= maxDepth) {
+      return;
+    }
+    for (const { value: linked, relation } of getLinkedValues(value)) {
+      if (linkedExceptions.length >= MAX_LINKED_EXCEPTIONS) {
+        return;
+      }
+      if (typeof linked === "object") {
+        if (seen.has(linked)) {
+          continue;
+        }
+        seen.add(linked);
+      }
+      linkedExceptions.push(normalizeLinkedException(linked, relation, depth + 1));
+      visit(linked, depth + 1);
+    }
+  };
+
+  visit(root, 0);
+  return linkedExceptions;
+}
+
+function normalizeError(input, maxCauseDepth = 0) {
+  const error = coerceToError(input);
+  const stack = typeof error.stack === "string" ? error.stack : new Error(error.message || "Error").stack || "";
+  const normalized = {
     name: error.name || "Error",
     message: error.message || "Unknown error",
     stack,
     stacktrace: parseStackTrace(stack)
   };
+
+  // Read links from the original value; coerceToError drops them from plain objects.
+  const linkedExceptions = collectLinkedExceptions(typeof input === "object" && input !== null ? input : error, maxCauseDepth);
+  if (linkedExceptions.length > 0) {
+    normalized.linkedExceptions = linkedExceptions;
+  }
+  return normalized;
 }
 
-const TAG_VALUE_TYPES = new Set(["string", "number", "boolean"]);
+// Apply `mapFrames` to the stack of the error and of each linked exception.
+function mapStackFrames(error, mapFrames) {
+  const mapped = { ...error, stacktrace: mapFrames(error.stacktrace) };
+  if (error.linkedExceptions) {
+    mapped.linkedExceptions = error.linkedExceptions.map((linked) => ({
+      ...linked,
+      stacktrace: mapFrames(linked.stacktrace)
+    }));
+  }
+  return mapped;
+}
+
+// A failing processor must never cost the event, so its frames are kept as parsed.
+function applyStackFrameProcessor(error, processor) {
+  if (!processor) {
+    return error;
+  }
+  return mapStackFrames(error, (frames) => {
+    try {
+      const processed = processor(frames);
+      return Array.isArray(processed) ? processed : frames;
+    } catch (processorError) {
+      return frames;
+    }
+  });
+}
 
 function deepClone(value) {
   if (Array.isArray(value)) {
@@ -106,21 +218,49 @@ function scrubEventData(event, config) {
   return scrubValue(payload, options);
 }
 
+function validateLevel(level) {
+  if (!isSeverityLevel(level)) {
+    throw new TypeError(`level must be one of ${SEVERITY_LEVELS.join(", ")}`);
+  }
+  return level;
+}
+
+// `"{{ default }}"` entries are expanded to the server-computed fingerprint during ingestion.
+function validateFingerprint(fingerprint) {
+  if (!Array.isArray(fingerprint) || fingerprint.length === 0 || !fingerprint.every((part) => typeof part === "string" && part.trim().length > 0)) {
+    throw new TypeError("fingerprint must be a non-empty array of non-empty strings");
+  }
+  return [...fingerprint];
+}
+
 function sanitizeContext(context) {
   if (!isPlainObject(context)) {
     return {
       context: {},
       tags: {},
-      breadcrumbs: []
+      breadcrumbs: [],
+      user: undefined,
+      level: undefined,
+      fingerprint: undefined
     };
   }
 
   const working = { ...context };
   const tagsValue = working.tags;
   const breadcrumbsValue = working.breadcrumbs;
+  // A per-call user (e.g. the authenticated user of a server request) overrides setUser for this event only.
+  const user = isPlainObject(working.user) ? { ...working.user } : undefined;
+
+  const level = working.level === undefined ? undefined : validateLevel(working.level);
+  const fingerprint = working.fingerprint === undefined ? undefined : validateFingerprint(working.fingerprint);
 
   delete working.tags;
   delete working.breadcrumbs;
+  delete working.level;
+  delete working.fingerprint;
+  if (user) {
+    delete working.user;
+  }
 
   const tags = isPlainObject(tagsValue) ? { ...tagsValue } : {};
   const breadcrumbs = Array.isArray(breadcrumbsValue) ? [...breadcrumbsValue] : [];
@@ -133,46 +273,38 @@ function sanitizeContext(context) {
   return {
     context: { ...nestedContext, ...working },
     tags,
-    breadcrumbs
+    breadcrumbs,
+    user,
+    level,
+    fingerprint
   };
 }
 
-function validateTagValue(value) {
-  return TAG_VALUE_TYPES.has(typeof value);
-}
-
-function normalizeBreadcrumb(input) {
-  if (!isPlainObject(input)) {
-    throw new TypeError("breadcrumb must be an object");
-  }
-
-  const message = typeof input.message === "string" ? input.message.trim() : "";
-  if (!message) {
-    throw new TypeError("breadcrumb.message must be a non-empty string");
-  }
-
-  const category = typeof input.category === "string" ? input.category : "general";
-  const level = typeof input.level === "string" ? input.level : "info";
-  const timestamp = typeof input.timestamp === "string" ? input.timestamp : new Date().toISOString();
-  const data = isPlainObject(input.data) ? { ...input.data } : undefined;
-
-  return data
-    ? { message, category, level, timestamp, data }
-    : { message, category, level, timestamp };
+function createEventQueue(config) {
+  const sendBatch = config.transport || createHttpTransport({ apiUrl: config.apiUrl, apiKey: config.apiKey });
+  return new EventQueue({
+    sendBatch,
+    flushIntervalMs: config.flushIntervalMs,
+    maxBatchSize: config.maxBatchSize,
+    maxQueueSize: config.maxQueueSize,
+    storageAdapter: config.storageAdapter,
+    isOnline: config.isOnline
+  });
 }
 
 /**
  * Core SDK surface that normalizes errors, enriches them with context, and buffers
- * events for delivery through the configured transport layer.
+ * events in an `EventQueue` for delivery through the configured transport layer.
  */
 export class ErrorMonitor {
   constructor(initialConfig) {
     this._config = null;
-    this._queue = [];
-    this._user = null;
-    this._tags = {};
-    this._breadcrumbs = [];
+    this._queue = null;
+    this._globalScope = new Scope();
+    this._scopeManager = null;
+    this._stackFrameProcessor = null;
     this._initialized = false;
+    this._closed = false;
     this._sessionId = nanoid(10);
 
     if (initialConfig) {
@@ -187,12 +319,18 @@ export class ErrorMonitor {
    */
   init(config) {
     const resolved = resolveConfig(config);
+    if (this._queue) {
+      this._queue.clear();
+    }
     this._config = resolved;
-    this._queue = [];
-    this._user = resolved.user ? { ...resolved.user } : null;
-    this._tags = { ...resolved.tags };
-    this._breadcrumbs = [];
+    this._queue = createEventQueue(resolved);
+    this._globalScope = new Scope({
+      user: resolved.user,
+      tags: resolved.tags,
+      maxBreadcrumbs: resolved.maxBreadcrumbs
+    });
     this._initialized = true;
+    this._closed = false;
     return this;
   }
 
@@ -201,7 +339,7 @@ export class ErrorMonitor {
   }
 
   isEnabled() {
-    return this._initialized && this._config.enabled !== false;
+    return this._initialized && !this._closed && this._config.enabled !== false;
   }
 
   getConfig() {
@@ -213,11 +351,72 @@ export class ErrorMonitor {
       autoCapture: { ...this._config.autoCapture },
        scrubFields: Array.isArray(this._config.scrubFields) ? [...this._config.scrubFields] : [],
        scrubPatterns: Array.isArray(this._config.scrubPatterns) ? [...this._config.scrubPatterns] : [],
-      tags: { ...this._tags },
-      user: this._user ? { ...this._user } : null
+      tags: this._globalScope.getTags(),
+      user: this._globalScope.getUser()
     };
   }
 
+  /**
+   * Install the strategy used to isolate scopes per async context. Without one (the default,
+   * and always in browsers) every call shares the global scope.
+   * @param {{getActiveScope: () => Scope|null, runInScope: (scope: Scope, callback: Function) => *}|null} manager
+   */
+  setScopeManager(manager) {
+    if (manager != null && (typeof manager.getActiveScope !== "function" || typeof manager.runInScope !== "function")) {
+      throw new TypeError("scope manager must implement getActiveScope and runInScope");
+    }
+    this._scopeManager = manager || null;
+  }
+
+  /**
+   * Install a runtime-specific hook that enriches parsed stack frames before events are queued,
+   * e.g. with source lines read from disk in Node.js. It receives and returns a frame array and
+   * runs for the captured error and each linked exception.
+   * @param {((frames: object[]) => object[])|null} processor
+   */
+  setStackFrameProcessor(processor) {
+    if (processor != null && typeof processor !== "function") {
+      throw new TypeError("stack frame processor must be a function");
+    }
+    this._stackFrameProcessor = processor || null;
+  }
+
+  getGlobalScope() {
+    return this._globalScope;
+  }
+
+  /**
+   * The scope that `setUser`, `setTags` and `addBreadcrumb` write to: the isolated scope of the
+   * current async context when one is active, otherwise the global scope.
+   * @returns {Scope}
+   */
+  getCurrentScope() {
+    return this._scopeManager?.getActiveScope() || this._globalScope;
+  }
+
+  /**
+   * Run `callback` with a fresh isolated scope forked from the current one. Data set inside the
+   * callback, including in async work it starts, is merged over the global scope at capture time
+   * and never visible outside it. Without a scope manager the callback receives the global scope.
+   * @param {(scope: Scope) => *} callback
+   * @returns {*} The callback's return value.
+   */
+  withScope(callback) {
+    if (!this._initialized) {
+      throw new Error("ErrorMonitor.init must be called before withScope");
+    }
+    if (typeof callback !== "function") {
+      throw new TypeError("withScope requires a callback");
+    }
+    if (!this._scopeManager) {
+      return callback(this._globalScope);
+    }
+
+    const active = this._scopeManager.getActiveScope();
+    const scope = active ? active.clone() : new Scope({ maxBreadcrumbs: this._config.maxBreadcrumbs });
+    return this._scopeManager.runInScope(scope, () => callback(scope));
+  }
+
   /**
    * Attach user metadata to subsequent error payloads.
    * @param {object|null} user
@@ -227,19 +426,11 @@ export class ErrorMonitor {
     if (!this._initialized) {
       throw new Error("ErrorMonitor.init must be called before setUser");
     }
-    if (user == null) {
-      this._user = null;
-      return null;
-    }
-    if (!isPlainObject(user)) {
-      throw new TypeError("user must be an object or null");
-    }
-    this._user = { ...user };
-    return this._user;
+    return this.getCurrentScope().setUser(user);
   }
 
   /**
-   * Merge user-provided tags into the global tag collection.
+   * Merge user-provided tags into the current scope's tag collection.
    * @param {object} tags
    * @param {{replace?: boolean}} [options]
    * @returns {object}
@@ -248,98 +439,140 @@ export class ErrorMonitor {
     if (!this._initialized) {
       throw new Error("ErrorMonitor.init must be called before setTags");
     }
-    if (!isPlainObject(tags)) {
-      throw new TypeError("tags must be an object");
-    }
-
-    const next = replace ? {} : { ...this._tags };
-    for (const [key, value] of Object.entries(tags)) {
-      if (typeof key !== "string" || key.trim().length === 0) {
-        throw new TypeError("tag keys must be non-empty strings");
-      }
-      if (!validateTagValue(value)) {
-        throw new TypeError("tag values must be string, number, or boolean");
-      }
-      next[key] = value;
-    }
-
-    this._tags = next;
-    return { ...this._tags };
+    return this.getCurrentScope().setTags(tags, { replace });
   }
 
   setTag(key, value) {
     if (!this._initialized) {
       throw new Error("ErrorMonitor.init must be called before setTag");
     }
-    if (typeof key !== "string" || key.trim().length === 0) {
-      throw new TypeError("tag key must be a non-empty string");
-    }
-    if (!validateTagValue(value)) {
-      throw new TypeError("tag values must be string, number, or boolean");
-    }
-    this._tags = { ...this._tags, [key]: value };
-    return value;
+    return this.getCurrentScope().setTag(key, value);
   }
 
   clearTags() {
     if (!this._initialized) {
       throw new Error("ErrorMonitor.init must be called before clearTags");
     }
-    this._tags = {};
+    this.getCurrentScope().clearTags();
   }
 
   /**
-   * Append a breadcrumb describing a user action or notable event.
+   * Append a breadcrumb describing a user action or notable event. `beforeBreadcrumb` may edit
+   * or drop it first.
    * @param {object} breadcrumb
-   * @returns {object}
+   * @returns {object|null} The stored breadcrumb, or null when the hook dropped it.
    */
   addBreadcrumb(breadcrumb) {
     if (!this._initialized) {
       throw new Error("ErrorMonitor.init must be called before addBreadcrumb");
     }
-    const normalized = normalizeBreadcrumb(breadcrumb);
-    this._breadcrumbs = [...this._breadcrumbs, normalized].slice(-this._config.maxBreadcrumbs);
-    return normalized;
+    const filtered = this._applyBeforeBreadcrumb(normalizeBreadcrumb(breadcrumb));
+    return filtered ? this.getCurrentScope().addBreadcrumb(filtered) : null;
+  }
+
+  _applyBeforeBreadcrumb(breadcrumb) {
+    const hook = this._config.beforeBreadcrumb;
+    if (typeof hook !== "function") {
+      return breadcrumb;
+    }
+    const result = hook(breadcrumb);
+    if (result == null) {
+      return null;
+    }
+    if (!isPlainObject(result)) {
+      throw new TypeError("beforeBreadcrumb must return a breadcrumb object or null");
+    }
+    return normalizeBreadcrumb(result);
   }
 
   clearBreadcrumbs() {
     if (!this._initialized) {
       throw new Error("ErrorMonitor.init must be called before clearBreadcrumbs");
     }
-    this._breadcrumbs = [];
+    this.getCurrentScope().clearBreadcrumbs();
   }
 
   /**
-   * Normalize and queue an error event, honoring sampling rules and hooks.
+   * Normalize and queue an error event, honoring ignore rules, sampling and hooks.
    * @param {*} error
-   * @param {object} [context]
+   * @param {object} [context] May set `level` (defaults to `"error"`) and a `fingerprint` array to override grouping.
    * @returns {object|null}
    */
   captureError(error, context = {}) {
     if (!this._initialized) {
       throw new Error("ErrorMonitor.init must be called before captureError");
     }
-
-    if (!this.isEnabled()) {
+    // Checked first: normalizing and the stack frame processor (source context reads in Node) cost real work.
+    if (!this._shouldCapture()) {
+      return null;
+    }
+    const inAppOptions = { include: this._config.inAppInclude, exclude: this._config.inAppExclude };
+    const normalized = mapStackFrames(normalizeError(error, this._config.maxCauseDepth), (frames) =>
+      markInAppFrames(frames, inAppOptions)
+    );
+    if (shouldIgnoreError(normalized, this._config)) {
       return null;
     }
+    return this._captureEvent({ error: applyStackFrameProcessor(normalized, this._stackFrameProcessor) }, context, "error");
+  }
 
-    if (this._config.sampleRate < 1 && Math.random() > this._config.sampleRate) {
+  /**
+   * Queue an event for something worth reporting that is not an exception.
+   * @param {string} message
+   * @param {"fatal"|"error"|"warning"|"info"|"debug"} [level]
+   * @param {object} [context]
+   * @returns {object|null}
+   */
+  captureMessage(message, level = "info", context = {}) {
+    if (!this._initialized) {
+      throw new Error("ErrorMonitor.init must be called before captureMessage");
+    }
+    if (typeof message !== "string" || message.trim().length === 0) {
+      throw new TypeError("message must be a non-empty string");
+    }
+    validateLevel(level);
+    if (!this._shouldCapture()) {
       return null;
     }
+    const messageContext = { ...(isPlainObject(context) ? context : {}), level };
+    return this._captureEvent({ message: message.trim().slice(0, MAX_MESSAGE_LENGTH) }, messageContext, "info");
+  }
 
-    const { context: extraContext, tags: contextTags, breadcrumbs: contextBreadcrumbs } = sanitizeContext(context);
+  // Whether the monitor is enabled and the event survives sampling.
+  _shouldCapture() {
+    if (!this.isEnabled()) {
+      return false;
+    }
+    return !(this._config.sampleRate < 1 && Math.random() > this._config.sampleRate);
+  }
 
-    const eventTags = { ...this._tags, ...contextTags };
-    const mergedBreadcrumbs = [
-      ...this._breadcrumbs.map((crumb) => ({
-        ...crumb,
-        data: isPlainObject(crumb.data) ? { ...crumb.data } : crumb.data
-      }))
-    ];
+  // Shared by captureError and captureMessage after `_shouldCapture`; `payload` carries `error` or `message`.
+  _captureEvent(payload, context, defaultLevel) {
+    const {
+      context: extraContext,
+      tags: contextTags,
+      breadcrumbs: contextBreadcrumbs,
+      user: contextUser,
+      level,
+      fingerprint
+    } = sanitizeContext(context);
+
+    const globalScope = this._globalScope;
+    const currentScope = this.getCurrentScope();
+    const isolatedScope = currentScope !== globalScope ? currentScope : null;
+
+    const eventTags = { ...globalScope.getTags(), ...(isolatedScope?.getTags() || {}), ...contextTags };
+    const mergedBreadcrumbs = [...globalScope.getBreadcrumbs(), ...(isolatedScope?.getBreadcrumbs() || [])];
+    if (isolatedScope) {
+      // ISO timestamps sort lexically; the sort is stable so same-millisecond crumbs keep their order.
+      mergedBreadcrumbs.sort((a, b) => (a.timestamp < b.timestamp ? -1 : a.timestamp > b.timestamp ? 1 : 0));
+    }
 
     for (const crumb of contextBreadcrumbs) {
-      mergedBreadcrumbs.push(normalizeBreadcrumb(crumb));
+      const filtered = this._applyBeforeBreadcrumb(normalizeBreadcrumb(crumb));
+      if (filtered) {
+        mergedBreadcrumbs.push(filtered);
+      }
     }
 
     const finalBreadcrumbs = mergedBreadcrumbs.slice(-this._config.maxBreadcrumbs);
@@ -348,15 +581,18 @@ export class ErrorMonitor {
       id: nanoid(),
       apiKey: this._config.apiKey,
       timestamp: new Date().toISOString(),
+      level: level || defaultLevel,
       environment: this._config.environment,
+      release: this._config.release,
       sdkVersion: SDK_VERSION,
       system: { ...SYSTEM_INFO },
       sessionId: this._sessionId,
-      user: this._user ? { ...this._user } : null,
+      user: contextUser || isolatedScope?.getUser() || globalScope.getUser(),
       context: extraContext,
       tags: eventTags,
       breadcrumbs: finalBreadcrumbs,
-      error: normalizeError(error)
+      ...(fingerprint ? { fingerprint } : {}),
+      ...payload
     };
 
     const sanitizedEvent = scrubEventData(event, this._config);
@@ -370,22 +606,73 @@ export class ErrorMonitor {
         throw new TypeError("beforeSend must return an event object or null");
       }
       const scrubbedResult = scrubEventData(result, this._config);
-      const cloned = cloneEventPayload(scrubbedResult);
-      this._queue.push(cloned);
+      this._queue.enqueue(scrubbedResult);
       return scrubbedResult;
     }
 
-    const clonedEvent = cloneEventPayload(sanitizedEvent);
-    this._queue.push(clonedEvent);
+    this._queue.enqueue(sanitizedEvent);
     return sanitizedEvent;
   }
 
+  /**
+   * Send everything currently queued through the transport.
+   * @param {number} [timeoutMs] Stop waiting after this long; delivery continues in the background.
+   * @returns {Promise<boolean>} Whether the queue was fully drained in time.
+   */
+  flush(timeoutMs) {
+    if (!this._queue) {
+      return Promise.resolve(true);
+    }
+
+    const drained = this._queue.drain();
+    if (timeoutMs == null) {
+      return drained;
+    }
+
+    let timerId = null;
+    const timedOut = new Promise((resolve) => {
+      timerId = setTimeout(() => resolve(false), Math.max(0, timeoutMs));
+      // Waiting for the deadline alone must not keep a Node.js process alive.
+      if (typeof timerId?.unref === "function") {
+        timerId.unref();
+      }
+    });
+    return Promise.race([drained, timedOut]).finally(() => clearTimeout(timerId));
+  }
+
+  /**
+   * Flush pending events, then stop capturing. Events that could not be delivered stay in the
+   * storage adapter, if one is configured, for the next `init`.
+   * @param {number} [timeoutMs]
+   * @returns {Promise<boolean>} Whether the queue was fully drained in time.
+   */
+  async close(timeoutMs) {
+    if (!this._initialized || this._closed) {
+      return true;
+    }
+    const drained = await this.flush(timeoutMs);
+    this._closed = true;
+    this._queue.stop();
+    return drained;
+  }
+
+  /**
+   * Hand queued events to a synchronous sender, for page unload where async requests may be cut off.
+   * @param {(batch: object[]) => boolean} sendBatchSync
+   * @returns {number} Number of events handed off.
+   */
+  flushSync(sendBatchSync) {
+    return this._queue ? this._queue.flushSync(sendBatchSync) : 0;
+  }
+
   getBufferedEvents() {
-    return this._queue.map((entry) => cloneEventPayload(entry));
+    return this._queue ? this._queue.getBufferedEvents() : [];
   }
 
   clearQueue() {
-    this._queue = [];
+    if (this._queue) {
+      this._queue.clear();
+    }
   }
 }
 
@@ -0,0 +1,136 @@
+import { isPlainObject } from "./utils.js";
+
+const TAG_VALUE_TYPES = new Set(["string", "number", "boolean"]);
+const DEFAULT_MAX_BREADCRUMBS = 20;
+
+function validateTagValue(value) {
+  return TAG_VALUE_TYPES.has(typeof value);
+}
+
+function cloneBreadcrumb(crumb) {
+  return {
+    ...crumb,
+    data: isPlainObject(crumb.data) ? { ...crumb.data } : crumb.data
+  };
+}
+
+/**
+ * Validate a breadcrumb and fill in its defaults.
+ * @param {object} input
+ * @returns {{message: string, category: string, level: string, timestamp: string, data?: object}}
+ */
+export function normalizeBreadcrumb(input) {
+  if (!isPlainObject(input)) {
+    throw new TypeError("breadcrumb must be an object");
+  }
+
+  const message = typeof input.message === "string" ? input.message.trim() : "";
+  if (!message) {
+    throw new TypeError("breadcrumb.message must be a non-empty string");
+  }
+
+  const category = typeof input.category === "string" ? input.category : "general";
+  const level = typeof input.level === "string" ? input.level : "info";
+  const timestamp = typeof input.timestamp === "string" ? input.timestamp : new Date().toISOString();
+  const data = isPlainObject(input.data) ? { ...input.data } : undefined;
+
+  return data
+    ? { message, category, level, timestamp, data }
+    : { message, category, level, timestamp };
+}
+
+/**
+ * Holds the user, tags and breadcrumbs applied to events captured while the scope is active.
+ * `ErrorMonitor` always has a global scope; runtimes that support async context (Node.js)
+ * can layer isolated scopes on top of it through `ErrorMonitor#setScopeManager`.
+ */
+export class Scope {
+  constructor({ user = null, tags = {}, breadcrumbs = [], maxBreadcrumbs = DEFAULT_MAX_BREADCRUMBS } = {}) {
+    this._user = user ? { ...user } : null;
+    this._tags = { ...tags };
+    this._breadcrumbs = breadcrumbs.map(cloneBreadcrumb);
+    this._maxBreadcrumbs = maxBreadcrumbs;
+  }
+
+  /**
+   * Copy this scope so changes to the copy do not affect the original.
+   * @returns {Scope}
+   */
+  clone() {
+    return new Scope({
+      user: this._user,
+      tags: this._tags,
+      breadcrumbs: this._breadcrumbs,
+      maxBreadcrumbs: this._maxBreadcrumbs
+    });
+  }
+
+  getUser() {
+    return this._user ? { ...this._user } : null;
+  }
+
+  setUser(user) {
+    if (user == null) {
+      this._user = null;
+      return null;
+    }
+    if (!isPlainObject(user)) {
+      throw new TypeError("user must be an object or null");
+    }
+    this._user = { ...user };
+    return this._user;
+  }
+
+  getTags() {
+    return { ...this._tags };
+  }
+
+  setTags(tags, { replace = false } = {}) {
+    if (!isPlainObject(tags)) {
+      throw new TypeError("tags must be an object");
+    }
+
+    const next = replace ? {} : { ...this._tags };
+    for (const [key, value] of Object.entries(tags)) {
+      if (typeof key !== "string" || key.trim().length === 0) {
+        throw new TypeError("tag keys must be non-empty strings");
+      }
+      if (!validateTagValue(value)) {
+        throw new TypeError("tag values must be string, number, or boolean");
+      }
+      next[key] = value;
+    }
+
+    this._tags = next;
+    return { ...this._tags };
+  }
+
+  setTag(key, value) {
+    if (typeof key !== "string" || key.trim().length === 0) {
+      throw new TypeError("tag key must be a non-empty string");
+    }
+    if (!validateTagValue(value)) {
+      throw new TypeError("tag values must be string, number, or boolean");
+    }
+    this._tags = { ...this._tags, [key]: value };
+    return value;
+  }
+
+  clearTags() {
+    this._tags = {};
+  }
+
+  getBreadcrumbs() {
+    return this._breadcrumbs.map(cloneBreadcrumb);
+  }
+
+  addBreadcrumb(breadcrumb) {
+    const normalized = normalizeBreadcrumb(breadcrumb);
+    this._breadcrumbs = [...this._breadcrumbs, normalized].slice(-this._maxBreadcrumbs);
+    return normalized;
+  }
+
+  clearBreadcrumbs() {
+    this._breadcrumbs = [];
+  }
+}
@@ -1,3 +1,5 @@
+import { matchesPattern } from "./utils.js";
+
 const V8_REGEX = /^\s*at (?:(.+?) )?\(?([^()]+?)(?::(\d+))?(?::(\d+))?\)?$/;
 const FIREFOX_REGEX = /^(.*?)@([^@]+?)(?::(\d+))?(?::(\d+))?$/;
 const SAFARI_NATIVE_REGEX = /^\s*([^@]+?)(?:\[(native code)\])?$/;
@@ -112,6 +114,43 @@ function parseGeneric(line) {
   });
 }
 
+// Dependencies, runtime internals and browser extensions are never application code.
+export const DEFAULT_IN_APP_EXCLUDE = Object.freeze([
+  /[\\/]node_modules[\\/]/,
+  /^node:/,
+  /^internal[\\/]/,
+  /^(?:chrome|moz|safari|safari-web|ms-browser)-extension:\/\//
+]);
+
+const NON_FILE_LOCATIONS = new Set(["<anonymous>", "native", "[native code]"]);
+
+/**
+ * Decide whether a file belongs to the application. `include` wins over `exclude` so a vendored
+ * package can be opted back in; frames without a real file are never in-app.
+ * @param {string|null} fileName
+ * @param {{include?: Array<string|RegExp>, exclude?: Array<string|RegExp>}} [options]
+ * @returns {boolean}
+ */
+export function isInAppFile(fileName, { include = [], exclude = DEFAULT_IN_APP_EXCLUDE } = {}) {
+  if (typeof fileName !== "string" || !fileName || NON_FILE_LOCATIONS.has(fileName)) {
+    return false;
+  }
+  if (include.some((pattern) => matchesPattern(fileName, pattern))) {
+    return true;
+  }
+  return !exclude.some((pattern) => matchesPattern(fileName, pattern));
+}
+
+/**
+ * Set `inApp` on every parsed frame.
+ * @param {object[]} frames
+ * @param {{include?: Array<string|RegExp>, exclude?: Array<string|RegExp>}} [options]
+ * @returns {object[]}
+ */
+export function markInAppFrames(frames, options) {
+  return frames.map((frame) => ({ ...frame, inApp: isInAppFile(frame?.fileName, options) }));
+}
+
 export function parseStackTrace(stack) {
   if (typeof stack !== "string" || stack.trim().length === 0) {
     return [];
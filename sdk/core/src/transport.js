@@ -0,0 +1,160 @@
+import { isPlainObject, isSeverityLevel } from "./utils.js";
+
+const UNKNOWN_FRAME = Object.freeze({ file: "unknown", line: null, column: null, function: null });
+const MAX_STACK_FRAMES = 50;
+const MAX_MESSAGE_LENGTH = 2000;
+// Mirrors the ingestion API limits for SDK-supplied fingerprints.
+const MAX_FINGERPRINT_PARTS = 10;
+const MAX_FINGERPRINT_PART_LENGTH = 200;
+// Browsers refuse keepalive requests once their bodies exceed 64KiB in total.
+const MAX_KEEPALIVE_BYTES = 60 * 1024;
+
+function resolveFetch(fetchImpl) {
+  if (typeof fetchImpl === "function") {
+    return fetchImpl;
+  }
+  if (typeof globalThis !== "undefined" && typeof globalThis.fetch === "function") {
+    return globalThis.fetch.bind(globalThis);
+  }
+  return null;
+}
+
+// Worst case of three bytes per UTF-16 unit where TextEncoder is missing.
+function byteLength(text) {
+  return typeof TextEncoder === "function" ? new TextEncoder().encode(text).length : text.length * 3;
+}
+
+function isRetryableStatus(status) {
+  return status === 408 || status === 429 || status >= 500;
+}
+
+function isStringArray(value) {
+  return Array.isArray(value) && value.every((entry) => typeof entry === "string");
+}
+
+/**
+ * Convert a parsed SDK stack frame into the ingestion API frame shape. Source lines added by a
+ * stack frame processor are passed through when present.
+ * @param {object} frame
+ * @returns {{file: string, line: number|null, column: number|null, function: string|null, inApp?: boolean, preContext?: string[], contextLine?: string, postContext?: string[]}}
+ */
+export function toStackFrame(frame) {
+  if (!isPlainObject(frame)) {
+    return { ...UNKNOWN_FRAME };
+  }
+  const converted = {
+    file: frame.fileName || frame.file || frame.raw || UNKNOWN_FRAME.file,
+    line: Number.isInteger(frame.lineNumber) ? frame.lineNumber : null,
+    column: Number.isInteger(frame.columnNumber) ? frame.columnNumber : null,
+    function: frame.functionName || frame.function || null
+  };
+  if (typeof frame.inApp === "boolean") {
+    converted.inApp = frame.inApp;
+  }
+  if (typeof frame.contextLine === "string") {
+    converted.preContext = isStringArray(frame.preContext) ? frame.preContext : [];
+    converted.contextLine = frame.contextLine;
+    converted.postContext = isStringArray(frame.postContext) ? frame.postContext : [];
+  }
+  return converted;
+}
+
+function toLinkedException(linked) {
+  const frames = Array.isArray(linked.stacktrace) ? linked.stacktrace.slice(0, MAX_STACK_FRAMES) : [];
+  return {
+    name: typeof linked.name === "string" && linked.name ? linked.name : "Error",
+    message: (typeof linked.message === "string" && linked.message ? linked.message : "Unknown error").slice(0, MAX_MESSAGE_LENGTH),
+    relation: linked.relation === "aggregate" ? "aggregate" : "cause",
+    depth: Number.isInteger(linked.depth) && linked.depth > 0 ? linked.depth : 1,
+    stackTrace: frames.map(toStackFrame)
+  };
+}
+
+/**
+ * Map a captured SDK event onto the body accepted by `POST /api/errors`.
+ * @param {object} event
+ * @returns {object}
+ */
+export function toIngestPayload(event) {
+  const error = isPlainObject(event?.error) ? event.error : {};
+  const frames = Array.isArray(error.stacktrace) ? error.stacktrace.slice(0, MAX_STACK_FRAMES) : [];
+  const name = typeof error.name === "string" && error.name ? error.name : "Error";
+  const message = typeof error.message === "string" && error.message ? error.message : "Unknown error";
+  const linkedExceptions = Array.isArray(error.linkedExceptions) ? error.linkedExceptions.filter(isPlainObject) : [];
+  // captureMessage events carry a plain message and no exception.
+  const isMessageEvent = !isPlainObject(event?.error) && typeof event?.message === "string" && event.message.length > 0;
+  const fingerprint = Array.isArray(event?.fingerprint)
+    ? event.fingerprint
+        .filter((part) => typeof part === "string" && part.trim().length > 0)
+        .slice(0, MAX_FINGERPRINT_PARTS)
+        .map((part) => part.slice(0, MAX_FINGERPRINT_PART_LENGTH))
+    : [];
+
+  return {
+    message: (isMessageEvent ? event.message : `${name}: ${message}`).slice(0, MAX_MESSAGE_LENGTH),
+    level: isSeverityLevel(event?.level) ? event.level : "error",
+    environment: event?.environment || "production",
+    ...(typeof event?.release === "string" && event.release ? { release: event.release } : {}),
+    stackTrace: frames.length ? frames.map(toStackFrame) : [{ ...UNKNOWN_FRAME }],
+    ...(linkedExceptions.length ? { linkedExceptions: linkedExceptions.map(toLinkedException) } : {}),
+    ...(fingerprint.length ? { fingerprint } : {}),
+    userContext: isPlainObject(event?.user) ? event.user : {},
+    metadata: {
+      tags: isPlainObject(event?.tags) ? event.tags : {},
+      context: isPlainObject(event?.context) ? event.context : {},
+      breadcrumbs: Array.isArray(event?.breadcrumbs) ? event.breadcrumbs : [],
+      eventId: event?.id || null,
+      sessionId: event?.sessionId || null,
+      sdkVersion: event?.sdkVersion || null,
+      system: isPlainObject(event?.system) ? event.system : {}
+    },
+    ...(event?.timestamp ? { timestamp: event.timestamp } : {})
+  };
+}
+
+/**
+ * Build a `sendBatch` implementation that posts each batch to the ingestion API's
+ * `/batch` endpoint in a single request. Network failures, throttling and server errors
+ * reject so `EventQueue` retries the batch; other client errors drop it because
+ * resending cannot succeed.
+ * @param {{apiUrl: string, apiKey: string, fetch?: Function}} options
+ * @returns {(batch: object[]) => Promise<void>}
+ */
+export function createHttpTransport({ apiUrl, apiKey, fetch: fetchImpl } = {}) {
+  if (typeof apiUrl !== "string" || apiUrl.trim().length === 0) {
+    throw new TypeError("apiUrl must be a non-empty string");
+  }
+  if (typeof apiKey !== "string" || apiKey.trim().length === 0) {
+    throw new TypeError("apiKey must be a non-empty string");
+  }
+
+  const url = `${apiUrl.trim().replace(/\/+$/, "")}/batch`;
+  const headers = {
+    "Content-Type": "application/json",
+    "X-Api-Key": apiKey.trim()
+  };
+
+  return async function sendBatch(batch) {
+    if (!Array.isArray(batch) || batch.length === 0) {
+      return;
+    }
+
+    const send = resolveFetch(fetchImpl);
+    if (!send) {
+      throw new Error("fetch is not available in this environment");
+    }
+
+    const body = JSON.stringify({ events: batch.map((event) => toIngestPayload(event)) });
+    const response = await send(url, {
+      method: "POST",
+      headers,
+      body,
+      // Lets a batch sent just before the page unloads finish instead of being cancelled.
+      keepalive: byteLength(body) <= MAX_KEEPALIVE_BYTES
+    });
+
+    if (!response.ok && isRetryableStatus(response.status)) {
+      throw new Error(`Ingestion request failed with status ${response.status}`);
+    }
+  };
+}
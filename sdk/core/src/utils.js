@@ -1,3 +1,25 @@
+/** Event severities, most severe first. */
+export const SEVERITY_LEVELS = Object.freeze(["fatal", "error", "warning", "info", "debug"]);
+
+export function isSeverityLevel(value) {
+  return SEVERITY_LEVELS.includes(value);
+}
+
+/**
+ * Match a string against a filter entry: strings match as substrings, RegExps with `test`.
+ * @param {string} value
+ * @param {string|RegExp} pattern
+ * @returns {boolean}
+ */
+export function matchesPattern(value, pattern) {
+  if (typeof pattern === "string") {
+    return value.includes(pattern);
+  }
+  // Global and sticky expressions keep state between `test` calls.
+  pattern.lastIndex = 0;
+  return pattern.test(value);
+}
+
 export function isPlainObject(value) {
   return value !== null && typeof value === "object" && !Array.isArray(value);
 }
@@ -0,0 +1,28 @@
+import { describe, expect, it } from "@jest/globals";
+import { levelForStatus, sanitizePath, stringifyConsoleArg } from "../src/breadcrumbs.js";
+
+describe("breadcrumb helpers", () => {
+  it("scrubs sensitive query parameters in paths and full URLs", () => {
+    expect(sanitizePath("/login?Token=abc&next=%2F", ["token"])).toBe("/login?Token=[Filtered]&next=%2F");
+    expect(sanitizePath("https://api.example.com/users?api%5Fkey=k-1&page=2", (name) => name === "api_key")).toBe(
+      "https://api.example.com/users?api%5Fkey=[Filtered]&page=2"
+    );
+    expect(sanitizePath("/plain", ["token"])).toBe("/plain");
+  });
+
+  it("maps response statuses to breadcrumb levels", () => {
+    expect(levelForStatus(200)).toBe("info");
+    expect(levelForStatus(404)).toBe("warning");
+    expect(levelForStatus(503)).toBe("error");
+    expect(levelForStatus(null)).toBe("error");
+  });
+
+  it("renders console arguments as text", () => {
+    const circular = {};
+    circular.self = circular;
+    expect(stringifyConsoleArg(new TypeError("bad input"))).toBe("TypeError: bad input");
+    expect(stringifyConsoleArg({ id: 1 })).toBe('{"id":1}');
+    expect(stringifyConsoleArg(undefined)).toBe("undefined");
+    expect(stringifyConsoleArg(circular)).toBe("[object Object]");
+  });
+});
@@ -1,5 +1,6 @@
 import { describe, expect, it } from "@jest/globals";
 import { resolveConfig } from "../src/config.js";
+import { DEFAULT_IN_APP_EXCLUDE } from "../src/stack-trace.js";
 
 describe("resolveConfig", () => {
   const base = {
@@ -11,6 +12,7 @@ describe("resolveConfig", () => {
     const result = resolveConfig({
       ...base,
       environment: "staging",
+      release: " checkout@1.4.0 ",
       enabled: false,
       sampleRate: 0.5,
       flushIntervalMs: 2500,
@@ -26,14 +28,25 @@ describe("resolveConfig", () => {
       apiKey: "project-key",
       apiUrl: "https://example.com/ingest",
       environment: "staging",
+      release: "checkout@1.4.0",
       enabled: false,
       sampleRate: 0.5,
       beforeSend: null,
+      beforeBreadcrumb: null,
+      transport: null,
+      storageAdapter: null,
+      isOnline: null,
       flushIntervalMs: 2500,
       maxBatchSize: 10,
       maxQueueSize: 500,
       maxBreadcrumbs: 10,
-      autoCapture: { errors: false, promiseRejections: true },
+      maxCauseDepth: 5,
+      inAppInclude: [],
+      inAppExclude: DEFAULT_IN_APP_EXCLUDE,
+      ignoreErrors: [],
+      denyUrls: [],
+      allowUrls: [],
+      autoCapture: { errors: false, promiseRejections: true, console: false, fetch: false, xhr: false, http: false, clicks: false, navigation: false },
       scrubFields: ["password", "secret", "token", "authorization", "apikey", "cardnumber", "creditcard", "ssn"],
       scrubPatterns: [/\b\d{3}-\d{2}-\d{4}\b/g, /\b(?:\d[ -]?){13,19}\b/g],
       tags: { feature: "checkout" },
@@ -45,6 +58,7 @@ describe("resolveConfig", () => {
     const result = resolveConfig(base);
 
     expect(result.environment).toBe("production");
+    expect(result.release).toBeNull();
     expect(result.enabled).toBe(true);
     expect(result.sampleRate).toBe(1);
     expect(result.beforeSend).toBeNull();
@@ -52,7 +66,8 @@ describe("resolveConfig", () => {
     expect(result.maxBatchSize).toBe(10);
     expect(result.maxQueueSize).toBe(1000);
     expect(result.maxBreadcrumbs).toBe(20);
-    expect(result.autoCapture).toEqual({ errors: true, promiseRejections: true });
+    expect(result.maxCauseDepth).toBe(5);
+    expect(result.autoCapture).toEqual({ errors: true, promiseRejections: true, console: false, fetch: false, xhr: false, http: false, clicks: false, navigation: false });
     expect(result.scrubFields).toEqual(["password", "secret", "token", "authorization", "apikey", "cardnumber", "creditcard", "ssn"]);
     expect(result.scrubPatterns).toEqual([/\b\d{3}-\d{2}-\d{4}\b/g, /\b(?:\d[ -]?){13,19}\b/g]);
     expect(result.tags).toEqual({});
@@ -80,12 +95,31 @@ describe("resolveConfig", () => {
     expect(() => resolveConfig({ ...base, beforeSend: "noop" })).toThrow(/beforeSend/);
   });
 
+  it("requires transport to be a function", () => {
+    expect(() => resolveConfig({ ...base, transport: "https://example.com" })).toThrow(/transport/);
+  });
+
+  it("requires release to be a non-empty string when provided", () => {
+    expect(() => resolveConfig({ ...base, release: "" })).toThrow(/release/);
+    expect(() => resolveConfig({ ...base, release: 12 })).toThrow(/release/);
+  });
+
   it("requires user to be an object when provided", () => {
     expect(() => resolveConfig({ ...base, user: "invalid" })).toThrow(/user/);
   });
 
+  it("validates storageAdapter and isOnline", () => {
+    const storageAdapter = { load: () => [], save: () => {} };
+    const isOnline = () => true;
+
+    expect(resolveConfig({ ...base, storageAdapter, isOnline })).toMatchObject({ storageAdapter, isOnline });
+    expect(() => resolveConfig({ ...base, storageAdapter: { load: () => [] } })).toThrow(/storageAdapter/);
+    expect(() => resolveConfig({ ...base, isOnline: true })).toThrow(/isOnline/);
+  });
+
   it("validates autoCapture flags", () => {
     expect(() => resolveConfig({ ...base, autoCapture: { errors: "nope" } })).toThrow(/autoCapture/);
+    expect(() => resolveConfig({ ...base, autoCapture: { clicks: 1 } })).toThrow(/autoCapture.clicks/);
   });
 
   it("validates tag values", () => {
@@ -97,6 +131,27 @@ describe("resolveConfig", () => {
     expect(() => resolveConfig({ ...base, scrubFields: ["ok", 123] })).toThrow(/scrubFields/);
   });
 
+  it("adds inAppExclude entries to the default exclusions", () => {
+    const result = resolveConfig({ ...base, inAppInclude: ["node_modules/@acme/"], inAppExclude: [" vendor/ ", /\.min\.js$/] });
+
+    expect(result.inAppInclude).toEqual(["node_modules/@acme/"]);
+    expect(result.inAppExclude).toEqual([...DEFAULT_IN_APP_EXCLUDE, "vendor/", /\.min\.js$/]);
+    expect(() => resolveConfig({ ...base, inAppInclude: "src/" })).toThrow(/inAppInclude must be an array/);
+    expect(() => resolveConfig({ ...base, inAppExclude: [42] })).toThrow(/inAppExclude entries/);
+  });
+
+  it("validates ignoreErrors, denyUrls, allowUrls and beforeBreadcrumb", () => {
+    const result = resolveConfig({ ...base, ignoreErrors: [" ResizeObserver loop ", /^AbortError/], denyUrls: [/extensions\//], allowUrls: ["https://app.example.com"] });
+
+    expect(result.ignoreErrors).toEqual(["ResizeObserver loop", /^AbortError/]);
+    expect(result.denyUrls).toEqual([/extensions\//]);
+    expect(result.allowUrls).toEqual(["https://app.example.com"]);
+    expect(() => resolveConfig({ ...base, ignoreErrors: "Script error" })).toThrow(/ignoreErrors must be an array/);
+    expect(() => resolveConfig({ ...base, denyUrls: [""] })).toThrow(/denyUrls entries/);
+    expect(() => resolveConfig({ ...base, allowUrls: [null] })).toThrow(/allowUrls entries/);
+    expect(() => resolveConfig({ ...base, beforeBreadcrumb: "drop" })).toThrow(/beforeBreadcrumb must be a function/);
+  });
+
   it("requires scrubPatterns to be regular expressions", () => {
     expect(() => resolveConfig({ ...base, scrubPatterns: "pattern" })).toThrow(/scrubPatterns/);
     expect(() => resolveConfig({ ...base, scrubPatterns: [/abc/, "def"] })).toThrow(/scrubPatterns/);
@@ -25,6 +25,14 @@ describe("ErrorMonitor", () => {
     expect(config.tags).toEqual({});
   });
 
+  it("tags every event with the configured release", () => {
+    const monitor = new ErrorMonitor();
+    monitor.init({ ...validConfig, release: "checkout@2.0.1" });
+
+    const event = monitor.captureError(new Error("boom"));
+    expect(event.release).toBe("checkout@2.0.1");
+  });
+
   it("respects disabled flag", () => {
     const monitor = new ErrorMonitor();
     monitor.init({ ...validConfig, enabled: false });
@@ -115,6 +123,179 @@ describe("ErrorMonitor", () => {
     expect(event.system).toHaveProperty("platform");
   });
 
+  it("lets a per-call user override the global user", () => {
+    const monitor = new ErrorMonitor();
+    monitor.init(validConfig);
+
+    monitor.setUser({ id: "u-1" });
+    const event = monitor.captureError(new Error("boom"), { user: { id: "u-2" }, route: "/orders" });
+
+    expect(event.user).toEqual({ id: "u-2" });
+    expect(event.context).toEqual({ route: "/orders" });
+    expect(monitor.captureError(new Error("again")).user).toEqual({ id: "u-1" });
+  });
+
+  it("records a severity level on every event", () => {
+    const monitor = new ErrorMonitor();
+    monitor.init(validConfig);
+
+    expect(monitor.captureError(new Error("boom")).level).toBe("error");
+    const fatal = monitor.captureError(new Error("crash"), { level: "fatal", route: "/orders" });
+    expect(fatal.level).toBe("fatal");
+    expect(fatal.context).toEqual({ route: "/orders" });
+    expect(() => monitor.captureError(new Error("boom"), { level: "severe" })).toThrow(/level must be one of/);
+  });
+
+  it("attaches a fingerprint from the capture context", () => {
+    const monitor = new ErrorMonitor();
+    monitor.init(validConfig);
+
+    const event = monitor.captureError(new Error("boom"), { fingerprint: ["{{ default }}", "checkout"], route: "/pay" });
+    expect(event.fingerprint).toEqual(["{{ default }}", "checkout"]);
+    expect(event.context).toEqual({ route: "/pay" });
+    expect(monitor.captureMessage("Cache warmed", "info", { fingerprint: ["cache"] }).fingerprint).toEqual(["cache"]);
+    expect(monitor.captureError(new Error("plain"))).not.toHaveProperty("fingerprint");
+    expect(() => monitor.captureError(new Error("boom"), { fingerprint: [] })).toThrow(/fingerprint must be a non-empty array/);
+    expect(() => monitor.captureError(new Error("boom"), { fingerprint: "checkout" })).toThrow(/fingerprint/);
+  });
+
+  it("captures messages without an exception", () => {
+    const monitor = new ErrorMonitor();
+    monitor.init({ ...validConfig, tags: { service: "billing" } });
+
+    const info = monitor.captureMessage("  Retry budget exhausted  ");
+    const warning = monitor.captureMessage("Slow checkout", "warning", { tags: { step: "pay" }, level: "debug" });
+
+    expect(info).toMatchObject({ message: "Retry budget exhausted", level: "info", tags: { service: "billing" } });
+    expect(info).not.toHaveProperty("error");
+    expect(warning).toMatchObject({ level: "warning", tags: { service: "billing", step: "pay" } });
+    expect(monitor.getBufferedEvents()).toHaveLength(2);
+    expect(() => monitor.captureMessage("", "info")).toThrow(/message must be a non-empty string/);
+    expect(() => monitor.captureMessage("hi", "loud")).toThrow(/level must be one of/);
+    expect(() => new ErrorMonitor().captureMessage("hi")).toThrow(/init must be called/);
+  });
+
+  it("captures cause chains and aggregate members as linked exceptions", () => {
+    const monitor = new ErrorMonitor();
+    monitor.init(validConfig);
+
+    const root = new TypeError("socket closed");
+    const aggregate = new AggregateError([new Error("replica 1 down"), "replica 2 timed out"], "all replicas failed", { cause: root });
+    const wrapped = new Error("checkout failed", { cause: aggregate });
+
+    const { linkedExceptions } = monitor.captureError(wrapped).error;
+
+    expect(linkedExceptions.map(({ name, message, relation, depth }) => ({ name, message, relation, depth }))).toEqual([
+      { name: "AggregateError", message: "all replicas failed", relation: "cause", depth: 1 },
+      { name: "TypeError", message: "socket closed", relation: "cause", depth: 2 },
+      { name: "Error", message: "replica 1 down", relation: "aggregate", depth: 2 },
+      { name: "Error", message: "replica 2 timed out", relation: "aggregate", depth: 2 }
+    ]);
+    expect(linkedExceptions[1].stacktrace.length).toBeGreaterThan(0);
+    expect(linkedExceptions[3].stacktrace).toEqual([]);
+    expect(monitor.captureError(new Error("plain")).error).not.toHaveProperty("linkedExceptions");
+  });
+
+  it("stops at maxCauseDepth and on cycles", () => {
+    const monitor = new ErrorMonitor();
+    monitor.init({ ...validConfig, maxCauseDepth: 2 });
+
+    const deep = new Error("level 0", { cause: new Error("level 1", { cause: new Error("level 2", { cause: new Error("level 3") }) }) });
+    expect(monitor.captureError(deep).error.linkedExceptions.map((entry) => entry.message)).toEqual(["level 1", "level 2"]);
+
+    const first = new Error("first");
+    const second = new Error("second", { cause: first });
+    first.cause = second;
+    expect(monitor.captureError(first).error.linkedExceptions.map((entry) => entry.message)).toEqual(["second"]);
+  });
+
+  it("marks in-app frames using inAppInclude and inAppExclude", () => {
+    const monitor = new ErrorMonitor();
+    monitor.init({ ...validConfig, inAppExclude: ["/lib/"] });
+    const error = new Error("boom");
+    error.stack = [
+      "Error: boom",
+      "    at handler (/srv/app/src/routes.js:10:5)",
+      "    at Layer.handle (/srv/app/node_modules/express/lib/router/layer.js:95:5)",
+      "    at wrap (/srv/app/lib/wrap.js:3:1)",
+      "    at process.processTicksAndRejections (node:internal/process/task_queues:95:5)"
+    ].join("\n");
+
+    expect(monitor.captureError(error).error.stacktrace.map((frame) => frame.inApp)).toEqual([true, false, false, false]);
+  });
+
+  it("drops errors matching ignoreErrors before they are queued", () => {
+    const monitor = new ErrorMonitor();
+    monitor.init({ ...validConfig, ignoreErrors: ["ResizeObserver loop", /^AbortError$/, "TypeError: Failed to fetch"] });
+
+    expect(monitor.captureError(new Error("ResizeObserver loop limit exceeded"))).toBeNull();
+    expect(monitor.captureError(Object.assign(new Error("The user aborted a request."), { name: "AbortError" }))).toBeNull();
+    expect(monitor.captureError(new TypeError("Failed to fetch"))).toBeNull();
+    expect(monitor.captureError(new Error("Failed to fetch"))).not.toBeNull();
+    expect(monitor.getBufferedEvents()).toHaveLength(1);
+  });
+
+  it("filters errors by the file that threw them with denyUrls and allowUrls", () => {
+    const monitor = new ErrorMonitor();
+    monitor.init({ ...validConfig, denyUrls: [/^chrome-extension:/], allowUrls: ["https://app.example.com/"] });
+    const thrownFrom = (file) => {
+      const error = new Error("boom");
+      error.stack = `Error: boom\n    at run (${file}:1:1)\n    at main (https://app.example.com/main.js:2:2)`;
+      return error;
+    };
+
+    expect(monitor.captureError(thrownFrom("chrome-extension://abc/content.js"))).toBeNull();
+    expect(monitor.captureError(thrownFrom("https://cdn.thirdparty.com/widget.js"))).toBeNull();
+    expect(monitor.captureError(thrownFrom("https://app.example.com/checkout.js"))).not.toBeNull();
+    expect(monitor.captureError(Object.assign(new Error("no frames"), { stack: "Error: no frames" }))).not.toBeNull();
+  });
+
+  it("runs beforeBreadcrumb on recorded and context breadcrumbs", () => {
+    const monitor = new ErrorMonitor();
+    const beforeBreadcrumb = jest.fn((crumb) => (crumb.category === "console" ? null : { ...crumb, message: crumb.message.toUpperCase() }));
+    monitor.init({ ...validConfig, beforeBreadcrumb });
+
+    expect(monitor.addBreadcrumb({ message: "debug output", category: "console" })).toBeNull();
+    expect(monitor.addBreadcrumb({ message: "clicked", category: "ui" })).toMatchObject({ message: "CLICKED" });
+
+    const event = monitor.captureError(new Error("boom"), { breadcrumbs: [{ message: "retried" }, { message: "log", category: "console" }] });
+    expect(event.breadcrumbs.map((crumb) => crumb.message)).toEqual(["CLICKED", "RETRIED"]);
+
+    beforeBreadcrumb.mockReturnValue("nope");
+    expect(() => monitor.addBreadcrumb({ message: "clicked" })).toThrow(/beforeBreadcrumb must return/);
+  });
+
+  it("runs the stack frame processor over every stack and survives it failing", () => {
+    const monitor = new ErrorMonitor();
+    monitor.init(validConfig);
+    monitor.setStackFrameProcessor((frames) => frames.map((frame) => ({ ...frame, contextLine: "throw error;" })));
+
+    const event = monitor.captureError(new Error("outer", { cause: new Error("inner") }));
+    expect(event.error.stacktrace[0].contextLine).toBe("throw error;");
+    expect(event.error.linkedExceptions[0].stacktrace[0].contextLine).toBe("throw error;");
+
+    monitor.setStackFrameProcessor(() => {
+      throw new Error("processor bug");
+    });
+    expect(monitor.captureError(new Error("still sent")).error.stacktrace.length).toBeGreaterThan(0);
+    expect(() => monitor.setStackFrameProcessor("nope")).toThrow(/must be a function/);
+  });
+
+  it("skips the stack frame processor for disabled and sampled-out events", () => {
+    const processor = jest.fn((frames) => frames);
+    jest.spyOn(Math, "random").mockReturnValue(0.9);
+    const sampled = new ErrorMonitor();
+    sampled.init({ ...validConfig, sampleRate: 0.1 });
+    sampled.setStackFrameProcessor(processor);
+    const disabled = new ErrorMonitor();
+    disabled.init({ ...validConfig, enabled: false });
+    disabled.setStackFrameProcessor(processor);
+
+    expect(sampled.captureError(new Error("sampled out"))).toBeNull();
+    expect(disabled.captureError(new Error("disabled"))).toBeNull();
+    expect(processor).not.toHaveBeenCalled();
+  });
+
   it("merges tags and breadcrumbs", () => {
     const monitor = new ErrorMonitor();
     monitor.init({ ...validConfig, tags: { release: "1.0.0" }, maxBreadcrumbs: 3 });
@@ -191,6 +372,30 @@ describe("ErrorMonitor", () => {
     expect(event.breadcrumbs[1].message).toBe("Third");
   });
 
+  it("delivers queued events through the configured transport", async () => {
+    const transport = jest.fn().mockResolvedValue();
+    const monitor = new ErrorMonitor();
+    monitor.init({ ...validConfig, transport, maxBatchSize: 2 });
+
+    monitor.captureError(new Error("first"));
+    expect(transport).not.toHaveBeenCalled();
+    monitor.captureError(new Error("second"));
+
+    await Promise.resolve();
+    expect(transport).toHaveBeenCalledTimes(1);
+    expect(transport.mock.calls[0][0].map((event) => event.error.message)).toEqual(["first", "second"]);
+    expect(monitor.getBufferedEvents()).toHaveLength(0);
+  });
+
+  it("drops buffered events when re-initialized", () => {
+    const monitor = new ErrorMonitor();
+    monitor.init({ ...validConfig, transport: jest.fn() });
+    monitor.captureError(new Error("stale"));
+
+    monitor.init({ ...validConfig, transport: jest.fn() });
+    expect(monitor.getBufferedEvents()).toHaveLength(0);
+  });
+
   it("supports replacing tags", () => {
     const monitor = new ErrorMonitor();
     monitor.init(validConfig);
@@ -202,4 +407,40 @@ describe("ErrorMonitor", () => {
     expect(event.tags).toEqual({ release: "1.1", region: "us-east" });
     expect(event.error.stacktrace).toEqual(expect.any(Array));
   });
+
+  it("flushes queued events through the transport", async () => {
+    const transport = jest.fn().mockResolvedValue();
+    const monitor = new ErrorMonitor({ ...validConfig, transport });
+
+    monitor.captureError(new Error("one"));
+    monitor.captureError(new Error("two"));
+
+    await expect(monitor.flush(1000)).resolves.toBe(true);
+    expect(transport).toHaveBeenCalledTimes(1);
+    expect(transport.mock.calls[0][0]).toHaveLength(2);
+    expect(monitor.getBufferedEvents()).toHaveLength(0);
+  });
+
+  it("stops waiting for a slow transport after the timeout", async () => {
+    const transport = jest.fn(() => new Promise(() => {}));
+    const monitor = new ErrorMonitor({ ...validConfig, transport });
+    monitor.captureError(new Error("stuck"));
+
+    await expect(monitor.flush(20)).resolves.toBe(false);
+  });
+
+  it("stops capturing after close", async () => {
+    const transport = jest.fn().mockResolvedValue();
+    const monitor = new ErrorMonitor({ ...validConfig, transport });
+    monitor.captureError(new Error("before close"));
+
+    await expect(monitor.close(1000)).resolves.toBe(true);
+
+    expect(transport).toHaveBeenCalledTimes(1);
+    expect(monitor.isEnabled()).toBe(false);
+    expect(monitor.captureError(new Error("after close"))).toBeNull();
+
+    monitor.init({ ...validConfig, transport });
+    expect(monitor.isEnabled()).toBe(true);
+  });
 });
@@ -206,4 +206,73 @@ describe("EventQueue", () => {
     expect(queue.size()).toBe(0);
     expect(storage.clear).toHaveBeenCalledTimes(1);
   });
+
+  it("hands batches to a synchronous sender until it refuses one", () => {
+    const storage = {
+      load: jest.fn(() => ["a", "b", "c", "d", "e"].map((id) => ({ id }))),
+      save: jest.fn(),
+      clear: jest.fn()
+    };
+    const queue = new EventQueue({
+      sendBatch: jest.fn(),
+      flushIntervalMs: 500,
+      maxBatchSize: 2,
+      maxQueueSize: 10,
+      storageAdapter: storage
+    });
+
+    const sendBatchSync = jest.fn().mockReturnValueOnce(true).mockReturnValueOnce(false);
+    const sent = queue.flushSync(sendBatchSync);
+
+    expect(sent).toBe(2);
+    expect(sendBatchSync).toHaveBeenNthCalledWith(1, [{ id: "a" }, { id: "b" }]);
+    expect(queue.getBufferedEvents().map((event) => event.id)).toEqual(["c", "d", "e"]);
+    expect(storage.save).toHaveBeenLastCalledWith([{ id: "c" }, { id: "d" }, { id: "e" }]);
+
+    expect(queue.flushSync(() => true)).toBe(3);
+    expect(queue.size()).toBe(0);
+    expect(storage.clear).toHaveBeenCalled();
+  });
+
+  it("hands the batch still in flight to the synchronous sender first", async () => {
+    let rejectSend;
+    const sendBatch = jest.fn(() => new Promise((resolve, reject) => {
+      rejectSend = reject;
+    }));
+    const queue = new EventQueue({ sendBatch, flushIntervalMs: 500, maxBatchSize: 2, maxQueueSize: 10 });
+    ["a", "b", "c"].forEach((id) => queue.enqueue({ id }));
+    await flushMicrotasks();
+    expect(sendBatch).toHaveBeenCalledWith([{ id: "a" }, { id: "b" }]);
+
+    const sendBatchSync = jest.fn(() => true);
+    expect(queue.flushSync(sendBatchSync)).toBe(3);
+    expect(sendBatchSync).toHaveBeenNthCalledWith(1, [{ id: "a" }, { id: "b" }]);
+    expect(sendBatchSync).toHaveBeenNthCalledWith(2, [{ id: "c" }]);
+
+    // The original request failing afterwards must not queue the batch again.
+    rejectSend(new Error("cancelled by unload"));
+    await flushMicrotasks();
+    await flushMicrotasks();
+    expect(queue.size()).toBe(0);
+  });
+
+  it("keeps the batch in flight in storage until its send settles", async () => {
+    let resolveSend;
+    const sendBatch = jest.fn(() => new Promise((resolve) => {
+      resolveSend = resolve;
+    }));
+    const saved = [];
+    const storage = { load: jest.fn(() => []), save: jest.fn((events) => saved.push(events.map((event) => event.id))), clear: jest.fn() };
+    const queue = new EventQueue({ sendBatch, flushIntervalMs: 500, maxBatchSize: 2, maxQueueSize: 10, storageAdapter: storage });
+    ["a", "b"].forEach((id) => queue.enqueue({ id }));
+    await flushMicrotasks();
+    expect(sendBatch).toHaveBeenCalledWith([{ id: "a" }, { id: "b" }]);
+
+    queue.enqueue({ id: "c" });
+    expect(saved[saved.length - 1]).toEqual(["a", "b", "c"]);
+
+    resolveSend();
+    await flushMicrotasks();
+    expect(saved[saved.length - 1]).toEqual(["c"]);
+  });
 });
@@ -0,0 +1,102 @@
+import { describe, expect, it } from "@jest/globals";
+import { ErrorMonitor, Scope } from "../src/index.js";
+
+const validConfig = {
+  apiKey: "test-key",
+  apiUrl: "https://example.com/errors"
+};
+
+// Minimal synchronous stand-in for the AsyncLocalStorage manager used by the Node SDK.
+function createStackScopeManager() {
+  const stack = [];
+  return {
+    getActiveScope: () => stack[stack.length - 1] || null,
+    runInScope(scope, callback) {
+      stack.push(scope);
+      try {
+        return callback();
+      } finally {
+        stack.pop();
+      }
+    }
+  };
+}
+
+describe("Scope", () => {
+  it("validates tags and users", () => {
+    const scope = new Scope();
+    expect(() => scope.setTag("", "x")).toThrow(/tag key/);
+    expect(() => scope.setTags({ nested: {} })).toThrow(/tag values/);
+    expect(() => scope.setUser("ada")).toThrow(/user/);
+  });
+
+  it("clones without sharing state", () => {
+    const scope = new Scope({ tags: { region: "eu" }, maxBreadcrumbs: 2 });
+    scope.addBreadcrumb({ message: "first" });
+    const copy = scope.clone();
+
+    copy.setTag("region", "us");
+    copy.addBreadcrumb({ message: "second" });
+    copy.addBreadcrumb({ message: "third" });
+
+    expect(scope.getTags()).toEqual({ region: "eu" });
+    expect(scope.getBreadcrumbs().map((crumb) => crumb.message)).toEqual(["first"]);
+    expect(copy.getBreadcrumbs().map((crumb) => crumb.message)).toEqual(["second", "third"]);
+  });
+});
+
+describe("ErrorMonitor scopes", () => {
+  it("shares the global scope without a scope manager", () => {
+    const monitor = new ErrorMonitor(validConfig);
+
+    monitor.withScope((scope) => {
+      expect(scope).toBe(monitor.getGlobalScope());
+      monitor.setTag("feature", "checkout");
+    });
+
+    expect(monitor.getCurrentScope()).toBe(monitor.getGlobalScope());
+    expect(monitor.captureError(new Error("boom")).tags).toEqual({ feature: "checkout" });
+  });
+
+  it("merges isolated scope data over the global scope", () => {
+    const monitor = new ErrorMonitor({ ...validConfig, tags: { service: "api" } });
+    monitor.setScopeManager(createStackScopeManager());
+    monitor.setUser({ id: "global" });
+    monitor.addBreadcrumb({ message: "boot", timestamp: "2024-01-01T00:00:00.000Z" });
+
+    const event = monitor.withScope(() => {
+      monitor.setUser({ id: "u-7" });
+      monitor.setTag("route", "/orders");
+      monitor.addBreadcrumb({ message: "query", timestamp: "2024-01-01T00:00:01.000Z" });
+      return monitor.captureError(new Error("inside"));
+    });
+
+    expect(event.user).toEqual({ id: "u-7" });
+    expect(event.tags).toEqual({ service: "api", route: "/orders" });
+    expect(event.breadcrumbs.map((crumb) => crumb.message)).toEqual(["boot", "query"]);
+
+    const outside = monitor.captureError(new Error("outside"));
+    expect(outside.user).toEqual({ id: "global" });
+    expect(outside.tags).toEqual({ service: "api" });
+    expect(outside.breadcrumbs.map((crumb) => crumb.message)).toEqual(["boot"]);
+  });
+
+  it("forks nested scopes from the active one", () => {
+    const monitor = new ErrorMonitor(validConfig);
+    monitor.setScopeManager(createStackScopeManager());
+
+    monitor.withScope(() => {
+      monitor.setTag("outer", true);
+      monitor.withScope(() => {
+        monitor.setTag("inner", true);
+        expect(monitor.captureError(new Error("nested")).tags).toEqual({ outer: true, inner: true });
+      });
+      expect(monitor.captureError(new Error("outer")).tags).toEqual({ outer: true });
+    });
+  });
+
+  it("rejects incomplete scope managers", () => {
+    const monitor = new ErrorMonitor(validConfig);
+    expect(() => monitor.setScopeManager({ getActiveScope: () => null })).toThrow(/scope manager/);
+  });
+});
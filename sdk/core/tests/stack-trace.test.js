@@ -1,5 +1,5 @@
 import { describe, expect, it } from "@jest/globals";
-import { parseStackTrace } from "../src/stack-trace.js";
+import { isInAppFile, markInAppFrames, parseStackTrace } from "../src/stack-trace.js";
 
 describe("parseStackTrace", () => {
   it("parses V8 stack frames", () => {
@@ -62,3 +62,31 @@ describe("parseStackTrace", () => {
     expect(parseStackTrace(" ")).toEqual([]);
   });
 });
+
+describe("isInAppFile", () => {
+  it("excludes dependencies, Node.js internals and browser extensions by default", () => {
+    expect(isInAppFile("/srv/app/src/cart.js")).toBe(true);
+    expect(isInAppFile("https://shop.example.com/static/js/main.js")).toBe(true);
+    expect(isInAppFile("/srv/app/node_modules/express/lib/router/layer.js")).toBe(false);
+    expect(isInAppFile("node:internal/process/task_queues")).toBe(false);
+    expect(isInAppFile("chrome-extension://abcdef/content.js")).toBe(false);
+    expect(isInAppFile("<anonymous>")).toBe(false);
+    expect(isInAppFile(null)).toBe(false);
+  });
+
+  it("lets include patterns win over exclusions", () => {
+    const options = { include: ["node_modules/@acme/"], exclude: [/node_modules/, /vendor\//g] };
+
+    expect(isInAppFile("/srv/app/node_modules/@acme/ui/index.js", options)).toBe(true);
+    expect(isInAppFile("/srv/app/node_modules/lodash/index.js", options)).toBe(false);
+    expect(isInAppFile("/srv/app/vendor/chart.js", options)).toBe(false);
+    expect(isInAppFile("/srv/app/vendor/chart.js", options)).toBe(false);
+  });
+
+  it("marks every frame", () => {
+    expect(markInAppFrames([{ fileName: "/srv/app/a.js" }, { fileName: "node:fs" }])).toEqual([
+      { fileName: "/srv/app/a.js", inApp: true },
+      { fileName: "node:fs", inApp: false }
+    ]);
+  });
+});
@@ -0,0 +1,189 @@
+import { describe, expect, it, jest } from "@jest/globals";
+import { createHttpTransport, toIngestPayload, toStackFrame } from "../src/transport.js";
+
+function createEvent(overrides = {}) {
+  return {
+    id: "evt-1",
+    apiKey: "key",
+    timestamp: "2024-01-01T00:00:00.000Z",
+    environment: "staging",
+    sdkVersion: "0.1.0",
+    system: { platform: "node" },
+    sessionId: "session-1",
+    user: { id: "u-1" },
+    context: { route: "/checkout" },
+    tags: { feature: "cart" },
+    breadcrumbs: [{ message: "clicked", category: "ui", level: "info", timestamp: "2024-01-01T00:00:00.000Z" }],
+    error: {
+      name: "TypeError",
+      message: "boom",
+      stack: "",
+      stacktrace: [
+        { functionName: "render", fileName: "/app/src/view.js", lineNumber: 12, columnNumber: 4, raw: "" }
+      ]
+    },
+    ...overrides
+  };
+}
+
+describe("toStackFrame", () => {
+  it("maps parsed frames onto the ingestion shape", () => {
+    expect(toStackFrame({ functionName: "run", fileName: "app.js", lineNumber: 3, columnNumber: 9 })).toEqual({
+      file: "app.js",
+      line: 3,
+      column: 9,
+      function: "run"
+    });
+  });
+
+  it("passes source context through when a frame has it", () => {
+    const frame = { fileName: "/srv/app.js", lineNumber: 4, columnNumber: 9, functionName: "explode", contextLine: "boom();", preContext: ["a();"] };
+
+    expect(toStackFrame(frame)).toEqual({
+      file: "/srv/app.js",
+      line: 4,
+      column: 9,
+      function: "explode",
+      preContext: ["a();"],
+      contextLine: "boom();",
+      postContext: []
+    });
+  });
+
+  it("falls back to an unknown frame for invalid input", () => {
+    expect(toStackFrame(null)).toEqual({ file: "unknown", line: null, column: null, function: null });
+  });
+});
+
+describe("toIngestPayload", () => {
+  it("builds the POST /api/errors body", () => {
+    const payload = toIngestPayload(createEvent());
+
+    expect(payload).toEqual({
+      message: "TypeError: boom",
+      level: "error",
+      environment: "staging",
+      stackTrace: [{ file: "/app/src/view.js", line: 12, column: 4, function: "render" }],
+      userContext: { id: "u-1" },
+      metadata: {
+        tags: { feature: "cart" },
+        context: { route: "/checkout" },
+        breadcrumbs: [expect.objectContaining({ message: "clicked" })],
+        eventId: "evt-1",
+        sessionId: "session-1",
+        sdkVersion: "0.1.0",
+        system: { platform: "node" }
+      },
+      timestamp: "2024-01-01T00:00:00.000Z"
+    });
+  });
+
+  it("sends the release when the event has one", () => {
+    expect(toIngestPayload(createEvent({ release: "web@1.2.3" })).release).toBe("web@1.2.3");
+    expect(toIngestPayload(createEvent({ release: null }))).not.toHaveProperty("release");
+  });
+
+  it("sends the fingerprint within the ingestion limits", () => {
+    const parts = Array.from({ length: 12 }, (_, index) => `part-${index}`);
+
+    expect(toIngestPayload(createEvent({ fingerprint: ["{{ default }}", "cart"] })).fingerprint).toEqual(["{{ default }}", "cart"]);
+    expect(toIngestPayload(createEvent({ fingerprint: parts })).fingerprint).toHaveLength(10);
+    expect(toIngestPayload(createEvent({ fingerprint: ["x".repeat(300)] })).fingerprint[0]).toHaveLength(200);
+    expect(toIngestPayload(createEvent({ fingerprint: [""] }))).not.toHaveProperty("fingerprint");
+    expect(toIngestPayload(createEvent())).not.toHaveProperty("fingerprint");
+  });
+
+  it("sends captureMessage events as plain messages with their level", () => {
+    const payload = toIngestPayload(createEvent({ error: undefined, message: "Cache warmed", level: "info" }));
+
+    expect(payload.message).toBe("Cache warmed");
+    expect(payload.level).toBe("info");
+    expect(payload.stackTrace).toEqual([{ file: "unknown", line: null, column: null, function: null }]);
+    expect(toIngestPayload(createEvent({ level: "loud" })).level).toBe("error");
+  });
+
+  it("sends linked exceptions with their own frames", () => {
+    const payload = toIngestPayload(
+      createEvent({
+        error: {
+          name: "Error",
+          message: "checkout failed",
+          stacktrace: [],
+          linkedExceptions: [
+            {
+              name: "TypeError",
+              message: "socket closed",
+              relation: "cause",
+              depth: 1,
+              stacktrace: [{ functionName: "connect", fileName: "db.js", lineNumber: 4, columnNumber: 2 }]
+            }
+          ]
+        }
+      })
+    );
+
+    expect(payload.linkedExceptions).toEqual([
+      {
+        name: "TypeError",
+        message: "socket closed",
+        relation: "cause",
+        depth: 1,
+        stackTrace: [{ file: "db.js", line: 4, column: 2, function: "connect" }]
+      }
+    ]);
+    expect(toIngestPayload(createEvent())).not.toHaveProperty("linkedExceptions");
+  });
+
+  it("always provides at least one stack frame", () => {
+    const payload = toIngestPayload(createEvent({ error: { name: "Error", message: "no stack", stacktrace: [] } }));
+    expect(payload.stackTrace).toEqual([{ file: "unknown", line: null, column: null, function: null }]);
+  });
+});
+
+describe("createHttpTransport", () => {
+  it("requires apiUrl and apiKey", () => {
+    expect(() => createHttpTransport({ apiKey: "key" })).toThrow(/apiUrl/);
+    expect(() => createHttpTransport({ apiUrl: "https://example.com/errors" })).toThrow(/apiKey/);
+  });
+
+  it("posts the whole batch to the batch endpoint with the API key header", async () => {
+    const fetchImpl = jest.fn().mockResolvedValue({ ok: true, status: 200 });
+    const sendBatch = createHttpTransport({ apiUrl: "https://example.com/errors/", apiKey: "key", fetch: fetchImpl });
+
+    await sendBatch([createEvent(), createEvent({ id: "evt-2" })]);
+
+    expect(fetchImpl).toHaveBeenCalledTimes(1);
+    const [url, init] = fetchImpl.mock.calls[0];
+    expect(url).toBe("https://example.com/errors/batch");
+    expect(init.method).toBe("POST");
+    expect(init.keepalive).toBe(true);
+    expect(init.headers).toMatchObject({ "Content-Type": "application/json", "X-Api-Key": "key" });
+    const body = JSON.parse(init.body);
+    expect(body.events).toHaveLength(2);
+    expect(body.events[0].message).toBe("TypeError: boom");
+    expect(body.events[1].metadata.eventId).toBe("evt-2");
+  });
+
+  it("only asks for keepalive when the body fits the browser limit", async () => {
+    const fetchImpl = jest.fn().mockResolvedValue({ ok: true, status: 200 });
+    const sendBatch = createHttpTransport({ apiUrl: "https://example.com/errors", apiKey: "key", fetch: fetchImpl });
+
+    await sendBatch([createEvent({ context: { payload: "é".repeat(40 * 1024) } })]);
+
+    expect(fetchImpl.mock.calls[0][1].keepalive).toBe(false);
+  });
+
+  it("rejects on retryable responses so the queue retries", async () => {
+    const fetchImpl = jest.fn().mockResolvedValue({ ok: false, status: 503 });
+    const sendBatch = createHttpTransport({ apiUrl: "https://example.com/errors", apiKey: "key", fetch: fetchImpl });
+
+    await expect(sendBatch([createEvent()])).rejects.toThrow(/503/);
+  });
+
+  it("drops events the API rejects as invalid", async () => {
+    const fetchImpl = jest.fn().mockResolvedValue({ ok: false, status: 422 });
+    const sendBatch = createHttpTransport({ apiUrl: "https://example.com/errors", apiKey: "key", fetch: fetchImpl });
+
+    await expect(sendBatch([createEvent()])).resolves.toBeUndefined();
+  });
+});
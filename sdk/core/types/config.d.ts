@@ -1,23 +1,50 @@
-import type { AutoCaptureOptions, BeforeSendHook, ScrubOptions, TagValue } from "./shared";
+import type { AutoCaptureOptions, BeforeBreadcrumbHook, BeforeSendHook, ScrubOptions, TagValue } from "./shared";
+import type { Transport } from "./transport";
+import type { StorageAdapter } from "./event-queue";
 
 export interface ErrorMonitorConfig extends ScrubOptions {
   apiKey: string;
   apiUrl: string;
   environment?: string;
+  release?: string | null;
   enabled?: boolean;
   sampleRate?: number;
   beforeSend?: BeforeSendHook | null;
+  /** Edit or drop (by returning null) breadcrumbs before they are recorded. */
+  beforeBreadcrumb?: BeforeBreadcrumbHook | null;
+  transport?: Transport | null;
+  /** Persists queued events so they survive reloads and restarts. */
+  storageAdapter?: StorageAdapter | null;
+  /** While this returns false, flushes are deferred instead of failing. */
+  isOnline?: (() => boolean) | null;
   flushIntervalMs?: number;
   maxBatchSize?: number;
   maxQueueSize?: number;
   maxBreadcrumbs?: number;
+  /** How many levels of `cause` and `AggregateError` members to capture. */
+  maxCauseDepth?: number;
+  /** Files matching any entry are application code, even when excluded. Strings match as substrings. */
+  inAppInclude?: Array<string | RegExp>;
+  /** Added to the defaults, which exclude node_modules, `node:` internals and browser extensions. */
+  inAppExclude?: Array<string | RegExp>;
+  /** Drop errors whose message, type or `"Type: message"` matches. Strings match as substrings. */
+  ignoreErrors?: Array<string | RegExp>;
+  /** Drop errors thrown from matching files. */
+  denyUrls?: Array<string | RegExp>;
+  /** When set, only keep errors thrown from matching files. */
+  allowUrls?: Array<string | RegExp>;
   autoCapture?: AutoCaptureOptions | null;
   tags?: Record<string, TagValue>;
   user?: Record<string, unknown> | null;
 }
 
-export interface ResolvedConfig extends Required<Omit<ErrorMonitorConfig, "beforeSend" | "autoCapture" | "tags" | "user">> {
+export interface ResolvedConfig extends Required<Omit<ErrorMonitorConfig, "release" | "beforeSend" | "beforeBreadcrumb" | "transport" | "storageAdapter" | "isOnline" | "autoCapture" | "tags" | "user">> {
+  release: string | null;
   beforeSend: BeforeSendHook | null;
+  beforeBreadcrumb: BeforeBreadcrumbHook | null;
+  transport: Transport | null;
+  storageAdapter: StorageAdapter | null;
+  isOnline: (() => boolean) | null;
   autoCapture: Required<AutoCaptureOptions>;
   tags: Record<string, TagValue>;
   user: Record<string, unknown> | null;
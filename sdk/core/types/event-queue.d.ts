@@ -21,6 +21,9 @@ export declare class EventQueue<T = unknown> {
   constructor(options: EventQueueOptions<T>);
   enqueue(event: T): T;
   flush(options?: FlushOptions): Promise<void>;
+  flushSync(sendBatchSync: (batch: T[]) => boolean): number;
+  drain(): Promise<boolean>;
+  stop(): void;
   getBufferedEvents(): T[];
   clear(): void;
   size(): number;
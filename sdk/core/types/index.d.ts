@@ -1,12 +1,15 @@
 import type {
   AutoCaptureOptions,
+  BeforeBreadcrumbHook,
   BeforeSendHook,
   Breadcrumb,
   ErrorContext,
   ErrorMonitorEvent,
+  LinkedException,
   NormalizedError,
   NormalizedStackFrame,
   ScrubOptions,
+  SeverityLevel,
   SystemMetadata,
   TagValue
 } from "./shared";
@@ -20,9 +23,18 @@ import type {
   FlushOptions,
   StorageAdapter
 } from "./event-queue";
+import type { Scope, ScopeManager, ScopeOptions } from "./scope";
+import type {
+  HttpTransportOptions,
+  IngestLinkedException,
+  IngestPayload,
+  IngestStackFrame,
+  Transport
+} from "./transport";
 
 export type {
   AutoCaptureOptions,
+  BeforeBreadcrumbHook,
   BeforeSendHook,
   Breadcrumb,
   ErrorContext,
@@ -30,15 +42,26 @@ export type {
   ErrorMonitorEvent,
   EventQueueOptions,
   FlushOptions,
+  HttpTransportOptions,
+  IngestLinkedException,
+  IngestPayload,
+  IngestStackFrame,
+  LinkedException,
   NormalizedError,
   NormalizedStackFrame,
   ResolvedConfig,
+  ScopeManager,
+  ScopeOptions,
   ScrubOptions,
+  SeverityLevel,
   StorageAdapter,
   SystemMetadata,
-  TagValue
+  TagValue,
+  Transport
 };
 
+export type StackFrameProcessor = (frames: NormalizedStackFrame[]) => NormalizedStackFrame[];
+
 export interface SetTagsOptions {
   replace?: boolean;
 }
@@ -53,16 +76,31 @@ export declare class ErrorMonitor {
   setTags(tags: Record<string, TagValue>, options?: SetTagsOptions): Record<string, TagValue>;
   setTag(key: string, value: TagValue): TagValue;
   clearTags(): void;
-  addBreadcrumb(breadcrumb: Breadcrumb): Breadcrumb;
+  addBreadcrumb(breadcrumb: Breadcrumb): Breadcrumb | null;
   clearBreadcrumbs(): void;
+  setScopeManager(manager: ScopeManager | null): void;
+  setStackFrameProcessor(processor: StackFrameProcessor | null): void;
+  getGlobalScope(): Scope;
+  getCurrentScope(): Scope;
+  withScope<T>(callback: (scope: Scope) => T): T;
   captureError(error: unknown, context?: ErrorContext): ErrorMonitorEvent | null;
+  captureMessage(message: string, level?: SeverityLevel, context?: ErrorContext): ErrorMonitorEvent | null;
+  flush(timeoutMs?: number): Promise<boolean>;
+  close(timeoutMs?: number): Promise<boolean>;
+  flushSync(sendBatchSync: (batch: ErrorMonitorEvent[]) => boolean): number;
   getBufferedEvents(): ErrorMonitorEvent[];
   clearQueue(): void;
 }
 
 export declare const errorMonitor: ErrorMonitor;
+export declare const SEVERITY_LEVELS: readonly SeverityLevel[];
+export declare function levelForStatus(status: number | null | undefined): "error" | "warning" | "info";
+export declare function stringifyConsoleArg(value: unknown): string;
+export declare function sanitizePath(path: string, scrubFields?: string[] | ((name: string) => boolean)): string;
 
 export { resolveConfig, getDefaultConfig } from "./config";
 export { EventQueue } from "./event-queue";
+export { Scope } from "./scope";
+export { createHttpTransport, toIngestPayload, toStackFrame } from "./transport";
 
 export default ErrorMonitor;
@@ -0,0 +1,27 @@
+import type { Breadcrumb, TagValue } from "./shared";
+
+export interface ScopeOptions {
+  user?: Record<string, unknown> | null;
+  tags?: Record<string, TagValue>;
+  breadcrumbs?: Breadcrumb[];
+  maxBreadcrumbs?: number;
+}
+
+export interface ScopeManager {
+  getActiveScope(): Scope | null;
+  runInScope<T>(scope: Scope, callback: () => T): T;
+}
+
+export declare class Scope {
+  constructor(options?: ScopeOptions);
+  clone(): Scope;
+  getUser(): Record<string, unknown> | null;
+  setUser(user: Record<string, unknown> | null): Record<string, unknown> | null;
+  getTags(): Record<string, TagValue>;
+  setTags(tags: Record<string, TagValue>, options?: { replace?: boolean }): Record<string, TagValue>;
+  setTag(key: string, value: TagValue): TagValue;
+  clearTags(): void;
+  getBreadcrumbs(): Breadcrumb[];
+  addBreadcrumb(breadcrumb: Breadcrumb): Breadcrumb;
+  clearBreadcrumbs(): void;
+}
@@ -1,5 +1,7 @@
 export type TagValue = string | number | boolean;
 
+export type SeverityLevel = "fatal" | "error" | "warning" | "info" | "debug";
+
 export interface Breadcrumb {
   message: string;
   category?: string;
@@ -13,6 +15,23 @@ export interface NormalizedStackFrame {
   line?: number | null;
   column?: number | null;
   function?: string | null;
+  /** Set at capture time from `inAppInclude`/`inAppExclude`. */
+  inApp?: boolean;
+  /** Source lines around the frame, when a stack frame processor could read them. */
+  preContext?: string[];
+  contextLine?: string;
+  postContext?: string[];
+}
+
+export interface LinkedException {
+  name: string;
+  message: string;
+  stack: string;
+  stacktrace: NormalizedStackFrame[];
+  /** `cause` for `Error#cause`, `aggregate` for a member of `AggregateError#errors`. */
+  relation: "cause" | "aggregate";
+  /** Distance from the captured error; direct links are 1. */
+  depth: number;
 }
 
 export interface NormalizedError {
@@ -20,6 +39,8 @@ export interface NormalizedError {
   message: string;
   stack: string;
   stacktrace: NormalizedStackFrame[];
+  /** Causes and aggregate members, depth-first with the outermost first. */
+  linkedExceptions?: LinkedException[];
 }
 
 export interface SystemMetadata {
@@ -36,7 +57,9 @@ export interface ErrorMonitorEvent {
   id: string;
   apiKey: string;
   timestamp: string;
+  level: SeverityLevel;
   environment: string;
+  release: string | null;
   sdkVersion: string;
   system: SystemMetadata;
   sessionId: string;
@@ -44,18 +67,41 @@ export interface ErrorMonitorEvent {
   context: Record<string, unknown>;
   tags: Record<string, TagValue>;
   breadcrumbs: Breadcrumb[];
-  error: NormalizedError;
+  /** Grouping override from the capture context. */
+  fingerprint?: string[];
+  /** Absent on `captureMessage` events. */
+  error?: NormalizedError;
+  /** Set instead of `error` by `captureMessage`. */
+  message?: string;
 }
 
 export interface ErrorContext {
   context?: Record<string, unknown>;
   tags?: Record<string, TagValue>;
   breadcrumbs?: Breadcrumb[];
+  /** Overrides the user set via `setUser` for this event only. */
+  user?: Record<string, unknown>;
+  /** Defaults to `"error"` for `captureError`. */
+  level?: SeverityLevel;
+  /** Groups the event by these values; `"{{ default }}"` stands for the server-computed fingerprint. */
+  fingerprint?: string[];
 }
 
 export interface AutoCaptureOptions {
   errors?: boolean;
   promiseRejections?: boolean;
+  /** Record `console.*` calls as breadcrumbs. */
+  console?: boolean;
+  /** Record `fetch` requests as breadcrumbs. */
+  fetch?: boolean;
+  /** Record `XMLHttpRequest` requests as breadcrumbs. */
+  xhr?: boolean;
+  /** Record outgoing `http`/`https` requests as breadcrumbs (Node only). */
+  http?: boolean;
+  /** Record DOM clicks as breadcrumbs (browser only). */
+  clicks?: boolean;
+  /** Record `history.pushState`/`popstate` navigation as breadcrumbs (browser only). */
+  navigation?: boolean;
 }
 
 export interface ScrubOptions {
@@ -64,3 +110,4 @@ export interface ScrubOptions {
 }
 
 export type BeforeSendHook = (event: ErrorMonitorEvent) => ErrorMonitorEvent | null | undefined;
+export type BeforeBreadcrumbHook = (breadcrumb: Breadcrumb) => Breadcrumb | null | undefined;
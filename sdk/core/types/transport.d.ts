@@ -0,0 +1,45 @@
+import type { ErrorMonitorEvent, SeverityLevel } from "./shared";
+
+export interface IngestStackFrame {
+  file: string;
+  line: number | null;
+  column: number | null;
+  function: string | null;
+  inApp?: boolean;
+  preContext?: string[];
+  contextLine?: string;
+  postContext?: string[];
+}
+
+export interface IngestLinkedException {
+  name: string;
+  message: string;
+  relation: "cause" | "aggregate";
+  depth: number;
+  stackTrace: IngestStackFrame[];
+}
+
+export interface IngestPayload {
+  message: string;
+  level: SeverityLevel;
+  environment: string;
+  release?: string;
+  stackTrace: IngestStackFrame[];
+  linkedExceptions?: IngestLinkedException[];
+  fingerprint?: string[];
+  userContext: Record<string, unknown>;
+  metadata: Record<string, unknown>;
+  timestamp?: string;
+}
+
+export type Transport = (batch: ErrorMonitorEvent[]) => Promise<void> | void;
+
+export interface HttpTransportOptions {
+  apiUrl: string;
+  apiKey: string;
+  fetch?: typeof fetch;
+}
+
+export declare function toStackFrame(frame: unknown): IngestStackFrame;
+export declare function toIngestPayload(event: ErrorMonitorEvent): IngestPayload;
+export declare function createHttpTransport(options: HttpTransportOptions): Transport;
@@ -1,6 +1,10 @@
 module.exports = {
   testEnvironment: "node",
   roots: ["<rootDir>/src", "<rootDir>/tests"],
+  // Test against the core sources rather than a prebuilt dist bundle.
+  moduleNameMapper: {
+    "^@error-monitor/sdk-core$": "<rootDir>/../core/src/index.js"
+  },
   transform: {
     "^.+\\.js$": ["babel-jest", { presets: ["@babel/preset-env"] }]
   }
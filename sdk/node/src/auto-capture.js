@@ -1,5 +1,14 @@
+import http from "node:http";
+import https from "node:https";
+import { levelForStatus, sanitizePath, stringifyConsoleArg } from "@error-monitor/sdk-core";
+
 const noop = () => {};
 
+const CONSOLE_METHODS = ["debug", "info", "log", "warn", "error"];
+const CONSOLE_LEVELS = { debug: "debug", info: "info", log: "info", warn: "warning", error: "error" };
+const MAX_CONSOLE_MESSAGE_LENGTH = 500;
+const DEFAULT_FLUSH_TIMEOUT_MS = 2000;
+
 let teardown = noop;
 let seenErrors = new WeakSet();
 let seenReasons = new WeakSet();
@@ -16,6 +25,155 @@ function scheduleRethrow(error) {
   });
 }
 
+function recordBreadcrumb(monitor, breadcrumb) {
+  if (!monitor.isInitialized()) {
+    return;
+  }
+  try {
+    monitor.addBreadcrumb(breadcrumb);
+  } catch (error) {
+    // instrumentation must never break the host process
+  }
+}
+
+function createRequestRecorder(monitor, category) {
+  const scrubFields = monitor.getConfig()?.scrubFields || [];
+
+  return function record({ method, host, path, status, startedAt, error }) {
+    const safePath = sanitizePath(path, scrubFields);
+    recordBreadcrumb(monitor, {
+      category,
+      level: error ? "error" : levelForStatus(status),
+      message: `${method} ${host}${safePath}${status ? ` [${status}]` : ""}`,
+      data: {
+        method,
+        host,
+        path: safePath,
+        status: status ?? null,
+        duration: Math.round(performance.now() - startedAt),
+        ...(error ? { error: error.message || String(error) } : {})
+      }
+    });
+  };
+}
+
+function createSdkRequestMatcher(monitor) {
+  const apiUrl = monitor.getConfig()?.apiUrl;
+  if (typeof apiUrl !== "string") {
+    return () => false;
+  }
+  try {
+    const { host, pathname } = new URL(apiUrl);
+    const basePath = pathname.replace(/\/+$/, "");
+    return (requestHost, requestPath) => requestHost === host && String(requestPath).startsWith(basePath);
+  } catch (error) {
+    return () => false;
+  }
+}
+
+function instrumentConsole(monitor) {
+  const originals = {};
+  for (const method of CONSOLE_METHODS) {
+    const original = console[method];
+    if (typeof original !== "function") {
+      continue;
+    }
+    originals[method] = original;
+    console[method] = function consoleBreadcrumb(...args) {
+      const message = args.map(stringifyConsoleArg).join(" ").slice(0, MAX_CONSOLE_MESSAGE_LENGTH);
+      if (message.trim()) {
+        recordBreadcrumb(monitor, { category: "console", level: CONSOLE_LEVELS[method], message, data: { method } });
+      }
+      return original.apply(this, args);
+    };
+  }
+
+  return () => {
+    for (const [method, original] of Object.entries(originals)) {
+      console[method] = original;
+    }
+  };
+}
+
+function instrumentHttpModules(monitor) {
+  const record = createRequestRecorder(monitor, "http");
+  const isSdkRequest = createSdkRequestMatcher(monitor);
+  const restoreFns = [];
+
+  const track = (request, startedAt) => {
+    const host = request.host || request.getHeader?.("host") || "unknown";
+    const details = { method: request.method || "GET", host, path: request.path || "/", startedAt };
+    if (isSdkRequest(host, details.path)) {
+      return;
+    }
+    request.once("response", (response) => record({ ...details, status: response.statusCode }));
+    request.once("error", (error) => record({ ...details, error }));
+  };
+
+  // `get` calls the module-internal `request`, so both entry points are wrapped.
+  for (const mod of [http, https]) {
+    for (const name of ["request", "get"]) {
+      const original = mod[name];
+      mod[name] = function requestBreadcrumb(...args) {
+        const startedAt = performance.now();
+        const request = original.apply(this, args);
+        try {
+          track(request, startedAt);
+        } catch (error) {
+          // never interfere with the caller's request
+        }
+        return request;
+      };
+      restoreFns.push(() => {
+        mod[name] = original;
+      });
+    }
+  }
+
+  return () => restoreFns.forEach((restore) => restore());
+}
+
+function instrumentFetch(monitor) {
+  const originalFetch = globalThis.fetch;
+  if (typeof originalFetch !== "function") {
+    return noop;
+  }
+
+  const record = createRequestRecorder(monitor, "fetch");
+  const isSdkRequest = createSdkRequestMatcher(monitor);
+
+  globalThis.fetch = function fetchBreadcrumb(input, init) {
+    let url;
+    try {
+      url = new URL(typeof input === "object" && input !== null && "url" in input ? input.url : String(input));
+    } catch (error) {
+      return originalFetch.call(this, input, init);
+    }
+
+    const path = `${url.pathname}${url.search}`;
+    if (isSdkRequest(url.host, path)) {
+      return originalFetch.call(this, input, init);
+    }
+
+    const method = (init?.method || input?.method || "GET").toUpperCase();
+    const details = { method, host: url.host, path, startedAt: performance.now() };
+    return originalFetch.call(this, input, init).then(
+      (response) => {
+        record({ ...details, status: response?.status ?? null });
+        return response;
+      },
+      (error) => {
+        record({ ...details, error });
+        throw error;
+      }
+    );
+  };
+
+  return () => {
+    globalThis.fetch = originalFetch;
+  };
+}
+
 export function teardownNodeAutoCapture() {
   teardown();
   teardown = noop;
@@ -32,7 +190,12 @@ export function configureNodeAutoCapture(monitor, options = {}) {
   const {
     uncaughtException = true,
     unhandledRejection = true,
-    exitOnError = true
+    exitOnError = true,
+    flushOnExit = true,
+    flushTimeoutMs = DEFAULT_FLUSH_TIMEOUT_MS,
+    console: captureConsole = false,
+    http: captureHttp = false,
+    fetch: captureFetch = false
   } = options;
 
   const detachFns = [];
@@ -45,6 +208,7 @@ export function configureNodeAutoCapture(monitor, options = {}) {
 
       const captured = error instanceof Error ? error : new Error(String(error || "Unknown error"));
       monitor.captureError(captured, {
+        level: "fatal",
         tags: {
           handledBy: "process.uncaughtException"
         }
@@ -55,7 +219,15 @@ export function configureNodeAutoCapture(monitor, options = {}) {
       }
 
       if (exitOnError) {
-        scheduleRethrow(error instanceof Error ? error : captured);
+        // Deliver the report before crashing, then step aside so the rethrow crashes the process as
+        // it would have without this handler.
+        monitor
+          .flush(flushTimeoutMs)
+          .catch(noop)
+          .then(() => {
+            process.removeListener("uncaughtException", handler);
+            scheduleRethrow(error instanceof Error ? error : captured);
+          });
       }
     };
 
@@ -87,6 +259,47 @@ export function configureNodeAutoCapture(monitor, options = {}) {
     detachFns.push(() => process.removeListener("unhandledRejection", handler));
   }
 
+  if (flushOnExit) {
+    let closing = null;
+    const closeOnce = () => {
+      if (!closing) {
+        closing = monitor.close(flushTimeoutMs).catch(() => false);
+      }
+      return closing;
+    };
+
+    const beforeExitHandler = () => {
+      closeOnce();
+    };
+
+    const sigtermHandler = () => {
+      closeOnce().then(() => {
+        process.removeListener("SIGTERM", sigtermHandler);
+        // Listening for SIGTERM disables Node's default termination; restore it unless the app handles the signal.
+        if (process.listenerCount("SIGTERM") === 0) {
+          process.kill(process.pid, "SIGTERM");
+        }
+      });
+    };
+
+    process.on("beforeExit", beforeExitHandler);
+    process.on("SIGTERM", sigtermHandler);
+    detachFns.push(() => {
+      process.removeListener("beforeExit", beforeExitHandler);
+      process.removeListener("SIGTERM", sigtermHandler);
+    });
+  }
+
+  if (captureConsole) {
+    detachFns.push(instrumentConsole(monitor));
+  }
+  if (captureHttp) {
+    detachFns.push(instrumentHttpModules(monitor));
+  }
+  if (captureFetch) {
+    detachFns.push(instrumentFetch(monitor));
+  }
+
   teardown = () => {
     while (detachFns.length) {
       const detach = detachFns.pop();
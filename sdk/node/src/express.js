@@ -0,0 +1,154 @@
+import { sanitizePath } from "@error-monitor/sdk-core";
+
+const FILTERED_PLACEHOLDER = "[Filtered]";
+const SENSITIVE_HEADERS = new Set(["authorization", "proxy-authorization", "cookie", "set-cookie", "x-api-key"]);
+const USER_FIELDS = ["id", "email", "username"];
+
+// Keyed by the request object so concurrent requests can never see each other's context.
+const requestContexts = new WeakMap();
+const capturedErrors = new WeakSet();
+
+function requireMonitor(options) {
+  if (!options?.monitor || typeof options.monitor.captureError !== "function") {
+    throw new TypeError("monitor must be an ErrorMonitor instance");
+  }
+  return options.monitor;
+}
+
+function normalizeFieldName(name) {
+  return String(name).toLowerCase().replace(/[^a-z0-9]/g, "");
+}
+
+function createScrubber(monitor) {
+  const scrubFields = new Set((monitor.getConfig()?.scrubFields || []).map(normalizeFieldName));
+  return (key) => SENSITIVE_HEADERS.has(String(key).toLowerCase()) || scrubFields.has(normalizeFieldName(key));
+}
+
+function sanitizeRecord(record, shouldScrub) {
+  const sanitized = {};
+  if (!record || typeof record !== "object") {
+    return sanitized;
+  }
+  for (const [key, value] of Object.entries(record)) {
+    sanitized[key] = shouldScrub(key) ? FILTERED_PLACEHOLDER : value;
+  }
+  return sanitized;
+}
+
+function defaultGetUser(req) {
+  const user = req.user;
+  if (!user || typeof user !== "object") {
+    return null;
+  }
+  const picked = {};
+  const id = user.id ?? user._id;
+  if (id != null) {
+    picked.id = String(id);
+  }
+  for (const field of USER_FIELDS.slice(1)) {
+    if (typeof user[field] === "string") {
+      picked[field] = user[field];
+    }
+  }
+  return Object.keys(picked).length ? picked : null;
+}
+
+function resolveRoute(req) {
+  const routePath = req.route?.path;
+  if (typeof routePath === "string") {
+    return `${req.baseUrl || ""}${routePath}`;
+  }
+  return null;
+}
+
+function resolveStatus(error, res) {
+  const status = Number(error?.status ?? error?.statusCode);
+  if (Number.isInteger(status) && status >= 400 && status < 600) {
+    return status;
+  }
+  return res?.statusCode >= 400 ? res.statusCode : 500;
+}
+
+function buildRequestContext(req, shouldScrub) {
+  return {
+    method: req.method,
+    // Secrets in the query string are filtered here too, not only in the parsed `query`.
+    url: sanitizePath(req.originalUrl || req.url, shouldScrub),
+    route: resolveRoute(req),
+    headers: sanitizeRecord(req.headers, shouldScrub),
+    query: sanitizeRecord(req.query, shouldScrub),
+    ip: req.ip || null
+  };
+}
+
+/**
+ * Express middleware that records per-request context (method, sanitised URL, route, headers and query)
+ * for the error handler and runs the rest of the request in its own scope. Mount it before your routes.
+ * @param {{monitor: import("@error-monitor/sdk-core").ErrorMonitor}} options
+ * @returns {(req: object, res: object, next: Function) => void}
+ */
+export function createRequestHandler(options = {}) {
+  const monitor = requireMonitor(options);
+
+  return function errorMonitorRequestHandler(req, res, next) {
+    try {
+      requestContexts.set(req, buildRequestContext(req, createScrubber(monitor)));
+    } catch (error) {
+      // never block the request pipeline
+    }
+    if (monitor.isInitialized()) {
+      monitor.withScope(() => next());
+      return;
+    }
+    next();
+  };
+}
+
+/**
+ * Express error-handling middleware that captures route errors with their request context,
+ * tags the response status and hands the error to the next handler. Mount it after your routes.
+ * @param {{
+ *   monitor: import("@error-monitor/sdk-core").ErrorMonitor,
+ *   getUser?: (req: object) => object|null,
+ *   shouldHandleError?: (error: unknown, status: number) => boolean
+ * }} options
+ * @returns {(error: unknown, req: object, res: object, next: Function) => void}
+ */
+export function createErrorHandler(options = {}) {
+  const monitor = requireMonitor(options);
+  const getUser = typeof options.getUser === "function" ? options.getUser : defaultGetUser;
+  const shouldHandleError = typeof options.shouldHandleError === "function" ? options.shouldHandleError : () => true;
+
+  return function errorMonitorErrorHandler(error, req, res, next) {
+    const status = resolveStatus(error, res);
+
+    const alreadyCaptured = error && typeof error === "object" && capturedErrors.has(error);
+    if (!alreadyCaptured && monitor.isInitialized() && shouldHandleError(error, status)) {
+      try {
+        const shouldScrub = createScrubber(monitor);
+        const stored = requestContexts.get(req) || buildRequestContext(req, shouldScrub);
+        // The route is only known once the router has matched, so resolve it again here.
+        const request = { ...stored, route: resolveRoute(req) || stored.route };
+        const user = getUser(req);
+
+        monitor.captureError(error instanceof Error ? error : new Error(String(error || "Unknown error")), {
+          tags: {
+            handledBy: "express",
+            statusCode: status,
+            ...(request.route ? { route: request.route } : {})
+          },
+          request,
+          ...(user ? { user } : {})
+        });
+
+        if (error && typeof error === "object") {
+          capturedErrors.add(error);
+        }
+      } catch (captureFailure) {
+        // reporting failures must not replace the original error
+      }
+    }
+
+    next(error);
+  };
+}
@@ -0,0 +1,73 @@
+import fs from "node:fs";
+import path from "node:path";
+
+const DEFAULT_MAX_BYTES = 5 * 1024 * 1024;
+
+function removeFile(filePath) {
+  try {
+    fs.unlinkSync(filePath);
+  } catch (error) {
+    // already gone
+  }
+}
+
+/**
+ * `EventQueue` storage adapter that keeps the queue in a JSON file, so events captured right before
+ * a crash are delivered on the next start. Writes go through a temporary file and a rename so a
+ * crash mid-write never leaves a truncated queue; unreadable files are discarded.
+ * @param {{path: string, maxBytes?: number}} options
+ * @returns {{load: () => object[], save: (events: object[]) => void, clear: () => void}}
+ */
+export function createFileStorageAdapter({ path: filePath, maxBytes = DEFAULT_MAX_BYTES } = {}) {
+  if (typeof filePath !== "string" || filePath.trim().length === 0) {
+    throw new TypeError("path must be a non-empty string");
+  }
+
+  const target = path.resolve(filePath);
+  const tempFile = `${target}.${process.pid}.tmp`;
+
+  return {
+    load() {
+      let raw;
+      try {
+        raw = fs.readFileSync(target, "utf8");
+      } catch (error) {
+        return [];
+      }
+      try {
+        const parsed = JSON.parse(raw);
+        if (Array.isArray(parsed)) {
+          return parsed.filter((entry) => entry && typeof entry === "object" && !Array.isArray(entry));
+        }
+      } catch (error) {
+        // fall through and discard the corrupt file
+      }
+      removeFile(target);
+      return [];
+    },
+
+    save(events) {
+      let serialized = events.map((event) => JSON.stringify(event));
+      let size = serialized.reduce((total, entry) => total + Buffer.byteLength(entry) + 1, 1);
+      let dropCount = 0;
+      while (dropCount < serialized.length && size > maxBytes) {
+        size -= Buffer.byteLength(serialized[dropCount]) + 1;
+        dropCount += 1;
+      }
+      serialized = serialized.slice(dropCount);
+
+      if (serialized.length === 0) {
+        removeFile(target);
+        return;
+      }
+
+      fs.mkdirSync(path.dirname(target), { recursive: true });
+      fs.writeFileSync(tempFile, `[${serialized.join(",")}]`, "utf8");
+      fs.renameSync(tempFile, target);
+    },
+
+    clear() {
+      removeFile(target);
+    }
+  };
+}
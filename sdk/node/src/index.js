@@ -1,7 +1,12 @@
-import { ErrorMonitor, errorMonitor } from "@error-monitor/sdk-core";
+import { ErrorMonitor, createHttpTransport, errorMonitor, toIngestPayload } from "@error-monitor/sdk-core";
 import { configureNodeAutoCapture, teardownNodeAutoCapture } from "./auto-capture.js";
+import { createErrorHandler, createRequestHandler } from "./express.js";
+import { createFileStorageAdapter } from "./file-storage.js";
+import { createAsyncScopeManager } from "./scope.js";
+import { createSourceContextProcessor } from "./source-context.js";
 
 const singleton = errorMonitor;
+singleton.setScopeManager(createAsyncScopeManager());
 
 function shouldEnable(flag) {
   return typeof flag === "boolean" ? flag : true;
@@ -9,8 +14,9 @@ function shouldEnable(flag) {
 
 /**
  * Initialize monitoring for a Node.js process and optionally wire global handlers.
+ * `sourceContext` attaches the lines around in-app frames; pass an object to tune its limits.
  * @param {object} config
- * @param {{autoCapture?: boolean, exitOnError?: boolean}} [options]
+ * @param {{autoCapture?: boolean, exitOnError?: boolean, flushOnExit?: boolean, flushTimeoutMs?: number, sourceContext?: boolean|{contextLines?: number, maxFileBytes?: number, maxFrames?: number}}} [options]
  * @returns {import("@error-monitor/sdk-core").ErrorMonitor}
  */
 export function init(config, options = {}) {
@@ -22,14 +28,26 @@ export function init(config, options = {}) {
 
   const {
     autoCapture = true,
-    exitOnError = true
+    exitOnError = true,
+    flushOnExit = true,
+    flushTimeoutMs,
+    sourceContext = true
   } = options;
 
+  singleton.setStackFrameProcessor(
+    sourceContext ? createSourceContextProcessor(sourceContext === true ? {} : sourceContext) : null
+  );
+
   if (autoCapture) {
     configureNodeAutoCapture(singleton, {
       uncaughtException: enableErrors,
       unhandledRejection: enableRejections,
-      exitOnError
+      exitOnError,
+      flushOnExit,
+      flushTimeoutMs,
+      console: autoCaptureConfig.console === true,
+      http: autoCaptureConfig.http === true,
+      fetch: autoCaptureConfig.fetch === true
     });
   }
 
@@ -45,6 +63,47 @@ export function captureError(error, context) {
   return singleton.captureError(error, context);
 }
 
+/**
+ * Report a message that is not an exception, e.g. a degraded dependency, using the shared Node.js instance.
+ * @param {string} message
+ * @param {"fatal"|"error"|"warning"|"info"|"debug"} [level]
+ * @param {object} [context]
+ */
+export function captureMessage(message, level, context) {
+  return singleton.captureMessage(message, level, context);
+}
+
+/**
+ * Run `callback` with an isolated scope that follows its async work, so users, tags and
+ * breadcrumbs set inside it only apply to errors captured from that work.
+ * @param {(scope: import("@error-monitor/sdk-core").Scope) => *} callback
+ */
+export function withScope(callback) {
+  return singleton.withScope(callback);
+}
+
+export function getCurrentScope() {
+  return singleton.getCurrentScope();
+}
+
+/**
+ * Wait for queued events to be delivered.
+ * @param {number} [timeoutMs]
+ * @returns {Promise<boolean>} Whether everything was sent in time.
+ */
+export function flush(timeoutMs) {
+  return singleton.flush(timeoutMs);
+}
+
+/**
+ * Flush queued events and stop capturing, e.g. during a graceful shutdown.
+ * @param {number} [timeoutMs]
+ * @returns {Promise<boolean>} Whether everything was sent in time.
+ */
+export function close(timeoutMs) {
+  return singleton.close(timeoutMs);
+}
+
 export function setUser(user) {
   return singleton.setUser(user);
 }
@@ -73,16 +132,42 @@ export function clearBreadcrumbs() {
   return singleton.clearBreadcrumbs();
 }
 
+/**
+ * Express middleware that records per-request context for `expressErrorHandler`. Mount it before your routes.
+ * @param {object} [options]
+ */
+export function expressRequestHandler(options = {}) {
+  return createRequestHandler({ monitor: singleton, ...options });
+}
+
+/**
+ * Express error middleware that captures route errors with their request context. Mount it after your routes.
+ * @param {{getUser?: Function, shouldHandleError?: Function}} [options]
+ */
+export function expressErrorHandler(options = {}) {
+  return createErrorHandler({ monitor: singleton, ...options });
+}
+
 export {
   ErrorMonitor,
+  createHttpTransport,
+  toIngestPayload,
   configureNodeAutoCapture,
   teardownNodeAutoCapture,
+  createAsyncScopeManager,
+  createFileStorageAdapter,
+  createSourceContextProcessor,
   singleton as errorMonitor
 };
 
 export default {
   init,
   captureError,
+  captureMessage,
+  withScope,
+  getCurrentScope,
+  flush,
+  close,
   setUser,
   setTags,
   setTag,
@@ -91,5 +176,7 @@ export default {
   clearBreadcrumbs,
   configureNodeAutoCapture,
   teardownNodeAutoCapture,
+  expressRequestHandler,
+  expressErrorHandler,
   instance: singleton
 };
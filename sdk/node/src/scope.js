@@ -0,0 +1,14 @@
+import { AsyncLocalStorage } from "node:async_hooks";
+
+/**
+ * Scope manager backed by `AsyncLocalStorage`, so each `withScope` callback and every async
+ * operation it starts (timers, promises, I/O callbacks) sees its own isolated scope.
+ * @returns {{getActiveScope: () => import("@error-monitor/sdk-core").Scope|null, runInScope: Function}}
+ */
+export function createAsyncScopeManager() {
+  const storage = new AsyncLocalStorage();
+  return {
+    getActiveScope: () => storage.getStore() || null,
+    runInScope: (scope, callback) => storage.run(scope, callback)
+  };
+}
@@ -0,0 +1,126 @@
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+const DEFAULT_CONTEXT_LINES = 5;
+// The ingestion API rejects frames with more context lines than this on either side.
+const MAX_CONTEXT_LINES = 20;
+const DEFAULT_MAX_FILE_BYTES = 1024 * 1024;
+const DEFAULT_MAX_FRAMES = 10;
+const MAX_LINE_LENGTH = 200;
+const MAX_CACHED_FILES = 50;
+
+function clampLine(line) {
+  return line.length > MAX_LINE_LENGTH ? `${line.slice(0, MAX_LINE_LENGTH)}…` : line;
+}
+
+function toFilePath(fileName) {
+  if (typeof fileName !== "string" || fileName.length === 0) {
+    return null;
+  }
+  if (fileName.startsWith("file://")) {
+    try {
+      return fileURLToPath(fileName);
+    } catch (error) {
+      return null;
+    }
+  }
+  return path.isAbsolute(fileName) ? fileName : null;
+}
+
+// Fallback for frames the core did not mark, e.g. when the processor is used on its own.
+function isApplicationFile(filePath) {
+  return Boolean(filePath) && !filePath.split(path.sep).includes("node_modules");
+}
+
+/**
+ * Build a stack frame processor that adds the lines around each in-app frame, read from disk.
+ * Frames marked by the core's `inAppInclude`/`inAppExclude` options are trusted as marked.
+ * Files are read synchronously because capture is synchronous, so reads are bounded: only the
+ * first `maxFrames` in-app frames are enriched, files above `maxFileBytes` are skipped, long
+ * lines are truncated, and recent files (including misses) are kept in a small LRU cache.
+ * `contextLines` is capped at 20, the most the ingestion API accepts.
+ * @param {{contextLines?: number, maxFileBytes?: number, maxFrames?: number}} [options]
+ * @returns {((frames: object[]) => object[]) & {clearCache: () => void}}
+ */
+export function createSourceContextProcessor({
+  contextLines = DEFAULT_CONTEXT_LINES,
+  maxFileBytes = DEFAULT_MAX_FILE_BYTES,
+  maxFrames = DEFAULT_MAX_FRAMES
+} = {}) {
+  for (const [name, value] of Object.entries({ contextLines, maxFileBytes, maxFrames })) {
+    if (!Number.isInteger(value) || value <= 0) {
+      throw new RangeError(`${name} must be a positive integer`);
+    }
+  }
+  if (contextLines > MAX_CONTEXT_LINES) {
+    throw new RangeError(`contextLines must be at most ${MAX_CONTEXT_LINES}`);
+  }
+
+  // File path -> lines, or null when the file cannot be used.
+  const cache = new Map();
+
+  const readLines = (filePath) => {
+    if (cache.has(filePath)) {
+      const cached = cache.get(filePath);
+      cache.delete(filePath);
+      cache.set(filePath, cached);
+      return cached;
+    }
+
+    let lines = null;
+    try {
+      if (fs.statSync(filePath).size <= maxFileBytes) {
+        lines = fs.readFileSync(filePath, "utf8").split(/\r?\n/);
+      }
+    } catch (error) {
+      // deleted, unreadable or not a regular file
+    }
+
+    cache.set(filePath, lines);
+    if (cache.size > MAX_CACHED_FILES) {
+      cache.delete(cache.keys().next().value);
+    }
+    return lines;
+  };
+
+  const addContext = (frame) => {
+    const filePath = toFilePath(frame?.fileName);
+    const inApp = typeof frame?.inApp === "boolean" ? frame.inApp : isApplicationFile(filePath);
+    if (!filePath || !inApp || !Number.isInteger(frame.lineNumber)) {
+      return null;
+    }
+    const lines = readLines(filePath);
+    const index = frame.lineNumber - 1;
+    if (!lines || index < 0 || index >= lines.length) {
+      return null;
+    }
+    return {
+      ...frame,
+      preContext: lines.slice(Math.max(0, index - contextLines), index).map(clampLine),
+      contextLine: clampLine(lines[index]),
+      postContext: lines.slice(index + 1, index + 1 + contextLines).map(clampLine)
+    };
+  };
+
+  const processor = (frames) => {
+    let remaining = maxFrames;
+    return frames.map((frame) => {
+      if (remaining === 0) {
+        return frame;
+      }
+      const enriched = addContext(frame);
+      if (!enriched) {
+        return frame;
+      }
+      remaining -= 1;
+      return enriched;
+    });
+  };
+
+  processor.clearCache = () => {
+    cache.clear();
+  };
+
+  return processor;
+}
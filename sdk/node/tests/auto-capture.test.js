@@ -1,4 +1,5 @@
 import { afterAll, afterEach, beforeAll, beforeEach, describe, expect, it, jest } from "@jest/globals";
+import http from "node:http";
 import { configureNodeAutoCapture, teardownNodeAutoCapture } from "../src/auto-capture.js";
 
 describe("configureNodeAutoCapture", () => {
@@ -32,6 +33,7 @@ describe("configureNodeAutoCapture", () => {
     const events = monitor.getBufferedEvents();
     expect(events).toHaveLength(1);
     expect(events[0].tags).toMatchObject({ handledBy: "process.uncaughtException" });
+    expect(events[0].level).toBe("fatal");
   });
 
   it("captures unhandled rejections", () => {
@@ -63,6 +65,53 @@ describe("configureNodeAutoCapture", () => {
     expect(process.listenerCount("unhandledRejection")).toBe(initialCounts.rejection);
   });
 
+  it("flushes before rethrowing uncaught exceptions", async () => {
+    const transport = jest.fn().mockResolvedValue();
+    monitor.init({ apiKey: "key", apiUrl: "https://example.com/errors", transport });
+    const listenersBefore = process.listenerCount("uncaughtException");
+    configureNodeAutoCapture(monitor, { flushOnExit: false, flushTimeoutMs: 500 });
+
+    const rethrows = [];
+    const nextTick = jest.spyOn(process, "nextTick").mockImplementation((callback) => rethrows.push(callback));
+    try {
+      process.emit("uncaughtException", new Error("fatal"));
+      await new Promise((resolve) => setImmediate(resolve));
+    } finally {
+      nextTick.mockRestore();
+    }
+
+    expect(transport).toHaveBeenCalledTimes(1);
+    expect(rethrows).toHaveLength(1);
+    expect(() => rethrows[0]()).toThrow("fatal");
+    // The handler steps aside so the rethrow crashes the process instead of being swallowed.
+    expect(process.listenerCount("uncaughtException")).toBe(listenersBefore);
+  });
+
+  it("closes the monitor on beforeExit and SIGTERM", async () => {
+    const transport = jest.fn().mockResolvedValue();
+    monitor.init({ apiKey: "key", apiUrl: "https://example.com/errors", transport });
+    const close = jest.spyOn(monitor, "close");
+    // Keeps the handler from re-raising SIGTERM at the test runner.
+    const appSigtermHandler = jest.fn();
+    process.on("SIGTERM", appSigtermHandler);
+
+    try {
+      configureNodeAutoCapture(monitor, { exitOnError: false, flushTimeoutMs: 500 });
+      monitor.captureError(new Error("pending"));
+
+      process.emit("beforeExit", 0);
+      process.emit("SIGTERM", "SIGTERM");
+      await new Promise((resolve) => setImmediate(resolve));
+
+      expect(close).toHaveBeenCalledTimes(1);
+      expect(close).toHaveBeenCalledWith(500);
+      expect(transport).toHaveBeenCalledTimes(1);
+      expect(monitor.isEnabled()).toBe(false);
+    } finally {
+      process.removeListener("SIGTERM", appSigtermHandler);
+    }
+  });
+
   it("deduplicates repeated errors", () => {
     configureNodeAutoCapture(monitor, { exitOnError: false });
 
@@ -74,3 +123,119 @@ describe("configureNodeAutoCapture", () => {
     expect(events).toHaveLength(1);
   });
 });
+
+describe("breadcrumb instrumentation", () => {
+  let ErrorMonitor;
+  let monitor;
+  let addBreadcrumb;
+  let server;
+  let port;
+
+  const crumbs = () => addBreadcrumb.mock.calls.map(([crumb]) => crumb);
+
+  beforeAll(async () => {
+    ({ ErrorMonitor } = await import("../../core/src/index.js"));
+    server = http.createServer((req, res) => {
+      res.statusCode = req.url.startsWith("/missing") ? 404 : 200;
+      res.end("ok");
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    ({ port } = server.address());
+  });
+
+  afterAll(async () => {
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    monitor = new ErrorMonitor();
+    monitor.init({ apiKey: "key", apiUrl: "https://example.com/errors" });
+    addBreadcrumb = jest.spyOn(monitor, "addBreadcrumb");
+  });
+
+  afterEach(() => {
+    teardownNodeAutoCapture();
+    monitor.clearQueue();
+  });
+
+  const get = (path) =>
+    new Promise((resolve, reject) => {
+      http
+        .get({ host: "127.0.0.1", port, path }, (res) => {
+          res.resume();
+          res.on("end", resolve);
+        })
+        .on("error", reject);
+    });
+
+  it("records outgoing http requests with sanitised paths", async () => {
+    configureNodeAutoCapture(monitor, { exitOnError: false, http: true });
+
+    await get("/missing?password=hunter2&page=2");
+
+    const [crumb] = crumbs();
+    expect(crumb).toMatchObject({
+      category: "http",
+      level: "warning",
+      data: { method: "GET", host: "127.0.0.1", path: "/missing?password=[Filtered]&page=2", status: 404 }
+    });
+    expect(crumb.message).not.toContain("hunter2");
+    expect(typeof crumb.data.duration).toBe("number");
+  });
+
+  it("restores http functions on teardown", async () => {
+    const { request, get: originalGet } = http;
+    configureNodeAutoCapture(monitor, { exitOnError: false, http: true });
+    expect(http.request).not.toBe(request);
+
+    teardownNodeAutoCapture();
+
+    expect(http.request).toBe(request);
+    expect(http.get).toBe(originalGet);
+    await get("/ok");
+    expect(addBreadcrumb).not.toHaveBeenCalled();
+  });
+
+  it("records fetch requests and skips the SDK's own deliveries", async () => {
+    const originalFetch = globalThis.fetch;
+    globalThis.fetch = jest.fn().mockResolvedValue({ status: 201 });
+
+    try {
+      configureNodeAutoCapture(monitor, { exitOnError: false, fetch: true });
+      await globalThis.fetch("https://example.com/errors/batch", { method: "POST" });
+      await globalThis.fetch("https://payments.example.com/charges?apiKey=sk_live", { method: "post" });
+
+      expect(crumbs()).toEqual([
+        expect.objectContaining({
+          category: "fetch",
+          level: "info",
+          data: expect.objectContaining({ method: "POST", host: "payments.example.com", path: "/charges?apiKey=[Filtered]", status: 201 })
+        })
+      ]);
+    } finally {
+      teardownNodeAutoCapture();
+      globalThis.fetch = originalFetch;
+    }
+  });
+
+  it("records console calls and restores the originals", () => {
+    const originalWarn = console.warn;
+    const sink = jest.fn();
+    console.warn = sink;
+
+    try {
+      configureNodeAutoCapture(monitor, { exitOnError: false, console: true });
+      console.warn("Pool exhausted", { size: 10 });
+
+      expect(sink).toHaveBeenCalledWith("Pool exhausted", { size: 10 });
+      expect(crumbs()).toEqual([
+        { category: "console", level: "warning", message: 'Pool exhausted {"size":10}', data: { method: "warn" } }
+      ]);
+
+      teardownNodeAutoCapture();
+      expect(console.warn).toBe(sink);
+    } finally {
+      console.warn = originalWarn;
+    }
+  });
+});
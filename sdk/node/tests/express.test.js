@@ -0,0 +1,141 @@
+import { beforeAll, beforeEach, describe, expect, it, jest } from "@jest/globals";
+import { createErrorHandler, createRequestHandler } from "../src/express.js";
+import { createAsyncScopeManager } from "../src/scope.js";
+
+function createRequest(overrides = {}) {
+  return {
+    method: "POST",
+    url: "/orders?page=2",
+    originalUrl: "/api/orders?page=2",
+    baseUrl: "/api",
+    headers: { "content-type": "application/json", authorization: "Bearer secret", cookie: "sid=1", "x-trace": "abc" },
+    query: { page: "2", token: "t-1" },
+    ip: "10.0.0.1",
+    ...overrides
+  };
+}
+
+describe("express integration", () => {
+  let ErrorMonitor;
+  let monitor;
+
+  beforeAll(async () => {
+    ({ ErrorMonitor } = await import("../../core/src/index.js"));
+  });
+
+  beforeEach(() => {
+    monitor = new ErrorMonitor();
+    monitor.init({ apiKey: "key", apiUrl: "https://example.com/errors" });
+  });
+
+  const runRoute = (req, error, res = { statusCode: 200 }) => {
+    const next = jest.fn();
+    createRequestHandler({ monitor })(req, res, jest.fn());
+    req.route = { path: "/orders/:id" };
+    createErrorHandler({ monitor })(error, req, res, next);
+    return next;
+  };
+
+  it("requires a monitor", () => {
+    expect(() => createRequestHandler()).toThrow(/monitor/);
+    expect(() => createErrorHandler({})).toThrow(/monitor/);
+  });
+
+  it("captures route errors with sanitised request context and passes them on", () => {
+    const error = Object.assign(new Error("Order not found"), { status: 404 });
+    const req = createRequest({ user: { _id: 42, email: "ada@example.com", passwordHash: "x" } });
+
+    const next = runRoute(req, error);
+
+    expect(next).toHaveBeenCalledWith(error);
+    const [event] = monitor.getBufferedEvents();
+    expect(event.tags).toEqual({ handledBy: "express", statusCode: 404, route: "/api/orders/:id" });
+    expect(event.user).toEqual({ id: "42", email: "ada@example.com" });
+    expect(event.context.request).toEqual({
+      method: "POST",
+      url: "/api/orders?page=2",
+      route: "/api/orders/:id",
+      headers: { "content-type": "application/json", authorization: "[Filtered]", cookie: "[Filtered]", "x-trace": "abc" },
+      query: { page: "2", token: "[Filtered]" },
+      ip: "10.0.0.1"
+    });
+  });
+
+  it("filters secrets in the query string of the recorded URL", () => {
+    const req = createRequest({ originalUrl: "/reset?token=s3cr3t&Api-Key=k-1&next=%2F", query: { token: "s3cr3t" } });
+
+    runRoute(req, new Error("Reset failed"));
+
+    const [event] = monitor.getBufferedEvents();
+    expect(event.context.request.url).toBe("/reset?token=[Filtered]&Api-Key=[Filtered]&next=%2F");
+    expect(JSON.stringify(event)).not.toContain("s3cr3t");
+  });
+
+  it("defaults the status to 500 and captures each error once", () => {
+    const error = new Error("boom");
+    const req = createRequest();
+    const errorHandler = createErrorHandler({ monitor });
+
+    errorHandler(error, req, { statusCode: 200 }, jest.fn());
+    errorHandler(error, req, { statusCode: 200 }, jest.fn());
+
+    const events = monitor.getBufferedEvents();
+    expect(events).toHaveLength(1);
+    expect(events[0].tags.statusCode).toBe(500);
+  });
+
+  it("keeps concurrent requests isolated", () => {
+    const requestHandler = createRequestHandler({ monitor });
+    const errorHandler = createErrorHandler({ monitor });
+    const first = createRequest({ method: "GET", originalUrl: "/first", user: { id: "u-1" } });
+    const second = createRequest({ method: "DELETE", originalUrl: "/second", user: { id: "u-2" } });
+
+    requestHandler(first, {}, jest.fn());
+    requestHandler(second, {}, jest.fn());
+    errorHandler(new Error("second failed"), second, {}, jest.fn());
+    errorHandler(new Error("first failed"), first, {}, jest.fn());
+
+    const [secondEvent, firstEvent] = monitor.getBufferedEvents();
+    expect(secondEvent.context.request).toMatchObject({ method: "DELETE", url: "/second" });
+    expect(secondEvent.user).toEqual({ id: "u-2" });
+    expect(firstEvent.context.request).toMatchObject({ method: "GET", url: "/first" });
+    expect(firstEvent.user).toEqual({ id: "u-1" });
+  });
+
+  it("runs each request in its own scope", async () => {
+    monitor.setScopeManager(createAsyncScopeManager());
+    const requestHandler = createRequestHandler({ monitor });
+    const errorHandler = createErrorHandler({ monitor });
+
+    const handle = (req, wait) =>
+      new Promise((resolve) => {
+        requestHandler(req, {}, async () => {
+          monitor.addBreadcrumb({ message: `loading ${req.originalUrl}` });
+          await new Promise((done) => setTimeout(done, wait));
+          errorHandler(new Error("failed"), req, {}, resolve);
+        });
+      });
+
+    await Promise.all([handle(createRequest({ originalUrl: "/a" }), 10), handle(createRequest({ originalUrl: "/b" }), 1)]);
+
+    const events = monitor.getBufferedEvents();
+    expect(events.map((event) => event.breadcrumbs.map((crumb) => crumb.message))).toEqual([["loading /b"], ["loading /a"]]);
+  });
+
+  it("honours shouldHandleError and getUser", () => {
+    const errorHandler = createErrorHandler({
+      monitor,
+      shouldHandleError: (error, status) => status >= 500,
+      getUser: (req) => ({ id: req.headers["x-trace"] })
+    });
+    const next = jest.fn();
+
+    errorHandler(Object.assign(new Error("bad input"), { statusCode: 422 }), createRequest(), {}, next);
+    errorHandler(new Error("crash"), createRequest(), {}, next);
+
+    const events = monitor.getBufferedEvents();
+    expect(next).toHaveBeenCalledTimes(2);
+    expect(events).toHaveLength(1);
+    expect(events[0].user).toEqual({ id: "abc" });
+  });
+});
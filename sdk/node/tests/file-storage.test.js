@@ -0,0 +1,56 @@
+import { afterEach, beforeEach, describe, expect, it } from "@jest/globals";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { createFileStorageAdapter } from "../src/file-storage.js";
+
+describe("createFileStorageAdapter", () => {
+  let directory;
+  let filePath;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), "error-monitor-queue-"));
+    filePath = path.join(directory, "nested", "queue.json");
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it("persists events across adapter instances", () => {
+    createFileStorageAdapter({ path: filePath }).save([{ id: "a" }, { id: "b" }]);
+
+    expect(createFileStorageAdapter({ path: filePath }).load()).toEqual([{ id: "a" }, { id: "b" }]);
+    expect(fs.readdirSync(path.dirname(filePath))).toEqual(["queue.json"]);
+  });
+
+  it("drops the oldest events beyond maxBytes", () => {
+    const adapter = createFileStorageAdapter({ path: filePath, maxBytes: 40 });
+
+    adapter.save([{ id: "first", pad: "xxxxxxxxxx" }, { id: "second" }]);
+
+    expect(adapter.load()).toEqual([{ id: "second" }]);
+  });
+
+  it("discards corrupt files", () => {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, '[{"id": "a"},');
+    const adapter = createFileStorageAdapter({ path: filePath });
+
+    expect(adapter.load()).toEqual([]);
+    expect(fs.existsSync(filePath)).toBe(false);
+  });
+
+  it("clears the file", () => {
+    const adapter = createFileStorageAdapter({ path: filePath });
+    adapter.save([{ id: "a" }]);
+    adapter.clear();
+
+    expect(fs.existsSync(filePath)).toBe(false);
+    expect(adapter.load()).toEqual([]);
+  });
+
+  it("requires a path", () => {
+    expect(() => createFileStorageAdapter({})).toThrow(/path/);
+  });
+});
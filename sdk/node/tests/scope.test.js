@@ -0,0 +1,50 @@
+import { beforeAll, beforeEach, describe, expect, it } from "@jest/globals";
+import { createAsyncScopeManager } from "../src/scope.js";
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe("createAsyncScopeManager", () => {
+  let ErrorMonitor;
+  let monitor;
+
+  beforeAll(async () => {
+    ({ ErrorMonitor } = await import("../../core/src/index.js"));
+  });
+
+  beforeEach(() => {
+    monitor = new ErrorMonitor();
+    monitor.init({ apiKey: "key", apiUrl: "https://example.com/errors" });
+    monitor.setScopeManager(createAsyncScopeManager());
+  });
+
+  const handleRequest = (userId, wait) =>
+    monitor.withScope(async () => {
+      monitor.setUser({ id: userId });
+      monitor.addBreadcrumb({ message: `start ${userId}` });
+      await delay(wait);
+      monitor.setTag("request", userId);
+      return monitor.captureError(new Error(`failed ${userId}`));
+    });
+
+  it("keeps concurrent async scopes isolated", async () => {
+    monitor.setTag("service", "api");
+
+    const [slow, fast] = await Promise.all([handleRequest("u-1", 20), handleRequest("u-2", 5)]);
+
+    expect(slow.user).toEqual({ id: "u-1" });
+    expect(slow.tags).toEqual({ service: "api", request: "u-1" });
+    expect(slow.breadcrumbs.map((crumb) => crumb.message)).toEqual(["start u-1"]);
+    expect(fast.user).toEqual({ id: "u-2" });
+    expect(fast.tags).toEqual({ service: "api", request: "u-2" });
+    expect(fast.breadcrumbs.map((crumb) => crumb.message)).toEqual(["start u-2"]);
+  });
+
+  it("leaves the global scope untouched after the callback", async () => {
+    await handleRequest("u-3", 1);
+
+    expect(monitor.getCurrentScope()).toBe(monitor.getGlobalScope());
+    const event = monitor.captureError(new Error("outside"));
+    expect(event.user).toBeNull();
+    expect(event.breadcrumbs).toEqual([]);
+  });
+});
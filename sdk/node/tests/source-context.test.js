@@ -0,0 +1,107 @@
+import { afterEach, beforeAll, beforeEach, describe, expect, it } from "@jest/globals";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { pathToFileURL } from "node:url";
+import { createSourceContextProcessor } from "../src/source-context.js";
+
+const SOURCE = ["const a = 1;", "const b = 2;", "function explode() {", "  throw new Error('boom');", "}", "explode();", "// end"].join("\n");
+
+describe("createSourceContextProcessor", () => {
+  let ErrorMonitor;
+  let toIngestPayload;
+  let directory;
+  let appFile;
+
+  const frameAt = (fileName, lineNumber) => ({ functionName: "explode", fileName, lineNumber, columnNumber: 9, raw: "" });
+
+  beforeAll(async () => {
+    ({ ErrorMonitor, toIngestPayload } = await import("../../core/src/index.js"));
+  });
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), "error-monitor-source-"));
+    appFile = path.join(directory, "app.js");
+    fs.writeFileSync(appFile, SOURCE);
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it("adds the surrounding lines to in-app frames", () => {
+    const processor = createSourceContextProcessor({ contextLines: 2 });
+
+    const [frame] = processor([frameAt(appFile, 4)]);
+
+    expect(frame).toMatchObject({
+      fileName: appFile,
+      preContext: ["const b = 2;", "function explode() {"],
+      contextLine: "  throw new Error('boom');",
+      postContext: ["}", "explode();"]
+    });
+    expect(processor([frameAt(pathToFileURL(appFile).href, 1)])[0]).toMatchObject({ preContext: [], contextLine: "const a = 1;" });
+  });
+
+  it("skips dependencies, internals, missing files and oversized files", () => {
+    const dependency = path.join(directory, "node_modules", "lib", "index.js");
+    fs.mkdirSync(path.dirname(dependency), { recursive: true });
+    fs.writeFileSync(dependency, SOURCE);
+    const frames = [
+      frameAt(dependency, 4),
+      frameAt("node:internal/process/task_queues", 95),
+      frameAt(path.join(directory, "missing.js"), 1),
+      frameAt(appFile, 99)
+    ];
+
+    expect(createSourceContextProcessor()(frames)).toEqual(frames);
+    expect(createSourceContextProcessor({ maxFileBytes: 10 })([frameAt(appFile, 4)])[0]).not.toHaveProperty("contextLine");
+  });
+
+  it("follows the in-app flag set by the core", () => {
+    const dependency = path.join(directory, "node_modules", "@acme", "ui.js");
+    fs.mkdirSync(path.dirname(dependency), { recursive: true });
+    fs.writeFileSync(dependency, SOURCE);
+    const processor = createSourceContextProcessor();
+
+    expect(processor([{ ...frameAt(dependency, 4), inApp: true }])[0].contextLine).toBe("  throw new Error('boom');");
+    expect(processor([{ ...frameAt(appFile, 4), inApp: false }])[0]).not.toHaveProperty("contextLine");
+  });
+
+  it("caps the number of enriched frames and truncates long lines", () => {
+    fs.writeFileSync(appFile, `${"x".repeat(500)}\n`);
+    const processor = createSourceContextProcessor({ maxFrames: 1 });
+
+    const [first, second] = processor([frameAt(appFile, 1), frameAt(appFile, 1)]);
+
+    expect(first.contextLine).toHaveLength(201);
+    expect(second).not.toHaveProperty("contextLine");
+  });
+
+  it("rejects more context lines than the ingestion API accepts", () => {
+    expect(() => createSourceContextProcessor({ contextLines: 21 })).toThrow(RangeError);
+    expect(() => createSourceContextProcessor({ contextLines: 20 })).not.toThrow();
+  });
+
+  it("serves repeated reads from its cache until cleared", () => {
+    const processor = createSourceContextProcessor();
+    processor([frameAt(appFile, 1)]);
+    fs.writeFileSync(appFile, "changed");
+
+    expect(processor([frameAt(appFile, 1)])[0].contextLine).toBe("const a = 1;");
+    processor.clearCache();
+    expect(processor([frameAt(appFile, 1)])[0].contextLine).toBe("changed");
+  });
+
+  it("sends the context with captured events", () => {
+    const monitor = new ErrorMonitor({ apiKey: "key", apiUrl: "https://example.com", transport: () => {} });
+    monitor.setStackFrameProcessor(createSourceContextProcessor());
+    const error = new Error("boom");
+    error.stack = `Error: boom\n    at explode (${appFile}:4:9)`;
+
+    const payload = toIngestPayload(monitor.captureError(error));
+
+    expect(payload.stackTrace[0]).toMatchObject({ file: appFile, line: 4, contextLine: "  throw new Error('boom');" });
+    expect(payload.stackTrace[0].preContext).toHaveLength(3);
+  });
+});
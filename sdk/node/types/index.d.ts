@@ -1,26 +1,85 @@
 import type {
   ErrorContext,
   ErrorMonitor,
+  Scope,
+  ScopeManager,
+  StorageAdapter,
   ErrorMonitorConfig,
   ErrorMonitorEvent,
+  SeverityLevel,
+  StackFrameProcessor,
   TagValue
 } from "@error-monitor/sdk-core";
 
-export type { ErrorMonitorConfig, ErrorMonitorEvent, ErrorContext, TagValue };
+export type { ErrorMonitorConfig, ErrorMonitorEvent, ErrorContext, SeverityLevel, TagValue };
 
 export interface NodeInitOptions {
   autoCapture?: boolean;
   exitOnError?: boolean;
+  /** Flush and close on `beforeExit` and SIGTERM. Defaults to true. */
+  flushOnExit?: boolean;
+  /** How long crash and shutdown flushes may take. Defaults to 2000ms. */
+  flushTimeoutMs?: number;
+  /** Attach the source lines around in-app frames. Defaults to true. */
+  sourceContext?: boolean | SourceContextOptions;
+}
+
+export interface SourceContextOptions {
+  /** Lines before and after the failing line, at most 20. Defaults to 5. */
+  contextLines?: number;
+  /** Larger files are skipped. Defaults to 1MB. */
+  maxFileBytes?: number;
+  /** How many in-app frames per stack get context. Defaults to 10. */
+  maxFrames?: number;
 }
 
 export interface NodeAutoCaptureOptions {
   uncaughtException?: boolean;
   unhandledRejection?: boolean;
   exitOnError?: boolean;
+  flushOnExit?: boolean;
+  flushTimeoutMs?: number;
+  /** Record `console.*` calls as breadcrumbs. */
+  console?: boolean;
+  /** Record outgoing `http`/`https` requests as breadcrumbs. */
+  http?: boolean;
+  /** Record global `fetch` requests as breadcrumbs. */
+  fetch?: boolean;
 }
 
+export interface ExpressRequestHandlerOptions {
+  /** Defaults to the shared Node.js instance. */
+  monitor?: ErrorMonitor;
+}
+
+export interface ExpressErrorHandlerOptions {
+  /** Defaults to the shared Node.js instance. */
+  monitor?: ErrorMonitor;
+  /** Defaults to the `id`, `email` and `username` of `req.user`. */
+  getUser?: (req: any) => Record<string, unknown> | null;
+  /** Defaults to capturing every error. */
+  shouldHandleError?: (error: unknown, status: number) => boolean;
+}
+
+export type ExpressMiddleware = (req: any, res: any, next: (error?: unknown) => void) => void;
+export type ExpressErrorMiddleware = (error: unknown, req: any, res: any, next: (error?: unknown) => void) => void;
+
 export declare function init(config: ErrorMonitorConfig, options?: NodeInitOptions): ErrorMonitor;
 export declare function captureError(error: unknown, context?: ErrorContext): ErrorMonitorEvent | null;
+export declare function captureMessage(message: string, level?: SeverityLevel, context?: ErrorContext): ErrorMonitorEvent | null;
+export interface FileStorageAdapterOptions {
+  path: string;
+  /** The oldest events are dropped once the file would exceed this size. Defaults to 5MB. */
+  maxBytes?: number;
+}
+
+export declare function flush(timeoutMs?: number): Promise<boolean>;
+export declare function close(timeoutMs?: number): Promise<boolean>;
+export declare function createFileStorageAdapter(options: FileStorageAdapterOptions): Required<StorageAdapter>;
+export declare function createSourceContextProcessor(options?: SourceContextOptions): StackFrameProcessor & { clearCache(): void };
+export declare function withScope<T>(callback: (scope: Scope) => T): T;
+export declare function getCurrentScope(): Scope;
+export declare function createAsyncScopeManager(): ScopeManager;
 export declare function setUser(user: Record<string, unknown> | null): Record<string, unknown> | null;
 export declare function setTags(tags: Record<string, TagValue>, options?: { replace?: boolean }): Record<string, TagValue>;
 export declare function setTag(key: string, value: TagValue): TagValue;
@@ -30,12 +89,19 @@ export declare function clearBreadcrumbs(): void;
 
 export declare function configureNodeAutoCapture(monitor: ErrorMonitor, options?: NodeAutoCaptureOptions): () => void;
 export declare function teardownNodeAutoCapture(): void;
+export declare function expressRequestHandler(options?: ExpressRequestHandlerOptions): ExpressMiddleware;
+export declare function expressErrorHandler(options?: ExpressErrorHandlerOptions): ExpressErrorMiddleware;
 
 export declare const errorMonitor: ErrorMonitor;
 
 declare const _default: {
   init: typeof init;
   captureError: typeof captureError;
+  captureMessage: typeof captureMessage;
+  withScope: typeof withScope;
+  getCurrentScope: typeof getCurrentScope;
+  flush: typeof flush;
+  close: typeof close;
   setUser: typeof setUser;
   setTags: typeof setTags;
   setTag: typeof setTag;
@@ -44,10 +110,12 @@ declare const _default: {
   clearBreadcrumbs: typeof clearBreadcrumbs;
   configureNodeAutoCapture: typeof configureNodeAutoCapture;
   teardownNodeAutoCapture: typeof teardownNodeAutoCapture;
+  expressRequestHandler: typeof expressRequestHandler;
+  expressErrorHandler: typeof expressErrorHandler;
   instance: ErrorMonitor;
 };
 
 export default _default;
 
-export { ErrorMonitor } from "@error-monitor/sdk-core";
+export { ErrorMonitor, createHttpTransport, toIngestPayload } from "@error-monitor/sdk-core";
 export { configureNodeAutoCapture, teardownNodeAutoCapture };
@@ -0,0 +1,13 @@
+module.exports = {
+  testEnvironment: "jsdom",
+  roots: ["<rootDir>/src", "<rootDir>/tests"],
+  // Test against the SDK sources rather than prebuilt dist bundles.
+  moduleNameMapper: {
+    "^@error-monitor/sdk-browser$": "<rootDir>/../browser/src/index.js",
+    "^@error-monitor/sdk-core$": "<rootDir>/../core/src/index.js"
+  },
+  transform: {
+    "^.+\\.js$": ["babel-jest", { presets: ["@babel/preset-env"] }]
+  },
+  transformIgnorePatterns: ["/node_modules/(?!nanoid)/"]
+};
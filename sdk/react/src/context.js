@@ -0,0 +1,19 @@
+import { createContext, createElement, useContext } from "react";
+import { ErrorMonitorInstance } from "@error-monitor/sdk-browser";
+
+const ErrorMonitorContext = createContext(null);
+
+/**
+ * Make a specific monitor available to boundaries and hooks below it. Without a provider they use
+ * the browser SDK's shared instance.
+ * @param {{monitor: import("@error-monitor/sdk-core").ErrorMonitor, children?: import("react").ReactNode}} props
+ */
+export function ErrorMonitorProvider({ monitor, children }) {
+  return createElement(ErrorMonitorContext.Provider, { value: monitor || null }, children);
+}
+
+export function useMonitorInstance() {
+  return useContext(ErrorMonitorContext) || ErrorMonitorInstance;
+}
+
+export { ErrorMonitorContext };
@@ -0,0 +1,93 @@
+import { Component, createElement } from "react";
+import { ErrorMonitorInstance } from "@error-monitor/sdk-browser";
+import { ErrorMonitorContext } from "./context.js";
+
+const initialState = { error: null, componentStack: null, eventId: null };
+
+function haveResetKeysChanged(previous = [], next = []) {
+  return previous.length !== next.length || previous.some((key, index) => !Object.is(key, next[index]));
+}
+
+/**
+ * Error boundary that reports render errors, with React's component stack as context, to the
+ * monitor from `ErrorMonitorProvider` (or the shared browser instance).
+ *
+ * `fallback` is either a node or a render function receiving `{error, componentStack, eventId,
+ * resetError}`. Changing any value in `resetKeys` clears the error and re-renders the children.
+ */
+export class ErrorMonitorBoundary extends Component {
+  constructor(props) {
+    super(props);
+    this.state = initialState;
+    this.resetError = this.resetError.bind(this);
+  }
+
+  static getDerivedStateFromError(error) {
+    return { error };
+  }
+
+  componentDidCatch(error, info) {
+    const monitor = this.props.monitor || this.context || ErrorMonitorInstance;
+    const componentStack = info?.componentStack || null;
+    let eventId = null;
+
+    if (monitor?.isInitialized()) {
+      try {
+        const event = monitor.captureError(error, {
+          tags: { handledBy: "react.errorBoundary", ...(this.props.tags || {}) },
+          componentStack
+        });
+        eventId = event?.id || null;
+      } catch (captureFailure) {
+        // reporting must not break the fallback UI
+      }
+    }
+
+    this.setState({ componentStack, eventId });
+    this.props.onError?.(error, componentStack, eventId);
+  }
+
+  componentDidUpdate(prevProps, prevState) {
+    // Skip the update that rendered the fallback, otherwise keys that change every render would
+    // reset the boundary in a loop.
+    if (this.state.error !== null && prevState.error !== null && haveResetKeysChanged(prevProps.resetKeys, this.props.resetKeys)) {
+      this.resetError();
+    }
+  }
+
+  resetError() {
+    const { error } = this.state;
+    this.setState(initialState);
+    if (error !== null) {
+      this.props.onReset?.(error);
+    }
+  }
+
+  render() {
+    const { error, componentStack, eventId } = this.state;
+    if (error === null) {
+      return this.props.children ?? null;
+    }
+
+    const { fallback } = this.props;
+    if (typeof fallback === "function") {
+      return fallback({ error, componentStack, eventId, resetError: this.resetError });
+    }
+    return fallback ?? null;
+  }
+}
+
+ErrorMonitorBoundary.contextType = ErrorMonitorContext;
+
+/**
+ * Wrap a component in an `ErrorMonitorBoundary`.
+ * @param {import("react").ComponentType} WrappedComponent
+ * @param {object} [boundaryProps]
+ */
+export function withErrorMonitorBoundary(WrappedComponent, boundaryProps = {}) {
+  function WithErrorMonitorBoundary(props) {
+    return createElement(ErrorMonitorBoundary, boundaryProps, createElement(WrappedComponent, props));
+  }
+  WithErrorMonitorBoundary.displayName = `withErrorMonitorBoundary(${WrappedComponent.displayName || WrappedComponent.name || "Component"})`;
+  return WithErrorMonitorBoundary;
+}
@@ -0,0 +1,56 @@
+import { useEffect, useMemo, useRef } from "react";
+import { useMonitorInstance } from "./context.js";
+
+function whenInitialized(monitor, action) {
+  return (...args) => (monitor.isInitialized() ? action(...args) : null);
+}
+
+/**
+ * Access the active monitor from components. Calls made before `init` are ignored instead of
+ * throwing, so components can report unconditionally.
+ * @returns {{monitor: object, captureError: Function, captureMessage: Function, addBreadcrumb: Function, setUser: Function, setTag: Function, setTags: Function}}
+ */
+export function useErrorMonitor() {
+  const monitor = useMonitorInstance();
+
+  return useMemo(
+    () => ({
+      monitor,
+      captureError: whenInitialized(monitor, (error, context) => monitor.captureError(error, context)),
+      captureMessage: whenInitialized(monitor, (message, level, context) => monitor.captureMessage(message, level, context)),
+      addBreadcrumb: whenInitialized(monitor, (breadcrumb) => monitor.addBreadcrumb(breadcrumb)),
+      setUser: whenInitialized(monitor, (user) => monitor.setUser(user)),
+      setTag: whenInitialized(monitor, (key, value) => monitor.setTag(key, value)),
+      setTags: whenInitialized(monitor, (tags, options) => monitor.setTags(tags, options))
+    }),
+    [monitor]
+  );
+}
+
+/**
+ * Tag subsequent events with the current route and leave a navigation breadcrumb whenever it
+ * changes. Pass the route pattern (e.g. `/errors/:id`) rather than the concrete URL so events group
+ * by screen. Works with any router since it only needs the route value.
+ * @param {string|null|undefined} route
+ * @param {{tagName?: string}} [options]
+ */
+export function useRouteTag(route, { tagName = "route" } = {}) {
+  const monitor = useMonitorInstance();
+  const previousRoute = useRef(null);
+
+  useEffect(() => {
+    if (typeof route !== "string" || !route || !monitor.isInitialized()) {
+      return;
+    }
+    monitor.setTag(tagName, route);
+    if (previousRoute.current !== route) {
+      monitor.addBreadcrumb({
+        category: "navigation",
+        level: "info",
+        message: `Route changed to ${route}`,
+        data: { from: previousRoute.current, to: route }
+      });
+      previousRoute.current = route;
+    }
+  }, [monitor, route, tagName]);
+}
@@ -0,0 +1,3 @@
+export { ErrorMonitorProvider } from "./context.js";
+export { ErrorMonitorBoundary, withErrorMonitorBoundary } from "./error-boundary.js";
+export { useErrorMonitor, useRouteTag } from "./hooks.js";
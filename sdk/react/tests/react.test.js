@@ -0,0 +1,197 @@
+import { afterEach, beforeEach, describe, expect, it, jest } from "@jest/globals";
+import { createElement, useState } from "react";
+import { act, cleanup, fireEvent, render, screen } from "@testing-library/react";
+import { ErrorMonitor } from "../../core/src/index.js";
+import {
+  ErrorMonitorBoundary,
+  ErrorMonitorProvider,
+  useErrorMonitor,
+  useRouteTag,
+  withErrorMonitorBoundary
+} from "../src/index.js";
+
+function createMonitor() {
+  const monitor = new ErrorMonitor();
+  monitor.init({ apiKey: "test-key", apiUrl: "https://example.com/errors", transport: jest.fn(() => Promise.resolve()) });
+  return monitor;
+}
+
+function Thrower({ shouldThrow = true }) {
+  if (shouldThrow) {
+    throw new Error("render failed");
+  }
+  return createElement("p", null, "rendered");
+}
+
+function renderWithMonitor(monitor, element) {
+  return render(createElement(ErrorMonitorProvider, { monitor }, element));
+}
+
+describe("ErrorMonitorBoundary", () => {
+  let monitor;
+
+  beforeEach(() => {
+    monitor = createMonitor();
+    // React logs every caught render error.
+    jest.spyOn(console, "error").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    cleanup();
+    monitor.close();
+    jest.restoreAllMocks();
+  });
+
+  it("captures render errors with the component stack", () => {
+    const onError = jest.fn();
+    renderWithMonitor(
+      monitor,
+      createElement(ErrorMonitorBoundary, { fallback: createElement("p", null, "oops"), tags: { area: "checkout" }, onError }, createElement(Thrower))
+    );
+
+    expect(screen.getByText("oops")).toBeTruthy();
+    const [event] = monitor.getBufferedEvents();
+    expect(event.error.message).toBe("render failed");
+    expect(event.tags).toMatchObject({ handledBy: "react.errorBoundary", area: "checkout" });
+    expect(event.context.componentStack).toEqual(expect.stringMatching(/\n\s+at /));
+    expect(onError).toHaveBeenCalledWith(expect.any(Error), event.context.componentStack, event.id);
+  });
+
+  it("passes the error and a reset function to a fallback render prop", () => {
+    function App() {
+      const [broken, setBroken] = useState(true);
+      return createElement(
+        ErrorMonitorBoundary,
+        {
+          fallback: ({ error, eventId, resetError }) =>
+            createElement(
+              "button",
+              {
+                type: "button",
+                onClick: () => {
+                  setBroken(false);
+                  resetError();
+                }
+              },
+              `${error.message} (${eventId})`
+            )
+        },
+        createElement(Thrower, { shouldThrow: broken })
+      );
+    }
+
+    renderWithMonitor(monitor, createElement(App));
+    const [event] = monitor.getBufferedEvents();
+    fireEvent.click(screen.getByText(`render failed (${event.id})`));
+
+    expect(screen.getByText("rendered")).toBeTruthy();
+  });
+
+  it("resets when a reset key changes", () => {
+    const onReset = jest.fn();
+    const view = (key, shouldThrow) =>
+      createElement(
+        ErrorMonitorProvider,
+        { monitor },
+        createElement(ErrorMonitorBoundary, { fallback: createElement("p", null, "oops"), resetKeys: [key], onReset }, createElement(Thrower, { shouldThrow }))
+      );
+
+    const { rerender } = render(view("/a", true));
+    rerender(view("/a", false));
+    expect(screen.getByText("oops")).toBeTruthy();
+
+    rerender(view("/b", false));
+    expect(screen.getByText("rendered")).toBeTruthy();
+    expect(onReset).toHaveBeenCalledWith(expect.any(Error));
+  });
+
+  it("renders the fallback without reporting when the monitor is not initialized", () => {
+    const idle = new ErrorMonitor();
+    render(createElement(ErrorMonitorBoundary, { monitor: idle, fallback: createElement("p", null, "oops") }, createElement(Thrower)));
+
+    expect(screen.getByText("oops")).toBeTruthy();
+    expect(idle.getBufferedEvents()).toEqual([]);
+  });
+
+  it("wraps components with withErrorMonitorBoundary", () => {
+    const Wrapped = withErrorMonitorBoundary(Thrower, { fallback: createElement("p", null, "oops") });
+
+    renderWithMonitor(monitor, createElement(Wrapped));
+
+    expect(Wrapped.displayName).toBe("withErrorMonitorBoundary(Thrower)");
+    expect(screen.getByText("oops")).toBeTruthy();
+    expect(monitor.getBufferedEvents()).toHaveLength(1);
+  });
+});
+
+describe("hooks", () => {
+  let monitor;
+
+  beforeEach(() => {
+    monitor = createMonitor();
+  });
+
+  afterEach(() => {
+    cleanup();
+    monitor.close();
+  });
+
+  it("useErrorMonitor reports through the provided monitor", () => {
+    function Button() {
+      const { captureError, addBreadcrumb } = useErrorMonitor();
+      return createElement(
+        "button",
+        {
+          type: "button",
+          onClick: () => {
+            addBreadcrumb({ message: "clicked pay" });
+            captureError(new Error("payment failed"), { tags: { step: "pay" } });
+          }
+        },
+        "pay"
+      );
+    }
+
+    renderWithMonitor(monitor, createElement(Button));
+    fireEvent.click(screen.getByText("pay"));
+
+    const [event] = monitor.getBufferedEvents();
+    expect(event.error.message).toBe("payment failed");
+    expect(event.tags.step).toBe("pay");
+    expect(event.breadcrumbs.map((crumb) => crumb.message)).toEqual(["clicked pay"]);
+  });
+
+  it("useErrorMonitor ignores calls before init", () => {
+    const idle = new ErrorMonitor();
+    let handle;
+    function Probe() {
+      handle = useErrorMonitor();
+      return null;
+    }
+
+    renderWithMonitor(idle, createElement(Probe));
+
+    expect(handle.monitor).toBe(idle);
+    expect(handle.captureError(new Error("early"))).toBeNull();
+    expect(handle.captureMessage("early")).toBeNull();
+  });
+
+  it("useRouteTag tags events and records route changes", () => {
+    function Page({ route }) {
+      useRouteTag(route);
+      return null;
+    }
+
+    const { rerender } = renderWithMonitor(monitor, createElement(Page, { route: "/errors" }));
+    act(() => {
+      rerender(createElement(ErrorMonitorProvider, { monitor }, createElement(Page, { route: "/errors/:id" })));
+    });
+
+    const event = monitor.captureError(new Error("boom"));
+    expect(event.tags.route).toBe("/errors/:id");
+    expect(event.breadcrumbs).toEqual([
+      expect.objectContaining({ category: "navigation", data: { from: null, to: "/errors" } }),
+      expect.objectContaining({ category: "navigation", data: { from: "/errors", to: "/errors/:id" } })
+    ]);
+  });
+});
@@ -0,0 +1,55 @@
+import type { Component, ComponentType, ReactNode } from "react";
+import type { ErrorContext, ErrorMonitor, ErrorMonitorEvent, SeverityLevel, TagValue } from "@error-monitor/sdk-core";
+
+export interface FallbackRenderProps {
+  error: unknown;
+  componentStack: string | null;
+  /** Id of the captured event, or `null` when nothing was reported (not initialized, sampled out, dropped by `beforeSend`). */
+  eventId: string | null;
+  resetError(): void;
+}
+
+export interface ErrorMonitorBoundaryProps {
+  children?: ReactNode;
+  fallback?: ReactNode | ((props: FallbackRenderProps) => ReactNode);
+  /** The boundary clears its error when any of these values change. */
+  resetKeys?: unknown[];
+  /** Extra tags for events captured by this boundary. */
+  tags?: Record<string, TagValue>;
+  /** Overrides the monitor from `ErrorMonitorProvider`. */
+  monitor?: ErrorMonitor;
+  onError?(error: unknown, componentStack: string | null, eventId: string | null): void;
+  onReset?(error: unknown): void;
+}
+
+export interface ErrorMonitorBoundaryState {
+  error: unknown;
+  componentStack: string | null;
+  eventId: string | null;
+}
+
+export declare class ErrorMonitorBoundary extends Component<ErrorMonitorBoundaryProps, ErrorMonitorBoundaryState> {
+  resetError(): void;
+}
+
+export declare function withErrorMonitorBoundary<P>(
+  component: ComponentType<P>,
+  boundaryProps?: Omit<ErrorMonitorBoundaryProps, "children">
+): ComponentType<P>;
+
+export declare function ErrorMonitorProvider(props: { monitor: ErrorMonitor; children?: ReactNode }): JSX.Element;
+
+export interface ErrorMonitorHandle {
+  monitor: ErrorMonitor;
+  /** Returns `null` without capturing when the monitor is not initialized. */
+  captureError(error: unknown, context?: ErrorContext): ErrorMonitorEvent | null;
+  captureMessage(message: string, level?: SeverityLevel, context?: ErrorContext): ErrorMonitorEvent | null;
+  addBreadcrumb(breadcrumb: Parameters<ErrorMonitor["addBreadcrumb"]>[0]): ReturnType<ErrorMonitor["addBreadcrumb"]> | null;
+  setUser(user: Record<string, unknown> | null): Record<string, unknown> | null;
+  setTag(key: string, value: TagValue): TagValue | null;
+  setTags(tags: Record<string, TagValue>, options?: { replace?: boolean }): Record<string, TagValue> | null;
+}
+
+export declare function useErrorMonitor(): ErrorMonitorHandle;
+
+export declare function useRouteTag(route: string | null | undefined, options?: { tagName?: string }): void;
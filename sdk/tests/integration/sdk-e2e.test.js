@@ -66,7 +66,7 @@ function toStackFrame(frame) {
     line: frame.lineNumber ?? null,
     column: frame.columnNumber ?? null,
     function: frame.functionName || null,
-    inApp: Boolean(file && file.includes("src"))
+    inApp: frame.inApp === true
   };
 }
 
@@ -0,0 +1,17 @@
+module.exports = {
+  testEnvironment: "jsdom",
+  // jsdom's default "browser" export condition resolves Vue to its ESM browser bundle; use the CommonJS build instead.
+  testEnvironmentOptions: {
+    customExportConditions: ["node", "node-addons"]
+  },
+  roots: ["<rootDir>/src", "<rootDir>/tests"],
+  // Test against the SDK sources rather than prebuilt dist bundles.
+  moduleNameMapper: {
+    "^@error-monitor/sdk-browser$": "<rootDir>/../browser/src/index.js",
+    "^@error-monitor/sdk-core$": "<rootDir>/../core/src/index.js"
+  },
+  transform: {
+    "^.+\\.js$": ["babel-jest", { presets: ["@babel/preset-env"] }]
+  },
+  transformIgnorePatterns: ["/node_modules/(?!nanoid)/"]
+};
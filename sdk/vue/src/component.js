@@ -0,0 +1,71 @@
+const MAX_TRACE_DEPTH = 10;
+const MAX_PROP_STRING_LENGTH = 200;
+
+// Matches the `__file` Vue's SFC compiler records in development builds.
+const FILE_NAME_PATTERN = /([^/\\]+)\.vue$/;
+
+/**
+ * Resolve a readable name for a component instance (the component proxy Vue passes to error handlers).
+ * @param {object|null} instance
+ * @returns {string|null}
+ */
+export function getComponentName(instance) {
+  if (!instance) {
+    return null;
+  }
+  if (instance.$root === instance) {
+    return "<Root>";
+  }
+  const options = instance.$options || {};
+  if (options.name || options.__name) {
+    return options.name || options.__name;
+  }
+  const match = typeof options.__file === "string" ? options.__file.match(FILE_NAME_PATTERN) : null;
+  return match ? match[1] : "<Anonymous>";
+}
+
+/**
+ * Names of the component and its ancestors, innermost first.
+ * @param {object|null} instance
+ * @returns {string[]}
+ */
+export function getComponentTrace(instance) {
+  const trace = [];
+  let current = instance;
+  while (current && trace.length < MAX_TRACE_DEPTH) {
+    trace.push(getComponentName(current));
+    current = current.$parent;
+  }
+  return trace;
+}
+
+function summarizePropValue(value) {
+  if (typeof value === "function") {
+    return "[Function]";
+  }
+  if (typeof value === "string" && value.length > MAX_PROP_STRING_LENGTH) {
+    return `${value.slice(0, MAX_PROP_STRING_LENGTH)}…`;
+  }
+  if (Array.isArray(value)) {
+    return `[Array(${value.length})]`;
+  }
+  if (value && typeof value === "object") {
+    return "[Object]";
+  }
+  return value;
+}
+
+/**
+ * Shallow, serializable copy of the props the component received. Nested objects and arrays are
+ * summarized so reactive state does not end up in the event; sensitive keys are still subject to
+ * the SDK's `scrubFields`.
+ * @param {object|null} instance
+ * @returns {object|null}
+ */
+export function getComponentProps(instance) {
+  const props = instance?.$props;
+  if (!props || typeof props !== "object") {
+    return null;
+  }
+  return Object.fromEntries(Object.keys(props).map((key) => [key, summarizePropValue(props[key])]));
+}
@@ -0,0 +1,63 @@
+import { ErrorMonitorInstance } from "@error-monitor/sdk-browser";
+import { getComponentName, getComponentProps, getComponentTrace } from "./component.js";
+
+export { getComponentName, getComponentProps, getComponentTrace } from "./component.js";
+
+/**
+ * Install `app.config.errorHandler` so errors from render functions, lifecycle hooks, watchers and
+ * event handlers are captured with the component name, lifecycle hook and props. An existing
+ * handler keeps running afterwards; without one the error is logged to the console the way Vue
+ * does when no handler is set.
+ * @param {import("vue").App} app
+ * @param {{monitor?: object, attachProps?: boolean, logErrors?: boolean, tags?: object}} [options]
+ * @returns {() => void} Restores the previous handler.
+ */
+export function attachErrorHandler(app, { monitor = ErrorMonitorInstance, attachProps = true, logErrors = true, tags = {} } = {}) {
+  if (!app?.config) {
+    throw new TypeError("app must be a Vue application instance");
+  }
+
+  const previousHandler = app.config.errorHandler;
+
+  const errorHandler = (error, instance, info) => {
+    if (monitor.isInitialized()) {
+      try {
+        monitor.captureError(error, {
+          tags: { handledBy: "vue.errorHandler", ...tags },
+          component: {
+            name: getComponentName(instance),
+            // Production builds pass an error-reference URL instead of the hook name.
+            lifecycleHook: typeof info === "string" ? info : null,
+            props: attachProps ? getComponentProps(instance) : null,
+            trace: getComponentTrace(instance)
+          }
+        });
+      } catch (captureFailure) {
+        // reporting must not replace the application's own error handling
+      }
+    }
+
+    if (typeof previousHandler === "function") {
+      previousHandler.call(app.config, error, instance, info);
+    } else if (logErrors) {
+      console.error(error);
+    }
+  };
+
+  app.config.errorHandler = errorHandler;
+
+  return () => {
+    if (app.config.errorHandler === errorHandler) {
+      app.config.errorHandler = previousHandler;
+    }
+  };
+}
+
+/**
+ * Vue plugin form of `attachErrorHandler`: `app.use(ErrorMonitorPlugin, { monitor })`.
+ */
+export const ErrorMonitorPlugin = {
+  install(app, options) {
+    attachErrorHandler(app, options);
+  }
+};
@@ -0,0 +1,119 @@
+import { afterEach, beforeEach, describe, expect, it, jest } from "@jest/globals";
+import { createApp, defineComponent, h, nextTick } from "vue";
+import { mount } from "@vue/test-utils";
+import { ErrorMonitor } from "../../core/src/index.js";
+import { ErrorMonitorPlugin, attachErrorHandler, getComponentName } from "../src/index.js";
+
+function createMonitor() {
+  const monitor = new ErrorMonitor();
+  monitor.init({ apiKey: "test-key", apiUrl: "https://example.com/errors", transport: jest.fn(() => Promise.resolve()) });
+  return monitor;
+}
+
+const PriceTag = defineComponent({
+  name: "PriceTag",
+  props: { amount: Number, currency: String, onPay: Function, items: Array },
+  mounted() {
+    throw new Error("mount failed");
+  },
+  render() {
+    return h("span", this.amount);
+  }
+});
+
+describe("Vue integration", () => {
+  let monitor;
+
+  beforeEach(() => {
+    monitor = createMonitor();
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    monitor.close();
+    jest.restoreAllMocks();
+  });
+
+  it("captures lifecycle errors with component metadata", () => {
+    const Parent = defineComponent({
+      name: "CheckoutPage",
+      render: () => h(PriceTag, { amount: 42, currency: "EUR", onPay: () => {}, items: [1, 2] })
+    });
+
+    // Test utils rethrow mount errors after the app's error handler has seen them.
+    expect(() => mount(Parent, { global: { plugins: [[ErrorMonitorPlugin, { monitor, tags: { app: "shop" } }]] } })).toThrow("mount failed");
+
+    const [event] = monitor.getBufferedEvents();
+    expect(event.error.message).toBe("mount failed");
+    expect(event.tags).toMatchObject({ handledBy: "vue.errorHandler", app: "shop" });
+    expect(event.context.component).toEqual({
+      name: "PriceTag",
+      lifecycleHook: "mounted hook",
+      props: { amount: 42, currency: "EUR", onPay: "[Function]", items: "[Array(2)]" },
+      trace: ["PriceTag", "CheckoutPage", "<Root>"]
+    });
+    expect(console.error).toHaveBeenCalledWith(expect.objectContaining({ message: "mount failed" }));
+  });
+
+  it("captures event handler errors and can omit props", async () => {
+    const Button = defineComponent({
+      name: "PayButton",
+      props: { label: String },
+      setup(props) {
+        return () =>
+          h("button", {
+            onClick: () => {
+              throw new Error(`${props.label} failed`);
+            }
+          });
+      }
+    });
+
+    const wrapper = mount(Button, { props: { label: "pay" }, global: { plugins: [[ErrorMonitorPlugin, { monitor, attachProps: false }]] } });
+    await wrapper.find("button").trigger("click");
+    await nextTick();
+
+    const [event] = monitor.getBufferedEvents();
+    expect(event.error.message).toBe("pay failed");
+    expect(event.context.component).toMatchObject({ name: "PayButton", lifecycleHook: "native event handler", props: null });
+  });
+
+  it("keeps an existing handler and restores it on teardown", () => {
+    const app = createApp({ render: () => null });
+    const previous = jest.fn();
+    app.config.errorHandler = previous;
+
+    const restore = attachErrorHandler(app, { monitor });
+    const error = new Error("watcher failed");
+    app.config.errorHandler(error, null, "watcher callback");
+
+    expect(previous).toHaveBeenCalledWith(error, null, "watcher callback");
+    expect(console.error).not.toHaveBeenCalled();
+    expect(monitor.getBufferedEvents()[0].context.component).toEqual({
+      name: null,
+      lifecycleHook: "watcher callback",
+      props: null,
+      trace: []
+    });
+
+    restore();
+    expect(app.config.errorHandler).toBe(previous);
+  });
+
+  it("skips reporting before init", () => {
+    const idle = new ErrorMonitor();
+    expect(() => mount(PriceTag, { props: { amount: 1 }, global: { plugins: [[ErrorMonitorPlugin, { monitor: idle }]] } })).toThrow("mount failed");
+
+    expect(idle.getBufferedEvents()).toEqual([]);
+    expect(console.error).toHaveBeenCalled();
+  });
+
+  it("derives names from SFC file names", () => {
+    const instance = { $options: { __file: "/src/components/CartSummary.vue" } };
+    instance.$root = {};
+
+    expect(getComponentName(instance)).toBe("CartSummary");
+    expect(getComponentName({ $options: {}, $root: {} })).toBe("<Anonymous>");
+  });
+});
@@ -0,0 +1,28 @@
+import type { App, ComponentPublicInstance, Plugin } from "vue";
+import type { ErrorMonitor, TagValue } from "@error-monitor/sdk-core";
+
+export interface VueIntegrationOptions {
+  /** Defaults to the browser SDK's shared instance. */
+  monitor?: ErrorMonitor;
+  /** Attach a shallow summary of the component's props. Defaults to `true`. */
+  attachProps?: boolean;
+  /** Log errors to the console when no previous `errorHandler` exists. Defaults to `true`. */
+  logErrors?: boolean;
+  tags?: Record<string, TagValue>;
+}
+
+/** Shape of `event.context.component` for errors captured by the integration. */
+export interface VueComponentContext {
+  name: string | null;
+  lifecycleHook: string | null;
+  props: Record<string, unknown> | null;
+  /** Component names from the failing component up to the root. */
+  trace: string[];
+}
+
+export declare function attachErrorHandler(app: App, options?: VueIntegrationOptions): () => void;
+export declare const ErrorMonitorPlugin: Plugin<[VueIntegrationOptions?]>;
+
+export declare function getComponentName(instance: ComponentPublicInstance | null): string | null;
+export declare function getComponentTrace(instance: ComponentPublicInstance | null): string[];
+export declare function getComponentProps(instance: ComponentPublicInstance | null): Record<string, unknown> | null;
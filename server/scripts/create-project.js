@@ -11,14 +11,18 @@ dotenv.config({ path: path.join(__dirname, '..', '.env') });
 const createProject = async (name) => {
   await connectDatabase();
   const apiKey = createApiKey();
+  const publicKey = createApiKey('public');
   const project = await Project.create({
     name,
-    apiKeyHash: hashApiKey(apiKey),
-    apiKeyPreview: getApiKeyPreview(apiKey),
+    apiKeys: [
+      { label: 'Default secret key', type: 'secret', keyHash: hashApiKey(apiKey), preview: getApiKeyPreview(apiKey) },
+      { label: 'Default public key', type: 'public', keyHash: hashApiKey(publicKey), preview: getApiKeyPreview(publicKey) },
+    ],
   });
   console.log('Created project:', project.name);
   console.log('API Key (store securely):', apiKey);
-  console.log('Preview:', project.apiKeyPreview);
+  console.log('Preview:', getApiKeyPreview(apiKey));
+  console.log('Public ingest key (safe for browser bundles):', publicKey);
   await mongoose.disconnect();
 };
 
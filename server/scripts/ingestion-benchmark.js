@@ -0,0 +1,153 @@
+/*
+ * Compares only the group-update step of ingestion: the atomic upsert ingestError uses against a
+ * hand-written copy of the previous read-modify-write update. Sanitizing, fingerprinting, the
+ * occurrence write and alerting are not part of either run, so the timings say nothing about the
+ * full ingestion path. Both run the same burst of events against a throwaway project; "lost"
+ * counts the increments that never reached a group.
+ *
+ *   MONGODB_URI=mongodb://localhost:27017/error-monitor npm run bench:ingestion
+ *
+ * Tune with BENCH_EVENTS (default 5000), BENCH_CONCURRENCY (default 50) and BENCH_GROUPS (default 10).
+ */
+const path = require('path');
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+
+dotenv.config({ path: path.join(__dirname, '..', '.env') });
+
+const { connectDatabase } = require('../src/config/database');
+const ErrorEvent = require('../src/models/Error');
+const Project = require('../src/models/Project');
+const { upsertErrorGroup } = require('../src/services/error-service');
+
+const readPositiveInt = (name, fallback) => {
+  const value = Number.parseInt(process.env[name], 10);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+};
+
+const EVENTS = readPositiveInt('BENCH_EVENTS', 5000);
+const CONCURRENCY = readPositiveInt('BENCH_CONCURRENCY', 50);
+const GROUPS = readPositiveInt('BENCH_GROUPS', 10);
+
+const buildEvent = (index) => ({
+  timestamp: new Date(Date.now() + index),
+  message: `Benchmark failure ${index % GROUPS}`,
+  stackTrace: [{ file: 'bench.js', line: 10 + (index % GROUPS), column: 3, function: 'run', inApp: true }],
+  linkedExceptions: [],
+  environment: 'production',
+  level: 'error',
+  release: '1.0.0',
+  groupingVersion: 2,
+  metadata: { tags: { shard: String(index % 4) }, context: {}, breadcrumbs: [] },
+  hasMetadata: true,
+  userContext: {},
+  hasUserContext: false,
+  expiresAt: null,
+});
+
+// The group update ingestError used before the upsert path: read, mutate, save, retry on duplicates.
+const legacyWrite = async (project, fingerprint, event) => {
+  const apply = async (errorEvent) => {
+    errorEvent.count += 1;
+    errorEvent.lastSeen = event.timestamp;
+    errorEvent.message = event.message;
+    errorEvent.environment = event.environment;
+    errorEvent.level = event.level;
+    errorEvent.lastRelease = event.release;
+    errorEvent.stackTrace = event.stackTrace;
+    errorEvent.markModified('stackTrace');
+    errorEvent.metadata = { ...(errorEvent.metadata || {}), ...event.metadata };
+    errorEvent.markModified('metadata');
+    await errorEvent.save();
+    return { errorEvent, isNew: false };
+  };
+
+  const existing = await ErrorEvent.findOne({ fingerprint, projectId: project._id });
+  if (existing) {
+    return apply(existing);
+  }
+  try {
+    const errorEvent = await ErrorEvent.create({
+      projectId: project._id,
+      fingerprint,
+      groupingVersion: event.groupingVersion,
+      message: event.message,
+      stackTrace: event.stackTrace,
+      environment: event.environment,
+      level: event.level,
+      firstRelease: event.release,
+      lastRelease: event.release,
+      metadata: event.metadata,
+      firstSeen: event.timestamp,
+      lastSeen: event.timestamp,
+    });
+    return { errorEvent, isNew: true };
+  } catch (error) {
+    if (error && error.code === 11000) {
+      return apply(await ErrorEvent.findOne({ fingerprint, projectId: project._id }));
+    }
+    throw error;
+  }
+};
+
+const runScenario = async (name, project, write) => {
+  await ErrorEvent.deleteMany({ projectId: project._id });
+
+  let next = 0;
+  let created = 0;
+  const worker = async () => {
+    while (next < EVENTS) {
+      const index = next;
+      next += 1;
+      const fingerprint = `bench-${index % GROUPS}`;
+      // eslint-disable-next-line no-await-in-loop
+      const { isNew } = await write(project, fingerprint, buildEvent(index));
+      created += isNew ? 1 : 0;
+    }
+  };
+
+  const startedAt = process.hrtime.bigint();
+  await Promise.all(Array.from({ length: CONCURRENCY }, worker));
+  const durationMs = Number(process.hrtime.bigint() - startedAt) / 1e6;
+
+  const [{ total = 0, groups = 0 } = {}] = await ErrorEvent.aggregate([
+    { $match: { projectId: project._id } },
+    { $group: { _id: null, total: { $sum: '$count' }, groups: { $sum: 1 } } },
+  ]);
+
+  return {
+    implementation: name,
+    'events/s': Math.round((EVENTS / durationMs) * 1000),
+    'duration (ms)': Math.round(durationMs),
+    counted: total,
+    lost: EVENTS - total,
+    groups,
+    'reported new': created,
+  };
+};
+
+const run = async () => {
+  let project;
+  try {
+    await connectDatabase();
+    await ErrorEvent.createIndexes();
+    project = await Project.create({ name: `ingestion-benchmark-${Date.now()}` });
+
+    console.log(`Ingesting ${EVENTS} events into ${GROUPS} groups with ${CONCURRENCY} concurrent writers`);
+    const results = [];
+    results.push(await runScenario('read-modify-write (previous)', project, legacyWrite));
+    results.push(await runScenario('atomic upsert (current)', project, upsertErrorGroup));
+    console.table(results);
+  } catch (error) {
+    console.error('Ingestion benchmark failed', error);
+    process.exitCode = 1;
+  } finally {
+    if (project) {
+      await ErrorEvent.deleteMany({ projectId: project._id });
+      await Project.deleteOne({ _id: project._id });
+    }
+    await mongoose.disconnect();
+  }
+};
+
+run();
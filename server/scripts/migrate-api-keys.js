@@ -0,0 +1,70 @@
+const path = require('path');
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+
+const { connectDatabase } = require('../src/config/database');
+const Project = require('../src/models/Project');
+
+dotenv.config({ path: path.join(__dirname, '..', '.env') });
+
+// Projects created before key collections stored a single hash per key type on the document itself.
+const LEGACY_FIELDS = [
+  { type: 'secret', hash: 'apiKeyHash', preview: 'apiKeyPreview', label: 'Default secret key' },
+  { type: 'public', hash: 'publicKeyHash', preview: 'publicKeyPreview', label: 'Default public key' },
+];
+
+const migrate = async () => {
+  await connectDatabase();
+  const collection = Project.collection;
+  const cursor = collection.find({ $or: LEGACY_FIELDS.map((field) => ({ [field.hash]: { $exists: true } })) });
+
+  let migrated = 0;
+  for await (const project of cursor) {
+    const existingHashes = new Set((project.apiKeys || []).map((entry) => entry.keyHash));
+    const entries = LEGACY_FIELDS.filter((field) => project[field.hash] && !existingHashes.has(project[field.hash])).map(
+      (field) => ({
+        _id: new mongoose.Types.ObjectId(),
+        label: field.label,
+        type: field.type,
+        keyHash: project[field.hash],
+        preview: project[field.preview] || '',
+        createdAt: project.createdAt || new Date(),
+        expiresAt: null,
+        lastUsedAt: null,
+        lastUsedIp: null,
+        revoked: false,
+        revokedAt: null,
+      })
+    );
+
+    const unset = Object.fromEntries(LEGACY_FIELDS.flatMap((field) => [[field.hash, ''], [field.preview, '']]));
+    await collection.updateOne(
+      { _id: project._id },
+      { ...(entries.length ? { $push: { apiKeys: { $each: entries } } } : {}), $unset: unset }
+    );
+    migrated += 1;
+  }
+
+  // The legacy unique indexes would reject every new project, since none of them carry the old fields.
+  const indexNames = new Set((await collection.indexes()).map((index) => index.name));
+  for (const field of LEGACY_FIELDS) {
+    const indexName = `${field.hash}_1`;
+    if (indexNames.has(indexName)) {
+      // eslint-disable-next-line no-await-in-loop
+      await collection.dropIndex(indexName);
+    }
+  }
+
+  console.log(`Migrated API keys for ${migrated} project(s)`);
+  await mongoose.disconnect();
+};
+
+migrate()
+  .then(() => {
+    process.exit(0);
+  })
+  .catch(async (error) => {
+    console.error('Failed to migrate API keys', error);
+    await mongoose.disconnect();
+    process.exit(1);
+  });
@@ -13,24 +13,19 @@ const teamRoutes = require('./routes/team-routes');
 const alertRoutes = require('./routes/alert-routes');
 const authRoutes = require('./routes/auth-routes');
 const projectRoutes = require('./routes/project-routes');
+const sourceMapRoutes = require('./routes/source-map-routes');
 const errorHandler = require('./middleware/error-handler');
 const { getQueueConfig } = require('./config/queue');
+const { getAllowedOrigins, isIngestionPath } = require('./config/cors');
 const logger = require('./utils/logger');
 
 const { ipKeyGenerator } = rateLimit;
 
-const parseAllowedOrigins = () => {
-  const raw = process.env.DASHBOARD_ORIGINS || process.env.CORS_ORIGINS;
-  if (!raw) {
-    return ['http://localhost:3000', 'http://localhost:3001'];
-  }
-  return raw
-    .split(',')
-    .map((value) => value.trim())
-    .filter(Boolean);
-};
+const allowedOrigins = getAllowedOrigins();
+
+const SOURCE_MAP_PATH = '/api/source-maps';
 
-const allowedOrigins = parseAllowedOrigins();
+const isSourceMapUpload = (req) => req.method === 'POST' && req.path.replace(/\/+$/, '') === SOURCE_MAP_PATH;
 
 const createApp = () => {
   const app = express();
@@ -39,19 +34,26 @@ const createApp = () => {
 
   app.use(helmet());
   app.use(
-    cors({
-      origin: (origin, callback) => {
-        if (!origin || allowedOrigins.includes(origin)) {
-          return callback(null, true);
-        }
-        return callback(new Error('Not allowed by CORS'));
-      },
-      methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
-      allowedHeaders: ['Content-Type', 'Authorization', 'X-Api-Key', 'X-Project-Id'],
+    cors((req, callback) => {
+      // Browser SDKs post from any site with a public key; api-key-auth keeps secret keys off those origins.
+      const openToAnyOrigin = isIngestionPath(req.path);
+      callback(null, {
+        origin: (origin, done) => {
+          if (!origin || openToAnyOrigin || allowedOrigins.includes(origin)) {
+            return done(null, true);
+          }
+          return done(new Error('Not allowed by CORS'));
+        },
+        methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+        allowedHeaders: ['Content-Type', 'Authorization', 'X-Api-Key', 'X-Project-Id'],
+      });
     })
   );
-  app.use(express.json({ limit: '100kb' }));
-  app.use(express.urlencoded({ extended: true, limit: '100kb' }));
+  // Uploads are parsed by the source map router once the caller is authenticated, with its larger limit.
+  const unlessSourceMapUpload = (parser) => (req, res, next) =>
+    isSourceMapUpload(req) ? next() : parser(req, res, next);
+  app.use(unlessSourceMapUpload(express.json({ limit: '100kb' })));
+  app.use(unlessSourceMapUpload(express.urlencoded({ extended: true, limit: '100kb' })));
 
   // Assign a request ID (honor inbound header) and log minimal request lifecycle without sensitive payloads.
   app.use((req, res, next) => {
@@ -153,6 +155,8 @@ const createApp = () => {
   // Apply rate limits to authenticated API routes; health stays unthrottled for monitoring/load checks
   app.use('/api', limiter);
 
+  app.use(SOURCE_MAP_PATH, sourceMapRoutes);
+
   // Auth endpoints should remain accessible without API key middleware from other routers
   app.use('/api', authLimiter, authRoutes);
   app.use('/api/projects', projectRoutes);
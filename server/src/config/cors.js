@@ -0,0 +1,25 @@
+const DEFAULT_DASHBOARD_ORIGINS = ['http://localhost:3000', 'http://localhost:3001'];
+
+// Ingestion endpoints are called by SDKs embedded in arbitrary customer sites.
+const INGESTION_PATHS = new Set(['/api/errors', '/api/errors/batch']);
+
+const getAllowedOrigins = () => {
+  const raw = process.env.DASHBOARD_ORIGINS || process.env.CORS_ORIGINS;
+  if (!raw) {
+    return [...DEFAULT_DASHBOARD_ORIGINS];
+  }
+  return raw
+    .split(',')
+    .map((value) => value.trim())
+    .filter(Boolean);
+};
+
+const isDashboardOrigin = (origin) => Boolean(origin) && getAllowedOrigins().includes(origin);
+
+const isIngestionPath = (path) => INGESTION_PATHS.has(String(path || '').replace(/\/+$/, ''));
+
+module.exports = {
+  getAllowedOrigins,
+  isDashboardOrigin,
+  isIngestionPath,
+};
@@ -8,6 +8,8 @@ const getQueueConfig = () => {
   const defaultAttempts = Number(process.env.QUEUE_JOB_ATTEMPTS || 3);
   const defaultBackoffMs = Number(process.env.QUEUE_JOB_BACKOFF_MS || 5000);
   const defaultConcurrency = Number(process.env.QUEUE_CONCURRENCY || 5);
+  // `queue` answers ingestion requests with 202 and leaves storage and alerting to the worker.
+  const ingestionMode = process.env.INGESTION_MODE === 'queue' ? 'queue' : 'sync';
 
   return {
     prefix: process.env.BULL_PREFIX || 'error-monitor',
@@ -17,6 +19,7 @@ const getQueueConfig = () => {
     defaultAttempts,
     defaultBackoffMs,
     defaultConcurrency,
+    ingestionMode,
   };
 };
 
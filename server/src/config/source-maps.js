@@ -0,0 +1,19 @@
+const path = require('path');
+
+const DEFAULT_MAX_BYTES = 10 * 1024 * 1024;
+const DEFAULT_CACHE_BYTES = 64 * 1024 * 1024;
+
+const getSourceMapConfig = () => {
+  const maxBytes = Number(process.env.SOURCE_MAP_MAX_BYTES || DEFAULT_MAX_BYTES);
+  const cacheBytes = Number(process.env.SOURCE_MAP_CACHE_BYTES || DEFAULT_CACHE_BYTES);
+
+  return {
+    directory: process.env.SOURCE_MAP_DIR || path.join(__dirname, '..', '..', 'storage', 'source-maps'),
+    maxBytes: Number.isFinite(maxBytes) && maxBytes > 0 ? maxBytes : DEFAULT_MAX_BYTES,
+    // Total size of the maps kept parsed in memory for symbolication.
+    cacheBytes: Number.isFinite(cacheBytes) && cacheBytes > 0 ? cacheBytes : DEFAULT_CACHE_BYTES,
+    contextLines: 5,
+  };
+};
+
+module.exports = { getSourceMapConfig };
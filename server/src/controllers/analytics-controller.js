@@ -6,9 +6,11 @@ const {
   getUserImpactAnalytics,
   getResolutionAnalytics,
   getPatternsAnalytics,
+  getReleaseAnalytics,
   createDeploymentMarker,
   listDeploymentMarkers,
 } = require('../services/analytics-service');
+const { LEVELS } = require('../utils/severity');
 
 const DAY_MS = 24 * 60 * 60 * 1000;
 const VALID_RANGES = new Set(['24h', '7d', '30d', 'custom']);
@@ -30,6 +32,13 @@ const parseEnvironment = (value) => {
   return value.trim();
 };
 
+const parseLevel = (value) => {
+  if (typeof value !== 'string' || !value.trim()) {
+    return null;
+  }
+  return value.trim().toLowerCase();
+};
+
 const parseDateValue = (value) => {
   if (!value || typeof value !== 'string') {
     return null;
@@ -79,6 +88,10 @@ module.exports = {
       }
 
       const environment = parseEnvironment(req.query?.environment);
+      const level = parseLevel(req.query?.level);
+      if (level && !LEVELS.includes(level)) {
+        return res.status(400).json({ error: { message: `Invalid level. Allowed values: ${LEVELS.join(', ')}` } });
+      }
       let startDate;
       let endDate;
 
@@ -109,6 +122,7 @@ module.exports = {
       const data = await getTrendsAnalytics(req.project, {
         rangeKey: range,
         environment,
+        level,
         startDate,
         endDate,
         compare,
@@ -173,6 +187,17 @@ module.exports = {
       return next(error);
     }
   },
+  getReleases: async (req, res, next) => {
+    try {
+      const environment = parseEnvironment(req.query?.environment);
+      const limitRaw = parseInt(req.query?.limit, 10);
+      const limit = Number.isNaN(limitRaw) ? undefined : limitRaw;
+      const data = await getReleaseAnalytics(req.project, { environment, limit });
+      return res.status(200).json({ data });
+    } catch (error) {
+      return next(error);
+    }
+  },
   listDeployments: async (req, res, next) => {
     try {
       const limitRaw = parseInt(req.query?.limit, 10);
@@ -185,7 +210,7 @@ module.exports = {
   },
   createDeployment: async (req, res, next) => {
     try {
-      const { label, timestamp, metadata } = req.body || {};
+      const { label, release, timestamp, metadata } = req.body || {};
 
       if (metadata && typeof metadata !== 'object') {
         return res.status(400).json({ error: { message: 'metadata must be an object when provided' } });
@@ -193,6 +218,7 @@ module.exports = {
 
       const marker = await createDeploymentMarker(req.project, {
         label,
+        release,
         timestamp,
         metadata,
       });
@@ -8,7 +8,12 @@ const {
   assignError,
   unassignError,
 } = require('../services/error-service');
+const { mergeErrors, unmergeError } = require('../services/grouping-service');
+const { enqueueIngestion, isQueuedIngestion } = require('../queues/ingestion-queue');
+const { validateErrorPayload } = require('../validators/error-validator');
+const { normalizeSdkEvent } = require('../utils/sdk-event');
 const logger = require('../utils/logger');
+const { LEVELS } = require('../utils/severity');
 
 const ALLOWED_SORT_FIELDS = new Set(['lastSeen', 'firstSeen', 'count', 'message', 'environment']);
 
@@ -58,6 +63,9 @@ const parseListQuery = (query) => {
   const search = typeof query.search === 'string' ? query.search.trim() : undefined;
   const sourceFileRaw = typeof query.sourceFile === 'string' ? query.sourceFile.trim() : undefined;
   const sourceFile = sourceFileRaw && sourceFileRaw.length ? sourceFileRaw : undefined;
+  const releaseRaw = typeof query.release === 'string' ? query.release.trim() : undefined;
+  const release = releaseRaw && releaseRaw.length ? releaseRaw : undefined;
+  const level = typeof query.level === 'string' && query.level.trim() ? query.level.trim().toLowerCase() : undefined;
 
   if (startDate && endDate && startDate > endDate) {
     const swap = startDate;
@@ -76,10 +84,50 @@ const parseListQuery = (query) => {
     endDate,
     search,
     sourceFile,
+    release,
+    level,
   };
 };
 
+const isDatabaseError = (error) =>
+  error instanceof mongoose.Error ||
+  (error && typeof error === 'object' && typeof error.name === 'string' && error.name.includes('Mongo'));
+
+const newEventId = () => new mongoose.Types.ObjectId().toString();
+
+const enqueueEvent = (eventId, project, payload, receivedAt) =>
+  enqueueIngestion({
+    eventId,
+    projectId: project._id.toString(),
+    // Without a client timestamp the event is dated when it arrived, not when the worker gets to it.
+    payload: { ...payload, timestamp: payload.timestamp || receivedAt },
+  });
+
+// Queued mode: respond as soon as the event is validated and handed to the ingestion worker.
+const queueError = async (req, res) => {
+  const eventId = newEventId();
+  try {
+    const job = await enqueueEvent(eventId, req.project, req.body, new Date().toISOString());
+
+    return res.status(202).json({
+      data: {
+        id: eventId,
+        accepted: true,
+        queued: job.queued,
+      },
+    });
+  } catch (error) {
+    // Nothing was stored under the id, so the client has to send the event again.
+    logger.error({ err: error, eventId }, 'Failed to queue error event');
+    return res.status(503).json({ error: { message: 'Failed to queue event' } });
+  }
+};
+
 const createError = async (req, res, next) => {
+  if (isQueuedIngestion()) {
+    return queueError(req, res);
+  }
+
   try {
     const result = await ingestError(req.body, req.project);
 
@@ -97,10 +145,7 @@ const createError = async (req, res, next) => {
   } catch (error) {
     logger.error({ err: error }, 'Failed to ingest error event');
 
-    if (
-      error instanceof mongoose.Error ||
-      (error && typeof error === 'object' && typeof error.name === 'string' && error.name.includes('Mongo'))
-    ) {
+    if (isDatabaseError(error)) {
       return res.status(202).json({
         data: {
           accepted: true,
@@ -112,14 +157,87 @@ const createError = async (req, res, next) => {
   }
 };
 
+const summarizeBatch = (results) => {
+  const accepted = results.filter((entry) => entry.status === 'accepted').length;
+  return { accepted, rejected: results.length - accepted, results };
+};
+
+/**
+ * Validate each batch item and hand the valid ones to `handleItem`, whose result describes the
+ * accepted item. Items are handled in order so repeats within one batch group onto the same
+ * error, and one item that fails is rejected with `failureMessage(error)` without failing the rest.
+ */
+const processBatch = async (events, { handleItem, failureMessage }) => {
+  const results = [];
+  for (let index = 0; index < events.length; index += 1) {
+    const item = normalizeSdkEvent(events[index]);
+    // eslint-disable-next-line no-await-in-loop
+    const details = await validateErrorPayload(item);
+    if (details.length) {
+      results.push({ index, status: 'rejected', error: { message: 'Validation failed', details } });
+      continue;
+    }
+
+    try {
+      // eslint-disable-next-line no-await-in-loop
+      results.push({ index, status: 'accepted', ...(await handleItem(item)) });
+    } catch (error) {
+      logger.error({ err: error, index }, 'Failed to process batched error event');
+      results.push({ index, status: 'rejected', error: { message: failureMessage(error) } });
+    }
+  }
+  return summarizeBatch(results);
+};
+
+const ingestBatchItems = (project) => ({
+  handleItem: async (item) => {
+    const result = await ingestError(item, project);
+    return {
+      id: result.occurrence._id,
+      errorId: result.errorEvent._id,
+      fingerprint: result.fingerprint,
+      isNew: result.isNew,
+    };
+  },
+  failureMessage: (error) => (isDatabaseError(error) ? 'Failed to store event' : 'Failed to process event'),
+});
+
+// Queued mode: every valid item becomes its own ingestion job under its own event id.
+const queueBatchItems = (project) => {
+  const receivedAt = new Date().toISOString();
+  return {
+    handleItem: async (item) => {
+      const eventId = newEventId();
+      const job = await enqueueEvent(eventId, project, item, receivedAt);
+      return { id: eventId, queued: job.queued };
+    },
+    failureMessage: () => 'Failed to queue event',
+  };
+};
+
+const createErrorBatch = async (req, res, next) => {
+  try {
+    const queued = isQueuedIngestion();
+    const data = await processBatch(req.body.events, queued ? queueBatchItems(req.project) : ingestBatchItems(req.project));
+    return res.status(queued ? 202 : 200).json({ data });
+  } catch (error) {
+    logger.error({ err: error }, 'Failed to ingest error batch');
+    return next(error);
+  }
+};
+
 module.exports = {
   createError,
+  createErrorBatch,
   listErrors: async (req, res, next) => {
     try {
       const options = parseListQuery(req.query || {});
       if (options.status && !['new', 'open', 'investigating', 'resolved', 'ignored', 'muted'].includes(options.status)) {
         return res.status(400).json({ error: { message: 'Invalid status filter' } });
       }
+      if (options.level && !LEVELS.includes(options.level)) {
+        return res.status(400).json({ error: { message: 'Invalid level filter' } });
+      }
 
       const result = await listErrors(req.project, options);
       return res.status(200).json({ data: result.items, meta: result.meta });
@@ -181,6 +299,38 @@ module.exports = {
       return next(error);
     }
   },
+  mergeErrors: async (req, res, next) => {
+    try {
+      const result = await mergeErrors(req.project, req.params.id, req.body.errorIds);
+      if (!result) {
+        return res.status(404).json({ error: { message: 'Error not found' } });
+      }
+
+      const detail = await getErrorDetail(req.project, result.errorId);
+      return res.status(200).json({ data: detail });
+    } catch (error) {
+      if (error && error.status) {
+        return res.status(error.status).json({ error: { message: error.message } });
+      }
+      return next(error);
+    }
+  },
+  unmergeError: async (req, res, next) => {
+    try {
+      const result = await unmergeError(req.project, req.params.id, req.body.errorId);
+      if (!result) {
+        return res.status(404).json({ error: { message: 'Error not found' } });
+      }
+
+      const detail = await getErrorDetail(req.project, result.errorId);
+      return res.status(200).json({ data: detail, meta: { unmergedErrorId: result.unmerged } });
+    } catch (error) {
+      if (error && error.status) {
+        return res.status(error.status).json({ error: { message: error.message } });
+      }
+      return next(error);
+    }
+  },
   deleteError: async (req, res, next) => {
     try {
       const deleted = await deleteError(req.project, req.params.id);
@@ -4,6 +4,9 @@ const {
   createProjectForUser,
   updateProjectDetails,
   rotateProjectApiKey,
+  listProjectApiKeys,
+  createProjectApiKey,
+  revokeProjectApiKey,
 } = require('../services/project-service');
 const logger = require('../utils/logger');
 
@@ -66,7 +69,11 @@ module.exports = {
       if (!projectId) {
         return res.status(400).json({ error: { message: 'Invalid project id' } });
       }
-      const project = await rotateProjectApiKey(req.user, projectId);
+      const project = await rotateProjectApiKey(req.user, projectId, {
+        type: req.body?.type || 'secret',
+        graceHours: req.body?.graceHours,
+        keyId: req.body?.keyId,
+      });
       return res.status(200).json({ data: project });
     } catch (error) {
       if (error.status) {
@@ -76,4 +83,58 @@ module.exports = {
       return res.status(500).json({ error: { message: 'Failed to rotate API key' } });
     }
   },
+  async listKeys(req, res) {
+    try {
+      const projectId = parseProjectId(req.params?.projectId);
+      if (!projectId) {
+        return res.status(400).json({ error: { message: 'Invalid project id' } });
+      }
+      const keys = await listProjectApiKeys(req.user, projectId);
+      return res.status(200).json({ data: keys });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: { message: error.message } });
+      }
+      logger.error({ err: error }, 'Failed to list project keys');
+      return res.status(500).json({ error: { message: 'Failed to load API keys' } });
+    }
+  },
+
+  async createKey(req, res) {
+    try {
+      const projectId = parseProjectId(req.params?.projectId);
+      if (!projectId) {
+        return res.status(400).json({ error: { message: 'Invalid project id' } });
+      }
+      const key = await createProjectApiKey(req.user, projectId, {
+        type: req.body?.type || 'secret',
+        label: req.body?.label,
+        expiresAt: req.body?.expiresAt,
+      });
+      return res.status(201).json({ data: key });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: { message: error.message } });
+      }
+      logger.error({ err: error }, 'Failed to create project key');
+      return res.status(500).json({ error: { message: 'Failed to create API key' } });
+    }
+  },
+
+  async revokeKey(req, res) {
+    try {
+      const projectId = parseProjectId(req.params?.projectId);
+      if (!projectId) {
+        return res.status(400).json({ error: { message: 'Invalid project id' } });
+      }
+      const key = await revokeProjectApiKey(req.user, projectId, req.params?.keyId);
+      return res.status(200).json({ data: key });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: { message: error.message } });
+      }
+      logger.error({ err: error }, 'Failed to revoke project key');
+      return res.status(500).json({ error: { message: 'Failed to revoke API key' } });
+    }
+  },
 };
@@ -0,0 +1,39 @@
+const { saveSourceMap, listSourceMaps, deleteSourceMap } = require('../services/source-map-service');
+
+module.exports = {
+  uploadSourceMap: async (req, res, next) => {
+    try {
+      const { release, fileName, sourceMap } = req.body || {};
+      if (sourceMap === undefined || sourceMap === null) {
+        return res.status(422).json({ error: { message: 'sourceMap is required' } });
+      }
+
+      const artifact = await saveSourceMap(req.project, { release, fileName, sourceMap });
+      return res.status(201).json({ data: artifact });
+    } catch (error) {
+      return next(error);
+    }
+  },
+  listSourceMaps: async (req, res, next) => {
+    try {
+      const artifacts = await listSourceMaps(req.project, req.query?.release);
+      return res.status(200).json({ data: artifacts });
+    } catch (error) {
+      return next(error);
+    }
+  },
+  deleteSourceMap: async (req, res, next) => {
+    try {
+      const deleted = await deleteSourceMap(req.project, {
+        release: req.query?.release,
+        fileName: req.query?.fileName,
+      });
+      if (!deleted) {
+        return res.status(404).json({ error: { message: 'Source map not found' } });
+      }
+      return res.status(204).send();
+    } catch (error) {
+      return next(error);
+    }
+  },
+};
@@ -1,6 +1,7 @@
 const Project = require('../models/Project');
 const logger = require('../utils/logger');
-const { hashApiKey, getApiKeyPreview } = require('../utils/api-key');
+const { hashApiKey, getApiKeyPreview, getApiKeyStatus } = require('../utils/api-key');
+const { isDashboardOrigin } = require('../config/cors');
 const { extractBearerToken, loadUserFromToken } = require('./auth');
 
 const getProjectFromMembership = (user, projectId) => {
@@ -18,22 +19,72 @@ const getProjectFromMembership = (user, projectId) => {
   ) || null;
 };
 
+// Usage is written at most once per interval per key and address so ingestion bursts don't turn into write bursts.
+const LAST_USED_WRITE_INTERVAL_MS = 60 * 1000;
+
+const recordApiKeyUsage = (project, keyEntry, ip) => {
+  const now = new Date();
+  const lastUsedAt = keyEntry.lastUsedAt ? new Date(keyEntry.lastUsedAt).getTime() : 0;
+  if (keyEntry.lastUsedIp === ip && now.getTime() - lastUsedAt < LAST_USED_WRITE_INTERVAL_MS) {
+    return;
+  }
+
+  Promise.resolve(
+    Project.updateOne(
+      { _id: project._id, 'apiKeys._id': keyEntry._id },
+      { $set: { 'apiKeys.$.lastUsedAt': now, 'apiKeys.$.lastUsedIp': ip } }
+    )
+  ).catch((error) => {
+    logger.warn({ err: error, apiKeyPreview: keyEntry.preview }, 'Failed to record API key usage');
+  });
+};
+
 const apiKeyAuth = async (req, res, next) => {
   try {
-    const apiKey = req.header('x-api-key');
+    // navigator.sendBeacon cannot set headers, so browser SDKs pass public keys as `?apiKey=` on unload.
+    const headerKey = req.header('x-api-key');
+    const queryKey = typeof req.query?.apiKey === 'string' ? req.query.apiKey : null;
+    const apiKey = headerKey || queryKey;
 
     if (apiKey) {
-      const apiKeyHash = hashApiKey(apiKey);
-      const project = await Project.findOne({ apiKeyHash, status: 'active' });
+      const keyHash = hashApiKey(apiKey);
+      const project = await Project.findOne({ 'apiKeys.keyHash': keyHash, status: 'active' });
+      const keyEntry = project?.apiKeys?.find((entry) => entry.keyHash === keyHash);
 
-      if (!project) {
+      if (!project || !keyEntry) {
         logger.warn({ apiKeyPreview: getApiKeyPreview(apiKey) }, 'Invalid API key access attempt');
         return res.status(401).json({ error: { message: 'Invalid API key' } });
       }
 
+      const keyStatus = getApiKeyStatus(keyEntry);
+      if (keyStatus !== 'active') {
+        logger.warn({ apiKeyPreview: keyEntry.preview, keyStatus }, 'Inactive API key access attempt');
+        return res.status(401).json({
+          error: { message: keyStatus === 'revoked' ? 'API key has been revoked' : 'API key has expired' },
+        });
+      }
+
+      const keyType = keyEntry.type;
+      const origin = req.header('origin');
+
+      if (!headerKey && keyType !== 'public') {
+        logger.warn({ apiKeyPreview: keyEntry.preview }, 'Secret API key sent in the query string');
+        return res.status(403).json({ error: { message: 'Only public API keys may be sent in the query string' } });
+      }
+
+      // Secret keys are admin-capable, so they are only honoured outside browsers or from the dashboard.
+      if (keyType === 'secret' && origin && !isDashboardOrigin(origin)) {
+        logger.warn({ apiKeyPreview: getApiKeyPreview(apiKey), origin }, 'Secret API key used from a browser origin');
+        return res.status(403).json({ error: { message: 'Secret API keys cannot be used from browsers; use the project public key' } });
+      }
+
+      recordApiKeyUsage(project, keyEntry, req.ip || null);
+
       req.project = project;
-      req.accessRole = 'admin';
+      req.apiKey = keyEntry;
+      req.accessRole = keyType === 'public' ? 'ingest' : 'admin';
       req.accessSource = 'api-key';
+      req.apiKeyType = keyType;
       return next();
     }
 
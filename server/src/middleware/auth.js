@@ -59,6 +59,10 @@ const requireRole = (roles) => {
       return next();
     }
 
+    if (req.accessSource === 'api-key') {
+      return res.status(403).json({ error: { message: 'Forbidden' } });
+    }
+
     if (!req.user) {
       return res.status(401).json({ error: { message: 'Authorization required' } });
     }
@@ -10,7 +10,7 @@ const createPerKeyRateLimiter = ({ windowMs, max, message }) =>
     legacyHeaders: false,
     keyGenerator: (req, res) => {
       if (req.project) {
-        const hash = req.project.apiKeyHash || req.project._id?.toString();
+        const hash = req.apiKey?.keyHash || req.project._id?.toString();
         if (hash) {
           return `key:${hash}`;
         }
@@ -4,6 +4,7 @@ const deploymentSchema = new Schema(
   {
     projectId: { type: Types.ObjectId, ref: 'Project', required: true, index: true },
     label: { type: String, trim: true },
+    release: { type: String, trim: true, default: null },
     timestamp: { type: Date, required: true, index: true },
     metadata: { type: Schema.Types.Mixed, default: {} },
   },
@@ -13,6 +14,7 @@ const deploymentSchema = new Schema(
 );
 
 deploymentSchema.index({ projectId: 1, timestamp: -1 });
+deploymentSchema.index({ projectId: 1, release: 1 });
 
 deploymentSchema.pre('save', function normalizeLabel() {
   if (this.label && typeof this.label === 'string') {
@@ -1,4 +1,19 @@
 const { Schema, model } = require('mongoose');
+const { LEVELS, DEFAULT_LEVEL } = require('../utils/severity');
+const { LEGACY_GROUPING_VERSION } = require('../utils/fingerprint');
+
+// Distinct releases kept per group for the release filter, most recently added last.
+const MAX_GROUP_RELEASES = 50;
+
+const minifiedFrameSchema = new Schema(
+  {
+    file: { type: String },
+    line: { type: Number },
+    column: { type: Number },
+    function: { type: String },
+  },
+  { _id: false }
+);
 
 const stackFrameSchema = new Schema(
   {
@@ -7,6 +22,39 @@ const stackFrameSchema = new Schema(
     column: { type: Number },
     function: { type: String },
     inApp: { type: Boolean },
+    preContext: { type: [String], default: undefined },
+    contextLine: { type: String },
+    postContext: { type: [String], default: undefined },
+    minified: { type: minifiedFrameSchema, default: undefined },
+  },
+  { _id: false }
+);
+
+const linkedExceptionSchema = new Schema(
+  {
+    name: { type: String },
+    message: { type: String },
+    relation: { type: String, enum: ['cause', 'aggregate'] },
+    depth: { type: Number, min: 1 },
+    stackTrace: { type: [stackFrameSchema], default: [] },
+  },
+  { _id: false }
+);
+
+// A group folded into another by a merge. Kept so its fingerprint keeps routing new events to the
+// primary group and so an unmerge can restore it under its original id.
+const mergedGroupSchema = new Schema(
+  {
+    errorId: { type: Schema.Types.ObjectId, required: true },
+    fingerprint: { type: String, required: true },
+    groupingVersion: { type: Number, default: LEGACY_GROUPING_VERSION },
+    message: { type: String },
+    status: { type: String, enum: ['new', 'open', 'investigating', 'resolved', 'ignored', 'muted'] },
+    // Events counted under this fingerprint, including ones ingested after the merge.
+    count: { type: Number, default: 0, min: 0 },
+    firstSeen: { type: Date },
+    lastSeen: { type: Date },
+    mergedAt: { type: Date, required: true },
   },
   { _id: false }
 );
@@ -16,11 +64,20 @@ const errorSchema = new Schema(
     projectId: { type: Schema.Types.ObjectId, ref: 'Project', required: true, index: true },
     message: { type: String, required: true, trim: true },
     stackTrace: { type: [stackFrameSchema], default: [] },
+    // Causes and AggregateError members of the latest event, outermost first.
+    linkedExceptions: { type: [linkedExceptionSchema], default: [] },
     fingerprint: { type: String, required: true },
+    groupingVersion: { type: Number, default: LEGACY_GROUPING_VERSION },
+    mergedGroups: { type: [mergedGroupSchema], default: [] },
     count: { type: Number, default: 1, min: 1 },
     firstSeen: { type: Date, default: () => new Date(), immutable: true },
     lastSeen: { type: Date, default: () => new Date() },
     environment: { type: String, required: true, trim: true },
+    level: { type: String, enum: LEVELS, default: DEFAULT_LEVEL },
+    firstRelease: { type: String, trim: true, default: null },
+    lastRelease: { type: String, trim: true, default: null },
+    // The latest MAX_GROUP_RELEASES distinct releases the group was seen in; backs the release filter.
+    releases: { type: [String], default: [] },
     status: {
       type: String,
       enum: ['new', 'open', 'investigating', 'resolved', 'ignored', 'muted'],
@@ -62,6 +119,8 @@ const errorSchema = new Schema(
     lastStatusChange: { type: Date, default: () => new Date() },
     resolvedAt: { type: Date, default: null },
     expiresAt: { type: Date, default: null },
+    // Latest queued events counted here, written with the count so a retried job never counts twice.
+    countedEventIds: { type: [String], default: undefined, select: false },
   },
   {
     timestamps: true,
@@ -77,6 +136,14 @@ errorSchema.index({ projectId: 1, firstSeen: 1 });
 errorSchema.index({ projectId: 1, assignedTo: 1, status: 1 });
 errorSchema.index({ projectId: 1, environment: 1, firstSeen: 1 });
 errorSchema.index({ projectId: 1, environment: 1, status: 1, lastSeen: -1 });
+errorSchema.index({ projectId: 1, level: 1, lastSeen: -1 });
+errorSchema.index({ projectId: 1, groupingVersion: 1 });
+errorSchema.index({ projectId: 1, 'mergedGroups.fingerprint': 1 });
+errorSchema.index({ projectId: 1, releases: 1 });
+errorSchema.index(
+  { projectId: 1, countedEventIds: 1 },
+  { partialFilterExpression: { countedEventIds: { $exists: true } } }
+);
 errorSchema.index(
   { expiresAt: 1 },
   { expireAfterSeconds: 0, partialFilterExpression: { expiresAt: { $type: 'date' } } }
@@ -97,4 +164,12 @@ errorSchema.pre('save', function updateLastSeen() {
   }
 });
 
+// `$addToSet` cannot cap an array, so writers that add releases trim the oldest ones afterwards.
+errorSchema.statics.capReleases = function capReleases(errorId) {
+  return this.updateOne(
+    { _id: errorId, [`releases.${MAX_GROUP_RELEASES}`]: { $exists: true } },
+    { $push: { releases: { $each: [], $slice: -MAX_GROUP_RELEASES } } }
+  );
+};
+
 module.exports = model('ErrorEvent', errorSchema);
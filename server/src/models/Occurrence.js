@@ -1,17 +1,37 @@
 const { Schema, model, Types } = require('mongoose');
+const { LEVELS, DEFAULT_LEVEL } = require('../utils/severity');
 
 const occurrenceSchema = new Schema(
   {
-    errorId: { type: Types.ObjectId, ref: 'ErrorEvent', required: true },
+    // Queued events store their occurrence before their group is counted; see `pending`.
+    errorId: {
+      type: Types.ObjectId,
+      ref: 'ErrorEvent',
+      required() {
+        return !this.pending;
+      },
+    },
     projectId: { type: Types.ObjectId, ref: 'Project', required: true, index: true },
     fingerprint: { type: String, required: true },
+    // Explicit fingerprint sent by the SDK, kept so regrouping can honour it.
+    sdkFingerprint: { type: [String], default: undefined },
+    fingerprintSource: { type: String, enum: ['default', 'sdk', 'rule'], default: 'default' },
+    groupingRule: {
+      type: new Schema({ id: { type: String }, name: { type: String } }, { _id: false }),
+      default: null,
+    },
     message: { type: String, required: true, trim: true },
     stackTrace: { type: [Schema.Types.Mixed], default: [] },
+    linkedExceptions: { type: [Schema.Types.Mixed], default: [] },
     environment: { type: String, required: true, trim: true },
+    level: { type: String, enum: LEVELS, default: DEFAULT_LEVEL },
+    release: { type: String, trim: true, default: null },
     metadata: { type: Schema.Types.Mixed, default: {} },
     userContext: { type: Schema.Types.Mixed, default: {} },
     timestamp: { type: Date, default: () => new Date() },
     expiresAt: { type: Date, default: null },
+    // Set while a queued event has been stored but not yet counted against its group.
+    pending: { type: Boolean },
   },
   {
     timestamps: true,
@@ -25,6 +45,8 @@ occurrenceSchema.index({ projectId: 1, environment: 1, timestamp: -1 });
 occurrenceSchema.index({ projectId: 1, fingerprint: 1, timestamp: -1 });
 occurrenceSchema.index({ projectId: 1, fingerprint: 1 });
 occurrenceSchema.index({ projectId: 1, createdAt: -1 });
+occurrenceSchema.index({ projectId: 1, release: 1, timestamp: -1 });
+occurrenceSchema.index({ projectId: 1, level: 1, timestamp: -1 });
 occurrenceSchema.index(
   { expiresAt: 1 },
   { expireAfterSeconds: 0, partialFilterExpression: { expiresAt: { $type: 'date' } } }
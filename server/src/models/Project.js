@@ -1,10 +1,44 @@
 const { Schema, model } = require('mongoose');
+const { GROUPING_VERSIONS, LEGACY_GROUPING_VERSION } = require('../utils/fingerprint');
+
+const apiKeySchema = new Schema(
+  {
+    label: { type: String, required: true, trim: true },
+    type: { type: String, enum: ['secret', 'public'], required: true },
+    keyHash: { type: String, required: true },
+    preview: { type: String, required: true },
+    createdAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, default: null },
+    lastUsedAt: { type: Date, default: null },
+    lastUsedIp: { type: String, default: null },
+    revoked: { type: Boolean, default: false },
+    revokedAt: { type: Date, default: null },
+  }
+);
+
+const groupingConditionSchema = new Schema(
+  {
+    type: { type: String, enum: ['message', 'tag'], required: true },
+    // `message` conditions test a regular expression, `tag` conditions compare one tag value.
+    pattern: { type: String },
+    key: { type: String },
+    value: { type: String },
+  },
+  { _id: false }
+);
+
+const groupingRuleSchema = new Schema({
+  name: { type: String, required: true, trim: true },
+  match: { type: String, enum: ['any', 'all'], default: 'any' },
+  conditions: { type: [groupingConditionSchema], default: [] },
+  fingerprint: { type: [String], default: [] },
+  enabled: { type: Boolean, default: true },
+});
 
 const projectSchema = new Schema(
   {
     name: { type: String, required: true, trim: true },
-    apiKeyHash: { type: String, required: true, unique: true, index: true },
-    apiKeyPreview: { type: String, required: true },
+    apiKeys: { type: [apiKeySchema], default: [] },
     status: {
       type: String,
       enum: ['active', 'suspended'],
@@ -16,10 +50,28 @@ const projectSchema = new Schema(
       removeIPs: { type: Boolean, default: false },
     },
     retentionDays: { type: Number, default: 90, min: 1, max: 365 },
+    // Projects created before versioned grouping have no value stored and stay on the legacy algorithm.
+    groupingVersion: { type: Number, enum: GROUPING_VERSIONS, default: LEGACY_GROUPING_VERSION },
+    // Evaluated in order during ingestion; the first matching rule sets the fingerprint.
+    groupingRules: { type: [groupingRuleSchema], default: [] },
+    regroup: {
+      status: {
+        type: String,
+        enum: ['idle', 'pending', 'running', 'completed', 'failed'],
+        default: 'idle',
+      },
+      version: { type: Number, default: null },
+      groupsProcessed: { type: Number, default: 0 },
+      startedAt: { type: Date, default: null },
+      finishedAt: { type: Date, default: null },
+      error: { type: String, default: null },
+    },
   },
   {
     timestamps: true,
   }
 );
 
+projectSchema.index({ 'apiKeys.keyHash': 1 }, { unique: true, sparse: true });
+
 module.exports = model('Project', projectSchema);
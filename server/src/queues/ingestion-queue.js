@@ -0,0 +1,111 @@
+const logger = require('../utils/logger');
+const { createQueue, getQueueConfig, isQueueAvailable } = require('./queue-factory');
+const Project = require('../models/Project');
+const ErrorOccurrence = require('../models/Occurrence');
+const { ingestError } = require('../services/error-service');
+
+const INGESTION_QUEUE_NAME = 'error-ingestion';
+const INGEST_EVENT_JOB = 'ingest-event';
+const DEAD_LETTER_QUEUE_NAME = 'error-ingestion-dead-letter';
+const DEAD_LETTER_JOB = 'failed-event';
+
+let ingestionQueue;
+let deadLetterQueue;
+let processorRegistered = false;
+
+const processIngestionJob = async ({ eventId, projectId, payload }) => {
+  // Retries are at-least-once; an earlier attempt that got as far as counting the event cleared `pending`.
+  if (await ErrorOccurrence.exists({ _id: eventId, pending: { $ne: true } })) {
+    logger.info({ eventId, projectId }, 'Skipping ingestion job – event already stored');
+    return { eventId, duplicate: true };
+  }
+
+  const project = await Project.findOne({ _id: projectId, status: 'active' });
+  if (!project) {
+    logger.warn({ eventId, projectId }, 'Skipping ingestion job – project not found');
+    return null;
+  }
+
+  const result = await ingestError(payload, project, { eventId });
+  return { eventId, errorId: result.errorEvent._id.toString(), isNew: result.isNew };
+};
+
+const getIngestionQueue = () => {
+  if (!ingestionQueue) {
+    ingestionQueue = createQueue(INGESTION_QUEUE_NAME, {
+      defaultJobOptions: {
+        backoff: { type: 'exponential', delay: 1000 },
+        // The dead-letter queue keeps a copy of every event that ran out of attempts.
+        removeOnFail: true,
+      },
+    });
+    if (!isQueueAvailable()) {
+      // Without Redis the inline queue runs jobs as they are added, so this process handles them itself.
+      registerIngestionProcessor();
+    }
+  }
+  return ingestionQueue;
+};
+
+const getDeadLetterQueue = () => {
+  if (!deadLetterQueue) {
+    // Nothing processes this queue; failed events wait there for inspection or a manual replay.
+    deadLetterQueue = createQueue(DEAD_LETTER_QUEUE_NAME, { defaultJobOptions: { removeOnComplete: false } });
+  }
+  return deadLetterQueue;
+};
+
+const moveToDeadLetter = async (job, error) => {
+  await getDeadLetterQueue().add(
+    DEAD_LETTER_JOB,
+    {
+      ...job.data,
+      error: error?.message || 'Unknown error',
+      attemptsMade: job.attemptsMade,
+      failedAt: new Date().toISOString(),
+    },
+    { jobId: job.data.eventId }
+  );
+  // A replay from the dead-letter queue stores the event again; until then it is not stored at all.
+  await ErrorOccurrence.deleteOne({ _id: job.data.eventId, pending: true });
+  logger.error({ err: error, eventId: job.data.eventId, projectId: job.data.projectId }, 'Moved error event to dead-letter queue');
+};
+
+const registerIngestionProcessor = () => {
+  const queue = getIngestionQueue();
+  if (processorRegistered) {
+    return;
+  }
+  processorRegistered = true;
+
+  const concurrency = Math.max(1, getQueueConfig().defaultConcurrency || 1);
+  queue.process(INGEST_EVENT_JOB, concurrency, async (job) => processIngestionJob(job.data));
+
+  queue.on('failed', (job, error) => {
+    if (job.attemptsMade < (job.opts.attempts || 1)) {
+      return;
+    }
+    moveToDeadLetter(job, error).catch((err) => {
+      logger.error({ err, eventId: job.data.eventId }, 'Failed to move error event to dead-letter queue');
+    });
+  });
+
+  logger.info({ queue: INGESTION_QUEUE_NAME, inline: getQueueConfig().inline }, 'Ingestion queue processor registered');
+};
+
+const isQueuedIngestion = () => getQueueConfig().ingestionMode === 'queue';
+
+/**
+ * Hand a validated event to the ingestion worker. The event id doubles as the job id, so the same
+ * event is never queued twice, and becomes the id of the stored occurrence.
+ */
+const enqueueIngestion = async ({ eventId, projectId, payload }) => {
+  const job = await getIngestionQueue().add(INGEST_EVENT_JOB, { eventId, projectId, payload }, { jobId: eventId });
+  return { id: job.id, queued: isQueueAvailable() };
+};
+
+module.exports = {
+  enqueueIngestion,
+  isQueuedIngestion,
+  registerIngestionProcessor,
+};
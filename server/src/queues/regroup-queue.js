@@ -0,0 +1,50 @@
+const logger = require('../utils/logger');
+const { createQueue, getQueueConfig, isQueueAvailable } = require('./queue-factory');
+const { regroupProject } = require('../services/grouping-service');
+
+const REGROUP_QUEUE_NAME = 'error-regroup';
+const REGROUP_PROJECT_JOB = 'regroup-project';
+
+let regroupQueue;
+
+const getRegroupQueue = () => {
+  if (!regroupQueue) {
+    regroupQueue = createQueue(REGROUP_QUEUE_NAME);
+  }
+  return regroupQueue;
+};
+
+const enqueueRegroup = async ({ projectId, version }) => {
+  const config = getQueueConfig();
+
+  if (!isQueueAvailable() || config.inline) {
+    // Regrouping a large project can take minutes, so the inline fallback must not block the request.
+    setImmediate(() => {
+      regroupProject(projectId, version).catch((err) => {
+        logger.error({ err, projectId, version }, 'Failed to run inline regroup');
+      });
+    });
+    return { queued: false, inline: true };
+  }
+
+  const queue = getRegroupQueue();
+  return queue.add(REGROUP_PROJECT_JOB, { projectId, version }, {
+    jobId: `${REGROUP_PROJECT_JOB}:${projectId}:${version}`,
+    removeOnComplete: true,
+    // Failed jobs are dropped too, otherwise the job id would block a retry.
+    removeOnFail: true,
+  });
+};
+
+const registerRegroupProcessor = () => {
+  const queue = getRegroupQueue();
+
+  // One job at a time: regroups of the same project must not interleave.
+  queue.process(REGROUP_PROJECT_JOB, 1, async (job) => regroupProject(job.data.projectId, job.data.version));
+  logger.info({ queue: REGROUP_QUEUE_NAME, inline: getQueueConfig().inline }, 'Regroup queue processor registered');
+};
+
+module.exports = {
+  enqueueRegroup,
+  registerRegroupProcessor,
+};
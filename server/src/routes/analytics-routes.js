@@ -7,6 +7,7 @@ const {
 	getRelatedErrors,
 	getUserImpact,
 	getResolution,
+	getReleases,
 	listDeployments,
 	createDeployment,
 } = require('../controllers/analytics-controller');
@@ -27,6 +28,7 @@ router.get('/patterns', getPatterns);
 router.get('/related-errors', getRelatedErrors);
 router.get('/user-impact', getUserImpact);
 router.get('/resolution', getResolution);
+router.get('/releases', getReleases);
 router.get('/deployments', listDeployments);
 router.post('/deployments', createDeployment);
 
@@ -1,9 +1,23 @@
 const express = require('express');
-const { createError, listErrors, getError, updateError, deleteError, updateAssignment } = require('../controllers/error-controller');
+const {
+	createError,
+	createErrorBatch,
+	listErrors,
+	getError,
+	updateError,
+	deleteError,
+	updateAssignment,
+	mergeErrors,
+	unmergeError,
+} = require('../controllers/error-controller');
 const {
 	errorValidationRules,
+	errorBatchValidationRules,
 	errorStatusValidationRules,
 	errorAssignmentValidationRules,
+	errorMergeValidationRules,
+	errorUnmergeValidationRules,
+	normalizeErrorPayload,
 	handleValidation,
 } = require('../validators/error-validator');
 const apiKeyAuth = require('../middleware/api-key-auth');
@@ -12,6 +26,9 @@ const { requireRole } = require('../middleware/auth');
 
 const router = express.Router();
 
+// Beacon deliveries from the browser SDK post JSON as text/plain to avoid a CORS preflight.
+const parseBeaconBody = express.json({ type: 'text/plain', limit: '100kb' });
+
 router.use(apiKeyAuth);
 router.use(perMinuteLimiter);
 
@@ -20,13 +37,25 @@ router.get('/errors/:id', requireRole(['admin', 'developer', 'viewer']), getErro
 router.post(
 	'/errors',
 	perHourLimiter,
-	requireRole(['admin']),
+	requireRole(['admin', 'ingest']),
+	normalizeErrorPayload,
 	errorValidationRules,
 	handleValidation,
 	createError
 );
+router.post(
+	'/errors/batch',
+	parseBeaconBody,
+	perHourLimiter,
+	requireRole(['admin', 'ingest']),
+	errorBatchValidationRules,
+	handleValidation,
+	createErrorBatch
+);
 router.patch('/errors/:id', requireRole(['admin', 'developer']), errorStatusValidationRules, handleValidation, updateError);
 router.patch('/errors/:id/assignment', requireRole(['admin', 'developer']), errorAssignmentValidationRules, handleValidation, updateAssignment);
+router.post('/errors/:id/merge', requireRole(['admin', 'developer']), errorMergeValidationRules, handleValidation, mergeErrors);
+router.post('/errors/:id/unmerge', requireRole(['admin', 'developer']), errorUnmergeValidationRules, handleValidation, unmergeError);
 router.delete('/errors/:id', requireRole(['admin']), deleteError);
 
 module.exports = router;
@@ -10,5 +10,8 @@ router.get('/', projectController.list);
 router.post('/', projectController.create);
 router.patch('/:projectId', projectController.update);
 router.post('/:projectId/rotate-key', projectController.rotateKey);
+router.get('/:projectId/keys', projectController.listKeys);
+router.post('/:projectId/keys', projectController.createKey);
+router.delete('/:projectId/keys/:keyId', projectController.revokeKey);
 
 module.exports = router;
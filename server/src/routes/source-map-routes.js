@@ -0,0 +1,21 @@
+const express = require('express');
+const { uploadSourceMap, listSourceMaps, deleteSourceMap } = require('../controllers/source-map-controller');
+const apiKeyAuth = require('../middleware/api-key-auth');
+const { perMinuteLimiter } = require('../middleware/per-key-rate-limit');
+const { requireRole } = require('../middleware/auth');
+const { getSourceMapConfig } = require('../config/source-maps');
+
+const router = express.Router();
+
+// Source maps are far larger than the app-wide body limit; JSON escaping can roughly double them.
+// Only callers allowed to upload get a body that size parsed.
+const parseUpload = express.json({ limit: getSourceMapConfig().maxBytes * 2 });
+
+router.use(apiKeyAuth);
+router.use(perMinuteLimiter);
+
+router.get('/', requireRole(['admin', 'developer', 'viewer']), listSourceMaps);
+router.post('/', requireRole(['admin', 'developer']), parseUpload, uploadSourceMap);
+router.delete('/', requireRole(['admin']), deleteSourceMap);
+
+module.exports = router;
@@ -258,8 +258,10 @@ const evaluateNewError = (rule, metrics) => {
 const evaluateCritical = (rule, metrics) => {
   const severityCondition = normalizeSeverity(rule.conditions?.severity);
   const severity = normalizeSeverity(metrics.severity);
+  const level = normalizeSeverity(metrics.level);
 
-  if (severityCondition && severity === severityCondition) {
+  // The condition may name an alert severity (`critical`) or an event level (`fatal`, `warning`).
+  if (severityCondition && (severity === severityCondition || level === severityCondition)) {
     return {
       triggered: true,
       reason: 'critical_severity',
@@ -65,6 +65,7 @@ const buildSimulationMetrics = ({ rule, input, occurrence, payload }) => {
   const metrics = {
     environment: occurrence.environment || null,
     severity: typeof input.severity === 'string' ? input.severity : payload?.severity || null,
+    level: typeof input.level === 'string' ? input.level : payload?.level || null,
     fingerprint: typeof input.fingerprint === 'string' && input.fingerprint ? input.fingerprint : payload?.fingerprint || null,
     file: primaryFile,
     sourceFile: primaryFile,
@@ -122,6 +123,7 @@ const buildSimulationMetrics = ({ rule, input, occurrence, payload }) => {
 
 const buildSimulationPayload = ({ input }) => ({
   severity: input.severity || null,
+  level: input.level || null,
   fingerprint: input.fingerprint || null,
   environment: input.environment || null,
   metadata: {
@@ -4,6 +4,7 @@ const { evaluateRule } = require('./alert-evaluation-service');
 const { processTriggeredAlert } = require('./alert-notification-service');
 const { enrichAlertWithContext } = require('./alert-context-service');
 const logger = require('../utils/logger');
+const { alertSeverityForLevel } = require('../utils/severity');
 
 const MS_IN_MINUTE = 60 * 1000;
 
@@ -86,7 +87,8 @@ const extractUserSegments = (payload) => {
 };
 
 const countOccurrences = async ({ projectId, fingerprint, environment, start, end }) => {
-  const query = { projectId, fingerprint };
+  // Pending occurrences belong to queued events their group has not counted yet.
+  const query = { projectId, fingerprint, pending: { $ne: true } };
 
   if (environment) {
     query.environment = environment;
@@ -201,8 +203,9 @@ const buildAlertPayload = ({ project, rule, errorEvent, occurrence, evaluation,
 
 const evaluateRuleWithMetrics = async ({ project, rule, errorEvent, occurrence, isNew, payload }) => {
   const now = occurrence?.timestamp instanceof Date ? new Date(occurrence.timestamp) : new Date();
+  const level = typeof payload?.level === 'string' ? payload.level : null;
   const metadata = {
-    severity: payload?.severity || payload?.metadata?.severity || null,
+    severity: payload?.severity || payload?.metadata?.severity || alertSeverityForLevel(level),
     fingerprint: errorEvent?.fingerprint || occurrence?.fingerprint || payload?.fingerprint || null,
     links: payload?.links || null,
   };
@@ -213,6 +216,7 @@ const evaluateRuleWithMetrics = async ({ project, rule, errorEvent, occurrence,
   const baseMetrics = {
     environment: occurrence?.environment || payload?.environment || null,
     severity: metadata.severity,
+    level,
     fingerprint: metadata.fingerprint,
     isNew,
     file: primaryFile,
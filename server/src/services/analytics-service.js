@@ -21,18 +21,27 @@ const MAX_CORRELATION_GROUP_OUTPUT = 20;
 const HOTSPOT_LOOKBACK_MS = 30 * DAY_MS;
 const CORRELATION_LOOKBACK_MS = 14 * DAY_MS;
 const USER_IMPACT_LOOKBACK_MS = 30 * DAY_MS;
+const RELEASE_LOOKBACK_MS = 30 * DAY_MS;
+const MAX_RELEASES = 20;
 
 const DEFAULT_AGGREGATION_OPTIONS = Object.freeze({
   allowDiskUse: true,
 });
 
+// Queued events stay pending until their group has counted them (see ingestError) and are left
+// out of every statistic until then.
+const STORED_OCCURRENCES = Object.freeze({ pending: { $ne: true } });
+
+const storedOnly = (Model, pipeline) => (Model === ErrorOccurrence ? [{ $match: STORED_OCCURRENCES }, ...pipeline] : pipeline);
+
 const runAggregation = async (Model, pipeline, options = {}) => {
+  const stages = storedOnly(Model, pipeline);
   try {
-    return await Model.aggregate(pipeline).option({ ...DEFAULT_AGGREGATION_OPTIONS, ...options });
+    return await Model.aggregate(stages).option({ ...DEFAULT_AGGREGATION_OPTIONS, ...options });
   } catch (error) {
     if ((options && options.hint) && (error?.code === 2 || error?.codeName === 'BadValue')) {
       const { hint, ...rest } = options;
-      return Model.aggregate(pipeline).option({ ...DEFAULT_AGGREGATION_OPTIONS, ...rest });
+      return Model.aggregate(stages).option({ ...DEFAULT_AGGREGATION_OPTIONS, ...rest });
     }
     throw error;
   }
@@ -42,6 +51,9 @@ const buildOccurrenceHint = (filter = {}) => {
   if (filter.environment) {
     return { projectId: 1, environment: 1, timestamp: -1 };
   }
+  if (filter.level) {
+    return { projectId: 1, level: 1, timestamp: -1 };
+  }
   return { projectId: 1, timestamp: -1 };
 };
 
@@ -55,7 +67,8 @@ const buildErrorEventStatusHint = (environment) => (
     : { projectId: 1, status: 1, lastSeen: -1 }
 );
 
-const countDocumentsSafe = async (Model, filter, hint) => {
+const countDocumentsSafe = async (Model, rawFilter, hint) => {
+  const filter = Model === ErrorOccurrence ? { ...rawFilter, ...STORED_OCCURRENCES } : rawFilter;
   try {
     if (hint) {
       return await Model.countDocuments(filter).hint(hint);
@@ -1064,6 +1077,7 @@ const buildTrendsAggregationPipeline = (matchFilter, unit) => [
     $project: {
       timestamp: 1,
       environment: 1,
+      level: 1,
       metadata: {
         errorType: '$metadata.errorType',
         type: '$metadata.type',
@@ -1112,8 +1126,9 @@ const buildTrendsAggregationPipeline = (matchFilter, unit) => [
         ['metadata.errorType', 'metadata.type', 'metadata.category', 'metadata.name'],
         8
       ),
+      // Occurrences stored before levels existed fall back to hand-crafted metadata.
       severities: buildBreakdownFacet(
-        ['metadata.severity', 'metadata.level', 'metadata.priority', 'userContext.level'],
+        ['level', 'metadata.severity', 'metadata.level', 'metadata.priority', 'userContext.level'],
         8
       ),
       browsers: buildBreakdownFacet(['userContext.browser', 'metadata.browser'], 10),
@@ -1408,7 +1423,7 @@ const computeOverview = async (project, options = {}) => {
 };
 
 const computeTrends = async (project, options) => {
-  const { rangeKey, environment, startDate, endDate, compare } = options;
+  const { rangeKey, environment, level, startDate, endDate, compare } = options;
   const rangeDef = resolveRangeDefinition(rangeKey, { startDate, endDate });
 
   const matchFilter = {
@@ -1422,6 +1437,9 @@ const computeTrends = async (project, options) => {
   if (environment) {
     matchFilter.environment = environment;
   }
+  if (level) {
+    matchFilter.level = level;
+  }
 
   const [result] = await runAggregation(
     ErrorOccurrence,
@@ -1470,6 +1488,9 @@ const computeTrends = async (project, options) => {
     if (environment) {
       previousFilter.environment = environment;
     }
+    if (level) {
+      previousFilter.level = level;
+    }
 
     const [previousResult] = await runAggregation(
       ErrorOccurrence,
@@ -2194,6 +2215,79 @@ const computeTopErrors = async (project, options) => {
   };
 };
 
+const computeReleaseBreakdown = async (project, options = {}) => {
+  const { environment } = options;
+  const limit = Math.min(Math.max(options.limit || MAX_RELEASES, 1), 100);
+  const since = new Date(Date.now() - RELEASE_LOOKBACK_MS);
+
+  const occurrenceMatch = { projectId: project._id, timestamp: { $gte: since }, release: { $type: 'string' } };
+  const errorMatch = { projectId: project._id, firstRelease: { $type: 'string' } };
+  if (environment) {
+    occurrenceMatch.environment = environment;
+    errorMatch.environment = environment;
+  }
+
+  const releases = await runAggregation(ErrorOccurrence, [
+    { $match: occurrenceMatch },
+    {
+      $group: {
+        _id: '$release',
+        occurrences: { $sum: 1 },
+        errorIds: { $addToSet: '$errorId' },
+        firstSeen: { $min: '$timestamp' },
+        lastSeen: { $max: '$timestamp' },
+      },
+    },
+    { $sort: { lastSeen: -1 } },
+    { $limit: limit },
+    {
+      $project: {
+        occurrences: 1,
+        uniqueErrors: { $size: '$errorIds' },
+        firstSeen: 1,
+        lastSeen: 1,
+      },
+    },
+  ]);
+
+  const releaseNames = releases.map((entry) => entry._id);
+  if (!releaseNames.length) {
+    return { environment: environment || null, since, releases: [] };
+  }
+
+  const [introduced, deployments] = await Promise.all([
+    runAggregation(ErrorEvent, [
+      { $match: { ...errorMatch, firstRelease: { $in: releaseNames } } },
+      { $group: { _id: '$firstRelease', newErrors: { $sum: 1 } } },
+    ]),
+    Deployment.find({ projectId: project._id, release: { $in: releaseNames } })
+      .sort({ timestamp: 1 })
+      .lean(),
+  ]);
+
+  const newErrorsByRelease = new Map(introduced.map((entry) => [entry._id, entry.newErrors]));
+  const deployedAtByRelease = new Map();
+  deployments.forEach((deployment) => {
+    if (!deployedAtByRelease.has(deployment.release)) {
+      deployedAtByRelease.set(deployment.release, deployment.timestamp);
+    }
+  });
+
+  return {
+    environment: environment || null,
+    since,
+    releases: releases.map((entry) => ({
+      release: entry._id,
+      totalOccurrences: entry.occurrences,
+      uniqueErrors: entry.uniqueErrors,
+      newErrors: newErrorsByRelease.get(entry._id) || 0,
+      firstSeen: entry.firstSeen,
+      lastSeen: entry.lastSeen,
+      deployedAt: deployedAtByRelease.get(entry._id) || null,
+    })),
+  };
+};
+
 const getOverviewAnalytics = async (project, options = {}) =>
   withCache(
     project._id,
@@ -2205,6 +2299,7 @@ const getTrendsAnalytics = async (project, options) => {
   const cacheKey = `trends:${JSON.stringify({
     range: options.rangeKey,
     environment: options.environment || null,
+    level: options.level || null,
     startDate: options.startDate || null,
     endDate: options.endDate || null,
     compare: options.compare ? 1 : 0,
@@ -2237,6 +2332,11 @@ const getPatternsAnalytics = async (project, options = {}) => {
   return withCache(project._id, cacheKey, () => computePatterns(project, options));
 };
 
+const getReleaseAnalytics = async (project, options = {}) => {
+  const cacheKey = `releases:${JSON.stringify({ environment: options.environment || null, limit: options.limit || null })}`;
+  return withCache(project._id, cacheKey, () => computeReleaseBreakdown(project, options));
+};
+
 const createDeploymentMarker = async (project, payload) => {
   const timestampInput = payload.timestamp ? new Date(payload.timestamp) : new Date();
   if (Number.isNaN(timestampInput.getTime())) {
@@ -2247,10 +2347,12 @@ const createDeploymentMarker = async (project, payload) => {
 
   const label = payload.label && typeof payload.label === 'string' ? payload.label.trim() : null;
   const metadata = payload.metadata && typeof payload.metadata === 'object' ? payload.metadata : {};
+  const release = payload.release && typeof payload.release === 'string' ? payload.release.trim() : null;
 
   const deployment = await Deployment.create({
     projectId: project._id,
     label,
+    release,
     timestamp: timestampInput,
     metadata,
   });
@@ -2260,6 +2362,7 @@ const createDeploymentMarker = async (project, payload) => {
   return {
     id: deployment._id.toString(),
     label: deployment.label || null,
+    release: deployment.release || null,
     timestamp: deployment.timestamp,
     metadata: deployment.metadata || {},
   };
@@ -2275,6 +2378,7 @@ const listDeploymentMarkers = async (project, options = {}) => {
   return deployments.map((deployment) => ({
     id: deployment._id.toString(),
     label: deployment.label || null,
+    release: deployment.release || null,
     timestamp: deployment.timestamp,
     metadata: deployment.metadata || {},
   }));
@@ -2288,6 +2392,7 @@ module.exports = {
   getUserImpactAnalytics,
   getResolutionAnalytics,
   getPatternsAnalytics,
+  getReleaseAnalytics,
   createDeploymentMarker,
   listDeploymentMarkers,
 };
@@ -2,15 +2,20 @@ const mongoose = require('mongoose');
 const ErrorEvent = require('../models/Error');
 const ErrorOccurrence = require('../models/Occurrence');
 const TeamMember = require('../models/TeamMember');
-const { createFingerprint } = require('../utils/fingerprint');
+const { GROUPING_VERSIONS, LEGACY_GROUPING_VERSION } = require('../utils/fingerprint');
+const { resolveFingerprint } = require('../utils/grouping-rules');
+const { DEFAULT_LEVEL, normalizeLevel } = require('../utils/severity');
 const { sanitizeErrorPayload } = require('../utils/sanitize');
 const { formatStackTraceForHighlight } = require('../utils/stack-formatter');
 const logger = require('../utils/logger');
 const analyticsCache = require('../utils/analytics-cache');
 const { enqueueAnalyticsWarmup } = require('../queues/analytics-queue');
 const { evaluateAndDispatchAlerts } = require('./alert-trigger-service');
+const { symbolicateStackTrace } = require('./source-map-service');
 
 const DAY_MS = 24 * 60 * 60 * 1000;
+// Recent queued event ids kept per group; enough to outlast the retries of a job on a busy group.
+const MAX_COUNTED_EVENT_IDS = 200;
 
 const escapeRegex = (value) => {
   if (typeof value !== 'string') {
@@ -49,13 +54,218 @@ const normalizeMetadata = (base = {}, incoming = {}) => {
   return result;
 };
 
-const ingestError = async (payload, project) => {
+// Keys that cannot appear in an update path stay on the occurrence only.
+const isUpdatableKey = (key) => key.length > 0 && !key.includes('.') && !key.startsWith('$');
+
+// Atomic equivalent of normalizeMetadata(group.metadata, metadata): tags and context are merged key
+// by key, everything else is replaced.
+const metadataUpdate = (metadata) => {
+  const set = {};
+  const setOnInsert = {};
+  Object.entries(metadata).forEach(([key, value]) => {
+    if (key === 'tags' || key === 'context') {
+      const entries = Object.entries(value || {}).filter(([nestedKey, nested]) => isUpdatableKey(nestedKey) && nested !== undefined);
+      if (!entries.length) {
+        setOnInsert[`metadata.${key}`] = {};
+      }
+      entries.forEach(([nestedKey, nested]) => {
+        set[`metadata.${key}.${nestedKey}`] = nested;
+      });
+      return;
+    }
+    if (isUpdatableKey(key) && value !== undefined) {
+      set[`metadata.${key}`] = value;
+    }
+  });
+  return { set, setOnInsert };
+};
+
+/**
+ * Split the group update for one event into `update`, which every event applies, and `latest`,
+ * the fields describing the group's latest event. `latest` is only written by an event at least as
+ * recent as the group's `lastSeen`, so a delayed or retried older event cannot overwrite them.
+ */
+const buildGroupUpdate = (event) => {
+  const metadata = event.hasMetadata ? metadataUpdate(event.metadata) : { set: {}, setOnInsert: { metadata: event.metadata } };
+  return {
+    update: {
+      $inc: { count: 1 },
+      $min: { firstSeen: event.timestamp },
+      $max: { lastSeen: event.timestamp },
+      ...(event.release ? { $addToSet: { releases: event.release } } : {}),
+      ...(event.eventId ? { $push: { countedEventIds: { $each: [event.eventId], $slice: -MAX_COUNTED_EVENT_IDS } } } : {}),
+    },
+    latest: {
+      message: event.message,
+      environment: event.environment,
+      level: event.level,
+      stackTrace: event.stackTrace,
+      linkedExceptions: event.linkedExceptions,
+      expiresAt: event.expiresAt || null,
+      // Events without a release leave the group's releases untouched rather than clearing them.
+      ...(event.release ? { lastRelease: event.release } : {}),
+      ...(event.hasUserContext ? { userContext: event.userContext } : {}),
+      ...metadata.set,
+    },
+    setOnInsert: {
+      groupingVersion: event.groupingVersion,
+      ...(event.release ? { firstRelease: event.release } : {}),
+      statusHistory: [{ status: 'new', changedAt: event.timestamp }],
+      lastStatusChange: event.timestamp,
+      ...metadata.setOnInsert,
+    },
+  };
+};
+
+// `firstSeen` is immutable in the schema; `$min` only ever moves it earlier.
+const GROUP_UPDATE_OPTIONS = { new: true, overwriteImmutable: true };
+
+const notNewerThan = (event) => ({ lastSeen: { $lte: event.timestamp } });
+
+/**
+ * Count the event against the group matching `filter`, taking over its `latest` fields when the
+ * event is not older than the group. In-order events need a single write.
+ */
+const updateGroup = async (filter, update, latest, event) =>
+  (await ErrorEvent.findOneAndUpdate({ ...filter, ...notNewerThan(event) }, { ...update, $set: latest }, GROUP_UPDATE_OPTIONS)) ||
+  ErrorEvent.findOneAndUpdate(filter, update, GROUP_UPDATE_OPTIONS);
+
+// Groups keep the previous version's fingerprint until the regroup job reaches them.
+const REGROUP_IN_PROGRESS = ['pending', 'running', 'failed'];
+
+/**
+ * Fingerprints the event would have had under the other grouping versions, while a regroup of the
+ * project is unfinished. Empty otherwise.
+ */
+const previousFingerprintsFor = (project, source, grouping) => {
+  if (!REGROUP_IN_PROGRESS.includes(project?.regroup?.status)) {
+    return [];
+  }
+  const current = project.groupingVersion || LEGACY_GROUPING_VERSION;
+  const fingerprints = GROUPING_VERSIONS.filter((version) => version !== current).map(
+    (version) => resolveFingerprint(source, { version, rules: project.groupingRules }).fingerprint
+  );
+  return [...new Set(fingerprints)].filter((fingerprint) => fingerprint !== grouping.fingerprint);
+};
+
+/**
+ * Count one event against the group for `fingerprint` without reading it first, so concurrent
+ * events for the same group never lose an increment. Fingerprints folded into another group by a
+ * merge are counted there, and so are `previousFingerprints` of groups a regroup has not reached
+ * yet. A missing group is created by an upsert, whose result decides `isNew`.
+ * @returns {Promise<{errorEvent: object, isNew: boolean}>}
+ */
+const upsertErrorGroup = async (project, fingerprint, event, { previousFingerprints = [] } = {}) => {
+  const filter = { projectId: project._id, fingerprint };
+  const { update, latest, setOnInsert } = buildGroupUpdate(event);
+
+  let errorEvent = await updateGroup(filter, update, latest, event);
+  let isNew = false;
+
+  if (!errorEvent) {
+    // Per-fingerprint counts on merged groups stay current so an unmerge can hand them back.
+    errorEvent = await updateGroup(
+      { projectId: project._id, 'mergedGroups.fingerprint': fingerprint },
+      {
+        ...update,
+        $inc: { ...update.$inc, 'mergedGroups.$.count': 1 },
+        $max: { ...update.$max, 'mergedGroups.$.lastSeen': event.timestamp },
+      },
+      latest,
+      event
+    );
+  }
+
+  if (!errorEvent && previousFingerprints.length) {
+    // Without this the event would open a new group (and a new-error alert) next to the old one.
+    errorEvent = await updateGroup(
+      { projectId: project._id, fingerprint: { $in: previousFingerprints }, groupingVersion: { $ne: event.groupingVersion } },
+      update,
+      latest,
+      event
+    );
+  }
+
+  if (!errorEvent) {
+    try {
+      const result = await ErrorEvent.findOneAndUpdate(
+        filter,
+        { ...update, $setOnInsert: { ...setOnInsert, ...latest } },
+        { ...GROUP_UPDATE_OPTIONS, upsert: true, includeResultMetadata: true }
+      );
+      errorEvent = result.value;
+      isNew = !result.lastErrorObject?.updatedExisting;
+      if (!isNew) {
+        // The group appeared since the lookup above; the upsert only counted the event.
+        errorEvent =
+          (await ErrorEvent.findOneAndUpdate({ _id: errorEvent._id, ...notNewerThan(event) }, { $set: latest }, GROUP_UPDATE_OPTIONS)) ||
+          errorEvent;
+      }
+    } catch (error) {
+      if (!error || error.code !== 11000) {
+        throw error;
+      }
+      // A concurrent upsert created the group first; count this event against it.
+      logger.warn({ fingerprint, projectId: project._id.toString() }, 'Duplicate fingerprint on upsert');
+      errorEvent = await updateGroup(filter, update, latest, event);
+    }
+  }
+
+  if (event.release) {
+    await ErrorEvent.capReleases(errorEvent._id);
+  }
+
+  // Groups created before they saw a release pick up their first one here.
+  if (!isNew && event.release && !errorEvent.firstRelease) {
+    await ErrorEvent.updateOne({ _id: errorEvent._id, firstRelease: null }, { $set: { firstRelease: event.release } });
+    errorEvent.firstRelease = event.release;
+  }
+
+  return { errorEvent, isNew };
+};
+
+const symbolicateLinkedExceptions = (project, release, linkedExceptions = []) =>
+  Promise.all(
+    linkedExceptions.map(async (linked) => ({
+      ...linked,
+      stackTrace: await symbolicateStackTrace(project, release, linked.stackTrace),
+    }))
+  );
+
+// Queued events can be retried, so their occurrence is written first and stays pending until the
+// group has counted the event. `retried` is set when an earlier attempt left it behind.
+const storePendingOccurrence = async (eventId, fields) => {
+  try {
+    return { occurrence: await ErrorOccurrence.create({ ...fields, _id: eventId, pending: true }), retried: false };
+  } catch (error) {
+    const stored = error && error.code === 11000 ? await ErrorOccurrence.findOne({ _id: eventId, pending: true }) : null;
+    if (!stored) {
+      throw error;
+    }
+    stored.set(fields);
+    return { occurrence: stored, retried: true };
+  }
+};
+
+// The group an earlier attempt already counted the event against, if it got that far.
+const findGroupCountingEvent = (project, eventId) => ErrorEvent.findOne({ projectId: project._id, countedEventIds: eventId });
+
+/**
+ * Store one event: count it against its group and record the occurrence, then run alerting.
+ * `options.eventId` becomes the occurrence id, so an id handed out before queueing stays valid,
+ * and is recorded on the group with the count so retries of the same event count it once.
+ */
+const ingestError = async (payload, project, options = {}) => {
   const scrubbingOptions = project?.scrubbing || {};
   const sanitizedPayload = sanitizeErrorPayload(payload, scrubbingOptions);
   const {
     message,
-    stackTrace,
+    stackTrace: rawStackTrace,
+    linkedExceptions: rawLinkedExceptions,
+    fingerprint: sdkFingerprint,
     environment,
+    release: rawRelease,
+    level: rawLevel,
     metadata,
     userContext,
     timestamp,
@@ -69,95 +279,64 @@ const ingestError = async (payload, project) => {
     Number.isFinite(retentionDays) && retentionDays > 0
       ? new Date(occurrenceTimestamp.getTime() + retentionDays * DAY_MS)
       : null;
-  const fingerprint = createFingerprint(message, stackTrace);
+  const release = typeof rawRelease === 'string' && rawRelease.trim() ? rawRelease.trim() : null;
+  const level = normalizeLevel(rawLevel);
+  // Fingerprint the original frames so a rebuild of the same code keeps grouping together.
+  const stackTrace = await symbolicateStackTrace(project, release, rawStackTrace);
+  const linkedExceptions = await symbolicateLinkedExceptions(project, release, rawLinkedExceptions);
   const occurrenceMetadata = metadata ?? {};
+  const groupingVersion = project?.groupingVersion || LEGACY_GROUPING_VERSION;
+  const groupingSource = { message, stackTrace, linkedExceptions, fingerprint: sdkFingerprint, tags: occurrenceMetadata.tags };
+  const grouping = resolveFingerprint(groupingSource, { version: groupingVersion, rules: project?.groupingRules });
+  const { fingerprint } = grouping;
+  const previousFingerprints = previousFingerprintsFor(project, groupingSource, grouping);
   const normalizedMetadata = normalizeMetadata({}, occurrenceMetadata);
   const occurrenceUserContext = userContext ?? {};
 
-  let errorEvent = await ErrorEvent.findOne({ fingerprint, projectId: project._id });
-  let isNew = false;
-
-  if (errorEvent) {
-    errorEvent.count += 1;
-    errorEvent.lastSeen = occurrenceTimestamp;
-    errorEvent.message = message;
-    errorEvent.environment = environment;
-    errorEvent.stackTrace = stackTrace;
-    errorEvent.markModified('stackTrace');
-    if (__hasMetadata) {
-      errorEvent.metadata = normalizeMetadata(errorEvent.metadata || {}, normalizedMetadata);
-      errorEvent.markModified('metadata');
-    }
-    if (__hasUserContext) {
-      errorEvent.userContext = occurrenceUserContext;
-      errorEvent.markModified('userContext');
-    }
-    errorEvent.expiresAt = expiresAt || null;
-    await errorEvent.save();
-  } else {
-    isNew = true;
-    try {
-      errorEvent = await ErrorEvent.create({
-        message,
-        stackTrace,
-        fingerprint,
-        environment,
-        projectId: project._id,
-        metadata: normalizedMetadata,
-        userContext: occurrenceUserContext,
-        firstSeen: occurrenceTimestamp,
-        lastSeen: occurrenceTimestamp,
-        statusHistory: [
-          {
-            status: 'new',
-            changedAt: occurrenceTimestamp,
-          },
-        ],
-        lastStatusChange: occurrenceTimestamp,
-        ...(expiresAt ? { expiresAt } : {}),
-      });
-    } catch (error) {
-      if (error && error.code === 11000) {
-        logger.warn({ fingerprint, projectId: project._id.toString() }, 'Duplicate fingerprint on create');
-        errorEvent = await ErrorEvent.findOne({ fingerprint, projectId: project._id });
-        if (errorEvent) {
-          errorEvent.count += 1;
-          errorEvent.lastSeen = occurrenceTimestamp;
-          errorEvent.message = message;
-          errorEvent.environment = environment;
-          errorEvent.stackTrace = stackTrace;
-          errorEvent.markModified('stackTrace');
-          if (__hasMetadata) {
-            errorEvent.metadata = occurrenceMetadata;
-            errorEvent.markModified('metadata');
-          }
-          if (__hasUserContext) {
-            errorEvent.userContext = occurrenceUserContext;
-            errorEvent.markModified('userContext');
-          }
-          errorEvent.expiresAt = expiresAt || null;
-          await errorEvent.save();
-        } else {
-          throw error;
-        }
-      } else {
-        throw error;
-      }
-    }
-  }
-
-  const occurrence = await ErrorOccurrence.create({
-    errorId: errorEvent._id,
+  const occurrenceFields = {
     fingerprint,
+    ...(Array.isArray(sdkFingerprint) && sdkFingerprint.length ? { sdkFingerprint } : {}),
+    fingerprintSource: grouping.source,
+    groupingRule: grouping.rule,
     message,
     stackTrace,
+    linkedExceptions,
     environment,
+    level,
+    release,
     projectId: project._id,
     metadata: normalizedMetadata,
     userContext: occurrenceUserContext,
     timestamp: occurrenceTimestamp,
     ...(expiresAt ? { expiresAt } : {}),
-  });
+  };
+  const pending = options.eventId ? await storePendingOccurrence(options.eventId, occurrenceFields) : null;
+  const countedGroup = pending?.retried ? await findGroupCountingEvent(project, options.eventId) : null;
+
+  const { errorEvent, isNew } = countedGroup ? { errorEvent: countedGroup, isNew: false } : await upsertErrorGroup(project, fingerprint, {
+    timestamp: occurrenceTimestamp,
+    message,
+    stackTrace,
+    linkedExceptions,
+    environment,
+    level,
+    release,
+    groupingVersion,
+    metadata: normalizedMetadata,
+    hasMetadata: Boolean(__hasMetadata),
+    userContext: occurrenceUserContext,
+    hasUserContext: Boolean(__hasUserContext),
+    expiresAt,
+    eventId: options.eventId,
+  }, { previousFingerprints });
+
+  let occurrence;
+  if (pending) {
+    pending.occurrence.set({ errorId: errorEvent._id, pending: undefined });
+    occurrence = await pending.occurrence.save();
+  } else {
+    occurrence = await ErrorOccurrence.create({ ...occurrenceFields, errorId: errorEvent._id });
+  }
 
   logger.info(
     {
@@ -180,7 +359,7 @@ const ingestError = async (payload, project) => {
       errorEvent,
       occurrence,
       isNew,
-      payload: sanitizedPayload,
+      payload: { ...sanitizedPayload, level },
     });
   } catch (error) {
     logger.error({ err: error, projectId: project?._id?.toString?.() || null }, 'Alert evaluation pipeline failed after ingestion');
@@ -214,15 +393,25 @@ const listErrors = async (project, options) => {
     endDate,
     search,
     sourceFile,
+    release,
+    level,
   } = options;
 
   const filter = { projectId: project._id };
   if (environment) {
     filter.environment = environment;
   }
+  if (release) {
+    // Groups stored before `releases` was tracked, or whose release dropped out of the capped list,
+    // still match on their first or last release.
+    filter.$or = [{ releases: release }, { firstRelease: release }, { lastRelease: release }];
+  }
   if (status) {
     filter.status = status;
   }
+  if (level) {
+    filter.level = level;
+  }
   if (search) {
     filter.message = { $regex: search, $options: "i" };
   }
@@ -246,6 +435,7 @@ const listErrors = async (project, options) => {
 
   const [items, total] = await Promise.all([
     ErrorEvent.find(filter)
+      .select({ releases: 0 })
       .sort(sort)
       .skip(skip)
       .limit(limit)
@@ -258,10 +448,13 @@ const listErrors = async (project, options) => {
       id: error._id.toString(),
       message: error.message,
       status: error.status,
+      level: error.level || DEFAULT_LEVEL,
       environment: error.environment,
       count: error.count,
       firstSeen: error.firstSeen,
       lastSeen: error.lastSeen,
+      firstRelease: error.firstRelease || null,
+      lastRelease: error.lastRelease || null,
       fingerprint: error.fingerprint,
       assignedTo: error.assignedTo ? error.assignedTo.toString() : null,
       topStackFrame: error.stackTrace && error.stackTrace.length ? error.stackTrace[0] : null,
@@ -274,9 +467,11 @@ const listErrors = async (project, options) => {
       filters: {
         environment: environment || null,
         status: status || null,
+        level: level || null,
         startDate: startDate || null,
         endDate: endDate || null,
         sourceFile: sourceFile || null,
+        release: release || null,
       },
       sort: {
         field: sortField,
@@ -308,6 +503,14 @@ const getErrorDetail = async (project, errorId, options = {}) => {
   ]);
 
   const stackTraceHighlighted = formatStackTraceForHighlight(error.stackTrace || []);
+  const linkedExceptions = (error.linkedExceptions || []).map((linked) => ({
+    name: linked.name || 'Error',
+    message: linked.message || '',
+    relation: linked.relation,
+    depth: linked.depth,
+    stackTrace: linked.stackTrace || [],
+    stackTraceHighlighted: formatStackTraceForHighlight(linked.stackTrace || []),
+  }));
 
   const assignmentHistory = Array.isArray(error.assignmentHistory)
     ? error.assignmentHistory.map((entry) => ({
@@ -329,15 +532,29 @@ const getErrorDetail = async (project, errorId, options = {}) => {
     id: error._id.toString(),
     message: error.message,
     status: error.status,
+    level: error.level || DEFAULT_LEVEL,
     environment: error.environment,
     count: error.count,
     firstSeen: error.firstSeen,
     lastSeen: error.lastSeen,
+    firstRelease: error.firstRelease || null,
+    lastRelease: error.lastRelease || null,
     fingerprint: error.fingerprint,
+    groupingVersion: error.groupingVersion || LEGACY_GROUPING_VERSION,
+    mergedGroups: (error.mergedGroups || []).map((merged) => ({
+      errorId: merged.errorId.toString(),
+      fingerprint: merged.fingerprint,
+      message: merged.message || null,
+      count: merged.count,
+      firstSeen: merged.firstSeen || null,
+      lastSeen: merged.lastSeen || null,
+      mergedAt: merged.mergedAt,
+    })),
     metadata: error.metadata || {},
     userContext: error.userContext || {},
     stackTrace: error.stackTrace || [],
     stackTraceHighlighted,
+    linkedExceptions,
     assignedTo: error.assignedTo ? error.assignedTo.toString() : null,
     assignmentHistory,
     statusHistory,
@@ -345,6 +562,10 @@ const getErrorDetail = async (project, errorId, options = {}) => {
       id: occurrence._id.toString(),
       timestamp: occurrence.timestamp,
       environment: occurrence.environment,
+      level: occurrence.level || DEFAULT_LEVEL,
+      release: occurrence.release || null,
+      fingerprintSource: occurrence.fingerprintSource || 'default',
+      groupingRule: occurrence.groupingRule || null,
       metadata: occurrence.metadata || {},
       userContext: occurrence.userContext || {},
     })),
@@ -580,4 +801,5 @@ module.exports = {
    assignError,
    unassignError,
   deleteError,
+  upsertErrorGroup,
 };
@@ -0,0 +1,568 @@
+const mongoose = require('mongoose');
+const Project = require('../models/Project');
+const ErrorEvent = require('../models/Error');
+const ErrorOccurrence = require('../models/Occurrence');
+const logger = require('../utils/logger');
+const analyticsCache = require('../utils/analytics-cache');
+const { isGroupingVersion } = require('../utils/fingerprint');
+const { resolveFingerprint } = require('../utils/grouping-rules');
+
+const OCCURRENCE_FIELDS = {
+  _id: 1,
+  fingerprint: 1,
+  message: 1,
+  stackTrace: 1,
+  linkedExceptions: 1,
+  sdkFingerprint: 1,
+  environment: 1,
+  level: 1,
+  release: 1,
+  metadata: 1,
+  userContext: 1,
+  timestamp: 1,
+};
+
+// Workflow state (status, assignee, history) follows the occurrences into every group split off the original.
+const WORKFLOW_FIELDS = [
+  'status',
+  'statusHistory',
+  'lastStatusChange',
+  'resolvedAt',
+  'assignedTo',
+  'assignmentHistory',
+  'expiresAt',
+];
+
+// Same resolution as ingestion, so project rules and SDK fingerprints survive a regroup.
+const groupingFor = (project, source, version) =>
+  resolveFingerprint(
+    {
+      message: source.message,
+      stackTrace: source.stackTrace || [],
+      linkedExceptions: source.linkedExceptions || [],
+      fingerprint: source.sdkFingerprint,
+      tags: source.metadata?.tags,
+    },
+    { version, rules: project.groupingRules }
+  );
+
+// Occurrences arrive oldest first, so the last one seen describes the group's latest event.
+const addToBucket = (buckets, grouping, occurrence) => {
+  const { fingerprint } = grouping;
+  const bucket = buckets.get(fingerprint) || {
+    fingerprint,
+    occurrenceIds: [],
+    bySource: new Map(),
+    firstSeen: occurrence.timestamp,
+    firstRelease: occurrence.release || null,
+    releases: new Set(),
+    latest: occurrence,
+  };
+  bucket.occurrenceIds.push(occurrence._id);
+  bucket.latest = occurrence;
+  if (occurrence.release) {
+    bucket.releases.add(occurrence.release);
+  }
+  // Occurrences sharing a fingerprint may still have got there through different rules.
+  const sourceKey = `${grouping.source}:${grouping.rule?.id || ''}`;
+  const source = bucket.bySource.get(sourceKey) || { grouping, occurrenceIds: [] };
+  source.occurrenceIds.push(occurrence._id);
+  bucket.bySource.set(sourceKey, source);
+  buckets.set(fingerprint, bucket);
+  return bucket;
+};
+
+const moveOccurrences = async (project, bucket, targetId) => {
+  for (const { grouping, occurrenceIds } of bucket.bySource?.values() || []) {
+    // eslint-disable-next-line no-await-in-loop
+    await ErrorOccurrence.updateMany(
+      { _id: { $in: occurrenceIds }, projectId: project._id },
+      {
+        $set: {
+          errorId: targetId,
+          fingerprint: bucket.fingerprint,
+          fingerprintSource: grouping.source,
+          groupingRule: grouping.rule,
+        },
+      }
+    );
+  }
+};
+
+const mergeIntoGroup = async (target, count, bucket, mergedGroups = []) => {
+  await ErrorEvent.updateOne(
+    { _id: target._id },
+    {
+      $inc: { count },
+      $min: { firstSeen: bucket.firstSeen },
+      $max: { lastSeen: bucket.latest.timestamp },
+      $addToSet: { releases: { $each: [...(bucket.releases || [])] } },
+      $push: { mergedGroups: { $each: mergedGroups } },
+    },
+    { overwriteImmutable: true }
+  );
+  await ErrorEvent.capReleases(target._id);
+};
+
+const createSplitGroup = async (project, group, bucket, version) => {
+  const { latest } = bucket;
+  const workflow = Object.fromEntries(WORKFLOW_FIELDS.map((field) => [field, group[field]]));
+  try {
+    const split = await ErrorEvent.create({
+      ...workflow,
+      projectId: project._id,
+      fingerprint: bucket.fingerprint,
+      groupingVersion: version,
+      message: latest.message,
+      stackTrace: latest.stackTrace || [],
+      linkedExceptions: latest.linkedExceptions || [],
+      environment: latest.environment,
+      level: latest.level,
+      firstRelease: bucket.firstRelease,
+      lastRelease: latest.release || null,
+      releases: [...bucket.releases],
+      metadata: latest.metadata || {},
+      userContext: latest.userContext || {},
+      count: bucket.occurrenceIds.length,
+      firstSeen: bucket.firstSeen,
+      lastSeen: latest.timestamp,
+    });
+    await ErrorEvent.capReleases(split._id);
+    return split;
+  } catch (error) {
+    // Ingestion created the group while this split was in flight.
+    if (error && error.code === 11000) {
+      return null;
+    }
+    throw error;
+  }
+};
+
+const findGroupByFingerprint = (project, fingerprint, excludeId) =>
+  ErrorEvent.findOne({ projectId: project._id, fingerprint, _id: { $ne: excludeId } }).select({ _id: 1, firstSeen: 1 }).lean();
+
+// Fields describing a group's latest event, taken over from a newer group folded into an older one.
+const LATEST_EVENT_FIELDS = [
+  'message',
+  'stackTrace',
+  'linkedExceptions',
+  'environment',
+  'level',
+  'lastRelease',
+  'metadata',
+  'userContext',
+];
+
+// Remove a newer group that already holds `group`'s new fingerprint and hand its events to `group`.
+const absorbGroup = async (project, group, absorbedId) => {
+  const absorbed = await ErrorEvent.findOneAndDelete({ _id: absorbedId, projectId: project._id }).lean();
+  if (!absorbed) {
+    return null;
+  }
+  await ErrorOccurrence.updateMany({ projectId: project._id, errorId: absorbed._id }, { $set: { errorId: group._id } });
+  return absorbed;
+};
+
+// Move a share split off `group` to the group that owns its fingerprint, creating it when missing.
+const moveSplitBucket = async (project, group, bucket, version) => {
+  let target = await findGroupByFingerprint(project, bucket.fingerprint, group._id);
+  if (!target) {
+    const created = await createSplitGroup(project, group, bucket, version);
+    if (created) {
+      await moveOccurrences(project, bucket, created._id);
+      return;
+    }
+    target = await findGroupByFingerprint(project, bucket.fingerprint, group._id);
+  }
+  await mergeIntoGroup(target, bucket.occurrenceIds.length, bucket);
+  await moveOccurrences(project, bucket, target._id);
+};
+
+// A manually merged group takes the fingerprint most of its occurrences share under `version`, and
+// all of its occurrences take it too so an unmerge still finds them. Entries whose occurrences all
+// expired are kept as they were.
+const regroupMergedShare = ({ entry, buckets }, version) => {
+  const shares = [...buckets.values()];
+  const [largest] = [...shares].sort((a, b) => b.occurrenceIds.length - a.occurrenceIds.length);
+  if (!largest) {
+    return { entry, buckets: [] };
+  }
+  return {
+    entry: { ...entry, fingerprint: largest.fingerprint, groupingVersion: version },
+    buckets: shares.map((bucket) => ({ ...bucket, fingerprint: largest.fingerprint })),
+  };
+};
+
+const moveMergedShares = async (project, shares, targetId) => {
+  for (const bucket of shares.flatMap((share) => share.buckets)) {
+    // eslint-disable-next-line no-await-in-loop
+    await moveOccurrences(project, bucket, targetId);
+  }
+};
+
+// A group created by ingestion can win the race for the new fingerprint more than once in a row.
+const MAX_ABSORB_ATTEMPTS = 3;
+
+// Final update of a regrouped group that keeps its id, with the groups it absorbed folded in.
+const regroupedGroupUpdate = (primary, primaryCount, mergedGroups, absorbed, version) => {
+  const [latestAbsorbed] = [...absorbed].sort((a, b) => b.lastSeen - a.lastSeen);
+  const absorbedIsLatest = Boolean(latestAbsorbed) && latestAbsorbed.lastSeen > primary.latest.timestamp;
+  const latestEvent = absorbedIsLatest
+    ? Object.fromEntries(LATEST_EVENT_FIELDS.map((field) => [field, latestAbsorbed[field]]))
+    : {};
+  return {
+    $set: {
+      ...latestEvent,
+      fingerprint: primary.fingerprint,
+      groupingVersion: version,
+      count: primaryCount + absorbed.reduce((total, entry) => total + (entry.count || 0), 0),
+      lastSeen: absorbedIsLatest ? latestAbsorbed.lastSeen : primary.latest.timestamp,
+      mergedGroups: [...mergedGroups, ...absorbed.flatMap((entry) => entry.mergedGroups || [])],
+    },
+    $addToSet: { releases: { $each: absorbed.flatMap((entry) => entry.releases || []) } },
+  };
+};
+
+/**
+ * Recompute one group's fingerprint from its occurrences. Occurrences that still share a
+ * fingerprint stay together; the largest share keeps the original group (and its id), the rest
+ * move to existing groups with the new fingerprint or to new groups that inherit its workflow
+ * state. When another group already holds the largest share's fingerprint, the older of the two
+ * survives with its id and workflow state. Manual merges are kept: merged groups stay with the
+ * surviving group under their recomputed fingerprints. Groups whose occurrences have all expired
+ * are regrouped on their own latest event.
+ */
+const regroupGroup = async (project, group, version) => {
+  const buckets = new Map();
+  // Occurrences brought in by a manual merge still carry the merged group's fingerprint.
+  const mergedShares = new Map(
+    (group.mergedGroups || []).map((entry) => [entry.fingerprint, { entry, buckets: new Map() }])
+  );
+  const cursor = ErrorOccurrence.find({ projectId: project._id, errorId: group._id })
+    .sort({ timestamp: 1 })
+    .select(OCCURRENCE_FIELDS)
+    .lean()
+    .cursor();
+  for await (const occurrence of cursor) {
+    const share = mergedShares.get(occurrence.fingerprint);
+    addToBucket(share ? share.buckets : buckets, groupingFor(project, occurrence, version), occurrence);
+  }
+
+  const [primary = {
+    fingerprint: groupingFor(project, group, version).fingerprint,
+    occurrenceIds: [],
+    firstSeen: group.firstSeen,
+    latest: { timestamp: group.lastSeen },
+  }, ...splits] = [...buckets.values()].sort((a, b) => b.occurrenceIds.length - a.occurrenceIds.length);
+
+  for (const bucket of splits) {
+    // eslint-disable-next-line no-await-in-loop
+    await moveSplitBucket(project, group, bucket, version);
+  }
+
+  const movedOut = splits.reduce((total, bucket) => total + bucket.occurrenceIds.length, 0);
+  // Counts include events whose occurrences expired; those stay with the primary share.
+  const primaryCount = Math.max(1, group.count - movedOut);
+
+  const regroupedShares = [...mergedShares.values()].map((share) => regroupMergedShare(share, version));
+  // A merged group that now shares the primary fingerprint is simply part of the group.
+  const mergedGroups = regroupedShares
+    .map((share) => share.entry)
+    .filter((entry) => entry.fingerprint !== primary.fingerprint);
+
+  const existing = await findGroupByFingerprint(project, primary.fingerprint, group._id);
+  if (existing && existing.firstSeen < group.firstSeen) {
+    await mergeIntoGroup(existing, primaryCount, primary, mergedGroups);
+    await moveOccurrences(project, primary, existing._id);
+    await moveMergedShares(project, regroupedShares, existing._id);
+    await ErrorEvent.deleteOne({ _id: group._id });
+    return { mergedInto: existing._id.toString(), splits: splits.length };
+  }
+
+  // Typically a group ingestion opened for the new fingerprint before this regroup got here.
+  const absorbed = existing ? [await absorbGroup(project, group, existing._id)].filter(Boolean) : [];
+
+  await moveOccurrences(project, primary, group._id);
+  await moveMergedShares(project, regroupedShares, group._id);
+  for (let attempt = 1; ; attempt += 1) {
+    try {
+      // eslint-disable-next-line no-await-in-loop
+      await ErrorEvent.updateOne({ _id: group._id }, regroupedGroupUpdate(primary, primaryCount, mergedGroups, absorbed, version));
+      break;
+    } catch (error) {
+      if (!error || error.code !== 11000 || attempt >= MAX_ABSORB_ATTEMPTS) {
+        throw error;
+      }
+      // Ingestion opened a group for the new fingerprint after the lookup above; absorb it too.
+      // eslint-disable-next-line no-await-in-loop
+      const winner = await findGroupByFingerprint(project, primary.fingerprint, group._id);
+      // eslint-disable-next-line no-await-in-loop
+      const absorbedWinner = winner ? await absorbGroup(project, group, winner._id) : null;
+      if (absorbedWinner) {
+        absorbed.push(absorbedWinner);
+      }
+    }
+  }
+  await ErrorEvent.capReleases(group._id);
+  return { mergedInto: null, splits: splits.length };
+};
+
+/**
+ * Regroup every group of a project that was produced by another grouping version. Progress is
+ * recorded on `project.regroup` so the job can be retried; groups already on `version` are skipped.
+ */
+const regroupProject = async (projectId, version) => {
+  if (!isGroupingVersion(version)) {
+    const error = new Error(`Unknown grouping version: ${version}`);
+    error.status = 422;
+    throw error;
+  }
+
+  const project = await Project.findById(projectId).select({ _id: 1, groupingVersion: 1, groupingRules: 1 }).lean();
+  if (!project) {
+    logger.warn({ projectId }, 'Skipping regroup – project not found');
+    return null;
+  }
+  if (project.groupingVersion !== version) {
+    logger.warn({ projectId, version, current: project.groupingVersion }, 'Skipping stale regroup job');
+    return null;
+  }
+
+  await Project.updateOne(
+    { _id: project._id },
+    {
+      $set: {
+        'regroup.status': 'running',
+        'regroup.version': version,
+        'regroup.groupsProcessed': 0,
+        'regroup.startedAt': new Date(),
+        'regroup.finishedAt': null,
+        'regroup.error': null,
+      },
+    }
+  );
+
+  let groupsProcessed = 0;
+  let merged = 0;
+  let splits = 0;
+  try {
+    // Each pass rewrites `groupingVersion`, so re-querying drains the backlog without skipping groups.
+    for (;;) {
+      // eslint-disable-next-line no-await-in-loop
+      const group = await ErrorEvent.findOne({ projectId: project._id, groupingVersion: { $ne: version } }).lean();
+      if (!group) {
+        break;
+      }
+      // eslint-disable-next-line no-await-in-loop
+      const result = await regroupGroup(project, group, version);
+      groupsProcessed += 1;
+      merged += result.mergedInto ? 1 : 0;
+      splits += result.splits;
+      // eslint-disable-next-line no-await-in-loop
+      await Project.updateOne({ _id: project._id }, { $set: { 'regroup.groupsProcessed': groupsProcessed } });
+    }
+  } catch (error) {
+    await Project.updateOne(
+      { _id: project._id },
+      { $set: { 'regroup.status': 'failed', 'regroup.finishedAt': new Date(), 'regroup.error': error.message } }
+    );
+    throw error;
+  } finally {
+    analyticsCache.invalidateProject(project._id);
+  }
+
+  await Project.updateOne(
+    { _id: project._id },
+    { $set: { 'regroup.status': 'completed', 'regroup.finishedAt': new Date(), 'regroup.groupsProcessed': groupsProcessed } }
+  );
+
+  logger.info({ projectId: project._id.toString(), version, groupsProcessed, merged, splits }, 'Regrouped project errors');
+  return { projectId: project._id.toString(), version, groupsProcessed, merged, splits };
+};
+
+const statusError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// A source that was itself a merge target hands over its own merged groups as well, so each
+// original fingerprint can still be unmerged on its own.
+const mergedEntriesFor = (source, mergedAt) => {
+  const nested = source.mergedGroups || [];
+  const nestedCount = nested.reduce((total, entry) => total + (entry.count || 0), 0);
+  return [
+    {
+      errorId: source._id,
+      fingerprint: source.fingerprint,
+      groupingVersion: source.groupingVersion,
+      message: source.message,
+      status: source.status,
+      count: Math.max(0, source.count - nestedCount),
+      firstSeen: source.firstSeen,
+      lastSeen: source.lastSeen,
+      mergedAt,
+    },
+    ...nested,
+  ];
+};
+
+/**
+ * Fold one source group into the primary. Its fingerprints are switched over to the primary
+ * before the source is deleted, so an event ingested meanwhile is counted on exactly one of the
+ * two groups; the source's final counts and its occurrences are moved over afterwards.
+ */
+const foldIntoPrimary = async (project, primary, source, mergedAt) => {
+  const placeholders = mergedEntriesFor(source, mergedAt).map((entry) => ({ ...entry, count: 0 }));
+  await ErrorEvent.updateOne({ _id: primary._id }, { $push: { mergedGroups: { $each: placeholders } } });
+
+  const removed = await ErrorEvent.findOneAndDelete({ _id: source._id }).lean();
+  if (!removed) {
+    // Deleted by someone else in the meantime; there is nothing left to count.
+    await ErrorEvent.updateOne(
+      { _id: primary._id },
+      { $pull: { mergedGroups: { errorId: { $in: placeholders.map((entry) => entry.errorId) }, mergedAt } } }
+    );
+    return;
+  }
+  const entries = mergedEntriesFor(removed, mergedAt);
+  const inc = { count: removed.count };
+  const max = { lastSeen: removed.lastSeen };
+  entries.forEach((entry, index) => {
+    inc[`mergedGroups.$[m${index}].count`] = entry.count;
+    max[`mergedGroups.$[m${index}].lastSeen`] = entry.lastSeen;
+  });
+  await ErrorEvent.updateOne(
+    { _id: primary._id },
+    {
+      $inc: inc,
+      $min: { firstSeen: removed.firstSeen },
+      $max: max,
+      $addToSet: { releases: { $each: removed.releases || [] } },
+    },
+    { overwriteImmutable: true, arrayFilters: entries.map((entry, index) => ({ [`m${index}.errorId`]: entry.errorId })) }
+  );
+  await ErrorOccurrence.updateMany({ projectId: project._id, errorId: source._id }, { $set: { errorId: primary._id } });
+};
+
+/**
+ * Fold `errorIds` into the primary group: occurrences move over, counts are added up and the
+ * earliest `firstSeen` wins. The merged fingerprints are remembered on the primary group so new
+ * events carrying them are counted there. Returns null when the primary group does not exist.
+ */
+const mergeErrors = async (project, primaryId, errorIds) => {
+  if (!mongoose.Types.ObjectId.isValid(primaryId)) {
+    return null;
+  }
+  const ids = [...new Set(errorIds.map(String))];
+  if (ids.includes(String(primaryId))) {
+    throw statusError('An error group cannot be merged into itself', 422);
+  }
+
+  const primary = await ErrorEvent.findOne({ _id: primaryId, projectId: project._id }).select('_id').lean();
+  if (!primary) {
+    return null;
+  }
+  const sources = await ErrorEvent.find({ _id: { $in: ids }, projectId: project._id }).lean();
+  if (sources.length !== ids.length) {
+    throw statusError('Error group not found', 404);
+  }
+
+  const mergedAt = new Date();
+  for (const source of sources) {
+    // eslint-disable-next-line no-await-in-loop
+    await foldIntoPrimary(project, primary, source, mergedAt);
+  }
+  await ErrorEvent.capReleases(primary._id);
+
+  analyticsCache.invalidateProject(project._id);
+  logger.info({ projectId: project._id.toString(), errorId: primary._id.toString(), merged: ids }, 'Merged error groups');
+  return { errorId: primary._id.toString(), merged: ids };
+};
+
+/**
+ * Split a merged group back out of its primary group under its original id. Occurrences carrying
+ * its fingerprint move back, including ones ingested after the merge. Returns null when the
+ * primary group does not exist.
+ */
+const unmergeError = async (project, primaryId, mergedErrorId) => {
+  if (!mongoose.Types.ObjectId.isValid(primaryId)) {
+    return null;
+  }
+  const primary = await ErrorEvent.findOne({ _id: primaryId, projectId: project._id }).lean();
+  if (!primary) {
+    return null;
+  }
+  const entry = (primary.mergedGroups || []).find((merged) => merged.errorId.toString() === String(mergedErrorId));
+  if (!entry) {
+    throw statusError('Merged error group not found', 404);
+  }
+
+  // The latest occurrence describes the restored group; groups whose occurrences expired fall back to the primary.
+  const latest = await ErrorOccurrence.findOne({ projectId: project._id, errorId: primary._id, fingerprint: entry.fingerprint })
+    .sort({ timestamp: -1 })
+    .lean();
+  const source = latest || primary;
+  const releases = await ErrorOccurrence.distinct('release', {
+    projectId: project._id,
+    errorId: primary._id,
+    fingerprint: entry.fingerprint,
+  });
+  const now = new Date();
+  const status = entry.status || 'new';
+  try {
+    await ErrorEvent.create({
+      _id: entry.errorId,
+      projectId: project._id,
+      fingerprint: entry.fingerprint,
+      groupingVersion: entry.groupingVersion,
+      message: latest?.message || entry.message || primary.message,
+      stackTrace: source.stackTrace || [],
+      linkedExceptions: source.linkedExceptions || [],
+      environment: source.environment,
+      level: source.level,
+      lastRelease: latest?.release || null,
+      releases: releases.filter(Boolean),
+      metadata: source.metadata || {},
+      userContext: source.userContext || {},
+      count: Math.max(1, entry.count),
+      firstSeen: entry.firstSeen || entry.mergedAt,
+      lastSeen: entry.lastSeen || entry.mergedAt,
+      status,
+      statusHistory: [{ status, changedAt: now }],
+      lastStatusChange: now,
+      expiresAt: latest?.expiresAt || null,
+    });
+  } catch (error) {
+    if (error && error.code === 11000) {
+      throw statusError('An error group with this fingerprint already exists', 409);
+    }
+    throw error;
+  }
+
+  await ErrorOccurrence.updateMany(
+    { projectId: project._id, errorId: primary._id, fingerprint: entry.fingerprint },
+    { $set: { errorId: entry.errorId } }
+  );
+  await ErrorEvent.updateOne(
+    { _id: primary._id },
+    {
+      // The primary group always keeps at least its own event.
+      $inc: { count: -Math.min(entry.count, primary.count - 1) },
+      $pull: { mergedGroups: { errorId: entry.errorId } },
+    }
+  );
+
+  analyticsCache.invalidateProject(project._id);
+  logger.info(
+    { projectId: project._id.toString(), errorId: primary._id.toString(), unmerged: entry.errorId.toString() },
+    'Unmerged error group'
+  );
+  return { errorId: primary._id.toString(), unmerged: entry.errorId.toString() };
+};
+
+module.exports = {
+  mergeErrors,
+  regroupProject,
+  unmergeError,
+};
@@ -1,17 +1,35 @@
 const mongoose = require('mongoose');
 const Project = require('../models/Project');
 const User = require('../models/User');
-const { createApiKey, hashApiKey, getApiKeyPreview } = require('../utils/api-key');
+const {
+  API_KEY_TYPES,
+  createApiKey,
+  hashApiKey,
+  getApiKeyPreview,
+  getApiKeyStatus,
+} = require('../utils/api-key');
+const { GROUPING_VERSIONS, LATEST_GROUPING_VERSION, LEGACY_GROUPING_VERSION } = require('../utils/fingerprint');
+const { normalizeGroupingRules } = require('../utils/grouping-rules');
+const { enqueueRegroup } = require('../queues/regroup-queue');
+const logger = require('../utils/logger');
+
+const DEFAULT_KEY_LABELS = {
+  secret: 'Default secret key',
+  public: 'Default public key',
+};
+const RAW_KEY_FIELDS = { secret: 'apiKey', public: 'publicKey' };
+const MAX_KEY_LABEL_LENGTH = 100;
+const MAX_GRACE_HOURS = 24 * 7;
 
-async function generateUniqueKeyRecord() {
+async function generateUniqueKeyRecord(type = 'secret') {
   let attempts = 0;
 
   while (attempts < 10) {
     attempts += 1;
-    const rawKey = createApiKey();
+    const rawKey = createApiKey(type);
     const keyHash = hashApiKey(rawKey);
     // eslint-disable-next-line no-await-in-loop
-    const exists = await Project.exists({ apiKeyHash: keyHash });
+    const exists = await Project.exists({ 'apiKeys.keyHash': keyHash });
     if (!exists) {
       return {
         rawKey,
@@ -24,7 +42,41 @@ async function generateUniqueKeyRecord() {
   throw new Error('Unable to generate a unique project API key');
 }
 
-function sanitizeProject(projectDoc, role, { apiKey } = {}) {
+function buildKeyEntry(keyRecord, { type, label, expiresAt = null }) {
+  return {
+    label: label || DEFAULT_KEY_LABELS[type],
+    type,
+    keyHash: keyRecord.keyHash,
+    preview: keyRecord.preview,
+    createdAt: new Date(),
+    expiresAt,
+  };
+}
+
+function sanitizeApiKey(entry, now = new Date()) {
+  return {
+    id: entry._id.toString(),
+    label: entry.label,
+    type: entry.type,
+    preview: entry.preview,
+    status: getApiKeyStatus(entry, now),
+    createdAt: entry.createdAt,
+    expiresAt: entry.expiresAt || null,
+    lastUsedAt: entry.lastUsedAt || null,
+    lastUsedIp: entry.lastUsedIp || null,
+    revoked: !!entry.revoked,
+    revokedAt: entry.revokedAt || null,
+  };
+}
+
+// Newest usable key of a type; keeps the single-key preview fields meaningful for older clients.
+function findCurrentKey(apiKeys, type, now = new Date()) {
+  return (apiKeys || [])
+    .filter((entry) => entry.type === type && getApiKeyStatus(entry, now) === 'active')
+    .sort((a, b) => new Date(b.createdAt).getTime() - new Date(a.createdAt).getTime())[0] || null;
+}
+
+function sanitizeProject(projectDoc, role, { apiKey, publicKey } = {}) {
   if (!projectDoc) {
     return null;
   }
@@ -39,14 +91,29 @@ function sanitizeProject(projectDoc, role, { apiKey } = {}) {
     updatedAt: projectDoc.updatedAt,
   };
 
-  if (isAdmin && projectDoc.apiKeyPreview) {
-    result.apiKeyPreview = projectDoc.apiKeyPreview;
+  if (isAdmin && Array.isArray(projectDoc.apiKeys)) {
+    const now = new Date();
+    const currentSecret = findCurrentKey(projectDoc.apiKeys, 'secret', now);
+    const currentPublic = findCurrentKey(projectDoc.apiKeys, 'public', now);
+    if (currentSecret) {
+      result.apiKeyId = currentSecret._id.toString();
+      result.apiKeyPreview = currentSecret.preview;
+    }
+    if (currentPublic) {
+      result.publicKeyId = currentPublic._id.toString();
+      result.publicKeyPreview = currentPublic.preview;
+    }
+    result.apiKeys = projectDoc.apiKeys.map((entry) => sanitizeApiKey(entry, now));
   }
 
   if (isAdmin && apiKey) {
     result.apiKey = apiKey;
   }
 
+  if (isAdmin && publicKey) {
+    result.publicKey = publicKey;
+  }
+
   if (isAdmin && projectDoc.scrubbing) {
     result.scrubbing = {
       removeEmails: !!projectDoc.scrubbing.removeEmails,
@@ -59,9 +126,116 @@ function sanitizeProject(projectDoc, role, { apiKey } = {}) {
     result.retentionDays = projectDoc.retentionDays;
   }
 
+  if (isAdmin) {
+    result.groupingRules = (projectDoc.groupingRules || []).map((rule) => ({
+      id: rule._id.toString(),
+      name: rule.name,
+      match: rule.match || 'any',
+      enabled: rule.enabled !== false,
+      conditions: (rule.conditions || []).map((condition) =>
+        condition.type === 'tag'
+          ? { type: 'tag', key: condition.key, value: condition.value }
+          : { type: 'message', pattern: condition.pattern }
+      ),
+      fingerprint: rule.fingerprint || [],
+    }));
+    result.groupingVersion = projectDoc.groupingVersion || LEGACY_GROUPING_VERSION;
+    result.regroup = {
+      status: projectDoc.regroup?.status || 'idle',
+      version: projectDoc.regroup?.version ?? null,
+      groupsProcessed: projectDoc.regroup?.groupsProcessed || 0,
+      startedAt: projectDoc.regroup?.startedAt || null,
+      finishedAt: projectDoc.regroup?.finishedAt || null,
+      error: projectDoc.regroup?.error || null,
+    };
+  }
+
   return result;
 }
 
+function requireAdminMembership(user, projectId) {
+  if (!projectId) {
+    const error = new Error('Project id is required');
+    error.status = 400;
+    throw error;
+  }
+
+  const membership = (user?.memberships || []).find(
+    (entry) => entry.projectId?.toString?.() === projectId.toString()
+  );
+
+  if (!membership || membership.role !== 'admin') {
+    const error = new Error('Forbidden');
+    error.status = 403;
+    throw error;
+  }
+
+  return membership;
+}
+
+function validateKeyType(type) {
+  if (!API_KEY_TYPES.includes(type)) {
+    const error = new Error(`Key type must be one of ${API_KEY_TYPES.join(', ')}`);
+    error.status = 422;
+    throw error;
+  }
+  return type;
+}
+
+function validateKeyLabel(label) {
+  if (label === undefined || label === null) {
+    return null;
+  }
+  const trimmed = typeof label === 'string' ? label.trim() : '';
+  if (!trimmed || trimmed.length > MAX_KEY_LABEL_LENGTH) {
+    const error = new Error(`Key label must be between 1 and ${MAX_KEY_LABEL_LENGTH} characters`);
+    error.status = 422;
+    throw error;
+  }
+  return trimmed;
+}
+
+function validateKeyExpiry(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const parsed = new Date(value);
+  if (Number.isNaN(parsed.getTime())) {
+    const error = new Error('Key expiry must be a valid date');
+    error.status = 422;
+    throw error;
+  }
+  if (parsed.getTime() <= Date.now()) {
+    const error = new Error('Key expiry must be in the future');
+    error.status = 422;
+    throw error;
+  }
+  return parsed;
+}
+
+function validateGraceHours(value) {
+  if (value === undefined || value === null) {
+    return 0;
+  }
+  const parsed = Number(value);
+  if (!Number.isFinite(parsed) || parsed < 0 || parsed > MAX_GRACE_HOURS) {
+    const error = new Error(`Grace period must be between 0 and ${MAX_GRACE_HOURS} hours`);
+    error.status = 422;
+    throw error;
+  }
+  return parsed;
+}
+
+async function loadProjectDocument(projectId) {
+  const project = await Project.findById(projectId);
+  if (!project) {
+    const error = new Error('Project not found');
+    error.status = 404;
+    throw error;
+  }
+  return project;
+}
+
 function parseScrubbingConfig(input) {
   if (!input || typeof input !== 'object') {
     return null;
@@ -102,6 +276,21 @@ function validateRetentionDays(value) {
   return parsed;
 }
 
+function validateGroupingVersion(value) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+
+  const parsed = Number(value);
+  if (!GROUPING_VERSIONS.includes(parsed)) {
+    const error = new Error(`Grouping version must be one of ${GROUPING_VERSIONS.join(', ')}`);
+    error.status = 422;
+    throw error;
+  }
+
+  return parsed;
+}
+
 async function listProjectsForUser(user) {
   const memberships = Array.isArray(user?.memberships) ? user.memberships : [];
   if (!memberships.length) {
@@ -144,14 +333,17 @@ async function createProjectForUser(user, { name, scrubbing, retentionDays }) {
     throw error;
   }
 
-  const keyRecord = await generateUniqueKeyRecord();
+  const keyRecord = await generateUniqueKeyRecord('secret');
+  const publicKeyRecord = await generateUniqueKeyRecord('public');
   const scrubbingConfig = parseScrubbingConfig(scrubbing);
   const validatedRetention = validateRetentionDays(retentionDays);
 
   const createdProject = await Project.create({
     name: trimmedName,
-    apiKeyHash: keyRecord.keyHash,
-    apiKeyPreview: keyRecord.preview,
+    apiKeys: [
+      buildKeyEntry(keyRecord, { type: 'secret' }),
+      buildKeyEntry(publicKeyRecord, { type: 'public' }),
+    ],
     status: 'active',
     ...(scrubbingConfig
       ? {
@@ -163,6 +355,7 @@ async function createProjectForUser(user, { name, scrubbing, retentionDays }) {
         }
       : {}),
     ...(validatedRetention !== null ? { retentionDays: validatedRetention } : {}),
+    groupingVersion: LATEST_GROUPING_VERSION,
   });
 
   await User.updateOne(
@@ -178,10 +371,10 @@ async function createProjectForUser(user, { name, scrubbing, retentionDays }) {
   );
 
   const createdDoc = createdProject.toObject ? createdProject.toObject() : createdProject;
-  return sanitizeProject(createdDoc, 'admin', { apiKey: keyRecord.rawKey });
+  return sanitizeProject(createdDoc, 'admin', { apiKey: keyRecord.rawKey, publicKey: publicKeyRecord.rawKey });
 }
 
-async function updateProjectDetails(user, projectId, { name, scrubbing, retentionDays }) {
+async function updateProjectDetails(user, projectId, { name, scrubbing, retentionDays, groupingVersion, groupingRules }) {
   if (!projectId) {
     const error = new Error('Project id is required');
     error.status = 400;
@@ -201,6 +394,8 @@ async function updateProjectDetails(user, projectId, { name, scrubbing, retentio
   const trimmedName = typeof name === 'string' ? name.trim() : '';
   const scrubbingConfig = parseScrubbingConfig(scrubbing);
   const validatedRetention = validateRetentionDays(retentionDays);
+  const validatedGroupingVersion = validateGroupingVersion(groupingVersion);
+  const validatedGroupingRules = groupingRules === undefined ? null : normalizeGroupingRules(groupingRules);
 
   const project = await Project.findById(projectId).lean();
 
@@ -216,7 +411,13 @@ async function updateProjectDetails(user, projectId, { name, scrubbing, retentio
     throw error;
   }
 
-  if (!trimmedName && !scrubbingConfig && validatedRetention === null) {
+  if (
+    !trimmedName &&
+    !scrubbingConfig &&
+    validatedRetention === null &&
+    validatedGroupingVersion === null &&
+    validatedGroupingRules === null
+  ) {
     const error = new Error('At least one field is required to update');
     error.status = 422;
     throw error;
@@ -246,6 +447,22 @@ async function updateProjectDetails(user, projectId, { name, scrubbing, retentio
   if (validatedRetention !== null) {
     update.retentionDays = validatedRetention;
   }
+  // Rules only affect events ingested from now on; existing groups are left as they are.
+  if (validatedGroupingRules !== null) {
+    update.groupingRules = validatedGroupingRules;
+  }
+  // Ingestion switches to the new version right away; the regroup job moves the existing groups over.
+  // Sending the current version again retries a regroup that failed.
+  const currentGroupingVersion = project.groupingVersion || LEGACY_GROUPING_VERSION;
+  const regroupVersion =
+    validatedGroupingVersion !== null &&
+    (validatedGroupingVersion !== currentGroupingVersion || project.regroup?.status === 'failed')
+      ? validatedGroupingVersion
+      : null;
+  if (regroupVersion !== null) {
+    update.groupingVersion = regroupVersion;
+    update.regroup = { status: 'pending', version: regroupVersion, groupsProcessed: 0, startedAt: null, finishedAt: null, error: null };
+  }
 
   const updated = await Project.findOneAndUpdate({ _id: projectId }, update, { new: true }).lean();
 
@@ -255,40 +472,110 @@ async function updateProjectDetails(user, projectId, { name, scrubbing, retentio
     throw error;
   }
 
+  if (regroupVersion !== null) {
+    try {
+      await enqueueRegroup({ projectId: updated._id.toString(), version: regroupVersion });
+    } catch (error) {
+      logger.error({ err: error, projectId: updated._id.toString() }, 'Failed to queue regroup');
+      updated.regroup = { ...updated.regroup, status: 'failed', error: 'Failed to queue regroup' };
+      await Project.updateOne({ _id: updated._id }, { $set: { regroup: updated.regroup } });
+    }
+  }
+
   return sanitizeProject(updated, membership.role);
 }
 
-async function rotateProjectApiKey(user, projectId) {
-  if (!projectId) {
-    const error = new Error('Project id is required');
-    error.status = 400;
+async function listProjectApiKeys(user, projectId) {
+  requireAdminMembership(user, projectId);
+  const project = await Project.findById(projectId).lean();
+  if (!project) {
+    const error = new Error('Project not found');
+    error.status = 404;
     throw error;
   }
+  const now = new Date();
+  return (project.apiKeys || []).map((entry) => sanitizeApiKey(entry, now));
+}
 
-  const membership = (user?.memberships || []).find(
-    (entry) => entry.projectId?.toString?.() === projectId.toString()
-  );
+async function createProjectApiKey(user, projectId, { type = 'secret', label, expiresAt } = {}) {
+  requireAdminMembership(user, projectId);
+  validateKeyType(type);
+  const validatedLabel = validateKeyLabel(label);
+  const validatedExpiry = validateKeyExpiry(expiresAt);
 
-  if (!membership || membership.role !== 'admin') {
-    const error = new Error('Forbidden');
-    error.status = 403;
-    throw error;
-  }
+  const project = await loadProjectDocument(projectId);
+  const keyRecord = await generateUniqueKeyRecord(type);
+  project.apiKeys.push(buildKeyEntry(keyRecord, { type, label: validatedLabel, expiresAt: validatedExpiry }));
+  await project.save();
+
+  const created = project.apiKeys[project.apiKeys.length - 1];
+  return { ...sanitizeApiKey(created), key: keyRecord.rawKey };
+}
 
-  const keyRecord = await generateUniqueKeyRecord();
-  const updated = await Project.findOneAndUpdate(
-    { _id: projectId },
-    { apiKeyHash: keyRecord.keyHash, apiKeyPreview: keyRecord.preview },
-    { new: true }
-  ).lean();
+async function revokeProjectApiKey(user, projectId, keyId) {
+  requireAdminMembership(user, projectId);
 
-  if (!updated) {
-    const error = new Error('Project not found');
+  const project = await loadProjectDocument(projectId);
+  const entry = mongoose.Types.ObjectId.isValid(keyId) ? project.apiKeys.id(keyId) : null;
+  if (!entry) {
+    const error = new Error('API key not found');
     error.status = 404;
     throw error;
   }
 
-  return sanitizeProject(updated, membership.role, { apiKey: keyRecord.rawKey });
+  if (!entry.revoked) {
+    entry.revoked = true;
+    entry.revokedAt = new Date();
+    await project.save();
+  }
+
+  return sanitizeApiKey(entry);
+}
+
+/**
+ * Issue a new key of `type` and retire the key it replaces. With `graceHours` the retired
+ * key keeps authenticating until the grace period ends; otherwise it is revoked at once.
+ * `keyId` picks the key to replace; without it the current (newest usable) key of the type is
+ * replaced, so other named keys keep working.
+ */
+async function rotateProjectApiKey(user, projectId, { type = 'secret', graceHours, keyId } = {}) {
+  const membership = requireAdminMembership(user, projectId);
+  validateKeyType(type);
+  const validatedGrace = validateGraceHours(graceHours);
+
+  const project = await loadProjectDocument(projectId);
+  const now = new Date();
+  let target = null;
+  if (keyId !== undefined && keyId !== null) {
+    target = mongoose.Types.ObjectId.isValid(keyId) ? project.apiKeys.id(keyId) : null;
+    if (!target || target.type !== type || getApiKeyStatus(target, now) !== 'active') {
+      const error = new Error('API key not found');
+      error.status = 404;
+      throw error;
+    }
+  } else {
+    target = findCurrentKey(project.apiKeys, type, now);
+  }
+  const replaced = target ? [target] : [];
+
+  const graceEndsAt = new Date(now.getTime() + validatedGrace * 60 * 60 * 1000);
+  replaced.forEach((entry) => {
+    if (validatedGrace > 0) {
+      if (!entry.expiresAt || entry.expiresAt > graceEndsAt) {
+        entry.expiresAt = graceEndsAt;
+      }
+    } else {
+      entry.revoked = true;
+      entry.revokedAt = now;
+    }
+  });
+
+  const keyRecord = await generateUniqueKeyRecord(type);
+  const label = replaced.length === 1 ? replaced[0].label : undefined;
+  project.apiKeys.push(buildKeyEntry(keyRecord, { type, label }));
+  await project.save();
+
+  return sanitizeProject(project.toObject(), membership.role, { [RAW_KEY_FIELDS[type]]: keyRecord.rawKey });
 }
 
 module.exports = {
@@ -296,4 +583,7 @@ module.exports = {
   createProjectForUser,
   updateProjectDetails,
   rotateProjectApiKey,
+  listProjectApiKeys,
+  createProjectApiKey,
+  revokeProjectApiKey,
 };
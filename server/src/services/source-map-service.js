@@ -0,0 +1,341 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { SourceMapConsumer } = require('source-map');
+const { getSourceMapConfig } = require('../config/source-maps');
+const logger = require('../utils/logger');
+const { sanitizeSourceLine } = require('../utils/sanitize');
+
+const MAP_EXTENSION = '.map';
+const MAX_CONTEXT_LINE_LENGTH = 300;
+// Releases and artifact names become single path segments, which most file systems cap at 255 bytes.
+const MAX_SEGMENT_BYTES = 255;
+
+// Parsed consumers and their split source lines keyed by file path, evicted oldest first once their
+// maps add up to `cacheBytes`. The mtime check drops entries replaced by a newer upload.
+const consumerCache = new Map();
+let cachedBytes = 0;
+// Loads in flight, so the frames of one stack trace share a single read and parse of their map.
+const pendingLoads = new Map();
+
+const createServiceError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * Reduce a minified file reference to the path part that uploads and stack frames share, so
+ * `https://cdn.example.com/static/main.js?v=2`, `/static/main.js` and `~/static/main.js` match.
+ */
+const normalizeArtifactName = (value) => {
+  if (typeof value !== 'string' || !value.trim()) {
+    return null;
+  }
+  let name = value.trim().replace(/[?#].*$/, '');
+  name = name.replace(/^[a-z][a-z0-9+.-]*:\/\/[^/]*/i, '');
+  name = name.replace(/^~/, '');
+  if (!name.startsWith('/')) {
+    name = `/${name}`;
+  }
+  return name === '/' ? null : name;
+};
+
+const encodeSegment = (value) => encodeURIComponent(value);
+
+const fitsSegment = (segment) => Buffer.byteLength(segment) <= MAX_SEGMENT_BYTES;
+
+// Releases become directory names, so dot segments are refused along with empty or oversized values.
+const isValidRelease = (value) => Boolean(value) && value.length <= 200 && value !== '.' && value !== '..';
+
+const validateRelease = (release) => {
+  const trimmed = typeof release === 'string' ? release.trim() : '';
+  if (!isValidRelease(trimmed)) {
+    throw createServiceError('release must be between 1 and 200 characters', 422);
+  }
+  return trimmed;
+};
+
+const getReleaseDirectory = (project, release) =>
+  path.join(getSourceMapConfig().directory, project._id.toString(), encodeSegment(release));
+
+// Null when the encoded release or artifact name is too long to be stored as a file.
+const getMapPath = (project, release, artifactName) => {
+  const fileName = `${encodeSegment(artifactName)}${MAP_EXTENSION}`;
+  if (!fitsSegment(encodeSegment(release)) || !fitsSegment(fileName)) {
+    return null;
+  }
+  return path.join(getReleaseDirectory(project, release), fileName);
+};
+
+const requireMapPath = (project, release, artifactName) => {
+  const mapPath = getMapPath(project, release, artifactName);
+  if (!mapPath) {
+    throw createServiceError('release and fileName are too long to store', 400);
+  }
+  return mapPath;
+};
+
+const forgetConsumer = (mapPath) => {
+  const entry = consumerCache.get(mapPath);
+  if (entry) {
+    cachedBytes -= entry.size;
+    consumerCache.delete(mapPath);
+  }
+};
+
+const parseSourceMap = (input) => {
+  let parsed = input;
+  if (typeof input === 'string') {
+    try {
+      parsed = JSON.parse(input);
+    } catch (error) {
+      throw createServiceError('sourceMap must be valid JSON', 422);
+    }
+  }
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw createServiceError('sourceMap must be an object', 422);
+  }
+  try {
+    // The consumer decodes mappings lazily, so walk them once to reject broken maps at upload time.
+    new SourceMapConsumer(parsed).eachMapping(() => {});
+  } catch (error) {
+    throw createServiceError(`sourceMap is invalid: ${error.message}`, 422);
+  }
+  return parsed;
+};
+
+const saveSourceMap = async (project, { release, fileName, sourceMap }) => {
+  const validatedRelease = validateRelease(release);
+  const artifactName = normalizeArtifactName(fileName);
+  if (!artifactName) {
+    throw createServiceError('fileName must reference the minified file the map belongs to', 422);
+  }
+
+  const mapPath = requireMapPath(project, validatedRelease, artifactName);
+  const parsed = parseSourceMap(sourceMap);
+  const serialized = JSON.stringify(parsed);
+  const size = Buffer.byteLength(serialized);
+  if (size > getSourceMapConfig().maxBytes) {
+    throw createServiceError('sourceMap exceeds the maximum upload size', 413);
+  }
+
+  await fs.mkdir(path.dirname(mapPath), { recursive: true });
+  await fs.writeFile(mapPath, serialized, 'utf8');
+  forgetConsumer(mapPath);
+
+  logger.info({ projectId: project._id.toString(), release: validatedRelease, fileName: artifactName, size }, 'Stored source map');
+
+  return {
+    release: validatedRelease,
+    fileName: artifactName,
+    size,
+    sources: Array.isArray(parsed.sources) ? parsed.sources.length : 0,
+    uploadedAt: new Date(),
+  };
+};
+
+const listSourceMaps = async (project, release) => {
+  const validatedRelease = validateRelease(release);
+  if (!fitsSegment(encodeSegment(validatedRelease))) {
+    return [];
+  }
+  const directory = getReleaseDirectory(project, validatedRelease);
+
+  let entries;
+  try {
+    entries = await fs.readdir(directory);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+
+  const artifacts = await Promise.all(
+    entries
+      .filter((entry) => entry.endsWith(MAP_EXTENSION))
+      .map(async (entry) => {
+        const stats = await fs.stat(path.join(directory, entry));
+        return {
+          release: validatedRelease,
+          fileName: decodeURIComponent(entry.slice(0, -MAP_EXTENSION.length)),
+          size: stats.size,
+          uploadedAt: stats.mtime,
+        };
+      })
+  );
+
+  return artifacts.sort((a, b) => a.fileName.localeCompare(b.fileName));
+};
+
+const deleteSourceMap = async (project, { release, fileName }) => {
+  const validatedRelease = validateRelease(release);
+  const artifactName = normalizeArtifactName(fileName);
+  if (!artifactName) {
+    return false;
+  }
+
+  const mapPath = requireMapPath(project, validatedRelease, artifactName);
+  forgetConsumer(mapPath);
+  try {
+    await fs.unlink(mapPath);
+    return true;
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return false;
+    }
+    throw error;
+  }
+};
+
+const readConsumer = async (mapPath) => {
+  let stats;
+  try {
+    stats = await fs.stat(mapPath);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+
+  const cached = consumerCache.get(mapPath);
+  if (cached && cached.mtimeMs === stats.mtimeMs) {
+    consumerCache.delete(mapPath);
+    consumerCache.set(mapPath, cached);
+    return cached;
+  }
+
+  const raw = await fs.readFile(mapPath, 'utf8');
+  // The map's size stands for the entry, since it already contains the sources whose lines get cached.
+  const entry = {
+    consumer: new SourceMapConsumer(JSON.parse(raw)),
+    sourceLines: new Map(),
+    mtimeMs: stats.mtimeMs,
+    size: stats.size,
+  };
+  forgetConsumer(mapPath);
+  consumerCache.set(mapPath, entry);
+  cachedBytes += entry.size;
+  const { cacheBytes } = getSourceMapConfig();
+  // The newest map stays cached even when it alone exceeds the budget.
+  for (const key of consumerCache.keys()) {
+    if (cachedBytes <= cacheBytes || key === mapPath) {
+      break;
+    }
+    forgetConsumer(key);
+  }
+  return entry;
+};
+
+const loadConsumer = (mapPath) => {
+  if (!pendingLoads.has(mapPath)) {
+    pendingLoads.set(mapPath, readConsumer(mapPath).finally(() => pendingLoads.delete(mapPath)));
+  }
+  return pendingLoads.get(mapPath);
+};
+
+const clampSourceLine = (value) =>
+  value.length > MAX_CONTEXT_LINE_LENGTH ? `${value.slice(0, MAX_CONTEXT_LINE_LENGTH)}…` : value;
+
+// Sources are split once per map, not once per frame.
+const getSourceLines = (entry, source) => {
+  if (!entry.sourceLines.has(source)) {
+    const content = entry.consumer.sourceContentFor(source, true);
+    entry.sourceLines.set(source, typeof content === 'string' ? content.split(/\r?\n/) : null);
+  }
+  return entry.sourceLines.get(source);
+};
+
+// Context comes from uploaded sources after the payload was scrubbed, so it gets the project's scrubbing here.
+const getSourceContext = (entry, source, line, scrubbing) => {
+  const lines = getSourceLines(entry, source);
+  if (!lines) {
+    return null;
+  }
+
+  const { contextLines } = getSourceMapConfig();
+  const index = line - 1;
+  if (index < 0 || index >= lines.length) {
+    return null;
+  }
+
+  const toContextLine = (value) => sanitizeSourceLine(clampSourceLine(value), scrubbing);
+  return {
+    preContext: lines.slice(Math.max(0, index - contextLines), index).map(toContextLine),
+    contextLine: toContextLine(lines[index]),
+    postContext: lines.slice(index + 1, index + 1 + contextLines).map(toContextLine),
+  };
+};
+
+const symbolicateFrame = async (project, release, frame) => {
+  if (!frame || typeof frame !== 'object' || !Number.isInteger(frame.line) || frame.line < 1) {
+    return frame;
+  }
+
+  const artifactName = normalizeArtifactName(frame.file);
+  if (!artifactName) {
+    return frame;
+  }
+
+  const mapPath = getMapPath(project, release, artifactName);
+  const entry = mapPath ? await loadConsumer(mapPath) : null;
+  if (!entry) {
+    return frame;
+  }
+  const { consumer } = entry;
+
+  // Stack columns are 1-based; source-map columns are 0-based.
+  const column = Number.isInteger(frame.column) && frame.column > 0 ? frame.column - 1 : 0;
+  const position = consumer.originalPositionFor({ line: frame.line, column });
+  if (!position || position.source == null || position.line == null) {
+    return frame;
+  }
+
+  return {
+    ...frame,
+    file: position.source,
+    line: position.line,
+    column: position.column != null ? position.column + 1 : null,
+    function: position.name || frame.function || null,
+    ...(getSourceContext(entry, position.source, position.line, project.scrubbing || {}) || {}),
+    minified: {
+      file: frame.file ?? null,
+      line: frame.line ?? null,
+      column: frame.column ?? null,
+      function: frame.function ?? null,
+    },
+  };
+};
+
+/**
+ * Map minified frames back to their original sources using the maps uploaded for `release`.
+ * Frames without a matching map are returned unchanged, and lookup failures never fail ingestion.
+ */
+const symbolicateStackTrace = async (project, release, stackTrace = []) => {
+  if (typeof release !== 'string' || !isValidRelease(release) || !Array.isArray(stackTrace) || !stackTrace.length) {
+    return stackTrace;
+  }
+
+  try {
+    return await Promise.all(stackTrace.map((frame) => symbolicateFrame(project, release, frame)));
+  } catch (error) {
+    logger.warn({ err: error, projectId: project?._id?.toString?.() || null, release }, 'Source map symbolication failed');
+    return stackTrace;
+  }
+};
+
+const clearSourceMapCache = () => {
+  consumerCache.clear();
+  cachedBytes = 0;
+  pendingLoads.clear();
+};
+
+module.exports = {
+  normalizeArtifactName,
+  saveSourceMap,
+  listSourceMaps,
+  deleteSourceMap,
+  symbolicateStackTrace,
+  clearSourceMapCache,
+};
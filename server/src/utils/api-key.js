@@ -1,12 +1,20 @@
 const crypto = require('crypto');
 
 const API_KEY_PREFIX = 'proj_';
+const PUBLIC_KEY_PREFIX = 'pub_';
 const API_KEY_BYTES = 32;
 const HASH_ALGORITHM = 'sha256';
 
-function createApiKey() {
+// Secret keys administer a project; public keys are safe to ship in client bundles and may only ingest.
+const API_KEY_TYPES = Object.freeze(['secret', 'public']);
+
+function createApiKey(type = 'secret') {
+  if (!API_KEY_TYPES.includes(type)) {
+    throw new TypeError(`Cannot create API key: type must be one of ${API_KEY_TYPES.join(', ')}`);
+  }
+  const prefix = type === 'public' ? PUBLIC_KEY_PREFIX : API_KEY_PREFIX;
   const random = crypto.randomBytes(API_KEY_BYTES).toString('hex');
-  return `${API_KEY_PREFIX}${random}`;
+  return `${prefix}${random}`;
 }
 
 function hashApiKey(value) {
@@ -23,7 +31,23 @@ function getApiKeyPreview(value, length = 8) {
   return value.slice(-Math.max(4, length));
 }
 
+// A key entry is usable until it is revoked or its expiry (set directly or by a grace-period rotation) passes.
+function getApiKeyStatus(entry, now = new Date()) {
+  if (!entry) {
+    return 'unknown';
+  }
+  if (entry.revoked) {
+    return 'revoked';
+  }
+  if (entry.expiresAt && new Date(entry.expiresAt).getTime() <= now.getTime()) {
+    return 'expired';
+  }
+  return 'active';
+}
+
 module.exports = {
+  API_KEY_TYPES,
+  getApiKeyStatus,
   createApiKey,
   hashApiKey,
   getApiKeyPreview,
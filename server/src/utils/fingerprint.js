@@ -1,22 +1,112 @@
 const crypto = require('crypto');
 
-const normalizeFrame = (frame = {}) => {
+// Version 1 hashes the raw message and the exact positions of the top three frames, unchanged since
+// before versioning. Version 2 normalizes variable parts of the message, ignores columns and keys on
+// in-app frames of the deepest in-app linked exception, so ids in messages, minor edits, wrapper
+// errors and shared library frames no longer split or merge groups.
+const LEGACY_GROUPING_VERSION = 1;
+const LATEST_GROUPING_VERSION = 2;
+const GROUPING_VERSIONS = [LEGACY_GROUPING_VERSION, LATEST_GROUPING_VERSION];
+
+const MESSAGE_REPLACEMENTS = [
+  [/\b[a-z][a-z0-9+.-]*:\/\/[^\s'"`<>]+/gi, '<url>'],
+  // Apostrophes inside words ("can't") do not open a quote.
+  [/"[^"]*"|(?<!\w)'[^'\n]*'|`[^`]*`/g, '<value>'],
+  [/\b[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\b/gi, '<uuid>'],
+  // Hex ids need a digit so plain words such as "deadbeef" or "facade" survive.
+  [/\b0x[0-9a-f]+\b|\b(?=[a-f]*\d)[0-9a-f]{8,}\b/gi, '<hex>'],
+  [/\b\d+(?:\.\d+)?/g, '<num>'],
+];
+
+/**
+ * Replace URLs, quoted values, UUIDs, hex ids and numbers in a message with placeholders.
+ */
+const normalizeMessage = (message) =>
+  MESSAGE_REPLACEMENTS.reduce((result, [pattern, placeholder]) => result.replace(pattern, placeholder), String(message || ''));
+
+const normalizeFrame = (frame = {}, { includeColumn = true } = {}) => {
   const file = frame.file || frame.filename || '';
   const line = frame.line != null ? frame.line : frame.lineno;
   const column = frame.column != null ? frame.column : frame.colno;
   const fn = frame.function || frame.func || frame.method || '';
 
-  return [file, line ?? '', column ?? '', fn].join(':');
+  return includeColumn ? [file, line ?? '', column ?? '', fn].join(':') : [file, line ?? '', fn].join(':');
+};
+
+const THIRD_PARTY_FILE_REGEX = /node_modules|^node:|^internal\/|\[native code\]|^<anonymous>$/;
+
+/**
+ * Frames flagged by the SDK win; otherwise dependencies, runtime internals and unknown files are not in-app.
+ */
+const isInAppFrame = (frame) => {
+  if (!frame || typeof frame !== 'object') {
+    return false;
+  }
+  if (typeof frame.inApp === 'boolean') {
+    return frame.inApp;
+  }
+  const file = frame.file || frame.filename || '';
+  return Boolean(file) && file !== 'unknown' && !THIRD_PARTY_FILE_REGEX.test(file);
+};
+
+/**
+ * Pick the exception a group is keyed on: the deepest linked exception (cause or aggregate
+ * member) with an in-app frame, falling back to the captured error itself. Wrapping the same
+ * root cause in different outer errors then still lands in one group.
+ */
+const selectFingerprintException = (message, stackTrace = [], linkedExceptions = []) => {
+  let selected = { message, stackTrace, depth: 0 };
+  (Array.isArray(linkedExceptions) ? linkedExceptions : []).forEach((linked) => {
+    const frames = Array.isArray(linked?.stackTrace) ? linked.stackTrace : [];
+    if (linked.depth > selected.depth && frames.some(isInAppFrame)) {
+      selected = { message: `${linked.name || 'Error'}: ${linked.message || ''}`, stackTrace: frames, depth: linked.depth };
+    }
+  });
+  return selected;
+};
+
+// In-app frames tell apart the callers of a shared library function; stacks without any use every frame.
+const selectGroupingFrames = (stackTrace = []) => {
+  const inAppFrames = stackTrace.filter(isInAppFrame);
+  return inAppFrames.length ? inAppFrames : stackTrace;
 };
 
-const createFingerprint = (message, stackTrace = []) => {
-  const normalizedMessage = message || '';
-  const topFrames = stackTrace.slice(0, 3).map(normalizeFrame).join('|');
+const isGroupingVersion = (version) => GROUPING_VERSIONS.includes(version);
+
+const hashFingerprint = (message, frames) => {
   const hash = crypto.createHash('md5');
-  hash.update(`${normalizedMessage}|${topFrames}`);
+  hash.update(`${message}|${frames.join('|')}`);
   return hash.digest('hex');
 };
 
+/**
+ * Hash the message and top three grouping frames with the given grouping version. Projects created
+ * before versioning have no version stored and keep the legacy algorithm until they opt in.
+ */
+const createFingerprint = (message, stackTrace = [], linkedExceptions = [], { version = LEGACY_GROUPING_VERSION } = {}) => {
+  if (!isGroupingVersion(version)) {
+    throw new Error(`Unknown grouping version: ${version}`);
+  }
+  if (version === LEGACY_GROUPING_VERSION) {
+    // Any change here would move every event of a legacy project into a new group.
+    return hashFingerprint(message || '', stackTrace.slice(0, 3).map((frame) => normalizeFrame(frame)));
+  }
+  const selected = selectFingerprintException(message, stackTrace, linkedExceptions);
+  return hashFingerprint(
+    normalizeMessage(selected.message),
+    selectGroupingFrames(selected.stackTrace)
+      .slice(0, 3)
+      .map((frame) => normalizeFrame(frame, { includeColumn: false }))
+  );
+};
+
 module.exports = {
+  GROUPING_VERSIONS,
+  LATEST_GROUPING_VERSION,
+  LEGACY_GROUPING_VERSION,
   createFingerprint,
+  isGroupingVersion,
+  isInAppFrame,
+  normalizeMessage,
+  selectFingerprintException,
 };
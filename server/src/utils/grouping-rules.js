@@ -0,0 +1,178 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const isSafeRegex = require('safe-regex');
+const { createFingerprint } = require('./fingerprint');
+
+const CONDITION_TYPES = ['message', 'tag'];
+const MATCH_MODES = ['any', 'all'];
+const MAX_RULES = 50;
+const MAX_CONDITIONS = 10;
+const MAX_FINGERPRINT_PARTS = 10;
+const MAX_PART_LENGTH = 200;
+const MAX_NAME_LENGTH = 100;
+const MAX_CACHED_PATTERNS = 1000;
+
+const DEFAULT_PLACEHOLDER_REGEX = /^\{\{\s*default\s*\}\}$/;
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const isFingerprintPart = (value) => typeof value === 'string' && value.trim().length > 0 && value.length <= MAX_PART_LENGTH;
+
+const validationError = (message) => {
+  const error = new Error(message);
+  error.status = 422;
+  return error;
+};
+
+// Compiled message patterns shared by every project, so ingestion compiles each pattern once.
+// Invalid or unsafe patterns are cached as null and never match.
+const patternCache = new Map();
+
+// Patterns run against every event, so ones prone to catastrophic backtracking are refused.
+const compilePattern = (pattern) => {
+  if (patternCache.has(pattern)) {
+    return patternCache.get(pattern);
+  }
+  let regex = null;
+  try {
+    regex = isSafeRegex(pattern) ? new RegExp(pattern) : null;
+  } catch (error) {
+    regex = null;
+  }
+  patternCache.set(pattern, regex);
+  if (patternCache.size > MAX_CACHED_PATTERNS) {
+    patternCache.delete(patternCache.keys().next().value);
+  }
+  return regex;
+};
+
+const matchesCondition = (condition, { message, tags }) => {
+  if (condition.type === 'message') {
+    const regex = compilePattern(condition.pattern);
+    return Boolean(regex) && regex.test(message || '');
+  }
+  if (condition.type === 'tag') {
+    const value = isPlainObject(tags) ? tags[condition.key] : undefined;
+    return value !== undefined && value !== null && String(value) === condition.value;
+  }
+  return false;
+};
+
+const matchesGroupingRule = (rule, event) => {
+  const conditions = Array.isArray(rule?.conditions) ? rule.conditions : [];
+  if (!conditions.length || rule.enabled === false) {
+    return false;
+  }
+  return rule.match === 'all'
+    ? conditions.every((condition) => matchesCondition(condition, event))
+    : conditions.some((condition) => matchesCondition(condition, event));
+};
+
+const hashParts = (parts, defaultFingerprint) => {
+  const resolved = parts.map((part) => (DEFAULT_PLACEHOLDER_REGEX.test(part) ? defaultFingerprint : part));
+  if (resolved.length === 1 && resolved[0] === defaultFingerprint) {
+    return defaultFingerprint;
+  }
+  return crypto.createHash('md5').update(JSON.stringify(resolved)).digest('hex');
+};
+
+/**
+ * Decide which fingerprint an event is grouped under. The first enabled project rule that matches
+ * wins, then a `fingerprint` array sent by the SDK, then the computed default. Rule and SDK
+ * fingerprints may include `{{ default }}` to extend the computed value instead of replacing it.
+ * @returns {{fingerprint: string, source: 'rule'|'sdk'|'default', rule: {id: string, name: string}|null}}
+ */
+const resolveFingerprint = (
+  { message, stackTrace = [], linkedExceptions = [], fingerprint: sdkFingerprint, tags },
+  { version, rules = [] } = {}
+) => {
+  const defaultFingerprint = createFingerprint(message, stackTrace, linkedExceptions, { version });
+  const rule = (Array.isArray(rules) ? rules : []).find((entry) => matchesGroupingRule(entry, { message, tags }));
+  if (rule) {
+    return {
+      fingerprint: hashParts(rule.fingerprint, defaultFingerprint),
+      source: 'rule',
+      rule: { id: rule._id ? rule._id.toString() : null, name: rule.name },
+    };
+  }
+  if (Array.isArray(sdkFingerprint) && sdkFingerprint.length) {
+    return { fingerprint: hashParts(sdkFingerprint, defaultFingerprint), source: 'sdk', rule: null };
+  }
+  return { fingerprint: defaultFingerprint, source: 'default', rule: null };
+};
+
+const normalizeCondition = (condition, path) => {
+  if (!isPlainObject(condition) || !CONDITION_TYPES.includes(condition.type)) {
+    throw validationError(`${path}.type must be one of ${CONDITION_TYPES.join(', ')}`);
+  }
+  if (condition.type === 'message') {
+    const pattern = typeof condition.pattern === 'string' ? condition.pattern : '';
+    if (!pattern || pattern.length > MAX_PART_LENGTH || !compilePattern(pattern)) {
+      throw validationError(
+        `${path}.pattern must be a valid regular expression of at most ${MAX_PART_LENGTH} characters without nested repetition`
+      );
+    }
+    return { type: 'message', pattern };
+  }
+  const key = typeof condition.key === 'string' ? condition.key.trim() : '';
+  const value = typeof condition.value === 'string' ? condition.value : '';
+  if (!key || !value || key.length > MAX_PART_LENGTH || value.length > MAX_PART_LENGTH) {
+    throw validationError(`${path} needs a tag key and value of at most ${MAX_PART_LENGTH} characters`);
+  }
+  return { type: 'tag', key, value };
+};
+
+/**
+ * Validate grouping rules sent by the dashboard. Rules keep their order; the first match wins.
+ * Errors carry `status = 422` like the other project setting validators.
+ */
+const normalizeGroupingRules = (rules) => {
+  if (!Array.isArray(rules) || rules.length > MAX_RULES) {
+    throw validationError(`Grouping rules must be an array of at most ${MAX_RULES} rules`);
+  }
+  return rules.map((rule, index) => {
+    const path = `groupingRules[${index}]`;
+    if (!isPlainObject(rule)) {
+      throw validationError(`${path} must be an object`);
+    }
+    const name = typeof rule.name === 'string' ? rule.name.trim() : '';
+    if (!name || name.length > MAX_NAME_LENGTH) {
+      throw validationError(`${path}.name must be between 1 and ${MAX_NAME_LENGTH} characters`);
+    }
+    const match = rule.match === undefined ? 'any' : rule.match;
+    if (!MATCH_MODES.includes(match)) {
+      throw validationError(`${path}.match must be one of ${MATCH_MODES.join(', ')}`);
+    }
+    if (!Array.isArray(rule.conditions) || !rule.conditions.length || rule.conditions.length > MAX_CONDITIONS) {
+      throw validationError(`${path}.conditions must contain between 1 and ${MAX_CONDITIONS} conditions`);
+    }
+    if (
+      !Array.isArray(rule.fingerprint) ||
+      !rule.fingerprint.length ||
+      rule.fingerprint.length > MAX_FINGERPRINT_PARTS ||
+      !rule.fingerprint.every(isFingerprintPart)
+    ) {
+      throw validationError(
+        `${path}.fingerprint must contain between 1 and ${MAX_FINGERPRINT_PARTS} non-empty strings of at most ${MAX_PART_LENGTH} characters`
+      );
+    }
+    return {
+      // Keeping ids stable lets occurrences keep pointing at the rule that grouped them.
+      ...(mongoose.Types.ObjectId.isValid(rule.id) ? { _id: rule.id } : {}),
+      name,
+      match,
+      enabled: rule.enabled !== false,
+      conditions: rule.conditions.map((condition, conditionIndex) => normalizeCondition(condition, `${path}.conditions[${conditionIndex}]`)),
+      fingerprint: rule.fingerprint.map((part) => part.trim()),
+    };
+  });
+};
+
+module.exports = {
+  MAX_FINGERPRINT_PARTS,
+  MAX_PART_LENGTH,
+  isFingerprintPart,
+  matchesGroupingRule,
+  normalizeGroupingRules,
+  resolveFingerprint,
+};
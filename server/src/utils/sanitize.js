@@ -74,6 +74,17 @@ const sanitizeString = (value, options = {}) => {
   return clampLength(masked, 2000);
 };
 
+const SOURCE_CONTEXT_KEYS = new Set(['preContext', 'contextLine', 'postContext']);
+
+// Source lines are code, so markup is kept (it is escaped when rendered); secrets are still masked.
+const sanitizeSourceLine = (value, options = {}) => {
+  if (typeof value !== 'string') {
+    return value;
+  }
+  const noControl = value.replace(/\t/g, '  ').replace(CONTROL_CHAR_REGEX, '');
+  return clampLength(maskSensitivePatterns(noControl, options), 1000);
+};
+
 const sanitizeValue = (value, options = {}) => {
   if (typeof value === 'string') {
     return sanitizeString(value, options);
@@ -99,11 +110,28 @@ const sanitizeStackTrace = (stackTrace = [], options = {}) =>
       return frame;
     }
     return Object.entries(frame).reduce((acc, [key, value]) => {
-      acc[key] = sanitizeValue(value, options);
+      if (SOURCE_CONTEXT_KEYS.has(key)) {
+        acc[key] = Array.isArray(value)
+          ? value.map((line) => sanitizeSourceLine(line, options))
+          : sanitizeSourceLine(value, options);
+      } else {
+        acc[key] = sanitizeValue(value, options);
+      }
       return acc;
     }, {});
   });
 
+const sanitizeLinkedExceptions = (linkedExceptions, options = {}) =>
+  linkedExceptions
+    .filter((linked) => linked && typeof linked === 'object')
+    .map((linked) => ({
+      name: sanitizeString(linked.name || 'Error', options),
+      message: sanitizeString(linked.message || '', options),
+      relation: linked.relation,
+      depth: linked.depth,
+      stackTrace: sanitizeStackTrace(Array.isArray(linked.stackTrace) ? linked.stackTrace : [], options),
+    }));
+
 const sanitizeErrorPayload = (payload, options = {}) => {
   const sanitized = { ...payload };
   const hasMetadata = Object.prototype.hasOwnProperty.call(payload, 'metadata');
@@ -112,6 +140,16 @@ const sanitizeErrorPayload = (payload, options = {}) => {
   sanitized.message = sanitizeString(payload.message, options);
   sanitized.environment = sanitizeString(payload.environment, options);
   sanitized.stackTrace = sanitizeStackTrace(payload.stackTrace || [], options);
+  sanitized.linkedExceptions = sanitizeLinkedExceptions(
+    Array.isArray(payload.linkedExceptions) ? payload.linkedExceptions : [],
+    options
+  );
+  if (typeof payload.release === 'string') {
+    sanitized.release = sanitizeString(payload.release, options);
+  }
+  if (Array.isArray(payload.fingerprint)) {
+    sanitized.fingerprint = payload.fingerprint.map((part) => sanitizeString(part, options));
+  }
 
   if (hasMetadata) {
     sanitized.metadata = sanitizeValue(payload.metadata, options);
@@ -136,6 +174,7 @@ const sanitizeErrorPayload = (payload, options = {}) => {
 
 module.exports = {
   sanitizeErrorPayload,
+  sanitizeSourceLine,
   sanitizeString,
   sanitizeValue,
 };
@@ -0,0 +1,129 @@
+const UNKNOWN_FRAME = { file: 'unknown', line: null, column: null, function: null };
+// The ingestion validator's limits; SDK envelopes are cut down to them like the SDK transport does.
+const MAX_MESSAGE_LENGTH = 2000;
+const MAX_NAME_LENGTH = 200;
+const MAX_STACK_FRAMES = 50;
+const MAX_LINKED_EXCEPTIONS = 20;
+const MAX_CONTEXT_LINES = 20;
+const MAX_CONTEXT_LINE_LENGTH = 1000;
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const isExceptionEvent = (payload) =>
+  isPlainObject(payload.error) && payload.message === undefined && payload.stackTrace === undefined;
+
+// captureMessage envelopes have a plain `message` but neither an exception nor the ingestion-shape `stackTrace` and `metadata`.
+const isMessageEvent = (payload) =>
+  payload.error === undefined &&
+  typeof payload.message === 'string' &&
+  payload.stackTrace === undefined &&
+  payload.metadata === undefined;
+
+/**
+ * SDK events carry the exception under `error`, or only a `message` for captureMessage, where
+ * the ingestion shape has `message` plus a `stackTrace`.
+ */
+const isSdkEvent = (payload) => isPlainObject(payload) && (isExceptionEvent(payload) || isMessageEvent(payload));
+
+const toInteger = (value) => (Number.isInteger(value) ? value : null);
+
+const truncate = (value, max) => (value.length > max ? value.slice(0, max) : value);
+
+const toContextLines = (lines) =>
+  Array.isArray(lines) ? lines.map((line) => (typeof line === 'string' ? truncate(line, MAX_CONTEXT_LINE_LENGTH) : line)) : [];
+
+const normalizeSdkFrame = (frame) => {
+  if (!isPlainObject(frame)) {
+    return frame;
+  }
+  const normalized = {
+    file: frame.fileName || frame.file || frame.raw || UNKNOWN_FRAME.file,
+    line: toInteger(frame.lineNumber ?? frame.line),
+    column: toInteger(frame.columnNumber ?? frame.column),
+    function: frame.functionName || frame.function || null,
+  };
+  if (typeof frame.inApp === 'boolean') {
+    normalized.inApp = frame.inApp;
+  }
+  // Source lines read by the Node.js SDK.
+  // Lines nearest the frame are kept when the SDK sent more than the API accepts.
+  if (typeof frame.contextLine === 'string') {
+    normalized.preContext = toContextLines(frame.preContext).slice(-MAX_CONTEXT_LINES);
+    normalized.contextLine = truncate(frame.contextLine, MAX_CONTEXT_LINE_LENGTH);
+    normalized.postContext = toContextLines(frame.postContext).slice(0, MAX_CONTEXT_LINES);
+  }
+  return normalized;
+};
+
+const normalizeFrames = (frames) => (Array.isArray(frames) ? frames.slice(0, MAX_STACK_FRAMES).map(normalizeSdkFrame) : []);
+
+const normalizeLinkedException = (linked) => ({
+  name: typeof linked.name === 'string' && linked.name ? truncate(linked.name, MAX_NAME_LENGTH) : 'Error',
+  message: typeof linked.message === 'string' ? truncate(linked.message, MAX_MESSAGE_LENGTH) : '',
+  relation: linked.relation,
+  depth: linked.depth,
+  stackTrace: normalizeFrames(linked.stacktrace),
+});
+
+const buildMessage = (payload) => {
+  if (!isPlainObject(payload.error)) {
+    return truncate(payload.message.trim(), MAX_MESSAGE_LENGTH);
+  }
+  const { error } = payload;
+  const name = typeof error.name === 'string' && error.name.trim() ? error.name.trim() : 'Error';
+  const message = typeof error.message === 'string' ? error.message.trim() : '';
+  return truncate(message ? `${name}: ${message}` : name, MAX_MESSAGE_LENGTH);
+};
+
+/**
+ * Convert the SDK-native envelope into the shape accepted by errorValidationRules. Message events
+ * get the placeholder frame, as do exceptions without a parsed stack. Payloads already in the
+ * ingestion shape are returned untouched.
+ */
+const normalizeSdkEvent = (payload) => {
+  if (!isSdkEvent(payload)) {
+    return payload;
+  }
+
+  const error = isPlainObject(payload.error) ? payload.error : {};
+  const frames = normalizeFrames(error.stacktrace);
+  const linkedExceptions = Array.isArray(error.linkedExceptions)
+    ? error.linkedExceptions.filter(isPlainObject).slice(0, MAX_LINKED_EXCEPTIONS)
+    : [];
+
+  const metadata = {
+    tags: isPlainObject(payload.tags) ? payload.tags : {},
+    context: isPlainObject(payload.context) ? payload.context : {},
+    breadcrumbs: Array.isArray(payload.breadcrumbs) ? payload.breadcrumbs : [],
+  };
+  if (payload.id !== undefined) {
+    metadata.eventId = payload.id;
+  }
+  if (isPlainObject(payload.system)) {
+    metadata.system = payload.system;
+  }
+  if (payload.sdkVersion !== undefined) {
+    metadata.sdkVersion = payload.sdkVersion;
+  }
+  if (payload.sessionId !== undefined) {
+    metadata.sessionId = payload.sessionId;
+  }
+
+  return {
+    message: buildMessage(payload),
+    stackTrace: frames.length ? frames : [{ ...UNKNOWN_FRAME }],
+    ...(linkedExceptions.length ? { linkedExceptions: linkedExceptions.map(normalizeLinkedException) } : {}),
+    environment: payload.environment,
+    ...(payload.level != null ? { level: payload.level } : {}),
+    ...(payload.release != null ? { release: payload.release } : {}),
+    ...(payload.fingerprint != null ? { fingerprint: payload.fingerprint } : {}),
+    userContext: isPlainObject(payload.user) ? payload.user : {},
+    metadata,
+    ...(payload.timestamp !== undefined ? { timestamp: payload.timestamp } : {}),
+  };
+};
+
+module.exports = {
+  isSdkEvent,
+  normalizeSdkEvent,
+};
@@ -0,0 +1,26 @@
+const LEVELS = ['fatal', 'error', 'warning', 'info', 'debug'];
+const DEFAULT_LEVEL = 'error';
+
+const isValidLevel = (value) => LEVELS.includes(value);
+
+/**
+ * Events from older SDKs and hand-written payloads carry no level; treat them as errors.
+ */
+const normalizeLevel = (value) => {
+  if (typeof value !== 'string') {
+    return DEFAULT_LEVEL;
+  }
+  const normalized = value.trim().toLowerCase();
+  return isValidLevel(normalized) ? normalized : DEFAULT_LEVEL;
+};
+
+// Only fatal events escalate the alert severity; other levels keep each rule type's default.
+const alertSeverityForLevel = (level) => (level === 'fatal' ? 'critical' : null);
+
+module.exports = {
+  LEVELS,
+  DEFAULT_LEVEL,
+  isValidLevel,
+  normalizeLevel,
+  alertSeverityForLevel,
+};
@@ -19,9 +19,30 @@ const formatFrameHtml = (frame) => {
   )}</span>`;
 };
 
+/**
+ * Number the pre/context/post lines of a frame so the dashboard can render the snippet with the
+ * failing line marked. Returns null when the frame carries no source.
+ */
+const buildSourceLines = (frame) => {
+  if (typeof frame.contextLine !== 'string') {
+    return null;
+  }
+  const preContext = Array.isArray(frame.preContext) ? frame.preContext : [];
+  const postContext = Array.isArray(frame.postContext) ? frame.postContext : [];
+  const current = Number.isInteger(frame.line) ? frame.line : preContext.length + 1;
+  const firstLine = current - preContext.length;
+
+  return [...preContext, frame.contextLine, ...postContext].map((code, index) => ({
+    line: firstLine + index,
+    code,
+    current: index === preContext.length,
+  }));
+};
+
 const formatStackTraceForHighlight = (stackTrace = []) =>
   stackTrace.map((frame) => ({
     ...frame,
+    sourceLines: buildSourceLines(frame),
     formatted: `${frame.function || frame.func || '<anonymous>'} at ${(frame.file || frame.filename || 'unknown')}:${
       frame.line ?? frame.lineno ?? '?'
     }:${frame.column ?? frame.colno ?? '?'}`,
@@ -234,6 +234,7 @@ const updateRules = [
 const testRuleRules = [
   body('environment').optional().isString().withMessage('environment must be a string'),
   body('severity').optional().isString().withMessage('severity must be a string'),
+  body('level').optional().isString().withMessage('level must be a string'),
   body('fingerprint').optional().isString().withMessage('fingerprint must be a string'),
   body('windowCount')
     .optional()
@@ -1,5 +1,72 @@
 const mongoose = require('mongoose');
 const { body, validationResult } = require('express-validator');
+const { normalizeSdkEvent } = require('../utils/sdk-event');
+const { LEVELS } = require('../utils/severity');
+const { MAX_FINGERPRINT_PARTS, MAX_PART_LENGTH, isFingerprintPart } = require('../utils/grouping-rules');
+
+const MAX_LINKED_EXCEPTIONS = 20;
+const MAX_STACK_FRAMES = 50;
+const LINKED_RELATIONS = ['cause', 'aggregate'];
+const MAX_CONTEXT_LINES = 20;
+const MAX_CONTEXT_LINE_LENGTH = 1000;
+const MAX_MERGE_GROUPS = 50;
+
+const isContextLine = (value) => typeof value === 'string' && value.length <= MAX_CONTEXT_LINE_LENGTH;
+
+const validateContextLines = (value, field) => {
+  if (value == null) {
+    return;
+  }
+  if (!Array.isArray(value) || value.length > MAX_CONTEXT_LINES || !value.every(isContextLine)) {
+    throw new Error(
+      `${field} must be an array of at most ${MAX_CONTEXT_LINES} strings (max ${MAX_CONTEXT_LINE_LENGTH} characters each)`
+    );
+  }
+};
+
+const validateStackFrame = (frame, prefix = 'stackTrace') => {
+  if (frame == null || typeof frame !== 'object') {
+    throw new Error(`${prefix} frames must be objects`);
+  }
+  const { file, function: fn, line, column } = frame;
+  if (file && typeof file !== 'string') throw new Error(`${prefix}.file must be a string`);
+  if (fn && typeof fn !== 'string') throw new Error(`${prefix}.function must be a string`);
+  if (line && !Number.isInteger(line)) throw new Error(`${prefix}.line must be an integer`);
+  if (column && !Number.isInteger(column)) throw new Error(`${prefix}.column must be an integer`);
+  if (frame.inApp != null && typeof frame.inApp !== 'boolean') throw new Error(`${prefix}.inApp must be a boolean`);
+  if (frame.contextLine != null && !isContextLine(frame.contextLine)) {
+    throw new Error(`${prefix}.contextLine must be a string of at most ${MAX_CONTEXT_LINE_LENGTH} characters`);
+  }
+  validateContextLines(frame.preContext, `${prefix}.preContext`);
+  validateContextLines(frame.postContext, `${prefix}.postContext`);
+  return true;
+};
+
+const validateLinkedException = (linked) => {
+  if (linked == null || typeof linked !== 'object' || Array.isArray(linked)) {
+    throw new Error('linkedExceptions entries must be objects');
+  }
+  const { name, message, relation, depth, stackTrace } = linked;
+  if (name != null && (typeof name !== 'string' || name.length > 200)) {
+    throw new Error('linkedExceptions.name must be a string of at most 200 characters');
+  }
+  if (typeof message !== 'string' || message.length > 2000) {
+    throw new Error('linkedExceptions.message must be a string of at most 2000 characters');
+  }
+  if (!LINKED_RELATIONS.includes(relation)) {
+    throw new Error(`linkedExceptions.relation must be one of ${LINKED_RELATIONS.join(', ')}`);
+  }
+  if (!Number.isInteger(depth) || depth < 1 || depth > MAX_LINKED_EXCEPTIONS) {
+    throw new Error(`linkedExceptions.depth must be an integer between 1 and ${MAX_LINKED_EXCEPTIONS}`);
+  }
+  if (stackTrace != null) {
+    if (!Array.isArray(stackTrace) || stackTrace.length > MAX_STACK_FRAMES) {
+      throw new Error(`linkedExceptions.stackTrace must be an array (max ${MAX_STACK_FRAMES} frames)`);
+    }
+    stackTrace.forEach((frame) => validateStackFrame(frame, 'linkedExceptions.stackTrace'));
+  }
+  return true;
+};
 
 const errorValidationRules = [
   body('message')
@@ -11,28 +78,58 @@ const errorValidationRules = [
   body('stackTrace')
     .isArray({ min: 1, max: 50 })
     .withMessage('stackTrace must be an array with at least one frame (max 50 frames)'),
-  body('stackTrace.*').custom((frame) => {
-    if (frame == null || typeof frame !== 'object') {
-      throw new Error('stackTrace frames must be objects');
-    }
-    const { file, function: fn, line, column } = frame;
-    if (file && typeof file !== 'string') throw new Error('stackTrace.file must be a string');
-    if (fn && typeof fn !== 'string') throw new Error('stackTrace.function must be a string');
-    if (line && !Number.isInteger(line)) throw new Error('stackTrace.line must be an integer');
-    if (column && !Number.isInteger(column)) throw new Error('stackTrace.column must be an integer');
-    return true;
-  }),
+  body('stackTrace.*').custom((frame) => validateStackFrame(frame)),
+  body('linkedExceptions')
+    .optional({ nullable: true })
+    .isArray({ max: MAX_LINKED_EXCEPTIONS })
+    .withMessage(`linkedExceptions must be an array (max ${MAX_LINKED_EXCEPTIONS} entries)`),
+  body('linkedExceptions.*').custom(validateLinkedException),
   body('environment')
     .isString()
     .withMessage('environment must be a string')
     .trim()
     .isLength({ min: 1, max: 100 })
     .withMessage('environment must be between 1 and 100 characters'),
+  body('release')
+    .optional({ nullable: true })
+    .isString()
+    .withMessage('release must be a string')
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('release must be between 1 and 200 characters'),
+  body('level')
+    .optional({ nullable: true })
+    .isIn(LEVELS)
+    .withMessage(`level must be one of ${LEVELS.join(', ')}`),
+  body('fingerprint')
+    .optional({ nullable: true })
+    .custom((value) => Array.isArray(value) && value.length >= 1 && value.length <= MAX_FINGERPRINT_PARTS && value.every(isFingerprintPart))
+    .withMessage(`fingerprint must be an array of 1 to ${MAX_FINGERPRINT_PARTS} non-empty strings of at most ${MAX_PART_LENGTH} characters`),
   body('userContext').optional().isObject().withMessage('userContext must be an object'),
   body('metadata').optional().isObject().withMessage('metadata must be an object'),
   body('timestamp').optional().isISO8601().withMessage('timestamp must be ISO8601 compliant'),
 ];
 
+const MAX_BATCH_SIZE = 100;
+
+const errorBatchValidationRules = [
+  body('events')
+    .isArray({ min: 1, max: MAX_BATCH_SIZE })
+    .withMessage(`events must be an array with between 1 and ${MAX_BATCH_SIZE} items`),
+];
+
+// Runs errorValidationRules against a single batch item so each event is judged on its own.
+const validateErrorPayload = async (payload) => {
+  if (payload == null || typeof payload !== 'object' || Array.isArray(payload)) {
+    return [{ field: null, message: 'event must be an object' }];
+  }
+
+  const itemRequest = { body: payload };
+  await Promise.all(errorValidationRules.map((rule) => rule.run(itemRequest)));
+  const errors = validationResult(itemRequest);
+  return errors.isEmpty() ? [] : errors.array().map((err) => ({ field: err.path, message: err.msg }));
+};
+
 const errorStatusValidationRules = [
   body('status').isString().withMessage('status must be a string').trim().notEmpty(),
   body('changedBy')
@@ -68,6 +165,32 @@ const errorAssignmentValidationRules = [
     }),
 ];
 
+const isErrorId = (value) => typeof value === 'string' && mongoose.Types.ObjectId.isValid(value);
+
+const errorMergeValidationRules = [
+  body('errorIds').custom((value) => {
+    if (!Array.isArray(value) || !value.length || value.length > MAX_MERGE_GROUPS || !value.every(isErrorId)) {
+      throw new Error(`errorIds must contain between 1 and ${MAX_MERGE_GROUPS} error ids`);
+    }
+    return true;
+  }),
+];
+
+const errorUnmergeValidationRules = [
+  body('errorId').custom((value) => {
+    if (!isErrorId(value)) {
+      throw new Error('errorId must be the id of a merged error group');
+    }
+    return true;
+  }),
+];
+
+// Lets SDK events be posted as-is by converting them before errorValidationRules run.
+const normalizeErrorPayload = (req, res, next) => {
+  req.body = normalizeSdkEvent(req.body);
+  return next();
+};
+
 const handleValidation = (req, res, next) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -83,7 +206,12 @@ const handleValidation = (req, res, next) => {
 
 module.exports = {
   errorValidationRules,
+  errorBatchValidationRules,
+  validateErrorPayload,
+  normalizeErrorPayload,
   errorStatusValidationRules,
   errorAssignmentValidationRules,
+  errorMergeValidationRules,
+  errorUnmergeValidationRules,
   handleValidation,
 };
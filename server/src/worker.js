@@ -7,6 +7,8 @@ const logger = require('./utils/logger');
 const { connectDatabase } = require('./config/database');
 const { registerEmailProcessor } = require('./queues/email-queue');
 const { registerAnalyticsProcessors } = require('./queues/analytics-queue');
+const { registerRegroupProcessor } = require('./queues/regroup-queue');
+const { registerIngestionProcessor } = require('./queues/ingestion-queue');
 const { getQueueConfig } = require('./config/queue');
 const { validateEnv } = require('./config/env');
 const emailService = require('./services/email-service');
@@ -24,6 +26,8 @@ const startWorker = async () => {
   });
 
   registerAnalyticsProcessors();
+  registerRegroupProcessor();
+  registerIngestionProcessor();
 
   logger.info({ inline: getQueueConfig().inline }, 'Queue worker started');
 };
@@ -108,6 +108,13 @@ describe('Alert evaluation engine', () => {
     expect(result.reason).toBe('critical_severity');
   });
 
+  it('matches critical rules against the event level', () => {
+    const rule = { type: 'critical', enabled: true, conditions: { severity: 'fatal' } };
+
+    expect(evaluateCritical(rule, { level: 'fatal', fingerprint: 'api::crash' }).triggered).toBe(true);
+    expect(evaluateCritical(rule, { level: 'warning', fingerprint: 'api::crash' }).triggered).toBe(false);
+  });
+
   it('skips rules when environment filter does not match', () => {
     const rule = {
       type: 'threshold',
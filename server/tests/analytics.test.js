@@ -84,6 +84,11 @@ describe('Analytics API', () => {
       .get('/api/analytics/resolution')
       .set('X-Api-Key', apiKey)
       .query(query);
+  const getReleases = (query = {}) =>
+    request(app)
+      .get('/api/analytics/releases')
+      .set('X-Api-Key', apiKey)
+      .query(query);
 
   beforeAll(async () => {
     mongoServer = await MongoMemoryServer.create();
@@ -251,6 +256,32 @@ describe('Analytics API', () => {
     expect(stagingOnly.body.data.environmentBreakdown).toHaveLength(1);
   });
   
+  it('returns a per-release breakdown with new errors and deployment times', async () => {
+    const send = (message, release, environment = 'production') =>
+      postError().send({ message, stackTrace: baseStack, environment, release });
+
+    await send('Checkout crashed', '1.0.0');
+    await send('Checkout crashed', '1.1.0');
+    await send('Checkout crashed', '1.1.0');
+    await send('Cart is empty', '1.1.0');
+    await send('Staging only', '1.1.0', 'staging');
+    await request(app)
+      .post('/api/analytics/deployments')
+      .set('X-Api-Key', apiKey)
+      .send({ label: 'Deploy 1.1.0', release: '1.1.0' });
+
+    const response = await getReleases();
+    expect(response.status).toBe(200);
+    const byRelease = Object.fromEntries(response.body.data.releases.map((entry) => [entry.release, entry]));
+    expect(byRelease['1.1.0']).toMatchObject({ totalOccurrences: 4, uniqueErrors: 3, newErrors: 2 });
+    expect(byRelease['1.1.0'].deployedAt).toBeTruthy();
+    expect(byRelease['1.0.0']).toMatchObject({ totalOccurrences: 1, uniqueErrors: 1, newErrors: 1, deployedAt: null });
+
+    const production = await getReleases({ environment: 'production' });
+    const productionRelease = production.body.data.releases.find((entry) => entry.release === '1.1.0');
+    expect(productionRelease).toMatchObject({ totalOccurrences: 3, uniqueErrors: 2, newErrors: 1 });
+  });
+
   it('returns resolution analytics with reopen tracking and verification averages', async () => {
     const HOUR_MS = 60 * 60 * 1000;
     const anchor = new Date();
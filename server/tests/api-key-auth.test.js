@@ -0,0 +1,194 @@
+jest.mock('../src/models/Project', () => ({
+  findOne: jest.fn(),
+  updateOne: jest.fn(),
+}));
+
+const Project = require('../src/models/Project');
+const apiKeyAuth = require('../src/middleware/api-key-auth');
+const { requireRole } = require('../src/middleware/auth');
+const { hashApiKey } = require('../src/utils/api-key');
+
+const createResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+const createRequest = (headers = {}, query = {}) => {
+  const normalized = Object.fromEntries(Object.entries(headers).map(([key, value]) => [key.toLowerCase(), value]));
+  return {
+    ip: '203.0.113.7',
+    query,
+    headers: normalized,
+    header: (name) => normalized[name.toLowerCase()],
+  };
+};
+
+describe('apiKeyAuth', () => {
+  const secretKey = 'proj_secret_value';
+  const publicKey = 'pub_public_value';
+  const buildProject = (overrides = {}) => ({
+    _id: '507f1f77bcf86cd799439011',
+    apiKeys: [
+      { _id: 'key-secret', type: 'secret', keyHash: hashApiKey(secretKey), preview: 'et_value', ...overrides.secret },
+      { _id: 'key-public', type: 'public', keyHash: hashApiKey(publicKey), preview: 'ic_value', ...overrides.public },
+    ],
+  });
+
+  beforeEach(() => {
+    Project.findOne.mockReset();
+    Project.updateOne.mockReset();
+    Project.findOne.mockResolvedValue(buildProject());
+    Project.updateOne.mockResolvedValue({ modifiedCount: 1 });
+  });
+
+  it('grants admin access to secret keys used outside browsers', async () => {
+    const req = createRequest({ 'x-api-key': secretKey });
+    const next = jest.fn();
+
+    await apiKeyAuth(req, createResponse(), next);
+
+    expect(next).toHaveBeenCalled();
+    expect(req.accessRole).toBe('admin');
+    expect(req.apiKeyType).toBe('secret');
+  });
+
+  it('grants ingest-only access to public keys', async () => {
+    const req = createRequest({ 'x-api-key': publicKey, origin: 'https://shop.example.com' });
+    const next = jest.fn();
+
+    await apiKeyAuth(req, createResponse(), next);
+
+    expect(next).toHaveBeenCalled();
+    expect(req.accessRole).toBe('ingest');
+    expect(req.apiKeyType).toBe('public');
+  });
+
+  it('rejects secret keys from browser origins other than the dashboard', async () => {
+    const req = createRequest({ 'x-api-key': secretKey, origin: 'https://shop.example.com' });
+    const res = createResponse();
+    const next = jest.fn();
+
+    await apiKeyAuth(req, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(403);
+  });
+
+  it('accepts secret keys from the dashboard origin', async () => {
+    const req = createRequest({ 'x-api-key': secretKey, origin: 'http://localhost:3000' });
+    const next = jest.fn();
+
+    await apiKeyAuth(req, createResponse(), next);
+
+    expect(next).toHaveBeenCalled();
+    expect(req.accessRole).toBe('admin');
+  });
+
+  it('records when and from where a key was last used', async () => {
+    const req = createRequest({ 'x-api-key': publicKey });
+
+    await apiKeyAuth(req, createResponse(), jest.fn());
+
+    expect(req.apiKey._id).toBe('key-public');
+    expect(Project.updateOne).toHaveBeenCalledWith(
+      { _id: '507f1f77bcf86cd799439011', 'apiKeys._id': 'key-public' },
+      { $set: { 'apiKeys.$.lastUsedAt': expect.any(Date), 'apiKeys.$.lastUsedIp': '203.0.113.7' } }
+    );
+  });
+
+  it('skips the usage write when the key was just used from the same address', async () => {
+    Project.findOne.mockResolvedValue(
+      buildProject({ public: { lastUsedAt: new Date(), lastUsedIp: '203.0.113.7' } })
+    );
+    const next = jest.fn();
+
+    await apiKeyAuth(createRequest({ 'x-api-key': publicKey }), createResponse(), next);
+
+    expect(next).toHaveBeenCalled();
+    expect(Project.updateOne).not.toHaveBeenCalled();
+  });
+
+  it('accepts public keys from the query string for beacon deliveries', async () => {
+    const req = createRequest({ origin: 'https://shop.example.com' }, { apiKey: publicKey });
+    const next = jest.fn();
+
+    await apiKeyAuth(req, createResponse(), next);
+
+    expect(next).toHaveBeenCalled();
+    expect(req.accessRole).toBe('ingest');
+  });
+
+  it('refuses secret keys sent in the query string', async () => {
+    const req = createRequest({}, { apiKey: secretKey });
+    const res = createResponse();
+    const next = jest.fn();
+
+    await apiKeyAuth(req, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(403);
+  });
+
+  it('rejects revoked keys', async () => {
+    Project.findOne.mockResolvedValue(buildProject({ secret: { revoked: true, revokedAt: new Date() } }));
+    const res = createResponse();
+    const next = jest.fn();
+
+    await apiKeyAuth(createRequest({ 'x-api-key': secretKey }), res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(res.json).toHaveBeenCalledWith({ error: { message: 'API key has been revoked' } });
+  });
+
+  it('keeps accepting a rotated key until its grace period ends', async () => {
+    const future = new Date(Date.now() + 60 * 60 * 1000);
+    Project.findOne.mockResolvedValue(buildProject({ public: { expiresAt: future } }));
+    const next = jest.fn();
+
+    await apiKeyAuth(createRequest({ 'x-api-key': publicKey }), createResponse(), next);
+
+    expect(next).toHaveBeenCalled();
+  });
+
+  it('rejects expired keys', async () => {
+    Project.findOne.mockResolvedValue(buildProject({ public: { expiresAt: new Date(Date.now() - 1000) } }));
+    const res = createResponse();
+
+    await apiKeyAuth(createRequest({ 'x-api-key': publicKey }), res, jest.fn());
+
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(res.json).toHaveBeenCalledWith({ error: { message: 'API key has expired' } });
+  });
+
+  it('rejects unknown keys', async () => {
+    Project.findOne.mockResolvedValue(null);
+    const res = createResponse();
+
+    await apiKeyAuth(createRequest({ 'x-api-key': 'nope' }), res, jest.fn());
+
+    expect(res.status).toHaveBeenCalledWith(401);
+  });
+});
+
+describe('requireRole with API keys', () => {
+  it('forbids ingest keys on routes that do not allow them', () => {
+    const res = createResponse();
+    const next = jest.fn();
+
+    requireRole(['admin', 'developer'])({ accessRole: 'ingest', accessSource: 'api-key' }, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(403);
+  });
+
+  it('allows ingest keys where listed', () => {
+    const next = jest.fn();
+
+    requireRole(['admin', 'ingest'])({ accessRole: 'ingest', accessSource: 'api-key' }, createResponse(), next);
+
+    expect(next).toHaveBeenCalled();
+  });
+});
@@ -1,4 +1,8 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const mongoose = require('mongoose');
+const { SourceMapGenerator } = require('source-map');
 const request = require('supertest');
 const { MongoMemoryServer } = require('mongodb-memory-server');
 
@@ -7,6 +11,8 @@ const ErrorEvent = require('../src/models/Error');
 const ErrorOccurrence = require('../src/models/Occurrence');
 const Project = require('../src/models/Project');
 const { createProjectWithApiKey } = require('./helpers/project');
+const { clearSourceMapCache } = require('../src/services/source-map-service');
+const { ingestError } = require('../src/services/error-service');
 
 jest.setTimeout(30000);
 
@@ -17,6 +23,7 @@ describe('Error API integration', () => {
   let apiKey;
 
   const postError = () => request(app).post('/api/errors').set('X-Api-Key', apiKey);
+  const postBatch = (events) => request(app).post('/api/errors/batch').set('X-Api-Key', apiKey).send({ events });
   const getErrors = (query = {}) => request(app).get('/api/errors').set('X-Api-Key', apiKey).query(query);
   const getErrorById = (id) => request(app).get(`/api/errors/${id}`).set('X-Api-Key', apiKey);
   const patchError = (id, body) => request(app)
@@ -24,6 +31,8 @@ describe('Error API integration', () => {
     .set('X-Api-Key', apiKey)
     .send(body);
   const deleteErrorRequest = (id) => request(app).delete(`/api/errors/${id}`).set('X-Api-Key', apiKey);
+  const mergeRequest = (id, errorIds) => request(app).post(`/api/errors/${id}/merge`).set('X-Api-Key', apiKey).send({ errorIds });
+  const unmergeRequest = (id, errorId) => request(app).post(`/api/errors/${id}/unmerge`).set('X-Api-Key', apiKey).send({ errorId });
 
   const baseStack = [
     { file: 'App.jsx', line: 12, column: 4, function: 'render', inApp: true },
@@ -97,6 +106,38 @@ describe('Error API integration', () => {
     expect(second.body.data.count).toBe(2);
   });
 
+  it('groups by SDK fingerprints and project rules and records the matched rule', async () => {
+    const sdkFirst = await postError().send({ message: 'Error: timeout after 30s', stackTrace: baseStack, environment: 'production', fingerprint: ['upstream-timeout'] });
+    const sdkSecond = await postError().send({
+      message: 'Error: gateway closed',
+      stackTrace: [{ file: 'api.js', line: 3, column: 1 }],
+      environment: 'production',
+      fingerprint: ['upstream-timeout'],
+    });
+    expect(sdkSecond.body.data.errorId).toBe(sdkFirst.body.data.errorId);
+
+    await Project.updateOne(
+      { _id: project._id },
+      { groupingRules: [{ name: 'Billing', conditions: [{ type: 'tag', key: 'service', value: 'billing' }], fingerprint: ['billing', '{{ default }}'] }] }
+    );
+    const ruled = await postError().send({
+      message: 'Error: timeout after 30s',
+      stackTrace: baseStack,
+      environment: 'production',
+      fingerprint: ['upstream-timeout'],
+      metadata: { tags: { service: 'billing' } },
+    });
+
+    expect(ruled.body.data.errorId).not.toBe(sdkFirst.body.data.errorId);
+    const occurrence = await ErrorOccurrence.findOne({ errorId: ruled.body.data.errorId }).lean();
+    expect(occurrence.fingerprintSource).toBe('rule');
+    expect(occurrence.groupingRule).toMatchObject({ name: 'Billing' });
+    expect(occurrence.sdkFingerprint).toEqual(['upstream-timeout']);
+
+    const detail = await getErrorById(ruled.body.data.errorId);
+    expect(detail.body.data.occurrences[0]).toMatchObject({ fingerprintSource: 'rule', groupingRule: { name: 'Billing' } });
+  });
+
   it('tracks occurrence documents when errors repeat', async () => {
     const payload = {
       message: 'ReferenceError: foo is not defined',
@@ -119,6 +160,58 @@ describe('Error API integration', () => {
     expect(aggregated.count).toBe(10);
   });
 
+  it('groups wrapped errors by their innermost in-app cause and returns the chain', async () => {
+    await Project.updateOne({ _id: project._id }, { groupingVersion: 2 });
+    const cause = {
+      name: 'TypeError',
+      message: "Cannot read properties of undefined (reading 'total')",
+      relation: 'cause',
+      depth: 1,
+      stackTrace: [{ file: 'src/cart.js', line: 40, column: 7, function: 'sumCart' }],
+    };
+    const vendorOnly = {
+      name: 'Error',
+      message: 'socket hang up',
+      relation: 'cause',
+      depth: 2,
+      stackTrace: [{ file: '/app/node_modules/undici/lib/fetch.js', line: 10, column: 1, function: 'onError' }],
+    };
+
+    const first = await postError().send({
+      message: 'Error: checkout failed',
+      stackTrace: baseStack,
+      environment: 'production',
+      linkedExceptions: [cause, vendorOnly],
+    });
+    const second = await postError().send({
+      message: 'Error: could not render cart',
+      stackTrace: [{ file: 'Cart.jsx', line: 3, column: 1, function: 'Cart' }],
+      environment: 'production',
+      linkedExceptions: [cause],
+    });
+
+    expect(first.status).toBe(201);
+    expect(second.body.data.errorId).toBe(first.body.data.errorId);
+
+    const detail = await getErrorById(first.body.data.errorId);
+    expect(detail.body.data.linkedExceptions).toEqual([
+      expect.objectContaining({
+        name: 'TypeError',
+        relation: 'cause',
+        depth: 1,
+        stackTraceHighlighted: [expect.objectContaining({ formatted: 'sumCart at src/cart.js:40:7' })],
+      }),
+    ]);
+
+    const invalid = await postError().send({
+      message: 'Error: bad chain',
+      stackTrace: baseStack,
+      environment: 'production',
+      linkedExceptions: [{ ...cause, relation: 'sibling' }],
+    });
+    expect(invalid.status).toBe(422);
+  });
+
   it('sanitizes sensitive values before storage', async () => {
     const payload = {
       message: '<script>alert(1)</script> password=secret1234',
@@ -209,6 +302,302 @@ describe('Error API integration', () => {
     expect(limited).toBe(true);
   });
 
+  it('ingests batches and reports per-item results', async () => {
+    const valid = {
+      message: 'Batched failure',
+      stackTrace: baseStack,
+      environment: 'production',
+    };
+
+    const response = await postBatch([valid, { message: 'Missing stack', environment: 'production' }, valid]);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.accepted).toBe(2);
+    expect(response.body.data.rejected).toBe(1);
+
+    const [first, rejected, third] = response.body.data.results;
+    expect(first).toEqual(expect.objectContaining({ index: 0, status: 'accepted', isNew: true }));
+    expect(rejected).toEqual(expect.objectContaining({ index: 1, status: 'rejected' }));
+    expect(rejected.error.details.some((detail) => detail.field === 'stackTrace')).toBe(true);
+    expect(third).toEqual(expect.objectContaining({ index: 2, status: 'accepted', isNew: false }));
+    expect(third.errorId).toBe(first.errorId);
+
+    const aggregated = await ErrorEvent.findOne({ projectId: project._id });
+    expect(aggregated.count).toBe(2);
+    expect(await ErrorOccurrence.countDocuments({ projectId: project._id })).toBe(2);
+  });
+
+  it('rejects only the batch item that fails while being processed', async () => {
+    jest.spyOn(ErrorOccurrence, 'create').mockRejectedValueOnce(new TypeError('Unexpected failure'));
+    const valid = { message: 'Batched failure', stackTrace: baseStack, environment: 'production' };
+
+    const response = await postBatch([valid, valid]);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toMatchObject({ accepted: 1, rejected: 1 });
+    expect(response.body.data.results[0]).toEqual({ index: 0, status: 'rejected', error: { message: 'Failed to process event' } });
+    expect(response.body.data.results[1]).toEqual(expect.objectContaining({ index: 1, status: 'accepted' }));
+  });
+
+  it('accepts SDK-native events without client-side conversion', async () => {
+    const sdkEvent = {
+      id: 'evt-1',
+      timestamp: new Date().toISOString(),
+      environment: 'production',
+      sdkVersion: '0.1.0',
+      system: { platform: 'node', runtime: 'node' },
+      sessionId: 'session-1',
+      user: { id: 'u-1' },
+      context: { route: '/checkout' },
+      tags: { feature: 'cart' },
+      breadcrumbs: [{ message: 'clicked pay', category: 'ui' }],
+      error: {
+        name: 'TypeError',
+        message: 'x is undefined',
+        stacktrace: [{ functionName: 'pay', fileName: 'src/cart.js', lineNumber: 10, columnNumber: 5 }],
+      },
+    };
+
+    const response = await postError().send(sdkEvent);
+    expect(response.status).toBe(201);
+
+    const stored = await ErrorEvent.findById(response.body.data.errorId).lean();
+    expect(stored.message).toBe('TypeError: x is undefined');
+    expect(stored.stackTrace[0]).toEqual(expect.objectContaining({ file: 'src/cart.js', line: 10, column: 5, function: 'pay' }));
+    expect(stored.userContext).toEqual({ id: 'u-1' });
+    expect(stored.metadata.tags.feature).toBe('cart');
+
+    const occurrence = await ErrorOccurrence.findById(response.body.data.id).lean();
+    expect(occurrence.metadata).toEqual(
+      expect.objectContaining({ sessionId: 'session-1', sdkVersion: '0.1.0', system: expect.objectContaining({ platform: 'node' }) })
+    );
+
+    const batch = await postBatch([sdkEvent]);
+    expect(batch.body.data.results[0]).toEqual(expect.objectContaining({ status: 'accepted', errorId: response.body.data.errorId }));
+  });
+
+  it('accepts events with 202 in queued ingestion mode and stores them under the returned id', async () => {
+    process.env.INGESTION_MODE = 'queue';
+    try {
+      const response = await postError().send({ message: 'Queued failure', environment: 'production', stackTrace: baseStack });
+
+      expect(response.status).toBe(202);
+      expect(response.body.data).toMatchObject({ accepted: true, queued: false });
+      // Without Redis the inline queue has already run the job by the time the response is sent.
+      const occurrence = await ErrorOccurrence.findById(response.body.data.id).lean();
+      expect(occurrence).toMatchObject({ message: 'Queued failure', environment: 'production' });
+      expect(await ErrorEvent.countDocuments({ _id: occurrence.errorId, count: 1 })).toBe(1);
+    } finally {
+      delete process.env.INGESTION_MODE;
+    }
+  });
+
+  it('reports events that cannot be queued instead of accepting them', async () => {
+    process.env.INGESTION_MODE = 'queue';
+    jest.spyOn(ErrorOccurrence, 'create').mockRejectedValueOnce(new TypeError('Unexpected failure'));
+    try {
+      const response = await postError().send({ message: 'Unqueued failure', environment: 'production', stackTrace: baseStack });
+
+      expect(response.status).toBe(503);
+      expect(response.body).toEqual({ error: { message: 'Failed to queue event' } });
+    } finally {
+      delete process.env.INGESTION_MODE;
+    }
+  });
+
+  it('queues every valid batch item in queued ingestion mode', async () => {
+    process.env.INGESTION_MODE = 'queue';
+    try {
+      const response = await postBatch([
+        { message: 'Queued batch failure', environment: 'production', stackTrace: baseStack },
+        { environment: 'production' },
+        { message: 'Queued batch failure', environment: 'production', stackTrace: baseStack },
+      ]);
+
+      expect(response.status).toBe(202);
+      expect(response.body.data).toMatchObject({ accepted: 2, rejected: 1 });
+      const [first, invalid, second] = response.body.data.results;
+      expect(first).toMatchObject({ index: 0, status: 'accepted', queued: false });
+      expect(invalid).toMatchObject({ index: 1, status: 'rejected' });
+      expect(second).toMatchObject({ index: 2, status: 'accepted', queued: false });
+      expect(first.id).not.toBe(second.id);
+
+      const occurrences = await ErrorOccurrence.find({ _id: { $in: [first.id, second.id] } }).lean();
+      expect(occurrences).toHaveLength(2);
+      expect(await ErrorEvent.countDocuments({ _id: occurrences[0].errorId, count: 2 })).toBe(1);
+    } finally {
+      delete process.env.INGESTION_MODE;
+    }
+  });
+
+  it('counts a retried queued event once when the first attempt failed', async () => {
+    const eventId = new mongoose.Types.ObjectId().toString();
+    const payload = { message: 'Retried failure', environment: 'production', stackTrace: baseStack };
+    const upsertSpy = jest.spyOn(ErrorEvent, 'findOneAndUpdate').mockRejectedValueOnce(new Error('Mongo down'));
+
+    await expect(ingestError(payload, project, { eventId })).rejects.toThrow('Mongo down');
+    upsertSpy.mockRestore();
+    expect(await ErrorOccurrence.findById(eventId).lean()).toMatchObject({ pending: true });
+
+    const result = await ingestError(payload, project, { eventId });
+
+    expect(result.errorEvent.count).toBe(1);
+    const occurrence = await ErrorOccurrence.findById(eventId).lean();
+    expect(occurrence.errorId.toString()).toBe(result.errorEvent._id.toString());
+    expect(occurrence.pending).toBeUndefined();
+    expect(await ErrorOccurrence.countDocuments({ projectId: project._id })).toBe(1);
+  });
+
+  it('does not count a retried queued event again when the first attempt failed after counting it', async () => {
+    const eventId = new mongoose.Types.ObjectId().toString();
+    const payload = { message: 'Retried after count', environment: 'production', stackTrace: baseStack };
+    const saveSpy = jest.spyOn(ErrorOccurrence.prototype, 'save').mockRejectedValueOnce(new Error('Mongo down'));
+
+    await expect(ingestError(payload, project, { eventId })).rejects.toThrow('Mongo down');
+    saveSpy.mockRestore();
+
+    const result = await ingestError(payload, project, { eventId });
+
+    expect(result.isNew).toBe(false);
+    expect(await ErrorEvent.findById(result.errorEvent._id).lean()).toMatchObject({ count: 1 });
+    expect(await ErrorOccurrence.findById(eventId).lean()).toMatchObject({ errorId: result.errorEvent._id });
+  });
+
+  it('counts concurrent events for one group without losing increments', async () => {
+    const timestamps = Array.from({ length: 20 }, (_, index) => new Date(Date.UTC(2024, 0, 1, 0, index)).toISOString());
+    const results = await Promise.all(
+      timestamps.map((timestamp) =>
+        ingestError({ message: 'Burst failure', environment: 'production', stackTrace: baseStack, timestamp }, project)
+      )
+    );
+
+    expect(results.filter((result) => result.isNew)).toHaveLength(1);
+    const groups = await ErrorEvent.find({ projectId: project._id }).lean();
+    expect(groups).toHaveLength(1);
+    expect(groups[0]).toMatchObject({ count: 20, status: 'new' });
+    expect(groups[0].firstSeen.toISOString()).toBe(timestamps[0]);
+    expect(groups[0].lastSeen.toISOString()).toBe(timestamps[19]);
+    expect(await ErrorOccurrence.countDocuments({ errorId: groups[0]._id })).toBe(20);
+  });
+
+  it('keeps the latest event on the group when an older event arrives late', async () => {
+    const send = (timestamp, level, release) =>
+      ingestError({ message: 'Late delivery', environment: 'production', stackTrace: baseStack, timestamp, level, release, metadata: { tags: { build: release } } }, project);
+
+    const { errorEvent } = await send('2024-01-01T12:00:00.000Z', 'warning', '2.0.0');
+    const errorId = errorEvent._id;
+    await send('2024-01-01T10:00:00.000Z', 'fatal', '1.0.0');
+
+    const group = await ErrorEvent.findById(errorId).lean();
+    expect(group).toMatchObject({ count: 2, level: 'warning', firstRelease: '2.0.0', lastRelease: '2.0.0' });
+    expect(group.metadata.tags.build).toBe('2.0.0');
+    expect(group.firstSeen.toISOString()).toBe('2024-01-01T10:00:00.000Z');
+    expect(group.lastSeen.toISOString()).toBe('2024-01-01T12:00:00.000Z');
+    expect(group.releases).toEqual(['2.0.0', '1.0.0']);
+
+    await send('2024-01-01T12:00:00.000Z', 'error', '2.0.1');
+    expect(await ErrorEvent.findById(errorId).lean()).toMatchObject({ count: 3, level: 'error', lastRelease: '2.0.1' });
+  });
+
+  it('tracks releases on occurrences and first/last-seen releases on the group', async () => {
+    const send = (release) => postError().send({ message: 'Release bound', stackTrace: baseStack, environment: 'production', release });
+
+    const first = await send('1.0.0');
+    await send(undefined);
+    await send('1.1.0');
+    const latest = await send('1.2.0');
+    await postError().send({ message: 'Other error', stackTrace: baseStack, environment: 'production', release: '1.0.0' });
+
+    const stored = await ErrorEvent.findById(first.body.data.errorId).lean();
+    expect(stored.firstRelease).toBe('1.0.0');
+    expect(stored.lastRelease).toBe('1.2.0');
+    expect(stored.releases).toEqual(['1.0.0', '1.1.0', '1.2.0']);
+    const occurrence = await ErrorOccurrence.findById(latest.body.data.id).lean();
+    expect(occurrence.release).toBe('1.2.0');
+
+    const filtered = await getErrors({ release: '1.2.0' });
+    expect(filtered.status).toBe(200);
+    expect(filtered.body.data).toHaveLength(1);
+    expect(filtered.body.data[0]).toMatchObject({ id: first.body.data.errorId.toString(), firstRelease: '1.0.0', lastRelease: '1.2.0' });
+    expect(filtered.body.meta.filters.release).toBe('1.2.0');
+
+    const older = await getErrors({ release: '1.0.0' });
+    expect(older.body.data).toHaveLength(2);
+
+    // Releases between the first and the last one still match.
+    const between = await getErrors({ release: '1.1.0' });
+    expect(between.body.data.map((item) => item.id)).toEqual([first.body.data.errorId.toString()]);
+  });
+
+  it('keeps only the latest releases on a group while the first release still filters', async () => {
+    let errorId;
+    for (let index = 0; index < 55; index += 1) {
+      // eslint-disable-next-line no-await-in-loop
+      const response = await postError().send({ message: 'Release churn', stackTrace: baseStack, environment: 'production', release: `1.0.${index}` });
+      errorId = response.body.data.errorId;
+    }
+
+    const stored = await ErrorEvent.findById(errorId).lean();
+    expect(stored.releases).toHaveLength(50);
+    expect(stored.releases[0]).toBe('1.0.5');
+    expect(stored.releases[49]).toBe('1.0.54');
+
+    const oldest = await getErrors({ release: '1.0.0' });
+    expect(oldest.body.data.map((item) => item.id)).toEqual([errorId.toString()]);
+    expect(oldest.body.data[0].releases).toBeUndefined();
+  });
+
+  it('symbolicates minified frames with uploaded source maps before grouping', async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'source-maps-'));
+    process.env.SOURCE_MAP_DIR = directory;
+    clearSourceMapCache();
+
+    try {
+      const generator = new SourceMapGenerator({ file: 'main.js' });
+      generator.addMapping({ source: 'src/cart.js', original: { line: 2, column: 2 }, generated: { line: 1, column: 40 }, name: 'addItem' });
+      generator.addMapping({ source: 'src/cart.js', original: { line: 2, column: 2 }, generated: { line: 1, column: 900 }, name: 'addItem' });
+      generator.setSourceContent('src/cart.js', 'export function addItem(cart, item) {\n  cart.items.push(item.id);\n}');
+
+      const upload = await request(app)
+        .post('/api/source-maps')
+        .set('X-Api-Key', apiKey)
+        .send({ release: '3.1.0', fileName: '/static/main.js', sourceMap: generator.toJSON() });
+      expect(upload.status).toBe(201);
+
+      const send = (column) =>
+        postError().send({
+          message: 'TypeError: item is undefined',
+          stackTrace: [{ file: 'https://shop.example.com/static/main.js', line: 1, column, function: 'a' }],
+          environment: 'production',
+          release: '3.1.0',
+        });
+
+      const first = await send(41);
+      const second = await send(901);
+      expect(second.body.data.errorId).toBe(first.body.data.errorId);
+
+      const stored = await ErrorEvent.findById(first.body.data.errorId).lean();
+      expect(stored.stackTrace[0]).toMatchObject({
+        file: 'src/cart.js',
+        line: 2,
+        function: 'addItem',
+        contextLine: '  cart.items.push(item.id);',
+        minified: { file: 'https://shop.example.com/static/main.js', line: 1, column: 901, function: 'a' },
+      });
+    } finally {
+      delete process.env.SOURCE_MAP_DIR;
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  });
+
+  it('rejects batch bodies without an events array', async () => {
+    const empty = await postBatch([]);
+    expect(empty.status).toBe(422);
+
+    const missing = await request(app).post('/api/errors/batch').set('X-Api-Key', apiKey).send({});
+    expect(missing.status).toBe(422);
+  });
+
   it('responds with 202 when write operations fail', async () => {
     const payload = {
       message: 'Simulated failure',
@@ -395,4 +784,55 @@ describe('Error API integration', () => {
     const response = await deleteErrorRequest(unknownId);
     expect(response.status).toBe(404);
   });
+
+  it('merges groups and routes new events with merged fingerprints to the primary group', async () => {
+    const first = await postError().send({ message: 'Checkout failed', environment: 'production', stackTrace: baseStack });
+    await postError().send({ message: 'Checkout failed', environment: 'production', stackTrace: baseStack });
+    const second = await postError().send({
+      message: 'Payment declined',
+      environment: 'production',
+      stackTrace: baseStack,
+      timestamp: '2020-01-01T00:00:00.000Z',
+    });
+    const primaryId = first.body.data.errorId;
+    const mergedId = second.body.data.errorId;
+
+    const merged = await mergeRequest(primaryId, [mergedId]);
+    expect(merged.status).toBe(200);
+    expect(merged.body.data).toMatchObject({ id: primaryId, count: 3, occurrencesTotal: 3 });
+    expect(new Date(merged.body.data.firstSeen).toISOString()).toBe('2020-01-01T00:00:00.000Z');
+    expect(merged.body.data.mergedGroups).toEqual([
+      expect.objectContaining({ errorId: mergedId, fingerprint: second.body.data.fingerprint, count: 1 }),
+    ]);
+    expect(await ErrorEvent.countDocuments({ _id: mergedId })).toBe(0);
+
+    const repeat = await postError().send({ message: 'Payment declined', environment: 'production', stackTrace: baseStack });
+    expect(repeat.body.data).toMatchObject({ errorId: primaryId, count: 4, isNew: false });
+
+    expect((await mergeRequest(primaryId, [primaryId])).status).toBe(422);
+    expect((await mergeRequest(primaryId, ['not-an-id'])).status).toBe(422);
+    expect((await mergeRequest(primaryId, [new mongoose.Types.ObjectId().toString()])).status).toBe(404);
+  });
+
+  it('unmerges a group back under its original id with its occurrences', async () => {
+    const first = await postError().send({ message: 'Checkout failed', environment: 'production', stackTrace: baseStack });
+    const second = await postError().send({ message: 'Payment declined', environment: 'staging', stackTrace: baseStack });
+    const primaryId = first.body.data.errorId;
+    const mergedId = second.body.data.errorId;
+    await patchError(mergedId, { status: 'investigating' });
+
+    await mergeRequest(primaryId, [mergedId]);
+    await postError().send({ message: 'Payment declined', environment: 'staging', stackTrace: baseStack });
+
+    const response = await unmergeRequest(primaryId, mergedId);
+    expect(response.status).toBe(200);
+    expect(response.body.data).toMatchObject({ id: primaryId, count: 1, mergedGroups: [] });
+
+    const restored = await ErrorEvent.findById(mergedId).lean();
+    expect(restored).toMatchObject({ fingerprint: second.body.data.fingerprint, count: 2, status: 'investigating', environment: 'staging' });
+    expect(await ErrorOccurrence.countDocuments({ errorId: mergedId })).toBe(2);
+    expect(await ErrorOccurrence.countDocuments({ errorId: primaryId })).toBe(1);
+
+    expect((await unmergeRequest(primaryId, mergedId)).status).toBe(404);
+  });
 });
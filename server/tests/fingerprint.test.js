@@ -0,0 +1,120 @@
+const crypto = require('crypto');
+const {
+  LATEST_GROUPING_VERSION,
+  createFingerprint,
+  isInAppFrame,
+  normalizeMessage,
+  selectFingerprintException,
+} = require('../src/utils/fingerprint');
+
+describe('fingerprint', () => {
+  const stackTrace = [{ file: 'src/checkout.js', line: 12, column: 3, function: 'checkout' }];
+  const rootCause = {
+    name: 'TypeError',
+    message: 'total is undefined',
+    relation: 'cause',
+    depth: 2,
+    stackTrace: [{ file: 'src/cart.js', line: 40, column: 7, function: 'sumCart' }],
+  };
+
+  it('treats dependencies, runtime internals and unknown files as third-party', () => {
+    expect(isInAppFrame({ file: 'src/cart.js' })).toBe(true);
+    expect(isInAppFrame({ file: '/app/node_modules/express/lib/router.js' })).toBe(false);
+    expect(isInAppFrame({ file: 'node:internal/process/task_queues' })).toBe(false);
+    expect(isInAppFrame({ file: 'unknown' })).toBe(false);
+    expect(isInAppFrame({ file: '/app/node_modules/@acme/ui/index.js', inApp: true })).toBe(true);
+  });
+
+  it('keeps version 1 identical to the fingerprints stored before versioning', () => {
+    const frames = [
+      { file: '/app/node_modules/axios/lib/core/settle.js', line: 19, column: 12, function: 'settle' },
+      { filename: 'src/checkout.js', lineno: 30, colno: 5, func: 'pay' },
+      { file: 'src/app.js', line: null },
+      { file: 'src/index.js', line: 1 },
+    ];
+    const expected = crypto
+      .createHash('md5')
+      .update('Error: checkout failed|/app/node_modules/axios/lib/core/settle.js:19:12:settle|src/checkout.js:30:5:pay|src/app.js:::')
+      .digest('hex');
+
+    expect(createFingerprint('Error: checkout failed', frames)).toBe(expected);
+    // Linked exceptions and in-app flags only feed later versions.
+    expect(createFingerprint('Error: checkout failed', frames, [rootCause], { version: 1 })).toBe(expected);
+  });
+
+  it('hashes in-app frames ahead of library frames', () => {
+    const options = { version: LATEST_GROUPING_VERSION };
+    const library = [
+      { file: '/app/node_modules/axios/lib/core/settle.js', line: 19, column: 12, function: 'settle' },
+      { file: '/app/node_modules/axios/lib/adapters/http.js', line: 585, column: 11, function: 'IncomingMessage.handleStreamEnd' },
+    ];
+    const fromCheckout = createFingerprint(
+      'AxiosError: Request failed',
+      [...library, { file: '/app/src/checkout.js', line: 30, column: 5, function: 'pay' }],
+      [],
+      options
+    );
+    const fromProfile = createFingerprint(
+      'AxiosError: Request failed',
+      [...library, { file: '/app/src/profile.js', line: 8, column: 3, function: 'loadProfile' }],
+      [],
+      options
+    );
+
+    expect(fromCheckout).not.toBe(fromProfile);
+    expect(createFingerprint('AxiosError: Request failed', library, [], options)).toBe(
+      createFingerprint('AxiosError: Request failed', library.map((frame) => ({ ...frame, inApp: false })), [], options)
+    );
+  });
+
+  it('keys on the deepest linked exception with in-app frames', () => {
+    const wrapper = { name: 'Error', message: 'request failed', relation: 'cause', depth: 1, stackTrace };
+    const vendor = {
+      name: 'Error',
+      message: 'socket hang up',
+      relation: 'cause',
+      depth: 3,
+      stackTrace: [{ file: '/app/node_modules/undici/index.js', line: 1, column: 1 }],
+    };
+
+    expect(selectFingerprintException('Error: checkout failed', stackTrace, [wrapper, rootCause, vendor])).toEqual({
+      message: 'TypeError: total is undefined',
+      stackTrace: rootCause.stackTrace,
+      depth: 2,
+    });
+  });
+
+  it('groups different wrappers of the same root cause together', () => {
+    const options = { version: LATEST_GROUPING_VERSION };
+    const first = createFingerprint('Error: checkout failed', stackTrace, [rootCause], options);
+    const second = createFingerprint('Error: render failed', [{ file: 'src/App.jsx', line: 1 }], [rootCause], options);
+
+    expect(first).toBe(second);
+    expect(createFingerprint('Error: checkout failed', stackTrace, [], options)).not.toBe(first);
+  });
+
+  it('replaces variable parts of messages with placeholders', () => {
+    expect(normalizeMessage('User 123 not found')).toBe('User <num> not found');
+    expect(normalizeMessage('Order 9f1c2a3b-1d2e-4f50-8a9b-0c1d2e3f4a5b missing')).toBe('Order <uuid> missing');
+    expect(normalizeMessage('GET https://api.example.com/users/42?page=2 failed')).toBe('GET <url> failed');
+    expect(normalizeMessage("Cannot read properties of undefined (reading 'map')")).toBe(
+      'Cannot read properties of undefined (reading <value>)'
+    );
+    expect(normalizeMessage("can't load session 5f2b9c8d1e3a7f60 at 0x7ffd")).toBe("can't load session <hex> at <hex>");
+    expect(normalizeMessage('decode failed for utf8 facade')).toBe('decode failed for utf8 facade');
+  });
+
+  it('groups messages that only differ in ids and frames that only differ in columns with the latest version', () => {
+    const options = { version: LATEST_GROUPING_VERSION };
+    const moved = stackTrace.map((frame) => ({ ...frame, column: 9 }));
+
+    expect(createFingerprint('User 123 not found', stackTrace, [], options)).toBe(
+      createFingerprint('User 456 not found', moved, [], options)
+    );
+    expect(createFingerprint('User 123 not found', stackTrace)).not.toBe(createFingerprint('User 456 not found', stackTrace));
+    expect(createFingerprint('User 123 not found', stackTrace, [], options)).not.toBe(
+      createFingerprint('User 123 not found', stackTrace.map((frame) => ({ ...frame, line: 13 })), [], options)
+    );
+    expect(() => createFingerprint('boom', stackTrace, [], { version: 99 })).toThrow(/Unknown grouping version/);
+  });
+});
@@ -0,0 +1,85 @@
+const isSafeRegex = require('safe-regex');
+const { createFingerprint } = require('../src/utils/fingerprint');
+const { normalizeGroupingRules, resolveFingerprint } = require('../src/utils/grouping-rules');
+
+jest.mock('safe-regex', () => jest.fn(jest.requireActual('safe-regex')));
+
+describe('grouping rules', () => {
+  const stackTrace = [{ file: 'src/payments.js', line: 42, column: 7, function: 'charge', inApp: true }];
+  const event = { message: 'StripeError: card declined for order 991', stackTrace, tags: { service: 'billing' } };
+  const rule = (overrides = {}) => ({
+    _id: '65f000000000000000000001',
+    name: 'Payment provider errors',
+    match: 'any',
+    conditions: [{ type: 'message', pattern: '^StripeError' }],
+    fingerprint: ['stripe'],
+    ...overrides,
+  });
+
+  it('uses the computed fingerprint when nothing overrides it', () => {
+    expect(resolveFingerprint(event, { version: 2 })).toEqual({
+      fingerprint: createFingerprint(event.message, stackTrace, [], { version: 2 }),
+      source: 'default',
+      rule: null,
+    });
+  });
+
+  it('groups by the SDK fingerprint and expands {{ default }}', () => {
+    const computed = createFingerprint(event.message, stackTrace, [], { version: 2 });
+    const sdk = resolveFingerprint({ ...event, fingerprint: ['payments'] }, { version: 2 });
+    const extended = resolveFingerprint({ ...event, fingerprint: ['{{ default }}', 'eu'] }, { version: 2 });
+
+    expect(sdk.source).toBe('sdk');
+    expect(resolveFingerprint({ message: 'other', stackTrace: [], fingerprint: ['payments'] }, { version: 2 }).fingerprint).toBe(sdk.fingerprint);
+    expect(extended.fingerprint).not.toBe(computed);
+    expect(resolveFingerprint({ ...event, fingerprint: ['{{default}}'] }, { version: 2 }).fingerprint).toBe(computed);
+  });
+
+  it('lets the first matching project rule win over the SDK fingerprint', () => {
+    const rules = [rule({ enabled: false, fingerprint: ['disabled'] }), rule(), rule({ name: 'Later', fingerprint: ['later'] })];
+    const result = resolveFingerprint({ ...event, fingerprint: ['payments'] }, { version: 2, rules });
+
+    expect(result.source).toBe('rule');
+    expect(result.rule).toEqual({ id: '65f000000000000000000001', name: 'Payment provider errors' });
+    expect(result.fingerprint).toBe(resolveFingerprint({ message: 'x', stackTrace: [], fingerprint: ['stripe'] }, { version: 2 }).fingerprint);
+  });
+
+  it('matches tag conditions and requires every condition with match "all"', () => {
+    const tagRule = rule({ conditions: [{ type: 'tag', key: 'service', value: 'billing' }, { type: 'message', pattern: 'timeout' }] });
+
+    expect(resolveFingerprint(event, { version: 2, rules: [tagRule] }).source).toBe('rule');
+    expect(resolveFingerprint(event, { version: 2, rules: [{ ...tagRule, match: 'all' }] }).source).toBe('default');
+    expect(resolveFingerprint({ ...event, tags: { service: 'search' } }, { version: 2, rules: [tagRule] }).source).toBe('default');
+  });
+
+  it('validates rules sent from the dashboard', () => {
+    expect(normalizeGroupingRules([{ ...rule(), id: '65f000000000000000000001', name: '  Stripe  ' }])).toEqual([
+      expect.objectContaining({ _id: '65f000000000000000000001', name: 'Stripe', enabled: true, fingerprint: ['stripe'] }),
+    ]);
+    expect(() => normalizeGroupingRules([rule({ conditions: [{ type: 'message', pattern: '(' }] })])).toThrow(/valid regular expression/);
+    expect(() => normalizeGroupingRules([rule({ conditions: [{ type: 'tag', key: 'service' }] })])).toThrow(/tag key and value/);
+    expect(() => normalizeGroupingRules([rule({ fingerprint: [] })])).toThrow(/fingerprint must contain/);
+    expect(() => normalizeGroupingRules([rule({ match: 'some' })])).toThrow(/match must be one of/);
+    expect(() => normalizeGroupingRules('rules')).toThrow(/must be an array/);
+  });
+
+  it('refuses patterns prone to catastrophic backtracking', () => {
+    const unsafe = rule({ conditions: [{ type: 'message', pattern: '^(\\w+\\s?)*$' }] });
+
+    expect(() => normalizeGroupingRules([unsafe])).toThrow(/without nested repetition/);
+    // Rules stored before the check never match instead of running the pattern.
+    expect(resolveFingerprint({ ...event, message: `${'word '.repeat(30)}!` }, { version: 2, rules: [unsafe] }).source).toBe(
+      'default'
+    );
+  });
+
+  it('compiles each message pattern once across events', () => {
+    const counted = rule({ conditions: [{ type: 'message', pattern: '^CardError' }] });
+    isSafeRegex.mockClear();
+
+    resolveFingerprint({ ...event, message: 'CardError: expired' }, { version: 2, rules: [counted] });
+    resolveFingerprint({ ...event, message: 'CardError: declined' }, { version: 2, rules: [counted] });
+
+    expect(isSafeRegex).toHaveBeenCalledTimes(1);
+  });
+});
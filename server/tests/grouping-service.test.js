@@ -0,0 +1,300 @@
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+
+const ErrorEvent = require('../src/models/Error');
+const ErrorOccurrence = require('../src/models/Occurrence');
+const Project = require('../src/models/Project');
+const { ingestError } = require('../src/services/error-service');
+const { mergeErrors, regroupProject, unmergeError } = require('../src/services/grouping-service');
+const { LATEST_GROUPING_VERSION, createFingerprint } = require('../src/utils/fingerprint');
+const { createProjectWithApiKey } = require('./helpers/project');
+
+jest.setTimeout(30000);
+
+describe('Grouping service', () => {
+  let mongoServer;
+  let project;
+
+  const stackTrace = [{ file: 'src/users.js', line: 14, column: 9, function: 'loadUser', inApp: true }];
+
+  beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+  });
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+    if (mongoServer) {
+      await mongoServer.stop();
+    }
+  });
+
+  beforeEach(async () => {
+    await Promise.all([
+      ErrorEvent.deleteMany({}),
+      ErrorOccurrence.deleteMany({}),
+      Project.deleteMany({}),
+    ]);
+    ({ project } = await createProjectWithApiKey({ name: 'Regroup' }));
+  });
+
+  it('merges legacy groups that the latest version considers the same error', async () => {
+    await ingestError({ message: 'User 123 not found', stackTrace, environment: 'production' }, project);
+    await ingestError(
+      { message: 'User 456 not found', stackTrace: [{ ...stackTrace[0], column: 11 }], environment: 'production' },
+      project
+    );
+    expect(await ErrorEvent.countDocuments({ projectId: project._id, groupingVersion: 1 })).toBe(2);
+
+    await Project.updateOne({ _id: project._id }, { groupingVersion: LATEST_GROUPING_VERSION });
+    const result = await regroupProject(project._id, LATEST_GROUPING_VERSION);
+
+    expect(result).toMatchObject({ groupsProcessed: 2, merged: 1, splits: 0 });
+    const groups = await ErrorEvent.find({ projectId: project._id }).lean();
+    expect(groups).toHaveLength(1);
+    expect(groups[0]).toMatchObject({ count: 2, groupingVersion: LATEST_GROUPING_VERSION });
+
+    const occurrences = await ErrorOccurrence.find({ projectId: project._id }).lean();
+    expect(occurrences.map((occurrence) => occurrence.errorId.toString())).toEqual([groups[0]._id.toString(), groups[0]._id.toString()]);
+    expect(new Set(occurrences.map((occurrence) => occurrence.fingerprint))).toEqual(new Set([groups[0].fingerprint]));
+
+    const updatedProject = await Project.findById(project._id).lean();
+    expect(updatedProject.regroup).toMatchObject({ status: 'completed', version: LATEST_GROUPING_VERSION, groupsProcessed: 2 });
+  });
+
+  it('splits occurrences that no longer share a fingerprint and keeps the workflow state', async () => {
+    const timestamp = new Date('2024-03-01T10:00:00Z');
+    const group = await ErrorEvent.create({
+      projectId: project._id,
+      message: 'Cart total is NaN',
+      stackTrace,
+      fingerprint: 'legacy',
+      environment: 'production',
+      count: 5,
+      status: 'investigating',
+      firstSeen: timestamp,
+      lastSeen: timestamp,
+    });
+    const occurrenceAt = (line, minutes) => ({
+      errorId: group._id,
+      projectId: project._id,
+      fingerprint: 'legacy',
+      message: 'Cart total is NaN',
+      stackTrace: [{ ...stackTrace[0], line }],
+      environment: 'production',
+      timestamp: new Date(timestamp.getTime() + minutes * 60000),
+    });
+    await ErrorOccurrence.create([occurrenceAt(14, 0), occurrenceAt(14, 1), occurrenceAt(80, 2)]);
+
+    await Project.updateOne({ _id: project._id }, { groupingVersion: LATEST_GROUPING_VERSION });
+    await regroupProject(project._id, LATEST_GROUPING_VERSION);
+
+    const original = await ErrorEvent.findById(group._id).lean();
+    const split = await ErrorEvent.findOne({ projectId: project._id, _id: { $ne: group._id } }).lean();
+    expect(original).toMatchObject({ count: 4, status: 'investigating', groupingVersion: LATEST_GROUPING_VERSION });
+    expect(split).toMatchObject({ count: 1, status: 'investigating', groupingVersion: LATEST_GROUPING_VERSION });
+    expect(await ErrorOccurrence.countDocuments({ errorId: split._id, fingerprint: split.fingerprint })).toBe(1);
+    expect(await ErrorOccurrence.countDocuments({ errorId: group._id, fingerprint: original.fingerprint })).toBe(2);
+  });
+
+  it('counts events against groups the regroup has not reached yet', async () => {
+    const first = await ingestError({ message: 'User 123 not found', stackTrace, environment: 'production' }, project);
+    await ErrorEvent.updateOne({ _id: first.errorEvent._id }, { $set: { status: 'investigating' } });
+
+    await Project.updateOne(
+      { _id: project._id },
+      { groupingVersion: LATEST_GROUPING_VERSION, regroup: { status: 'pending', version: LATEST_GROUPING_VERSION } }
+    );
+    const pending = await Project.findById(project._id);
+    const second = await ingestError({ message: 'User 123 not found', stackTrace, environment: 'production' }, pending);
+
+    expect(second.isNew).toBe(false);
+    expect(second.errorEvent._id.toString()).toBe(first.errorEvent._id.toString());
+
+    await regroupProject(project._id, LATEST_GROUPING_VERSION);
+    const groups = await ErrorEvent.find({ projectId: project._id }).lean();
+    expect(groups).toHaveLength(1);
+    expect(groups[0]).toMatchObject({ _id: first.errorEvent._id, count: 2, status: 'investigating' });
+  });
+
+  it('keeps the older group when a newer one already has the new fingerprint', async () => {
+    const firstSeen = new Date('2024-03-01T10:00:00Z');
+    const legacy = await ErrorEvent.create({
+      projectId: project._id,
+      message: 'User 123 not found',
+      stackTrace,
+      fingerprint: 'legacy',
+      environment: 'production',
+      count: 3,
+      status: 'investigating',
+      firstSeen,
+      lastSeen: firstSeen,
+    });
+    const newer = await ErrorEvent.create({
+      projectId: project._id,
+      message: 'User 456 not found',
+      stackTrace,
+      fingerprint: createFingerprint('User 456 not found', stackTrace, [], { version: LATEST_GROUPING_VERSION }),
+      groupingVersion: LATEST_GROUPING_VERSION,
+      environment: 'production',
+      count: 2,
+      firstSeen: new Date('2024-03-02T10:00:00Z'),
+      lastSeen: new Date('2024-03-02T11:00:00Z'),
+      releases: ['2.0.0'],
+    });
+    await ErrorOccurrence.create({
+      errorId: newer._id,
+      projectId: project._id,
+      fingerprint: newer.fingerprint,
+      message: 'User 456 not found',
+      stackTrace,
+      environment: 'production',
+      timestamp: newer.lastSeen,
+    });
+
+    await Project.updateOne({ _id: project._id }, { groupingVersion: LATEST_GROUPING_VERSION });
+    const result = await regroupProject(project._id, LATEST_GROUPING_VERSION);
+
+    expect(result).toMatchObject({ groupsProcessed: 1, merged: 0 });
+    const groups = await ErrorEvent.find({ projectId: project._id }).lean();
+    expect(groups).toHaveLength(1);
+    expect(groups[0]).toMatchObject({
+      _id: legacy._id,
+      fingerprint: newer.fingerprint,
+      count: 5,
+      status: 'investigating',
+      message: 'User 456 not found',
+      releases: ['2.0.0'],
+    });
+    expect(groups[0].firstSeen).toEqual(firstSeen);
+    expect(await ErrorOccurrence.countDocuments({ errorId: legacy._id })).toBe(1);
+  });
+
+  it('absorbs a group ingestion creates for the new fingerprint while the regroup runs', async () => {
+    const firstSeen = new Date('2024-03-01T10:00:00Z');
+    const legacy = await ErrorEvent.create({
+      projectId: project._id,
+      message: 'User 123 not found',
+      stackTrace,
+      fingerprint: 'legacy',
+      environment: 'production',
+      count: 3,
+      status: 'investigating',
+      firstSeen,
+      lastSeen: firstSeen,
+    });
+    const fingerprint = createFingerprint('User 123 not found', stackTrace, [], { version: LATEST_GROUPING_VERSION });
+    const racer = {
+      projectId: project._id,
+      message: 'User 123 not found',
+      stackTrace,
+      fingerprint,
+      groupingVersion: LATEST_GROUPING_VERSION,
+      environment: 'production',
+      level: 'fatal',
+      count: 1,
+      firstSeen: new Date('2024-03-02T10:00:00Z'),
+      lastSeen: new Date('2024-03-02T10:00:00Z'),
+    };
+
+    // Ingestion opens the group right before the regroup moves the legacy group onto its fingerprint.
+    const updateOne = ErrorEvent.updateOne.bind(ErrorEvent);
+    let raced = false;
+    const spy = jest.spyOn(ErrorEvent, 'updateOne').mockImplementation(async (filter, update, ...rest) => {
+      if (!raced && update?.$set?.fingerprint === fingerprint) {
+        raced = true;
+        const created = await ErrorEvent.create(racer);
+        await ErrorOccurrence.create({ ...racer, errorId: created._id, timestamp: racer.lastSeen });
+      }
+      return updateOne(filter, update, ...rest);
+    });
+    let result;
+    try {
+      await Project.updateOne({ _id: project._id }, { groupingVersion: LATEST_GROUPING_VERSION });
+      result = await regroupProject(project._id, LATEST_GROUPING_VERSION);
+    } finally {
+      spy.mockRestore();
+    }
+
+    expect(raced).toBe(true);
+    expect(result).toMatchObject({ groupsProcessed: 1, merged: 0 });
+    const groups = await ErrorEvent.find({ projectId: project._id }).lean();
+    expect(groups).toHaveLength(1);
+    expect(groups[0]).toMatchObject({ _id: legacy._id, fingerprint, count: 4, status: 'investigating', level: 'fatal' });
+    expect(await ErrorOccurrence.countDocuments({ errorId: legacy._id })).toBe(1);
+  });
+
+  it('keeps manual merges through a regroup', async () => {
+    const paymentTrace = [{ file: 'src/payments.js', line: 40, column: 5, function: 'charge', inApp: true }];
+    const primary = await ingestError({ message: 'User 123 not found', stackTrace, environment: 'production' }, project);
+    const merged = await ingestError({ message: 'Payment declined', stackTrace: paymentTrace, environment: 'production' }, project);
+    await mergeErrors(project, primary.errorEvent._id, [merged.errorEvent._id.toString()]);
+
+    await Project.updateOne({ _id: project._id }, { groupingVersion: LATEST_GROUPING_VERSION });
+    const result = await regroupProject(project._id, LATEST_GROUPING_VERSION);
+
+    expect(result).toMatchObject({ groupsProcessed: 1, merged: 0, splits: 0 });
+    const mergedFingerprint = createFingerprint('Payment declined', paymentTrace, [], { version: LATEST_GROUPING_VERSION });
+    const [group, ...others] = await ErrorEvent.find({ projectId: project._id }).lean();
+    expect(others).toHaveLength(0);
+    expect(group).toMatchObject({ _id: primary.errorEvent._id, count: 2 });
+    expect(group.mergedGroups).toHaveLength(1);
+    expect(group.mergedGroups[0]).toMatchObject({
+      errorId: merged.errorEvent._id,
+      fingerprint: mergedFingerprint,
+      groupingVersion: LATEST_GROUPING_VERSION,
+    });
+    expect(await ErrorOccurrence.countDocuments({ errorId: group._id, fingerprint: mergedFingerprint })).toBe(1);
+
+    const regrouped = await Project.findById(project._id);
+    const next = await ingestError({ message: 'Payment declined', stackTrace: paymentTrace, environment: 'production' }, regrouped);
+    expect(next.errorEvent._id.toString()).toBe(group._id.toString());
+
+    await unmergeError(regrouped, group._id, merged.errorEvent._id.toString());
+    const restored = await ErrorEvent.findById(merged.errorEvent._id).lean();
+    expect(restored).toMatchObject({ fingerprint: mergedFingerprint, count: 2 });
+    expect(await ErrorOccurrence.countDocuments({ errorId: restored._id })).toBe(2);
+  });
+
+  it('counts events ingested while a merge is in progress on the primary group', async () => {
+    const paymentTrace = [{ file: 'src/payments.js', line: 40, column: 5, function: 'charge', inApp: true }];
+    const payment = { message: 'Payment declined', stackTrace: paymentTrace, environment: 'production' };
+    const primary = await ingestError({ message: 'User 123 not found', stackTrace, environment: 'production' }, project);
+    const source = await ingestError(payment, project);
+
+    // Ingest one event just before the source group is deleted and one just after.
+    const findOneAndDelete = ErrorEvent.findOneAndDelete.bind(ErrorEvent);
+    const spy = jest.spyOn(ErrorEvent, 'findOneAndDelete').mockImplementation((...args) => ({
+      lean: async () => {
+        await ingestError(payment, project);
+        const removed = await findOneAndDelete(...args).lean();
+        await ingestError(payment, project);
+        return removed;
+      },
+    }));
+    try {
+      await mergeErrors(project, primary.errorEvent._id, [source.errorEvent._id.toString()]);
+    } finally {
+      spy.mockRestore();
+    }
+
+    const groups = await ErrorEvent.find({ projectId: project._id }).lean();
+    expect(groups).toHaveLength(1);
+    expect(groups[0]).toMatchObject({ _id: primary.errorEvent._id, count: 4 });
+    expect(groups[0].mergedGroups).toHaveLength(1);
+    expect(groups[0].mergedGroups[0]).toMatchObject({ errorId: source.errorEvent._id, count: 3 });
+    expect(await ErrorOccurrence.countDocuments({ errorId: primary.errorEvent._id })).toBe(4);
+
+    await unmergeError(project, primary.errorEvent._id, source.errorEvent._id.toString());
+    expect(await ErrorEvent.findById(source.errorEvent._id).lean()).toMatchObject({ count: 3 });
+    expect(await ErrorEvent.findById(primary.errorEvent._id).lean()).toMatchObject({ count: 1 });
+  });
+
+  it('skips jobs for a version the project no longer uses', async () => {
+    await ingestError({ message: 'User 123 not found', stackTrace, environment: 'production' }, project);
+
+    expect(await regroupProject(project._id, LATEST_GROUPING_VERSION)).toBeNull();
+    await expect(regroupProject(project._id, 7)).rejects.toThrow(/Unknown grouping version/);
+    expect(await ErrorEvent.countDocuments({ projectId: project._id, groupingVersion: 1 })).toBe(1);
+  });
+});
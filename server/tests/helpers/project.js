@@ -1,19 +1,29 @@
 const Project = require('../../src/models/Project');
 const { createApiKey, hashApiKey, getApiKeyPreview } = require('../../src/utils/api-key');
 
-async function createProjectWithApiKey({ name = 'Test Project', status = 'active', apiKey, scrubbing, retentionDays } = {}) {
+async function createProjectWithApiKey({
+  name = 'Test Project',
+  status = 'active',
+  apiKey,
+  publicKey,
+  scrubbing,
+  retentionDays,
+} = {}) {
   const key = typeof apiKey === 'string' && apiKey.length ? apiKey : createApiKey();
+  const ingestKey = typeof publicKey === 'string' && publicKey.length ? publicKey : createApiKey('public');
 
   const project = await Project.create({
     name,
     status,
-    apiKeyHash: hashApiKey(key),
-    apiKeyPreview: getApiKeyPreview(key),
+    apiKeys: [
+      { label: 'Default secret key', type: 'secret', keyHash: hashApiKey(key), preview: getApiKeyPreview(key) },
+      { label: 'Default public key', type: 'public', keyHash: hashApiKey(ingestKey), preview: getApiKeyPreview(ingestKey) },
+    ],
     ...(scrubbing ? { scrubbing } : {}),
     ...(retentionDays ? { retentionDays } : {}),
   });
 
-  return { project, apiKey: key };
+  return { project, apiKey: key, publicKey: ingestKey };
 }
 
 module.exports = {
@@ -0,0 +1,118 @@
+jest.mock('../src/models/Project', () => ({
+  findOne: jest.fn(),
+}));
+
+jest.mock('../src/models/Occurrence', () => ({
+  exists: jest.fn(),
+  deleteOne: jest.fn(),
+}));
+
+jest.mock('../src/services/error-service', () => ({
+  ingestError: jest.fn(),
+}));
+
+jest.mock('../src/queues/queue-factory', () => {
+  const queues = new Map();
+  const createFakeQueue = (name, options) => ({
+    name,
+    options,
+    added: [],
+    processors: new Map(),
+    listeners: new Map(),
+    add: jest.fn(async function add(jobName, data, opts) {
+      this.added.push({ jobName, data, opts });
+      return { id: opts.jobId, name: jobName, data };
+    }),
+    process: jest.fn(function process(jobName, concurrency, handler) {
+      this.processors.set(jobName, handler);
+    }),
+    on: jest.fn(function on(event, handler) {
+      this.listeners.set(event, handler);
+    }),
+  });
+  return {
+    queues,
+    createQueue: jest.fn((name, options) => {
+      const queue = createFakeQueue(name, options);
+      queues.set(name, queue);
+      return queue;
+    }),
+    isQueueAvailable: jest.fn(() => true),
+    getQueueConfig: jest.fn(() => ({ inline: false, defaultConcurrency: 2, ingestionMode: 'queue' })),
+  };
+});
+
+const Project = require('../src/models/Project');
+const ErrorOccurrence = require('../src/models/Occurrence');
+const { ingestError } = require('../src/services/error-service');
+const { queues } = require('../src/queues/queue-factory');
+const { enqueueIngestion, isQueuedIngestion, registerIngestionProcessor } = require('../src/queues/ingestion-queue');
+
+describe('ingestion queue', () => {
+  const payload = { message: 'Queued failure', environment: 'production' };
+  const project = { _id: 'proj-1', status: 'active' };
+
+  beforeAll(() => {
+    registerIngestionProcessor();
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  const ingestionQueue = () => queues.get('error-ingestion');
+  const runJob = (data) => ingestionQueue().processors.get('ingest-event')({ data });
+
+  it('queues events under their event id', async () => {
+    const result = await enqueueIngestion({ eventId: 'event-1', projectId: 'proj-1', payload });
+
+    expect(isQueuedIngestion()).toBe(true);
+    expect(result).toEqual({ id: 'event-1', queued: true });
+    expect(ingestionQueue().add).toHaveBeenCalledWith('ingest-event', { eventId: 'event-1', projectId: 'proj-1', payload }, { jobId: 'event-1' });
+  });
+
+  it('stores queued events with the event id as occurrence id', async () => {
+    ErrorOccurrence.exists.mockResolvedValue(null);
+    Project.findOne.mockResolvedValue(project);
+    ingestError.mockResolvedValue({ errorEvent: { _id: 'error-1' }, isNew: true });
+
+    await expect(runJob({ eventId: 'event-1', projectId: 'proj-1', payload })).resolves.toEqual({
+      eventId: 'event-1',
+      errorId: 'error-1',
+      isNew: true,
+    });
+    expect(Project.findOne).toHaveBeenCalledWith({ _id: 'proj-1', status: 'active' });
+    expect(ingestError).toHaveBeenCalledWith(payload, project, { eventId: 'event-1' });
+  });
+
+  it('skips events stored by an earlier attempt and events of removed projects', async () => {
+    ErrorOccurrence.exists.mockResolvedValueOnce({ _id: 'event-1' });
+    await expect(runJob({ eventId: 'event-1', projectId: 'proj-1', payload })).resolves.toEqual({ eventId: 'event-1', duplicate: true });
+    // Occurrences left pending by a failed attempt are picked up again by the retry.
+    expect(ErrorOccurrence.exists).toHaveBeenCalledWith({ _id: 'event-1', pending: { $ne: true } });
+
+    ErrorOccurrence.exists.mockResolvedValueOnce(null);
+    Project.findOne.mockResolvedValueOnce(null);
+    await expect(runJob({ eventId: 'event-2', projectId: 'gone', payload })).resolves.toBeNull();
+
+    expect(ingestError).not.toHaveBeenCalled();
+  });
+
+  it('moves events to the dead-letter queue once their attempts are used up', async () => {
+    const onFailed = ingestionQueue().listeners.get('failed');
+    const data = { eventId: 'event-3', projectId: 'proj-1', payload };
+
+    onFailed({ data, attemptsMade: 1, opts: { attempts: 3 } }, new Error('Mongo down'));
+    onFailed({ data, attemptsMade: 3, opts: { attempts: 3 } }, new Error('Mongo down'));
+    await new Promise(setImmediate);
+
+    const deadLetter = queues.get('error-ingestion-dead-letter');
+    expect(deadLetter.added).toHaveLength(1);
+    expect(deadLetter.added[0]).toMatchObject({
+      jobName: 'failed-event',
+      data: { ...data, error: 'Mongo down', attemptsMade: 3 },
+      opts: { jobId: 'event-3' },
+    });
+    expect(ErrorOccurrence.deleteOne).toHaveBeenCalledWith({ _id: 'event-3', pending: true });
+  });
+});
@@ -95,6 +95,9 @@ describe('Project management API', () => {
     expect(response.body?.data?.name).toBe('New Project');
     expect(response.body?.data?.apiKey).toEqual(expect.stringMatching(/^proj_/));
     expect(response.body?.data?.apiKeyPreview).toEqual(response.body.data.apiKey.slice(-8));
+    expect(response.body?.data?.publicKey).toEqual(expect.stringMatching(/^pub_/));
+    expect(response.body?.data?.publicKeyPreview).toEqual(response.body.data.publicKey.slice(-8));
+    expect(response.body?.data?.groupingVersion).toBe(2);
 
     const reloadedUser = await User.findById(user._id).lean();
     const membership = reloadedUser.memberships.find((entry) => entry.projectId.toString() === response.body.data.id);
@@ -116,8 +119,164 @@ describe('Project management API', () => {
     expect(response.body?.data?.apiKeyPreview).toEqual(response.body.data.apiKey.slice(-8));
 
     const updated = await Project.findById(project._id).lean();
-    expect(updated.apiKeyHash).toBeTruthy();
-    expect(updated.apiKeyPreview).toBe(response.body.data.apiKeyPreview);
+    const secretKeys = updated.apiKeys.filter((entry) => entry.type === 'secret');
+    expect(secretKeys).toHaveLength(2);
+    expect(secretKeys[0].revoked).toBe(true);
+    expect(secretKeys[1].preview).toBe(response.body.data.apiKeyPreview);
+
+    const rejected = await request(app).get('/api/errors').set('X-Api-Key', apiKey);
+    expect(rejected.status).toBe(401);
+  });
+
+  it('keeps the previous key working during a grace-period rotation', async () => {
+    const { project, apiKey } = await createProjectWithApiKey({ name: 'Rotate Grace' });
+    const { token } = await createUserWithToken({ role: 'admin', project });
+
+    const response = await request(app)
+      .post(`/api/projects/${project._id.toString()}/rotate-key`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ graceHours: 24 });
+
+    expect(response.status).toBe(200);
+    const previous = response.body.data.apiKeys.find((entry) => entry.type === 'secret' && entry.id !== response.body.data.apiKeys.at(-1).id);
+    expect(previous.status).toBe('active');
+    expect(new Date(previous.expiresAt).getTime()).toBeGreaterThan(Date.now() + 23 * 60 * 60 * 1000);
+
+    const oldKeyResponse = await request(app).get('/api/errors').set('X-Api-Key', apiKey);
+    expect(oldKeyResponse.status).toBe(200);
+    const newKeyResponse = await request(app).get('/api/errors').set('X-Api-Key', response.body.data.apiKey);
+    expect(newKeyResponse.status).toBe(200);
+  });
+
+  it('rotates only the current key when no key id is given', async () => {
+    const { project } = await createProjectWithApiKey({ name: 'Rotate Current' });
+    const { token } = await createUserWithToken({ role: 'admin', project });
+
+    const created = await request(app)
+      .post(`/api/projects/${project._id.toString()}/keys`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ label: 'CI pipeline', type: 'secret' });
+    expect(created.status).toBe(201);
+
+    const response = await request(app)
+      .post(`/api/projects/${project._id.toString()}/rotate-key`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ keyId: created.body.data.id });
+
+    expect(response.status).toBe(200);
+    const retired = await request(app).get('/api/errors').set('X-Api-Key', created.body.data.key);
+    expect(retired.status).toBe(401);
+
+    const listed = response.body.data.apiKeys.filter((entry) => entry.type === 'secret');
+    expect(listed.filter((entry) => entry.status === 'active')).toHaveLength(2);
+    expect(response.body.data.apiKeyId).toBe(listed.at(-1).id);
+
+    const defaultRotation = await request(app)
+      .post(`/api/projects/${project._id.toString()}/rotate-key`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(defaultRotation.status).toBe(200);
+    const afterDefault = defaultRotation.body.data.apiKeys.filter((entry) => entry.type === 'secret');
+    // The original key survives; only the newest key, the one the settings page shows, was replaced.
+    expect(afterDefault[0].status).toBe('active');
+    expect(afterDefault.find((entry) => entry.id === response.body.data.apiKeyId).status).toBe('revoked');
+  });
+
+  it('rejects grace periods outside the allowed range', async () => {
+    const { project } = await createProjectWithApiKey({ name: 'Rotate Grace Invalid' });
+    const { token } = await createUserWithToken({ role: 'admin', project });
+
+    const response = await request(app)
+      .post(`/api/projects/${project._id.toString()}/rotate-key`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ graceHours: -1 });
+
+    expect(response.status).toBe(422);
+  });
+
+  it('creates, lists and revokes named keys', async () => {
+    const { project } = await createProjectWithApiKey({ name: 'Named Keys' });
+    const { token } = await createUserWithToken({ role: 'admin', project });
+    const expiresAt = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString();
+
+    const created = await request(app)
+      .post(`/api/projects/${project._id.toString()}/keys`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ label: 'CI pipeline', type: 'secret', expiresAt });
+
+    expect(created.status).toBe(201);
+    expect(created.body.data).toMatchObject({ label: 'CI pipeline', type: 'secret', status: 'active', revoked: false });
+    expect(created.body.data.key).toEqual(expect.stringMatching(/^proj_/));
+    expect(created.body.data.expiresAt).toBe(expiresAt);
+
+    const used = await request(app).get('/api/errors').set('X-Api-Key', created.body.data.key);
+    expect(used.status).toBe(200);
+
+    const listed = await request(app)
+      .get(`/api/projects/${project._id.toString()}/keys`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(listed.status).toBe(200);
+    expect(listed.body.data).toHaveLength(3);
+    const listedKey = listed.body.data.find((entry) => entry.id === created.body.data.id);
+    expect(listedKey.key).toBeUndefined();
+    expect(listedKey.lastUsedAt).toBeTruthy();
+    expect(listedKey.lastUsedIp).toBeTruthy();
+
+    const revoked = await request(app)
+      .delete(`/api/projects/${project._id.toString()}/keys/${created.body.data.id}`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(revoked.status).toBe(200);
+    expect(revoked.body.data).toMatchObject({ revoked: true, status: 'revoked' });
+
+    const rejected = await request(app).get('/api/errors').set('X-Api-Key', created.body.data.key);
+    expect(rejected.status).toBe(401);
+  });
+
+  it('prevents non-admin members from managing keys', async () => {
+    const { project } = await createProjectWithApiKey({ name: 'Named Keys Forbidden' });
+    const { token } = await createUserWithToken({ role: 'developer', project });
+
+    const response = await request(app)
+      .post(`/api/projects/${project._id.toString()}/keys`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ label: 'Nope' });
+
+    expect(response.status).toBe(403);
+  });
+
+  it('rotates the public ingest key without touching the secret key', async () => {
+    const { project, publicKey } = await createProjectWithApiKey({ name: 'Rotate Public' });
+    const { token } = await createUserWithToken({ role: 'admin', project });
+
+    const response = await request(app)
+      .post(`/api/projects/${project._id.toString()}/rotate-key`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ type: 'public' });
+
+    expect(response.status).toBe(200);
+    expect(response.body?.data?.publicKey).toEqual(expect.stringMatching(/^pub_/));
+    expect(response.body.data.publicKey).not.toBe(publicKey);
+    expect(response.body.data.apiKey).toBeUndefined();
+
+    const updated = await Project.findById(project._id).lean();
+    const secretKeys = updated.apiKeys.filter((entry) => entry.type === 'secret');
+    expect(secretKeys).toHaveLength(1);
+    expect(secretKeys[0].revoked).toBe(false);
+    expect(response.body.data.publicKeyPreview).toBe(response.body.data.publicKey.slice(-8));
+  });
+
+  it('rejects unknown key types on rotation', async () => {
+    const { project } = await createProjectWithApiKey({ name: 'Rotate Invalid' });
+    const { token } = await createUserWithToken({ role: 'admin', project });
+
+    const response = await request(app)
+      .post(`/api/projects/${project._id.toString()}/rotate-key`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ type: 'root' });
+
+    expect(response.status).toBe(422);
   });
 
   it('prevents non-admin members from rotating API keys', async () => {
@@ -219,4 +378,51 @@ describe('Project management API', () => {
     expect(response.status).toBe(422);
     expect(response.body?.error?.message).toMatch(/Retention/);
   });
+
+  it('saves grouping rules in order and rejects invalid ones', async () => {
+    const { project } = await createProjectWithApiKey({ name: 'Rules' });
+    const { token } = await createUserWithToken({ role: 'admin', project });
+    const patchProject = (body) => request(app)
+      .patch(`/api/projects/${project._id.toString()}`)
+      .set('Authorization', `Bearer ${token}`)
+      .send(body);
+    const rules = [
+      { name: 'Stripe', conditions: [{ type: 'message', pattern: '^StripeError' }], fingerprint: ['stripe'] },
+      { name: 'Billing', match: 'all', conditions: [{ type: 'tag', key: 'service', value: 'billing' }], fingerprint: ['{{ default }}', 'billing'] },
+    ];
+
+    const response = await patchProject({ groupingRules: rules });
+    expect(response.status).toBe(200);
+    expect(response.body?.data?.groupingRules.map((rule) => rule.name)).toEqual(['Stripe', 'Billing']);
+    expect(response.body?.data?.groupingRules[1]).toMatchObject({ match: 'all', enabled: true, fingerprint: ['{{ default }}', 'billing'] });
+
+    const [first] = response.body.data.groupingRules;
+    const renamed = await patchProject({ groupingRules: [{ ...first, name: 'Stripe errors' }] });
+    expect(renamed.body?.data?.groupingRules).toEqual([expect.objectContaining({ id: first.id, name: 'Stripe errors' })]);
+
+    const invalid = await patchProject({ groupingRules: [{ name: 'Broken', conditions: [{ type: 'message', pattern: '[' }], fingerprint: ['x'] }] });
+    expect(invalid.status).toBe(422);
+    expect(invalid.body?.error?.message).toMatch(/regular expression/);
+  });
+
+  it('opts a project into a new grouping version and schedules a regroup', async () => {
+    const { project } = await createProjectWithApiKey({ name: 'Legacy Grouping' });
+    const { token } = await createUserWithToken({ role: 'admin', project });
+    const patchProject = (body) => request(app)
+      .patch(`/api/projects/${project._id.toString()}`)
+      .set('Authorization', `Bearer ${token}`)
+      .send(body);
+
+    const invalid = await patchProject({ groupingVersion: 3 });
+    expect(invalid.status).toBe(422);
+    expect(invalid.body?.error?.message).toMatch(/Grouping version/);
+
+    const response = await patchProject({ groupingVersion: 2 });
+    expect(response.status).toBe(200);
+    expect(response.body?.data?.groupingVersion).toBe(2);
+    expect(response.body?.data?.regroup).toMatchObject({ status: 'pending', version: 2 });
+
+    const updated = await Project.findById(project._id).lean();
+    expect(updated.groupingVersion).toBe(2);
+  });
 });
@@ -14,6 +14,7 @@ describe('Role-based access control', () => {
   let app;
   let mongoServer;
   let project;
+  let publicKey;
   let errorEvent;
 
   const signupAndGetToken = async ({ name, email, role }) => {
@@ -49,7 +50,7 @@ describe('Role-based access control', () => {
 
   beforeEach(async () => {
     await Promise.all([User.deleteMany({}), Project.deleteMany({}), ErrorEvent.deleteMany({})]);
-    ({ project } = await createProjectWithApiKey({ name: 'RBAC Project', apiKey: 'rbac-key-secret' }));
+    ({ project, publicKey } = await createProjectWithApiKey({ name: 'RBAC Project', apiKey: 'rbac-key-secret' }));
     errorEvent = await ErrorEvent.create({
       projectId: project._id,
       message: 'ReferenceError: foo is not defined',
@@ -59,6 +60,41 @@ describe('Role-based access control', () => {
     app = createApp();
   });
 
+  it('limits public keys to the ingestion endpoints', async () => {
+    const ingest = await request(app)
+      .post('/api/errors')
+      .set('X-Api-Key', publicKey)
+      .set('Origin', 'https://shop.example.com')
+      .send({ message: 'Browser failure', stackTrace: [{ file: 'app.js', line: 1 }], environment: 'production' });
+
+    expect(ingest.status).toBe(201);
+    expect(ingest.headers['access-control-allow-origin']).toBe('https://shop.example.com');
+
+    const list = await request(app).get('/api/errors').set('X-Api-Key', publicKey);
+    expect(list.status).toBe(403);
+
+    const remove = await request(app).delete(`/api/errors/${errorEvent._id}`).set('X-Api-Key', publicKey);
+    expect(remove.status).toBe(403);
+
+    const rules = await request(app).get('/api/alert-rules').set('X-Api-Key', publicKey);
+    expect(rules.status).toBe(403);
+  });
+
+  it('rejects secret keys sent from browser origins', async () => {
+    const response = await request(app)
+      .post('/api/errors')
+      .set('X-Api-Key', 'rbac-key-secret')
+      .set('Origin', 'https://shop.example.com')
+      .send({ message: 'Leaked key', stackTrace: [{ file: 'app.js', line: 1 }], environment: 'production' });
+
+    expect(response.status).toBe(403);
+
+    const fromServer = await request(app)
+      .get('/api/errors')
+      .set('X-Api-Key', 'rbac-key-secret');
+    expect(fromServer.status).toBe(200);
+  });
+
   it('allows viewers to read errors but blocks mutations', async () => {
     const viewerToken = await signupAndGetToken({ name: 'Viewer', email: 'viewer@example.com', role: 'viewer' });
 
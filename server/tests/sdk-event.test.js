@@ -0,0 +1,220 @@
+const { isSdkEvent, normalizeSdkEvent } = require('../src/utils/sdk-event');
+const { validateErrorPayload } = require('../src/validators/error-validator');
+const { sanitizeErrorPayload } = require('../src/utils/sanitize');
+
+describe('sdk-event normalization', () => {
+  const sdkEvent = {
+    id: 'evt-1',
+    apiKey: 'proj_key',
+    timestamp: '2024-01-01T00:00:00.000Z',
+    environment: 'production',
+    sdkVersion: '0.1.0',
+    system: { platform: 'browser', userAgent: 'jest' },
+    sessionId: 'session-1',
+    user: { id: 'u-1' },
+    context: { route: '/checkout' },
+    tags: { feature: 'cart' },
+    breadcrumbs: [{ message: 'clicked pay', category: 'ui' }],
+    error: {
+      name: 'TypeError',
+      message: 'x is undefined',
+      stack: 'TypeError: x is undefined',
+      stacktrace: [
+        { functionName: 'pay', fileName: 'https://app.example.com/main.js', lineNumber: 10, columnNumber: 5, raw: '' },
+      ],
+    },
+  };
+
+  it('detects SDK envelopes', () => {
+    expect(isSdkEvent(sdkEvent)).toBe(true);
+    expect(isSdkEvent({ message: 'Boom', stackTrace: [] })).toBe(false);
+    expect(isSdkEvent(null)).toBe(false);
+  });
+
+  it('maps the SDK envelope onto the ingestion shape', () => {
+    const normalized = normalizeSdkEvent(sdkEvent);
+
+    expect(normalized).toEqual({
+      message: 'TypeError: x is undefined',
+      stackTrace: [{ file: 'https://app.example.com/main.js', line: 10, column: 5, function: 'pay' }],
+      environment: 'production',
+      userContext: { id: 'u-1' },
+      metadata: {
+        tags: { feature: 'cart' },
+        context: { route: '/checkout' },
+        breadcrumbs: [{ message: 'clicked pay', category: 'ui' }],
+        eventId: 'evt-1',
+        system: { platform: 'browser', userAgent: 'jest' },
+        sdkVersion: '0.1.0',
+        sessionId: 'session-1',
+      },
+      timestamp: '2024-01-01T00:00:00.000Z',
+    });
+    expect(normalized).not.toHaveProperty('apiKey');
+  });
+
+  it('supplies a placeholder frame when the SDK could not parse a stack', () => {
+    const normalized = normalizeSdkEvent({ ...sdkEvent, error: { name: 'Error', message: 'no stack', stacktrace: [] } });
+    expect(normalized.stackTrace).toEqual([{ file: 'unknown', line: null, column: null, function: null }]);
+  });
+
+  it('maps captureMessage envelopes with a placeholder frame', async () => {
+    const envelope = { ...sdkEvent };
+    delete envelope.error;
+    const normalized = normalizeSdkEvent({ ...envelope, message: '  Checkout slow  ', level: 'info' });
+
+    expect(isSdkEvent({ ...envelope, message: 'Checkout slow' })).toBe(true);
+    expect(normalized).toMatchObject({
+      message: 'Checkout slow',
+      level: 'info',
+      stackTrace: [{ file: 'unknown', line: null, column: null, function: null }],
+      metadata: {
+        tags: { feature: 'cart' },
+        context: { route: '/checkout' },
+        breadcrumbs: [{ message: 'clicked pay', category: 'ui' }],
+        eventId: 'evt-1',
+      },
+    });
+    await expect(validateErrorPayload(normalized)).resolves.toEqual([]);
+  });
+
+  it('cuts oversized envelopes down to the ingestion limits', async () => {
+    const frame = sdkEvent.error.stacktrace[0];
+    const normalized = normalizeSdkEvent({
+      ...sdkEvent,
+      error: {
+        name: 'Error',
+        message: 'x'.repeat(3000),
+        stacktrace: Array.from({ length: 80 }, () => ({
+          ...frame,
+          preContext: Array.from({ length: 30 }, (_, index) => `line ${index}`),
+          contextLine: 'y'.repeat(1500),
+          postContext: [],
+        })),
+        linkedExceptions: [{ name: 'Error', message: 'z'.repeat(3000), relation: 'cause', depth: 1, stacktrace: [] }],
+      },
+    });
+
+    expect(normalized.message).toHaveLength(2000);
+    expect(normalized.stackTrace).toHaveLength(50);
+    expect(normalized.stackTrace[0].preContext).toHaveLength(20);
+    expect(normalized.stackTrace[0].preContext[19]).toBe('line 29');
+    expect(normalized.stackTrace[0].contextLine).toHaveLength(1000);
+    expect(normalized.linkedExceptions[0].message).toHaveLength(2000);
+    await expect(validateErrorPayload(normalized)).resolves.toEqual([]);
+  });
+
+  it('leaves ingestion-shaped payloads untouched', () => {
+    const payload = { message: 'Boom', stackTrace: [{ file: 'a.js', line: 1 }], environment: 'production' };
+    expect(normalizeSdkEvent(payload)).toBe(payload);
+  });
+
+  it('carries the SDK release through to the ingestion payload', async () => {
+    const normalized = normalizeSdkEvent({ ...sdkEvent, release: 'web@2.4.1' });
+    expect(normalized.release).toBe('web@2.4.1');
+    await expect(validateErrorPayload(normalized)).resolves.toEqual([]);
+    await expect(validateErrorPayload({ ...normalized, release: 42 })).resolves.toEqual([
+      expect.objectContaining({ field: 'release' }),
+    ]);
+  });
+
+  it('carries the severity level through and rejects unknown levels', async () => {
+    const normalized = normalizeSdkEvent({ ...sdkEvent, level: 'warning' });
+    expect(normalized.level).toBe('warning');
+    await expect(validateErrorPayload(normalized)).resolves.toEqual([]);
+    await expect(validateErrorPayload({ ...normalized, level: 'loud' })).resolves.toEqual([
+      expect.objectContaining({ field: 'level' }),
+    ]);
+  });
+
+  it('carries an SDK fingerprint through and validates its parts', async () => {
+    const normalized = normalizeSdkEvent({ ...sdkEvent, fingerprint: ['{{ default }}', 'checkout'] });
+    expect(normalized.fingerprint).toEqual(['{{ default }}', 'checkout']);
+    await expect(validateErrorPayload(normalized)).resolves.toEqual([]);
+    await expect(validateErrorPayload({ ...normalized, fingerprint: [] })).resolves.toEqual([
+      expect.objectContaining({ field: 'fingerprint' }),
+    ]);
+    await expect(validateErrorPayload({ ...normalized, fingerprint: ['ok', 42] })).resolves.toEqual([
+      expect.objectContaining({ field: 'fingerprint' }),
+    ]);
+  });
+
+  it('maps linked exceptions and their frames', async () => {
+    const normalized = normalizeSdkEvent({
+      ...sdkEvent,
+      error: {
+        ...sdkEvent.error,
+        linkedExceptions: [
+          {
+            name: 'RangeError',
+            message: 'quantity out of range',
+            relation: 'cause',
+            depth: 1,
+            stacktrace: [{ functionName: 'validate', fileName: 'cart.js', lineNumber: 3, columnNumber: 9 }],
+          },
+        ],
+      },
+    });
+
+    expect(normalized.linkedExceptions).toEqual([
+      {
+        name: 'RangeError',
+        message: 'quantity out of range',
+        relation: 'cause',
+        depth: 1,
+        stackTrace: [{ file: 'cart.js', line: 3, column: 9, function: 'validate' }],
+      },
+    ]);
+    await expect(validateErrorPayload(normalized)).resolves.toEqual([]);
+    await expect(
+      validateErrorPayload({ ...normalized, linkedExceptions: [{ ...normalized.linkedExceptions[0], depth: 0 }] })
+    ).resolves.toEqual([expect.objectContaining({ field: 'linkedExceptions[0]' })]);
+  });
+
+  it('passes the in-app flag set by the SDK through', async () => {
+    const frame = { ...sdkEvent.error.stacktrace[0], inApp: false };
+    const normalized = normalizeSdkEvent({ ...sdkEvent, error: { ...sdkEvent.error, stacktrace: [frame] } });
+
+    expect(normalized.stackTrace[0].inApp).toBe(false);
+    await expect(validateErrorPayload(normalized)).resolves.toEqual([]);
+    await expect(validateErrorPayload({ ...normalized, stackTrace: [{ file: 'a.js', inApp: 'yes' }] })).resolves.toEqual([
+      expect.objectContaining({ field: 'stackTrace[0]' }),
+    ]);
+  });
+
+  it('keeps the source context read by the Node.js SDK', async () => {
+    const frame = {
+      functionName: 'render',
+      fileName: '/srv/app/view.js',
+      lineNumber: 2,
+      columnNumber: 3,
+      preContext: ['const html = () =>'],
+      contextLine: '  `<div>${token}</div>`;',
+      postContext: [],
+    };
+    const normalized = normalizeSdkEvent({ ...sdkEvent, error: { ...sdkEvent.error, stacktrace: [frame] } });
+
+    expect(normalized.stackTrace[0]).toMatchObject({
+      preContext: ['const html = () =>'],
+      contextLine: '  `<div>${token}</div>`;',
+      postContext: [],
+    });
+    await expect(validateErrorPayload(normalized)).resolves.toEqual([]);
+
+    const [sanitizedFrame] = sanitizeErrorPayload({
+      ...normalized,
+      stackTrace: [{ ...normalized.stackTrace[0], contextLine: '\tlogin("password=hunter22");' }],
+    }).stackTrace;
+    expect(sanitizedFrame.contextLine).toBe('  login("password=[REDACTED]');
+    expect(sanitizeErrorPayload(normalized).stackTrace[0].contextLine).toContain('<div>');
+
+    const tooLong = { ...normalized.stackTrace[0], preContext: new Array(21).fill('x') };
+    await expect(validateErrorPayload({ ...normalized, stackTrace: [tooLong] })).resolves.toEqual([
+      expect.objectContaining({ field: 'stackTrace[0]' }),
+    ]);
+  });
+
+  it('produces payloads that pass errorValidationRules', async () => {
+    await expect(validateErrorPayload(normalizeSdkEvent(sdkEvent))).resolves.toEqual([]);
+  });
+});
@@ -0,0 +1,211 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SourceMapConsumer, SourceMapGenerator } = require('source-map');
+
+const {
+  normalizeArtifactName,
+  saveSourceMap,
+  listSourceMaps,
+  deleteSourceMap,
+  symbolicateStackTrace,
+  clearSourceMapCache,
+} = require('../src/services/source-map-service');
+
+const ORIGINAL_SOURCE = [
+  'import { formatPrice } from "./format";',
+  '',
+  'export function checkout(cart) {',
+  '  const total = cart.items.reduce((sum, item) => sum + item.price, 0);',
+  '  return formatPrice(total.amount);',
+  '}',
+].join('\n');
+
+const buildSourceMap = () => {
+  const generator = new SourceMapGenerator({ file: 'main.abc123.js' });
+  generator.addMapping({
+    source: 'src/checkout.js',
+    original: { line: 5, column: 9 },
+    generated: { line: 1, column: 120 },
+    name: 'checkout',
+  });
+  generator.setSourceContent('src/checkout.js', ORIGINAL_SOURCE);
+  return generator.toJSON();
+};
+
+describe('source-map-service', () => {
+  const project = { _id: '507f1f77bcf86cd799439011' };
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'source-maps-'));
+    process.env.SOURCE_MAP_DIR = directory;
+    clearSourceMapCache();
+  });
+
+  afterEach(() => {
+    delete process.env.SOURCE_MAP_DIR;
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('normalizes URLs, paths and webpack-style names to the same artifact', () => {
+    expect(normalizeArtifactName('https://cdn.example.com/static/js/main.js?v=3')).toBe('/static/js/main.js');
+    expect(normalizeArtifactName('~/static/js/main.js')).toBe('/static/js/main.js');
+    expect(normalizeArtifactName('static/js/main.js')).toBe('/static/js/main.js');
+    expect(normalizeArtifactName('')).toBeNull();
+  });
+
+  it('stores uploads per project and release on disk', async () => {
+    const artifact = await saveSourceMap(project, {
+      release: 'web@1.0.0',
+      fileName: 'https://cdn.example.com/static/js/main.abc123.js',
+      sourceMap: JSON.stringify(buildSourceMap()),
+    });
+
+    expect(artifact).toMatchObject({ release: 'web@1.0.0', fileName: '/static/js/main.abc123.js', sources: 1 });
+    expect(fs.readdirSync(path.join(directory, project._id))).toEqual([encodeURIComponent('web@1.0.0')]);
+
+    const listed = await listSourceMaps(project, 'web@1.0.0');
+    expect(listed).toEqual([expect.objectContaining({ fileName: '/static/js/main.abc123.js' })]);
+    await expect(listSourceMaps(project, 'web@2.0.0')).resolves.toEqual([]);
+  });
+
+  it('rejects invalid maps and unsafe releases', async () => {
+    await expect(
+      saveSourceMap(project, { release: '1.0.0', fileName: 'main.js', sourceMap: '{not json' })
+    ).rejects.toMatchObject({ status: 422 });
+    await expect(
+      saveSourceMap(project, { release: '1.0.0', fileName: 'main.js', sourceMap: { version: 2 } })
+    ).rejects.toMatchObject({ status: 422 });
+    await expect(
+      saveSourceMap(project, { release: '..', fileName: 'main.js', sourceMap: buildSourceMap() })
+    ).rejects.toMatchObject({ status: 422 });
+  });
+
+  it('rejects maps whose mappings do not decode', async () => {
+    const sourceMap = { version: 3, sources: ['src/checkout.js'], names: [], mappings: '!!!;;' };
+
+    await expect(saveSourceMap(project, { release: '1.0.0', fileName: 'main.js', sourceMap })).rejects.toMatchObject({
+      status: 422,
+    });
+  });
+
+  it('resolves minified frames to original positions with surrounding source', async () => {
+    await saveSourceMap(project, { release: '1.0.0', fileName: '/static/js/main.abc123.js', sourceMap: buildSourceMap() });
+
+    const minifiedFrame = { file: 'https://app.example.com/static/js/main.abc123.js', line: 1, column: 121, function: 'n', inApp: true };
+    const unmappedFrame = { file: 'https://app.example.com/static/js/vendor.js', line: 1, column: 10, function: 'r' };
+    const [resolved, untouched] = await symbolicateStackTrace(project, '1.0.0', [minifiedFrame, unmappedFrame]);
+
+    expect(resolved).toMatchObject({
+      file: 'src/checkout.js',
+      line: 5,
+      column: 10,
+      function: 'checkout',
+      inApp: true,
+      contextLine: '  return formatPrice(total.amount);',
+      minified: { file: minifiedFrame.file, line: 1, column: 121, function: 'n' },
+    });
+    expect(resolved.preContext).toHaveLength(4);
+    expect(resolved.postContext).toEqual(['}']);
+    expect(untouched).toBe(unmappedFrame);
+  });
+
+  it('reads a map once for all frames of a stack', async () => {
+    await saveSourceMap(project, { release: '1.0.0', fileName: '/static/js/main.abc123.js', sourceMap: buildSourceMap() });
+    const readFile = jest.spyOn(fs.promises, 'readFile');
+
+    try {
+      const frame = { file: '/static/js/main.abc123.js', line: 1, column: 121 };
+      const resolved = await symbolicateStackTrace(project, '1.0.0', [frame, { ...frame }, { ...frame }]);
+
+      expect(resolved.map((entry) => entry.file)).toEqual(['src/checkout.js', 'src/checkout.js', 'src/checkout.js']);
+      expect(readFile).toHaveBeenCalledTimes(1);
+    } finally {
+      readFile.mockRestore();
+    }
+  });
+
+  it('splits each original source once across events', async () => {
+    await saveSourceMap(project, { release: '1.0.0', fileName: '/static/js/main.abc123.js', sourceMap: buildSourceMap() });
+    const consumerPrototype = Object.getPrototypeOf(new SourceMapConsumer(buildSourceMap()));
+    const sourceContentFor = jest.spyOn(consumerPrototype, 'sourceContentFor');
+
+    try {
+      const frame = { file: '/static/js/main.abc123.js', line: 1, column: 121 };
+      await symbolicateStackTrace(project, '1.0.0', [frame, { ...frame }]);
+      const [resolved] = await symbolicateStackTrace(project, '1.0.0', [{ ...frame }]);
+
+      expect(resolved.contextLine).toBe('  return formatPrice(total.amount);');
+      expect(sourceContentFor).toHaveBeenCalledTimes(1);
+    } finally {
+      sourceContentFor.mockRestore();
+    }
+  });
+
+  it('keeps parsed maps within the cache size budget', async () => {
+    const sourceMap = buildSourceMap();
+    await saveSourceMap(project, { release: '1.0.0', fileName: '/first.js', sourceMap });
+    await saveSourceMap(project, { release: '1.0.0', fileName: '/second.js', sourceMap });
+    // Room for one map only.
+    process.env.SOURCE_MAP_CACHE_BYTES = String(Buffer.byteLength(JSON.stringify(sourceMap)) + 1);
+    const readFile = jest.spyOn(fs.promises, 'readFile');
+
+    try {
+      const frameIn = (file) => [{ file, line: 1, column: 121 }];
+      await symbolicateStackTrace(project, '1.0.0', frameIn('/first.js'));
+      await symbolicateStackTrace(project, '1.0.0', frameIn('/first.js'));
+      expect(readFile).toHaveBeenCalledTimes(1);
+
+      await symbolicateStackTrace(project, '1.0.0', frameIn('/second.js'));
+      const [resolved] = await symbolicateStackTrace(project, '1.0.0', frameIn('/first.js'));
+      expect(resolved.file).toBe('src/checkout.js');
+      expect(readFile).toHaveBeenCalledTimes(3);
+    } finally {
+      readFile.mockRestore();
+      delete process.env.SOURCE_MAP_CACHE_BYTES;
+    }
+  });
+
+  it('refuses names too long to store and skips them when symbolicating', async () => {
+    const fileName = `/${'a'.repeat(300)}.js`;
+
+    await expect(saveSourceMap(project, { release: '1.0.0', fileName, sourceMap: buildSourceMap() })).rejects.toMatchObject({
+      status: 400,
+    });
+    await expect(deleteSourceMap(project, { release: '1.0.0', fileName })).rejects.toMatchObject({ status: 400 });
+
+    const stack = [{ file: fileName, line: 1, column: 1 }];
+    await expect(symbolicateStackTrace(project, '1.0.0', stack)).resolves.toEqual(stack);
+    await expect(listSourceMaps(project, '/'.repeat(100))).resolves.toEqual([]);
+  });
+
+  it('scrubs source context with the project scrubbing settings', async () => {
+    const generator = new SourceMapGenerator({ file: 'main.js' });
+    generator.addMapping({ source: 'src/config.js', original: { line: 2, column: 0 }, generated: { line: 1, column: 0 } });
+    generator.setSourceContent(
+      'src/config.js',
+      ['// Owner: ops@example.com', 'const apiKey = "sk_live_abcdef123456";', 'export default apiKey;'].join('\n')
+    );
+    const scrubbedProject = { ...project, scrubbing: { removeEmails: true } };
+    await saveSourceMap(scrubbedProject, { release: '1.0.0', fileName: 'main.js', sourceMap: generator.toJSON() });
+
+    const [resolved] = await symbolicateStackTrace(scrubbedProject, '1.0.0', [{ file: '/main.js', line: 1, column: 1 }]);
+
+    expect(resolved.preContext).toEqual(['// Owner: [REDACTED:EMAIL]']);
+    expect(resolved.contextLine).not.toContain('abcdef123456');
+  });
+
+  it('leaves stacks alone without a release or a matching upload', async () => {
+    const stack = [{ file: '/static/js/main.abc123.js', line: 1, column: 121 }];
+    await expect(symbolicateStackTrace(project, null, stack)).resolves.toBe(stack);
+    await expect(symbolicateStackTrace(project, '9.9.9', stack)).resolves.toEqual(stack);
+  });
+
+  it('deletes uploaded maps', async () => {
+    await saveSourceMap(project, { release: '1.0.0', fileName: 'main.js', sourceMap: buildSourceMap() });
+
+    await expect(deleteSourceMap(project, { release: '1.0.0', fileName: 'main.js' })).resolves.toBe(true);
+    await expect(deleteSourceMap(project, { release: '1.0.0', fileName: 'main.js' })).resolves.toBe(false);
+  });
+});
@@ -0,0 +1,31 @@
+const { formatStackTraceForHighlight } = require('../src/utils/stack-formatter');
+
+describe('formatStackTraceForHighlight', () => {
+  it('numbers source context lines and marks the failing line', () => {
+    const [frame] = formatStackTraceForHighlight([
+      {
+        file: '/srv/app/cart.js',
+        line: 12,
+        column: 5,
+        function: 'sumCart',
+        preContext: ['function sumCart(cart) {', '  let total = 0;'],
+        contextLine: '  total += cart.items.length;',
+        postContext: ['  return total;'],
+      },
+    ]);
+
+    expect(frame.formatted).toBe('sumCart at /srv/app/cart.js:12:5');
+    expect(frame.sourceLines).toEqual([
+      { line: 10, code: 'function sumCart(cart) {', current: false },
+      { line: 11, code: '  let total = 0;', current: false },
+      { line: 12, code: '  total += cart.items.length;', current: true },
+      { line: 13, code: '  return total;', current: false },
+    ]);
+  });
+
+  it('leaves frames without source context unannotated', () => {
+    const [frame] = formatStackTraceForHighlight([{ file: 'app.js', line: 1, column: 1 }]);
+    expect(frame.sourceLines).toBeNull();
+    expect(frame.highlightHtml).toContain('frame-file');
+  });
+});